@@ -8,12 +8,17 @@ const state = {
     services: [],
     staff: [],
     availableDates: [],
+    availability: {},
+    availabilityKey: null,
     selectedService: null,
     selectedStaff: null,
     selectedDate: null,
     selectedSlot: null,
     customerInfo: {},
-    currentMonth: new Date()
+    currentMonth: new Date(),
+    tokenAppointment: null,
+    rescheduleToken: null,
+    listenersReady: false
 };
 
 // ===== DOM要素 =====
@@ -41,6 +46,19 @@ document.addEventListener('DOMContentLoaded', async () => {
         return;
     }
 
+    const offerToken = params.get('offer');
+    if (offerToken) {
+        // キャンセル待ちのご案内（空いた枠の予約）を表示
+        showOfferView(offerToken);
+        return;
+    }
+
+    if (params.get('lookup')) {
+        // 予約確認URLの再送画面を表示
+        showLookupView();
+        return;
+    }
+
     // 通常の予約フロー
     try {
         await Promise.all([
@@ -52,6 +70,14 @@ document.addEventListener('DOMContentLoaded', async () => {
         renderCalendar();
     } catch (error) {
         showError('データの読み込みに失敗しました。ページを再読み込みしてください。');
+        return;
+    }
+
+    // リコールメールなどからのリンク（?service=ID）ではメニューを選択済みにする
+    const presetServiceId = params.get('service');
+    if (presetServiceId) {
+        const item = elements.serviceList.querySelector(`.option-item[data-id="${parseInt(presetServiceId)}"]`);
+        if (item) item.click();
     }
 });
 
@@ -117,8 +143,9 @@ async function loadServices() {
     renderServices();
 }
 
-async function loadStaff() {
-    const staff = await api('/api/staff');
+async function loadStaff(serviceId = null) {
+    // メニュー選択後は、そのメニューを担当するスタッフのみ表示
+    const staff = await api(serviceId ? `/api/staff?serviceId=${serviceId}` : '/api/staff');
     state.staff = staff;
     renderStaff();
 }
@@ -128,6 +155,35 @@ async function loadAvailableDates() {
     state.availableDates = dates.map(d => d.date);
 }
 
+async function loadAvailability() {
+    // 表示中の月の日ごとの空き状況（満席・残りわずか）
+    const year = state.currentMonth.getFullYear();
+    const month = state.currentMonth.getMonth();
+    const params = new URLSearchParams({
+        from: formatDate(new Date(year, month, 1)),
+        to: formatDate(new Date(year, month + 1, 0)),
+        serviceId: state.selectedService.id
+    });
+
+    if (state.selectedStaff && state.selectedStaff.id) {
+        params.append('staffId', state.selectedStaff.id);
+    }
+
+    // メニュー・担当者が変わっていたら古い結果は捨てる
+    const key = `${state.selectedService.id}-${state.selectedStaff ? state.selectedStaff.id : ''}`;
+    if (state.availabilityKey !== key) {
+        state.availability = {};
+        state.availabilityKey = key;
+    }
+
+    const result = await api(`/api/availability?${params}`);
+    if (state.availabilityKey !== key) return;
+
+    result.days.forEach(day => {
+        state.availability[day.date] = day;
+    });
+}
+
 async function loadSlots(date) {
     const params = new URLSearchParams({
         date,
@@ -142,6 +198,73 @@ async function loadSlots(date) {
     return result.slots || [];
 }
 
+// 希望時間帯の区切り（午前・午後）
+const TIME_OF_DAY_RANGES = {
+    morning: { timeTo: '13:00' },
+    afternoon: { timeFrom: '13:00' }
+};
+
+async function findNextAvailable() {
+    const params = new URLSearchParams({
+        serviceId: state.selectedService.id,
+        count: 6
+    });
+
+    if (state.selectedStaff && state.selectedStaff.id) {
+        params.append('staffId', state.selectedStaff.id);
+    }
+
+    const weekdays = Array.from(document.querySelectorAll('#nextAvailableWeekdays input:checked')).map(el => el.value);
+    if (weekdays.length > 0) {
+        params.append('weekdays', weekdays.join(','));
+    }
+
+    const timeRange = TIME_OF_DAY_RANGES[document.getElementById('nextAvailableTime').value] || {};
+    Object.entries(timeRange).forEach(([key, value]) => params.append(key, value));
+
+    const list = document.getElementById('nextAvailableList');
+    list.style.display = 'grid';
+    list.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+
+    try {
+        const result = await api(`/api/slots/next-available?${params}`);
+
+        if (result.slots.length === 0) {
+            list.innerHTML = '<div class="no-slots">ご希望の条件では空きが見つかりませんでした</div>';
+            return;
+        }
+
+        list.innerHTML = result.slots.map(slot => {
+            const [, month, day] = slot.date.split('-').map(Number);
+            return `
+            <div class="slot-item" data-date="${slot.date}" data-start="${slot.startAt}" data-end="${slot.endAt}" data-time="${slot.start}">
+                ${month}/${day}（${slot.dayName}）<br>${slot.start}
+            </div>
+            `;
+        }).join('');
+    } catch (error) {
+        list.innerHTML = `<div class="no-slots">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function selectNextAvailableSlot(item) {
+    const { date, start, end, time } = item.dataset;
+
+    document.querySelectorAll('#nextAvailableList .slot-item').forEach(el => el.classList.remove('selected'));
+    item.classList.add('selected');
+
+    // カレンダーをその日の月に移動して日付・時間を選択状態にする
+    const [year, month] = date.split('-').map(Number);
+    state.currentMonth = new Date(year, month - 1, 1);
+    state.selectedDate = date;
+    state.selectedSlot = { startAt: start, endAt: end, display: time };
+    document.getElementById('nextStep3').disabled = false;
+
+    refreshCalendar();
+    await renderSlots(date);
+    document.querySelector(`#slotGrid .slot-item[data-start="${start}"]`)?.classList.add('selected');
+}
+
 // ===== レンダリング =====
 function renderServices() {
     elements.serviceList.innerHTML = state.services.map(service => `
@@ -161,14 +284,39 @@ function renderStaff() {
     ];
 
     elements.staffList.innerHTML = staffWithNoPreference.map(member => `
-        <label class="option-item" data-id="${member.id || 'none'}">
+        <label class="option-item staff-card" data-id="${member.id || 'none'}">
             <input type="radio" name="staff" value="${member.id || ''}">
-            <div class="option-name">${escapeHtml(member.name)}</div>
-            ${member.title ? `<div class="option-description">${escapeHtml(member.title)}</div>` : ''}
+            ${member.id ? renderStaffPhoto(member) : ''}
+            <div class="staff-card-info">
+                <div class="option-name">${escapeHtml(member.name)}</div>
+                ${member.title ? `<div class="option-description">${escapeHtml(member.title)}</div>` : ''}
+                ${member.specialties && member.specialties.length > 0 ? `
+                    <div class="staff-tags">${member.specialties.map(item => `<span class="staff-tag">${escapeHtml(item)}</span>`).join('')}</div>
+                ` : ''}
+                ${member.languages && member.languages.length > 0 ? `
+                    <div class="option-description">対応言語: ${member.languages.map(escapeHtml).join('、')}</div>
+                ` : ''}
+                ${member.accepting_new_patients === false ? `
+                    <div class="staff-notice">現在、初めての方のご指名は受け付けておりません</div>
+                ` : ''}
+                ${member.bio ? `
+                    <details class="staff-bio">
+                        <summary>プロフィールを見る</summary>
+                        <p>${escapeHtml(member.bio)}</p>
+                    </details>
+                ` : ''}
+            </div>
         </label>
     `).join('');
 }
 
+// 写真がない場合は名前の1文字目を表示
+function renderStaffPhoto(member) {
+    return member.photo_url
+        ? `<img class="staff-photo" src="${escapeHtml(member.photo_url)}" alt="${escapeHtml(member.name)}" loading="lazy">`
+        : `<div class="staff-photo staff-photo-placeholder">${escapeHtml(member.name.charAt(0))}</div>`;
+}
+
 function renderCalendar() {
     const year = state.currentMonth.getFullYear();
     const month = state.currentMonth.getMonth();
@@ -198,7 +346,9 @@ function renderCalendar() {
     for (let day = 1; day <= lastDay.getDate(); day++) {
         const date = new Date(year, month, day);
         const dateStr = formatDate(date);
-        const isAvailable = state.availableDates.includes(dateStr);
+        const summary = state.availability[dateStr];
+        const isFull = summary && (summary.status === 'full' || summary.status === 'closed');
+        const isAvailable = state.availableDates.includes(dateStr) && !isFull;
         const isToday = date.getTime() === today.getTime();
         const isSelected = state.selectedDate === dateStr;
 
@@ -210,6 +360,16 @@ function renderCalendar() {
         if (!isAvailable) {
             cell.classList.add('disabled');
         }
+        if (state.availableDates.includes(dateStr) && summary) {
+            // 予約受付日のみ満席・残りわずかを表示
+            if (summary.status === 'full') {
+                cell.classList.add('full');
+                cell.insertAdjacentHTML('beforeend', '<span class="date-status">満席</span>');
+            } else if (summary.status === 'few') {
+                cell.classList.add('few');
+                cell.insertAdjacentHTML('beforeend', '<span class="date-status">残りわずか</span>');
+            }
+        }
         if (isToday) {
             cell.classList.add('today');
         }
@@ -221,6 +381,19 @@ function renderCalendar() {
     }
 }
 
+async function refreshCalendar() {
+    // 空き状況の取得を待たずに予約可能日でいったん描画する
+    renderCalendar();
+
+    try {
+        await loadAvailability();
+    } catch (error) {
+        // 取得できなくても予約可能日から選択でき、満席は時間選択時に表示される
+        console.error('空き状況の取得に失敗しました:', error);
+    }
+    renderCalendar();
+}
+
 async function renderSlots(date) {
     elements.slotGrid.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
     elements.timeSection.style.display = 'block';
@@ -256,6 +429,8 @@ async function renderSlots(date) {
 
 // ===== イベントリスナー =====
 function setupEventListeners() {
+    state.listenersReady = true;
+
     // サービス選択
     elements.serviceList.addEventListener('click', (e) => {
         const item = e.target.closest('.option-item');
@@ -268,6 +443,13 @@ function setupEventListeners() {
         const serviceId = parseInt(item.dataset.id);
         state.selectedService = state.services.find(s => s.id === serviceId);
 
+        // 担当スタッフの一覧を更新し、選択済みのスタッフはリセット
+        state.selectedStaff = null;
+        document.getElementById('nextStep2').disabled = true;
+        loadStaff(serviceId).catch(() => {
+            showError('担当者の読み込みに失敗しました。ページを再読み込みしてください。');
+        });
+
         document.getElementById('nextStep1').disabled = false;
     });
 
@@ -310,7 +492,7 @@ function setupEventListeners() {
         const slot = e.target.closest('.slot-item:not(.disabled)');
         if (!slot) return;
 
-        document.querySelectorAll('#slotGrid .slot-item').forEach(el => el.classList.remove('selected'));
+        document.querySelectorAll('#slotGrid .slot-item, #nextAvailableList .slot-item').forEach(el => el.classList.remove('selected'));
         slot.classList.add('selected');
 
         state.selectedSlot = {
@@ -322,23 +504,48 @@ function setupEventListeners() {
         document.getElementById('nextStep3').disabled = false;
     });
 
+    // 最短の空き枠検索
+    document.getElementById('findNextAvailable').addEventListener('click', findNextAvailable);
+
+    document.getElementById('nextAvailableList').addEventListener('click', (e) => {
+        const item = e.target.closest('.slot-item');
+        if (!item) return;
+        selectNextAvailableSlot(item);
+    });
+
     // 月ナビゲーション
     document.getElementById('prevMonth').addEventListener('click', () => {
         state.currentMonth.setMonth(state.currentMonth.getMonth() - 1);
-        renderCalendar();
+        refreshCalendar();
     });
 
     document.getElementById('nextMonth').addEventListener('click', () => {
         state.currentMonth.setMonth(state.currentMonth.getMonth() + 1);
-        renderCalendar();
+        refreshCalendar();
     });
 
     // ステップナビゲーション
     document.getElementById('nextStep1').addEventListener('click', () => goToStep(2));
     document.getElementById('prevStep2').addEventListener('click', () => goToStep(1));
-    document.getElementById('nextStep2').addEventListener('click', () => goToStep(3));
-    document.getElementById('prevStep3').addEventListener('click', () => goToStep(2));
-    document.getElementById('nextStep3').addEventListener('click', () => goToStep(4));
+    document.getElementById('nextStep2').addEventListener('click', () => {
+        document.getElementById('nextAvailableList').style.display = 'none';
+        goToStep(3);
+        refreshCalendar();
+    });
+    document.getElementById('prevStep3').addEventListener('click', () => {
+        if (state.rescheduleToken) {
+            closeReschedule();
+        } else {
+            goToStep(2);
+        }
+    });
+    document.getElementById('nextStep3').addEventListener('click', () => {
+        if (state.rescheduleToken) {
+            submitReschedule();
+        } else {
+            goToStep(4);
+        }
+    });
     document.getElementById('prevStep4').addEventListener('click', () => goToStep(3));
     document.getElementById('nextStep4').addEventListener('click', () => {
         if (validateForm()) {
@@ -349,6 +556,11 @@ function setupEventListeners() {
     });
     document.getElementById('prevStep5').addEventListener('click', () => goToStep(4));
     document.getElementById('submitBooking').addEventListener('click', submitBooking);
+
+    // キャンセル待ち
+    document.getElementById('openWaitlist').addEventListener('click', openWaitlist);
+    document.getElementById('closeWaitlist').addEventListener('click', closeWaitlist);
+    document.getElementById('waitlistForm').addEventListener('submit', submitWaitlist);
 }
 
 // ===== ステップ管理 =====
@@ -504,8 +716,9 @@ function showComplete(result) {
 
     const dateObj = new Date(result.appointment.startAt);
     const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    const timeLabel = state.selectedSlot ? state.selectedSlot.display : formatTime(dateObj);
     document.getElementById('completeDateTime').textContent =
-        `${dateObj.getFullYear()}年${dateObj.getMonth() + 1}月${dateObj.getDate()}日（${dayNames[dateObj.getDay()]}） ${state.selectedSlot.display}`;
+        `${dateObj.getFullYear()}年${dateObj.getMonth() + 1}月${dateObj.getDate()}日（${dayNames[dateObj.getDay()]}） ${timeLabel}`;
 
     document.getElementById('completeService').textContent = result.appointment.service;
     document.getElementById('completeStaff').textContent = result.appointment.staff;
@@ -521,19 +734,198 @@ async function showCancelView(token) {
     document.getElementById('stepCancel').classList.add('active');
 
     try {
-        const appointment = await api(`/api/appointments/by-token?token=${encodeURIComponent(token)}`);
-
-        const dateObj = new Date(appointment.startAt);
-        const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+        await loadTokenAppointment(token);
+
+        // 日時を変更しても同じ予定として上書きされるため、リンクは固定でよい
+        document.getElementById('addToCalendar').href = `/api/appointments/calendar.ics?token=${encodeURIComponent(token)}`;
+        document.getElementById('rescheduleAppointment').addEventListener('click', () => startReschedule(token));
+
+        document.getElementById('cancelAppointment').addEventListener('click', async () => {
+            if (confirm('本当にキャンセルしますか？')) {
+                try {
+                    await api('/api/appointments/cancel', {
+                        method: 'POST',
+                        body: JSON.stringify({ token })
+                    });
+
+                    document.getElementById('cancelForm').style.display = 'none';
+                    document.getElementById('rescheduledMessage').style.display = 'none';
+                    document.getElementById('cancelledMessage').style.display = 'block';
+
+                } catch (error) {
+                    showError(error.message);
+                }
+            }
+        });
 
+    } catch (error) {
         document.getElementById('appointmentDetails').innerHTML = `
-            <div class="confirm-section">
-                <div class="confirm-title">予約番号</div>
-                <div class="confirm-value">#${appointment.id}</div>
+            <div class="alert alert-error">${escapeHtml(error.message)}</div>
+            <a href="/?lookup=1" class="btn btn-secondary btn-block" style="margin-top: 16px;">予約確認用URLを再送する</a>
+        `;
+    }
+}
+
+async function loadTokenAppointment(token) {
+    const appointment = await api(`/api/appointments/by-token?token=${encodeURIComponent(token)}`);
+    state.tokenAppointment = appointment;
+
+    const dateObj = new Date(appointment.startAt);
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+
+    document.getElementById('appointmentDetails').innerHTML = `
+        <div class="confirm-section">
+            <div class="confirm-title">予約番号</div>
+            <div class="confirm-value">#${appointment.id}</div>
+        </div>
+        <div class="confirm-section">
+            <div class="confirm-title">お名前</div>
+            <div class="confirm-value">${escapeHtml(appointment.patientName)}</div>
+        </div>
+        <div class="confirm-section">
+            <div class="confirm-title">日時</div>
+            <div class="confirm-value">${dateObj.getFullYear()}年${dateObj.getMonth() + 1}月${dateObj.getDate()}日（${dayNames[dateObj.getDay()]}） ${formatTime(dateObj)}</div>
+        </div>
+        <div class="confirm-section">
+            <div class="confirm-title">メニュー</div>
+            <div class="confirm-value">${escapeHtml(appointment.serviceName)}</div>
+        </div>
+        <div class="confirm-section">
+            <div class="confirm-title">担当</div>
+            <div class="confirm-value">${escapeHtml(appointment.staffName)}</div>
+        </div>
+        <div class="confirm-section">
+            <div class="confirm-title">ステータス</div>
+            <div class="confirm-value">
+                <span class="badge badge-${appointment.status}">${getStatusLabel(appointment.status)}</span>
             </div>
+        </div>
+    `;
+
+    document.getElementById('cancelForm').style.display = appointment.status === 'confirmed' ? 'block' : 'none';
+}
+
+// ===== 予約確認URLの再送 =====
+function showLookupView() {
+    elements.progressContainer.style.display = 'none';
+    document.querySelectorAll('.step-content').forEach(el => el.classList.remove('active'));
+    document.getElementById('stepLookup').classList.add('active');
+
+    document.getElementById('lookupForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError();
+
+        const phone = document.getElementById('lookupPhone').value.trim();
+        const email = document.getElementById('lookupEmail').value.trim();
+        const appointmentNumber = document.getElementById('lookupNumber').value.trim();
+
+        if (!email && !appointmentNumber) {
+            showError('メールアドレスか予約番号のどちらかを入力してください');
+            return;
+        }
+
+        const btn = document.getElementById('lookupSubmit');
+        btn.disabled = true;
+
+        try {
+            const result = await api('/api/appointments/lookup', {
+                method: 'POST',
+                body: JSON.stringify({ phone, email, appointmentNumber })
+            });
+
+            document.getElementById('lookupForm').style.display = 'none';
+            const message = document.getElementById('lookupMessage');
+            message.textContent = result.message;
+            message.style.display = 'block';
+        } catch (error) {
+            showError(error.message);
+            btn.disabled = false;
+        }
+    });
+}
+
+// ===== キャンセル待ち =====
+function openWaitlist() {
+    hideError();
+
+    document.getElementById('waitlistServiceLabel').textContent =
+        `${state.selectedService.name} / ${state.selectedStaff.name}`;
+
+    // 日付を選んでいればその日、なければ今日から2週間を初期値にする
+    const today = new Date();
+    const twoWeeksLater = new Date(today.getTime() + 14 * 24 * 60 * 60 * 1000);
+    document.getElementById('waitlistDateFrom').value = state.selectedDate || formatDate(today);
+    document.getElementById('waitlistDateTo').value = state.selectedDate || formatDate(twoWeeksLater);
+
+    document.getElementById('step3').classList.remove('active');
+    document.getElementById('stepWaitlist').classList.add('active');
+    window.scrollTo(0, 0);
+}
+
+function closeWaitlist() {
+    hideError();
+    document.getElementById('stepWaitlist').classList.remove('active');
+    document.getElementById('step3').classList.add('active');
+    window.scrollTo(0, 0);
+}
+
+async function submitWaitlist(e) {
+    e.preventDefault();
+    hideError();
+
+    const btn = document.getElementById('waitlistSubmit');
+    btn.disabled = true;
+
+    try {
+        const result = await api('/api/waitlist', {
+            method: 'POST',
+            body: JSON.stringify({
+                serviceId: state.selectedService.id,
+                staffId: state.selectedStaff.id,
+                dateFrom: document.getElementById('waitlistDateFrom').value,
+                dateTo: document.getElementById('waitlistDateTo').value,
+                timeFrom: document.getElementById('waitlistTimeFrom').value || null,
+                timeTo: document.getElementById('waitlistTimeTo').value || null,
+                name: document.getElementById('waitlistName').value.trim(),
+                kana: document.getElementById('waitlistKana').value.trim(),
+                phone: document.getElementById('waitlistPhone').value.trim(),
+                email: document.getElementById('waitlistEmail').value.trim()
+            })
+        });
+
+        document.getElementById('waitlistForm').style.display = 'none';
+        const message = document.getElementById('waitlistMessage');
+        message.textContent = result.message;
+        message.style.display = 'block';
+    } catch (error) {
+        showError(error.message);
+        btn.disabled = false;
+    }
+}
+
+// ===== キャンセル待ちのご案内（確保URL） =====
+async function showOfferView(token) {
+    elements.progressContainer.style.display = 'none';
+    document.querySelectorAll('.step-content').forEach(el => el.classList.remove('active'));
+    document.getElementById('stepOffer').classList.add('active');
+
+    const details = document.getElementById('offerDetails');
+
+    try {
+        const offer = await api(`/api/waitlist/offer?token=${encodeURIComponent(token)}`);
+
+        const dateObj = new Date(offer.startAt);
+        const expiresObj = new Date(offer.expiresAt);
+        const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+        const statusMessages = {
+            claimed: '<div class="alert alert-success" style="margin-top: 24px;">この枠は既にご予約済みです。予約確認メールをご確認ください。</div>',
+            expired: '<div class="alert alert-error" style="margin-top: 24px;">ご案内の有効期限が切れています。キャンセル待ちの登録は引き続き有効で、次に空きが出ましたらご案内します。</div>'
+        };
+
+        details.innerHTML = `
             <div class="confirm-section">
                 <div class="confirm-title">お名前</div>
-                <div class="confirm-value">${escapeHtml(appointment.patientName)}</div>
+                <div class="confirm-value">${escapeHtml(offer.patientName)} 様</div>
             </div>
             <div class="confirm-section">
                 <div class="confirm-title">日時</div>
@@ -541,45 +933,111 @@ async function showCancelView(token) {
             </div>
             <div class="confirm-section">
                 <div class="confirm-title">メニュー</div>
-                <div class="confirm-value">${escapeHtml(appointment.serviceName)}</div>
+                <div class="confirm-value">${escapeHtml(offer.serviceName)}</div>
             </div>
             <div class="confirm-section">
                 <div class="confirm-title">担当</div>
-                <div class="confirm-value">${escapeHtml(appointment.staffName)}</div>
+                <div class="confirm-value">${escapeHtml(offer.staffName)}</div>
             </div>
             <div class="confirm-section">
-                <div class="confirm-title">ステータス</div>
-                <div class="confirm-value">
-                    <span class="badge badge-${appointment.status}">${getStatusLabel(appointment.status)}</span>
-                </div>
+                <div class="confirm-title">有効期限</div>
+                <div class="confirm-value">${expiresObj.getMonth() + 1}月${expiresObj.getDate()}日 ${formatTime(expiresObj)}まで</div>
             </div>
+            ${statusMessages[offer.status] || ''}
         `;
 
-        if (appointment.status === 'confirmed') {
-            document.getElementById('cancelForm').style.display = 'block';
+        if (offer.status !== 'pending') return;
+
+        const btn = document.getElementById('claimOffer');
+        btn.style.display = 'block';
+        btn.addEventListener('click', async () => {
+            btn.disabled = true;
+            btn.textContent = '送信中...';
+            hideError();
+
+            try {
+                const result = await api('/api/waitlist/claim', {
+                    method: 'POST',
+                    body: JSON.stringify({ token })
+                });
+
+                document.getElementById('stepOffer').classList.remove('active');
+                showComplete(result);
+            } catch (error) {
+                showError(error.message);
+                btn.style.display = 'none';
+            }
+        });
 
-            document.getElementById('cancelAppointment').addEventListener('click', async () => {
-                if (confirm('本当にキャンセルしますか？')) {
-                    try {
-                        await api('/api/appointments/cancel', {
-                            method: 'POST',
-                            body: JSON.stringify({ token })
-                        });
+    } catch (error) {
+        details.innerHTML = `<div class="alert alert-error">${escapeHtml(error.message)}</div>`;
+    }
+}
 
-                        document.getElementById('cancelForm').style.display = 'none';
-                        document.getElementById('cancelledMessage').style.display = 'block';
+// ===== 予約日時の変更（トークン） =====
+async function startReschedule(token) {
+    const appointment = state.tokenAppointment;
 
-                    } catch (error) {
-                        showError(error.message);
-                    }
-                }
-            });
+    // 同じメニュー・担当者で日時選択画面を使う
+    state.rescheduleToken = token;
+    state.selectedService = { id: appointment.serviceId, name: appointment.serviceName };
+    state.selectedStaff = { id: appointment.staffId, name: appointment.staffName };
+    state.selectedDate = null;
+    state.selectedSlot = null;
+
+    try {
+        if (!state.listenersReady) {
+            await loadAvailableDates();
+            setupEventListeners();
         }
+    } catch (error) {
+        showError('予約可能日の読み込みに失敗しました。ページを再読み込みしてください。');
+        return;
+    }
+
+    document.getElementById('stepCancel').classList.remove('active');
+    document.getElementById('step3').classList.add('active');
+    state.currentStep = 3;
+
+    document.getElementById('nextStep3').textContent = 'この日時に変更する';
+    document.getElementById('nextStep3').disabled = true;
+    document.getElementById('nextAvailableList').style.display = 'none';
+    document.getElementById('waitlistPrompt').style.display = 'none';
+    elements.timeSection.style.display = 'none';
+
+    refreshCalendar();
+}
+
+function closeReschedule() {
+    document.getElementById('step3').classList.remove('active');
+    document.getElementById('stepCancel').classList.add('active');
+    window.scrollTo(0, 0);
+}
+
+async function submitReschedule() {
+    if (!state.selectedSlot) return;
+    if (!confirm('この日時に変更しますか？')) return;
+
+    const btn = document.getElementById('nextStep3');
+    btn.disabled = true;
+    hideError();
+
+    try {
+        await api('/api/appointments/reschedule', {
+            method: 'POST',
+            body: JSON.stringify({
+                token: state.rescheduleToken,
+                startAt: state.selectedSlot.startAt
+            })
+        });
+
+        await loadTokenAppointment(state.rescheduleToken);
+        closeReschedule();
+        document.getElementById('rescheduledMessage').style.display = 'block';
 
     } catch (error) {
-        document.getElementById('appointmentDetails').innerHTML = `
-            <div class="alert alert-error">${escapeHtml(error.message)}</div>
-        `;
+        showError(error.message);
+        btn.disabled = false;
     }
 }
 
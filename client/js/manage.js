@@ -47,7 +47,9 @@ async function api(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-        throw new Error(data.error || 'エラーが発生しました');
+        const error = new Error(data.error || 'エラーが発生しました');
+        error.data = data; // 予約できない回の一覧など
+        throw error;
     }
 
     return data;
@@ -69,9 +71,13 @@ function showAdminView() {
     loadCalendar();
     loadAppointments();
     loadPatients();
+    loadRecalls();
+    loadWaitlist();
     loadDoctors();
     loadServices();
+    loadResources();
     loadAccounts();
+    loadNotificationLogs();
     loadSettings();
 }
 
@@ -217,6 +223,12 @@ function setupEventListeners() {
             return;
         }
 
+        // お知らせの送信方法の保存ボタン
+        if (e.target.classList.contains('save-notification-btn')) {
+            savePatientNotification(e.target.getAttribute('data-id'));
+            return;
+        }
+
         // 医師削除ボタン
         const deleteBtn = e.target.closest('.delete-doctor-btn');
         if (deleteBtn) {
@@ -227,6 +239,30 @@ function setupEventListeners() {
             return;
         }
 
+        // 医師の職種の保存ボタン
+        const saveRoleBtn = e.target.closest('.save-doctor-role-btn');
+        if (saveRoleBtn) {
+            e.preventDefault();
+            saveDoctorRole(saveRoleBtn);
+            return;
+        }
+
+        // 医師プロフィール編集ボタン
+        const profileBtn = e.target.closest('.profile-doctor-btn');
+        if (profileBtn) {
+            e.preventDefault();
+            openStaffProfileModal(profileBtn.getAttribute('data-id'));
+            return;
+        }
+
+        // 医師勤務設定ボタン
+        const scheduleBtn = e.target.closest('.schedule-doctor-btn');
+        if (scheduleBtn) {
+            e.preventDefault();
+            openStaffScheduleModal(scheduleBtn.getAttribute('data-id'), scheduleBtn.getAttribute('data-name'));
+            return;
+        }
+
         // 管理者削除ボタン
         const deleteAccountBtn = e.target.closest('.delete-account-btn');
         if (deleteAccountBtn) {
@@ -236,6 +272,54 @@ function setupEventListeners() {
             return;
         }
 
+        // メニュー担当設定ボタン
+        const serviceStaffBtn = e.target.closest('.service-staff-btn');
+        if (serviceStaffBtn) {
+            e.preventDefault();
+            openServiceStaffModal(serviceStaffBtn.getAttribute('data-id'));
+            return;
+        }
+
+        // メニュー準備・片付け時間の保存ボタン
+        const saveBufferBtn = e.target.closest('.save-service-buffer-btn');
+        if (saveBufferBtn) {
+            e.preventDefault();
+            saveServiceBuffers(saveBufferBtn);
+            return;
+        }
+
+        // メニューのリコール設定の保存ボタン
+        const saveRecallBtn = e.target.closest('.save-service-recall-btn');
+        if (saveRecallBtn) {
+            e.preventDefault();
+            saveServiceRecall(saveRecallBtn);
+            return;
+        }
+
+        // メニュー編集ボタン
+        const editServiceBtn = e.target.closest('.edit-service-btn');
+        if (editServiceBtn) {
+            e.preventDefault();
+            openServiceEditModal(editServiceBtn.getAttribute('data-id'));
+            return;
+        }
+
+        // メニュー工程設定ボタン
+        const serviceSegmentsBtn = e.target.closest('.service-segments-btn');
+        if (serviceSegmentsBtn) {
+            e.preventDefault();
+            openServiceSegmentsModal(serviceSegmentsBtn.getAttribute('data-id'));
+            return;
+        }
+
+        // メニュー設備設定ボタン
+        const serviceResourcesBtn = e.target.closest('.service-resources-btn');
+        if (serviceResourcesBtn) {
+            e.preventDefault();
+            openServiceResourcesModal(serviceResourcesBtn.getAttribute('data-id'));
+            return;
+        }
+
         // メニュー削除ボタン
         const deleteServiceBtn = e.target.closest('.delete-service-btn');
         if (deleteServiceBtn) {
@@ -248,7 +332,7 @@ function setupEventListeners() {
 
     // mousedownでの停止（ドラッグ開始を防ぐ）
     document.addEventListener('mousedown', (e) => {
-        if (e.target.closest('.delete-doctor-btn')) {
+        if (e.target.closest('.delete-doctor-btn') || e.target.closest('.schedule-doctor-btn') || e.target.closest('.profile-doctor-btn') || e.target.closest('.doctor-role-select') || e.target.closest('.save-doctor-role-btn')) {
             e.stopPropagation();
         }
     });
@@ -320,8 +404,9 @@ function renderCalendar(startOfWeek, appointments) {
                 const d = new Date(apt.start_at);
                 const startTime = `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
                 html += `
-                    <div class="appointment-block ${apt.status}" data-id="${apt.id}">
+                    <div class="appointment-block ${apt.status}" data-id="${apt.id}"${apt.service_color && apt.status !== 'cancelled' ? ` style="background: ${apt.service_color};"` : ''}>
                         ${startTime} ${escapeHtml(apt.patient_name || apt.name || '名称未設定')}
+                        <br><span style="opacity: 0.85;">${escapeHtml(apt.staff_name || '担当未定')}${apt.auto_assigned ? '（自動）' : ''}</span>
                     </div>
                 `;
             });
@@ -423,8 +508,21 @@ async function showAppointmentDetail(id) {
             </div>
             <div class="confirm-section">
                 <div class="confirm-title">担当</div>
-                <div class="confirm-value">${escapeHtml(apt.staff_name || '指名なし')}</div>
+                <div class="confirm-value">${escapeHtml(apt.staff_name || '指名なし')}${apt.auto_assigned ? '（指名なし・自動割り当て）' : ''}</div>
+            </div>
+            ${apt.segments && apt.segments.length > 0 ? `
+            <div class="confirm-section">
+                <div class="confirm-title">施術の流れ</div>
+                <div class="confirm-value" style="font-size: 0.875rem;">
+                    ${apt.segments.map(seg => {
+                        const segStart = new Date(seg.start_at);
+                        const segEnd = new Date(seg.end_at);
+                        const toTime = (d) => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+                        return `<div>${toTime(segStart)}〜${toTime(segEnd)} ${escapeHtml(seg.name)}（${escapeHtml(seg.staff_name || staffRoleLabels[seg.staff_role] || seg.staff_role)}）</div>`;
+                    }).join('')}
+                </div>
             </div>
+            ` : ''}
             <div class="confirm-section">
                 <div class="confirm-title">ステータス</div>
                 <div class="confirm-value">
@@ -441,8 +539,39 @@ async function showAppointmentDetail(id) {
                     <textarea id="aptNotes" class="form-input" style="min-height: 80px;">${escapeHtml(apt.notes || '')}</textarea>
                 </div>
             </div>
+            ${apt.status === 'confirmed' ? `
+            <div class="confirm-section">
+                <div class="confirm-title">日時の変更</div>
+                <div class="confirm-value">
+                    <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                        <input type="date" id="aptMoveDate" class="form-input" style="width: auto;" value="${formatDate(startDate)}">
+                        <input type="time" id="aptMoveTime" class="form-input" style="width: auto;" step="300"
+                            value="${String(startDate.getHours()).padStart(2, '0')}:${String(startDate.getMinutes()).padStart(2, '0')}">
+                        <button type="button" class="btn btn-secondary" id="aptMoveBtn">この予約を移動</button>
+                        ${apt.series_id ? '<button type="button" class="btn btn-secondary" id="aptMoveSeriesBtn">この回以降をまとめて移動</button>' : ''}
+                    </div>
+                    <div id="aptMoveResult" style="margin-top: 8px; font-size: 0.875rem;"></div>
+                </div>
+            </div>
+            ` : ''}
+            ${apt.series_id ? `
+            <div class="confirm-section">
+                <div class="confirm-title">通院シリーズ</div>
+                <div class="confirm-value" id="aptSeries">読み込み中...</div>
+            </div>
+            ` : ''}
         `;
 
+        if (apt.status === 'confirmed') {
+            document.getElementById('aptMoveBtn').onclick = () => moveAppointment(id, null);
+            if (apt.series_id) {
+                document.getElementById('aptMoveSeriesBtn').onclick = () => moveAppointment(id, apt.series_id);
+            }
+        }
+        if (apt.series_id) {
+            loadAppointmentSeries(apt.series_id, apt.id);
+        }
+
         document.getElementById('modalSave').style.display = 'inline-flex';
         document.getElementById('modalSave').onclick = () => updateAppointment(id);
 
@@ -483,6 +612,129 @@ function closeModal() {
     document.getElementById('appointmentModal').classList.remove('active');
 }
 
+// 予約の日時変更（seriesId を指定した場合はその回以降をまとめて移動）
+async function moveAppointment(id, seriesId) {
+    const dateStr = document.getElementById('aptMoveDate').value;
+    const timeStr = document.getElementById('aptMoveTime').value;
+    const result = document.getElementById('aptMoveResult');
+
+    if (!dateStr || !timeStr) {
+        alert('変更後の日時を入力してください');
+        return;
+    }
+
+    const startAt = `${dateStr}T${timeStr}:00+09:00`;
+    const message = seriesId ? 'この回以降の予約を、同じ間隔のまままとめて移動しますか？' : 'この予約の日時を変更しますか？';
+    if (!await showConfirm('日時の変更', message, '移動する')) return;
+
+    result.innerHTML = '<span style="color: var(--muted);">確認中...</span>';
+
+    try {
+        if (seriesId) {
+            await api(`/api/admin/appointment-series/${seriesId}/move`, {
+                method: 'PUT',
+                body: JSON.stringify({ appointmentId: id, startAt })
+            });
+        } else {
+            await api(`/api/admin/appointments/${id}/reschedule`, {
+                method: 'PUT',
+                body: JSON.stringify({ startAt })
+            });
+        }
+
+        closeModal();
+        loadCalendar();
+        loadAppointments();
+
+    } catch (error) {
+        // 予約できない回と代わりの候補を表示（候補を押すと変更後の日時に入る）
+        const conflicts = (error.data && error.data.conflicts) || [];
+        result.innerHTML = `
+            <div style="color: var(--error);">${escapeHtml(error.message)}</div>
+            ${conflicts.map(conflict => `
+                <div style="margin-top: 6px;">
+                    ${conflict.index ? `${conflict.index}回目 ` : ''}${formatDateTime(new Date(conflict.startAt))}: ${escapeHtml(conflict.error || '')}
+                    ${!seriesId && conflict.alternatives ? `
+                        <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 4px;">
+                            ${conflict.alternatives.map(alt => `
+                                <button type="button" class="btn btn-secondary move-alt-btn" data-date="${alt.date}" data-time="${alt.start}"
+                                    style="padding: 2px 6px; font-size: 0.75rem;">${formatDateTime(new Date(alt.startAt))}</button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('')}
+        `;
+        result.querySelectorAll('.move-alt-btn').forEach(btn => {
+            btn.onclick = () => {
+                document.getElementById('aptMoveDate').value = btn.dataset.date;
+                document.getElementById('aptMoveTime').value = btn.dataset.time;
+            };
+        });
+    }
+}
+
+// 通院シリーズの全回を表示
+async function loadAppointmentSeries(seriesId, currentId) {
+    const container = document.getElementById('aptSeries');
+
+    try {
+        const series = await api(`/api/admin/appointment-series/${seriesId}`);
+        const now = new Date();
+        const hasUpcoming = series.appointments.some(a => a.status === 'confirmed' && new Date(a.start_at) > now);
+
+        container.innerHTML = `
+            <div style="margin-bottom: 6px;">${escapeHtml(series.service_name)}・${series.interval_weeks}週ごと・全${series.appointments.length}回</div>
+            <table class="table" style="font-size: 0.8rem;">
+                <tbody>
+                    ${series.appointments.map(a => `
+                        <tr${a.id === currentId ? ' style="background: var(--surface);"' : ''}>
+                            <td style="white-space: nowrap;">${a.series_index ? `${a.series_index}回目` : ''}</td>
+                            <td>
+                                ${a.id === currentId
+                                    ? formatDateTime(new Date(a.start_at))
+                                    : `<a href="#" class="series-appointment-link" data-id="${a.id}" style="color: var(--accent);">${formatDateTime(new Date(a.start_at))}</a>`}
+                            </td>
+                            <td><span class="badge badge-${a.status}">${getStatusLabel(a.status)}</span></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${hasUpcoming ? '<button type="button" class="btn btn-secondary" id="aptCancelSeriesBtn" style="margin-top: 8px; color: var(--error);">今後の回をすべてキャンセル</button>' : ''}
+        `;
+
+        container.querySelectorAll('.series-appointment-link').forEach(link => {
+            link.onclick = (e) => {
+                e.preventDefault();
+                showAppointmentDetail(parseInt(link.dataset.id));
+            };
+        });
+
+        const cancelBtn = document.getElementById('aptCancelSeriesBtn');
+        if (cancelBtn) {
+            cancelBtn.onclick = () => cancelAppointmentSeries(seriesId);
+        }
+    } catch (error) {
+        container.innerHTML = `<span style="color: var(--error);">${escapeHtml(error.message)}</span>`;
+    }
+}
+
+async function cancelAppointmentSeries(seriesId) {
+    if (!await showConfirm('通院シリーズのキャンセル', '今後の予約をすべてキャンセルします。よろしいですか？', 'キャンセルする')) return;
+
+    try {
+        const result = await api(`/api/admin/appointment-series/${seriesId}/cancel`, { method: 'POST' });
+
+        closeModal();
+        loadCalendar();
+        loadAppointments();
+
+        alert(`${result.cancelled}件の予約をキャンセルしました`);
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
 // ===== カスタム確認ダイアログ =====
 function showConfirm(title, message, okLabel = 'OK', okClass = 'btn-primary') {
     return new Promise((resolve) => {
@@ -522,6 +774,374 @@ function showConfirm(title, message, okLabel = 'OK', okClass = 'btn-primary') {
     });
 }
 
+// ===== リコール =====
+async function loadRecalls() {
+    const withinDays = document.getElementById('recallWithinDays').value;
+
+    try {
+        const recalls = await api(`/api/admin/recalls?withinDays=${withinDays}`);
+        renderRecallsTable(recalls);
+    } catch (error) {
+        console.error('リコール一覧読み込みエラー:', error);
+    }
+}
+
+function renderRecallsTable(recalls) {
+    const tbody = document.querySelector('#recallsTable tbody');
+    document.getElementById('recallSelectAll').checked = false;
+    updateRecallSendButton();
+
+    if (recalls.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; color: var(--muted);">リコール対象の患者はいません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = recalls.map(recall => {
+        // 送信済み・連絡先未登録の患者は選択できない
+        const sent = recall.emailStatus === 'sent' || recall.emailStatus === 'pending';
+        const selectable = recall.notificationChannel && !sent;
+        let emailLabel;
+        if (!recall.notificationChannel) {
+            emailLabel = '<span style="color: var(--muted);">連絡先未登録</span>';
+        } else if (sent) {
+            emailLabel = `送信済み（${formatDate(new Date(recall.emailSentAt || Date.now()))}）`;
+        } else if (recall.emailStatus) {
+            emailLabel = '<span style="color: #ef4444;">送信失敗</span>';
+        } else {
+            emailLabel = `未送信（${NOTIFICATION_CHANNEL_LABELS[recall.notificationChannel] || recall.notificationChannel}）`;
+        }
+
+        return `
+        <tr>
+            <td>${selectable ? `<input type="checkbox" class="recall-checkbox" value="${recall.appointmentId}">` : ''}</td>
+            <td style="white-space: nowrap;">
+                ${formatDate(new Date(recall.dueAt))}
+                <span class="badge ${recall.status === 'overdue' ? 'badge-cancelled' : 'badge-confirmed'}">
+                    ${recall.status === 'overdue' ? '期限切れ' : '期限間近'}
+                </span>
+            </td>
+            <td>
+                <a href="#" class="patient-link" data-id="${recall.patientId}" style="color: var(--accent);">
+                    ${escapeHtml(recall.patientName)}
+                </a>
+            </td>
+            <td>${escapeHtml(recall.patientPhone)}</td>
+            <td>${formatDate(new Date(recall.lastVisitAt))} ${escapeHtml(recall.lastServiceName)}</td>
+            <td>${escapeHtml(recall.recallServiceName)}</td>
+            <td style="font-size: 0.85rem;">${emailLabel}</td>
+        </tr>
+        `;
+    }).join('');
+}
+
+function updateRecallSendButton() {
+    const selected = document.querySelectorAll('.recall-checkbox:checked').length;
+    const button = document.getElementById('sendRecallEmails');
+    button.disabled = selected === 0;
+    button.textContent = selected > 0
+        ? `選択した${selected}名にリコールメールを送信`
+        : '選択した患者にリコールメールを送信';
+}
+
+async function sendRecallEmails() {
+    const appointmentIds = Array.from(document.querySelectorAll('.recall-checkbox:checked'))
+        .map(input => parseInt(input.value));
+    if (appointmentIds.length === 0) return;
+    if (!confirm(`${appointmentIds.length}名にリコールメールを送信しますか？`)) return;
+
+    const alertBox = document.getElementById('recallAlert');
+    const button = document.getElementById('sendRecallEmails');
+    button.disabled = true;
+
+    try {
+        const result = await api('/api/admin/recalls/send', {
+            method: 'POST',
+            body: JSON.stringify({ appointmentIds })
+        });
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+    }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 5000);
+
+    loadRecalls();
+}
+
+document.getElementById('loadRecalls')?.addEventListener('click', loadRecalls);
+document.getElementById('sendRecallEmails')?.addEventListener('click', sendRecallEmails);
+document.getElementById('recallSelectAll')?.addEventListener('change', (e) => {
+    document.querySelectorAll('.recall-checkbox').forEach(input => { input.checked = e.target.checked; });
+    updateRecallSendButton();
+});
+document.querySelector('#recallsTable tbody')?.addEventListener('change', (e) => {
+    if (e.target.classList.contains('recall-checkbox')) {
+        updateRecallSendButton();
+    }
+});
+
+// ===== キャンセル待ち =====
+async function loadWaitlist() {
+    const status = document.getElementById('waitlistStatusFilter').value;
+
+    try {
+        const [data, services, staff] = await Promise.all([
+            api(`/api/admin/waitlist${status ? `?status=${status}` : ''}`),
+            api('/api/services'),
+            api('/api/staff')
+        ]);
+        renderWaitlistOptions(services, staff);
+        renderWaitlistTable(data.entries, data.statusLabels);
+        document.getElementById('waitlistOfferHours').value = data.offerHours;
+    } catch (error) {
+        console.error('キャンセル待ち一覧読み込みエラー:', error);
+    }
+}
+
+function renderWaitlistOptions(services, staff) {
+    const serviceSelect = document.getElementById('waitlistService');
+    const staffSelect = document.getElementById('waitlistStaff');
+    const selectedService = serviceSelect.value;
+    const selectedStaff = staffSelect.value;
+
+    serviceSelect.innerHTML = services.map(service =>
+        `<option value="${service.id}">${escapeHtml(service.name)}</option>`
+    ).join('');
+    staffSelect.innerHTML = '<option value="">指名なし</option>' + staff.map(member =>
+        `<option value="${member.id}">${escapeHtml(member.name)}</option>`
+    ).join('');
+
+    if (selectedService) serviceSelect.value = selectedService;
+    if (selectedStaff) staffSelect.value = selectedStaff;
+}
+
+function renderWaitlistTable(entries, statusLabels) {
+    const tbody = document.querySelector('#waitlistTable tbody');
+
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" style="text-align: center; color: var(--muted);">キャンセル待ちの登録はありません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = entries.map(entry => {
+        const badgeClass = entry.status === 'offered' ? 'badge-pending'
+            : entry.status === 'booked' ? 'badge-confirmed'
+            : entry.status === 'waiting' ? 'badge-completed'
+            : 'badge-cancelled';
+        // ご案内中は案内した枠と有効期限を添える
+        const offerInfo = entry.status === 'offered' && entry.offer_start_at
+            ? `<div style="color: var(--muted); font-size: 0.8rem;">${formatDateTime(new Date(entry.offer_start_at))} の枠<br>期限 ${formatDateTime(new Date(entry.offer_expires_at))}</div>`
+            : '';
+        const timeRange = entry.time_from || entry.time_to
+            ? `${(entry.time_from || '').slice(0, 5)}〜${(entry.time_to || '').slice(0, 5)}`
+            : '指定なし';
+        const active = entry.status === 'waiting' || entry.status === 'offered';
+
+        return `
+        <tr>
+            <td style="white-space: nowrap;">
+                ${formatDate(new Date(entry.created_at))}
+                <div style="color: var(--muted); font-size: 0.8rem;">${entry.source === 'admin' ? '受付' : '予約ページ'}</div>
+            </td>
+            <td>
+                <a href="#" class="patient-link" data-id="${entry.patient_id}" style="color: var(--accent);">
+                    ${escapeHtml(entry.patient_name)}
+                </a>
+                ${entry.notes ? `<div style="color: var(--muted); font-size: 0.8rem;">${escapeHtml(entry.notes)}</div>` : ''}
+            </td>
+            <td>${escapeHtml(entry.patient_phone)}</td>
+            <td>${escapeHtml(entry.service_name)}</td>
+            <td>${escapeHtml(entry.staff_name || '指名なし')}</td>
+            <td style="white-space: nowrap;">${formatDate(new Date(entry.date_from))}〜${formatDate(new Date(entry.date_to))}</td>
+            <td style="white-space: nowrap;">${timeRange}</td>
+            <td style="white-space: nowrap;">
+                <span class="badge ${badgeClass}">${statusLabels[entry.status] || escapeHtml(entry.status)}</span>
+                ${offerInfo}
+            </td>
+            <td>${active ? `<button class="btn btn-secondary cancel-waitlist-btn" data-id="${entry.id}" style="padding: 4px 8px; font-size: 0.75rem;">取り消し</button>` : ''}</td>
+        </tr>
+        `;
+    }).join('');
+}
+
+function showWaitlistAlert(type, message) {
+    const alertBox = document.getElementById('waitlistAlert');
+    alertBox.className = `alert alert-${type}`;
+    alertBox.textContent = message;
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 5000);
+}
+
+document.getElementById('waitlistForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const data = {
+        name: document.getElementById('waitlistName').value.trim(),
+        kana: document.getElementById('waitlistKana').value.trim(),
+        phone: document.getElementById('waitlistPhone').value.trim(),
+        email: document.getElementById('waitlistEmail').value.trim() || null,
+        serviceId: parseInt(document.getElementById('waitlistService').value),
+        staffId: document.getElementById('waitlistStaff').value || null,
+        dateFrom: document.getElementById('waitlistDateFrom').value,
+        dateTo: document.getElementById('waitlistDateTo').value,
+        timeFrom: document.getElementById('waitlistTimeFrom').value || null,
+        timeTo: document.getElementById('waitlistTimeTo').value || null,
+        notes: document.getElementById('waitlistNotes').value.trim() || null
+    };
+
+    try {
+        const result = await api('/api/admin/waitlist', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+        e.target.reset();
+        showWaitlistAlert('success', result.message);
+        loadWaitlist();
+    } catch (error) {
+        showWaitlistAlert('error', error.message);
+    }
+});
+
+document.getElementById('waitlistOfferHoursForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+        const result = await api('/api/admin/settings/booking', {
+            method: 'PUT',
+            body: JSON.stringify({ waitlistOfferHours: parseInt(document.getElementById('waitlistOfferHours').value) })
+        });
+        showWaitlistAlert('success', result.message);
+    } catch (error) {
+        showWaitlistAlert('error', error.message);
+    }
+});
+
+document.getElementById('loadWaitlist')?.addEventListener('click', loadWaitlist);
+document.getElementById('waitlistStatusFilter')?.addEventListener('change', loadWaitlist);
+document.querySelector('#waitlistTable tbody')?.addEventListener('click', async (e) => {
+    const cancelBtn = e.target.closest('.cancel-waitlist-btn');
+    if (!cancelBtn) return;
+    if (!confirm('このキャンセル待ちを取り消しますか？')) return;
+
+    try {
+        const result = await api(`/api/admin/waitlist/${cancelBtn.dataset.id}`, { method: 'DELETE' });
+        showWaitlistAlert('success', result.message);
+    } catch (error) {
+        showWaitlistAlert('error', error.message);
+    }
+    loadWaitlist();
+});
+
+// ===== 送信履歴（メール・SMS・LINE） =====
+const NOTIFICATION_LOG_STATUS_LABELS = {
+    pending: '送信待ち',
+    sent: '送信済み',
+    failed: '送信失敗',
+    dead: '送信不能',
+    skipped: 'スキップ'
+};
+
+const NOTIFICATION_CHANNEL_LABELS = {
+    email: 'メール',
+    sms: 'SMS',
+    line: 'LINE'
+};
+
+async function loadNotificationLogs() {
+    const params = new URLSearchParams();
+    const channel = document.getElementById('notificationLogChannel').value;
+    const status = document.getElementById('notificationLogStatus').value;
+    if (channel) params.set('channel', channel);
+    if (status) params.set('status', status);
+
+    try {
+        const data = await api(`/api/admin/notification-logs?${params}`);
+        renderNotificationLogsTable(data.logs, data.maxAttempts);
+
+        document.getElementById('notificationLogCounts').textContent = Object.keys(NOTIFICATION_LOG_STATUS_LABELS)
+            .filter(key => data.counts[key])
+            .map(key => `${NOTIFICATION_LOG_STATUS_LABELS[key]} ${data.counts[key]}件`)
+            .join(' / ');
+
+        document.getElementById('notificationChannelStatus').textContent = data.stub
+            ? '送信設定: 開発用のスタブで動作中（実際には送信しません）'
+            : `送信設定: ${data.channels.map(c => `${c.label} ${c.configured ? '設定済み' : '未設定'}`).join(' / ')}`;
+    } catch (error) {
+        console.error('送信履歴読み込みエラー:', error);
+    }
+}
+
+function renderNotificationLogsTable(logs, maxAttempts) {
+    const tbody = document.querySelector('#notificationLogsTable tbody');
+
+    if (logs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" style="text-align: center; color: var(--muted);">送信履歴はありません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = logs.map(log => {
+        const badgeClass = log.status === 'sent' ? 'badge-confirmed'
+            : (log.status === 'failed' || log.status === 'dead') ? 'badge-cancelled'
+            : 'badge-completed';
+        // ログインコードは本文を伏せて記録しているため再送できない
+        const resendable = (log.status === 'failed' || log.status === 'dead') && log.notification_type !== 'login_code';
+        const nextAttempt = log.status === 'pending' && log.next_attempt_at
+            ? `<div style="color: var(--muted); font-size: 0.8rem;">次回 ${formatDateTime(new Date(log.next_attempt_at))}</div>`
+            : '';
+
+        return `
+        <tr>
+            <td style="white-space: nowrap;">${formatDateTime(new Date(log.created_at))}</td>
+            <td style="white-space: nowrap;">${NOTIFICATION_CHANNEL_LABELS[log.channel] || escapeHtml(log.channel)}</td>
+            <td>${escapeHtml(log.recipient)}</td>
+            <td>
+                <details>
+                    <summary style="cursor: pointer;">${escapeHtml(log.subject)}</summary>
+                    <pre style="white-space: pre-wrap; font-size: 0.8rem; margin-top: 8px;">${escapeHtml(log.body)}</pre>
+                </details>
+            </td>
+            <td style="white-space: nowrap;">
+                <span class="badge ${badgeClass}">${NOTIFICATION_LOG_STATUS_LABELS[log.status] || escapeHtml(log.status)}</span>
+                ${nextAttempt}
+            </td>
+            <td>${log.attempts > 0 ? `${log.attempts}/${maxAttempts}` : '-'}</td>
+            <td style="font-size: 0.8rem; color: #ef4444;">${escapeHtml(log.error_message || '')}</td>
+            <td>${resendable ? `<button class="btn btn-secondary resend-notification-btn" data-id="${log.id}" style="padding: 4px 8px; font-size: 0.75rem;">再送</button>` : ''}</td>
+        </tr>
+        `;
+    }).join('');
+}
+
+async function resendNotification(button) {
+    const alertBox = document.getElementById('notificationLogAlert');
+    button.disabled = true;
+
+    try {
+        const result = await api(`/api/admin/notification-logs/${button.dataset.id}/resend`, { method: 'POST' });
+        alertBox.className = result.sent ? 'alert alert-success' : 'alert alert-error';
+        alertBox.textContent = result.message;
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+    }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 5000);
+
+    loadNotificationLogs();
+}
+
+document.getElementById('loadNotificationLogs')?.addEventListener('click', loadNotificationLogs);
+document.getElementById('notificationLogStatus')?.addEventListener('change', loadNotificationLogs);
+document.getElementById('notificationLogChannel')?.addEventListener('change', loadNotificationLogs);
+document.querySelector('#notificationLogsTable tbody')?.addEventListener('click', (e) => {
+    const resendBtn = e.target.closest('.resend-notification-btn');
+    if (resendBtn) {
+        resendNotification(resendBtn);
+    }
+});
+
 // ===== 患者管理 =====
 async function loadPatients(search = '') {
     try {
@@ -590,6 +1210,18 @@ function renderPatientDetail(patient) {
             <p><strong>住所:</strong> ${escapeHtml(patient.address || '-')}</p>
             <p><strong>登録日:</strong> ${formatDateTime(new Date(patient.created_at))}</p>
         </div>
+
+        <h4 style="margin-bottom: var(--spacing-md);">お知らせの送信方法</h4>
+        <div style="display: flex; gap: var(--spacing-sm); align-items: flex-end; flex-wrap: wrap; margin-bottom: var(--spacing-lg);">
+            <select class="form-input" id="patientNotificationChannel" style="width: auto;">
+                ${Object.entries(patient.notificationChannels).map(([name, label]) =>
+                    `<option value="${name}" ${patient.notification_channel === name ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+            <input type="text" class="form-input" id="patientLineUserId" placeholder="LINE のユーザーID（LINE で送る場合）"
+                value="${escapeHtml(patient.line_user_id || '')}" style="flex: 1; min-width: 200px;">
+            <button class="btn btn-secondary save-notification-btn" data-id="${patient.id}">保存</button>
+        </div>
         
         <h4 style="margin-bottom: var(--spacing-md);">予約履歴</h4>
         <div style="margin-bottom: var(--spacing-lg);">
@@ -632,17 +1264,35 @@ function renderPatientDetail(patient) {
     `;
 }
 
-async function addNote(patientId) {
-    const note = document.getElementById('newNote').value.trim();
-    if (!note) {
-        alert('メモを入力してください');
-        return;
-    }
-
+async function savePatientNotification(patientId) {
     try {
-        await api(`/api/admin/patients/${patientId}/notes`, {
-            method: 'POST',
-            body: JSON.stringify({ note })
+        const result = await api(`/api/admin/patients/${patientId}/notification`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                notificationChannel: document.getElementById('patientNotificationChannel').value,
+                lineUserId: document.getElementById('patientLineUserId').value.trim()
+            })
+        });
+
+        alert(result.message);
+        selectPatient(patientId);
+
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function addNote(patientId) {
+    const note = document.getElementById('newNote').value.trim();
+    if (!note) {
+        alert('メモを入力してください');
+        return;
+    }
+
+    try {
+        await api(`/api/admin/patients/${patientId}/notes`, {
+            method: 'POST',
+            body: JSON.stringify({ note })
         });
 
         selectPatient(patientId);
@@ -722,6 +1372,9 @@ async function loadSettings() {
     // 営業時間・予約設定・スケジュール例外も読み込み
     loadBusinessHours();
     loadBookingSettings();
+    loadReminderSettings();
+    loadClinicSettings();
+    loadEmailTemplates();
     loadScheduleExceptions();
 }
 
@@ -743,6 +1396,7 @@ async function loadBookingSettings() {
         document.getElementById('cutoffDays').value = settings.cutoffDays;
         document.getElementById('cutoffHours').value = settings.cutoffHours;
         document.getElementById('maxDaysAhead').value = settings.maxDaysAhead;
+        document.getElementById('staffAssignmentStrategy').value = settings.staffAssignmentStrategy;
     } catch (error) {
         console.error('予約設定読み込みエラー:', error);
     }
@@ -769,6 +1423,260 @@ document.getElementById('bookingSettingsForm')?.addEventListener('submit', async
     }
 });
 
+document.getElementById('assignmentSettingsForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const alertBox = document.getElementById('assignmentSettingsAlert');
+
+    try {
+        const result = await api('/api/admin/settings/booking', {
+            method: 'PUT',
+            body: JSON.stringify({ staffAssignmentStrategy: document.getElementById('staffAssignmentStrategy').value })
+        });
+
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+    }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+});
+
+async function loadReminderSettings() {
+    try {
+        const settings = await api('/api/admin/settings/reminders');
+        document.getElementById('reminderEnabled').checked = settings.enabled;
+        document.getElementById('reminderHoursBefore').value = settings.hoursBefore.slice().reverse().join(',');
+    } catch (error) {
+        console.error('リマインド設定読み込みエラー:', error);
+    }
+}
+
+document.getElementById('reminderSettingsForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const alertBox = document.getElementById('reminderSettingsAlert');
+
+    try {
+        const result = await api('/api/admin/settings/reminders', {
+            method: 'PUT',
+            body: JSON.stringify({
+                enabled: document.getElementById('reminderEnabled').checked,
+                hoursBefore: document.getElementById('reminderHoursBefore').value
+            })
+        });
+
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        loadReminderSettings();
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+    }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+});
+
+// ===== 医院情報 =====
+async function loadClinicSettings() {
+    try {
+        const settings = await api('/api/admin/settings/clinic');
+        document.getElementById('clinicName').value = settings.clinicName;
+        document.getElementById('clinicPhone').value = settings.clinicPhone;
+        document.getElementById('clinicAddress').value = settings.clinicAddress;
+        document.getElementById('clinicMapUrl').value = settings.clinicMapUrl;
+    } catch (error) {
+        console.error('医院情報読み込みエラー:', error);
+    }
+}
+
+document.getElementById('clinicSettingsForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const alertBox = document.getElementById('clinicSettingsAlert');
+
+    try {
+        const result = await api('/api/admin/settings/clinic', {
+            method: 'PUT',
+            body: JSON.stringify({
+                clinicName: document.getElementById('clinicName').value,
+                clinicPhone: document.getElementById('clinicPhone').value,
+                clinicAddress: document.getElementById('clinicAddress').value,
+                clinicMapUrl: document.getElementById('clinicMapUrl').value
+            })
+        });
+
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        loadClinicSettings();
+        previewEmailTemplate();
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+    }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+});
+
+// ===== メールテンプレート =====
+const emailTemplateState = {
+    templates: [],
+    variableLabels: {},
+    previewTimer: null
+};
+
+async function loadEmailTemplates(selectedKey = null) {
+    try {
+        const data = await api('/api/admin/email-templates');
+        emailTemplateState.templates = data.templates;
+        emailTemplateState.variableLabels = data.variableLabels;
+
+        const select = document.getElementById('emailTemplateKey');
+        const key = selectedKey || select.value || data.templates[0]?.key;
+        select.innerHTML = data.templates.map(template => `
+            <option value="${template.key}">${escapeHtml(template.label)}${template.isCustom ? '（編集済み）' : ''}</option>
+        `).join('');
+        select.value = key;
+
+        showEmailTemplate(key);
+    } catch (error) {
+        console.error('メールテンプレート読み込みエラー:', error);
+    }
+}
+
+function showEmailTemplate(key) {
+    const template = emailTemplateState.templates.find(t => t.key === key);
+    if (!template) return;
+
+    document.getElementById('emailTemplateSubject').value = template.subject;
+    document.getElementById('emailTemplateBodyText').value = template.bodyText;
+    document.getElementById('emailTemplateBodyHtml').value = template.bodyHtml;
+    document.getElementById('resetEmailTemplate').disabled = !template.isCustom;
+
+    document.getElementById('emailTemplateVariables').innerHTML = template.variables.map(name => `
+        <button type="button" class="btn btn-secondary insert-template-variable" data-name="${name}"
+            title="${escapeHtml(emailTemplateState.variableLabels[name] || '')}"
+            style="padding: 2px 8px; font-size: 0.75rem;">{{${name}}}</button>
+    `).join('');
+
+    previewEmailTemplate();
+}
+
+async function previewEmailTemplate() {
+    const key = document.getElementById('emailTemplateKey').value;
+    if (!key) return;
+
+    try {
+        const preview = await api(`/api/admin/email-templates/${key}/preview`, {
+            method: 'POST',
+            body: JSON.stringify({
+                subject: document.getElementById('emailTemplateSubject').value,
+                bodyText: document.getElementById('emailTemplateBodyText').value,
+                bodyHtml: document.getElementById('emailTemplateBodyHtml').value
+            })
+        });
+
+        document.getElementById('emailPreviewSubject').textContent = preview.subject;
+        document.getElementById('emailPreviewText').textContent = preview.text;
+
+        const htmlWrapper = document.getElementById('emailPreviewHtmlWrapper');
+        htmlWrapper.style.display = preview.html ? 'block' : 'none';
+        // sandbox付きの iframe に表示し、スクリプトは実行させない
+        document.getElementById('emailPreviewHtml').srcdoc = preview.html || '';
+
+        const warning = document.getElementById('emailTemplateWarning');
+        if (preview.unknownVariables.length > 0) {
+            warning.textContent = `使えない変数があります: ${preview.unknownVariables.map(name => `{{${name}}}`).join(', ')}`;
+            warning.style.display = 'block';
+        } else {
+            warning.style.display = 'none';
+        }
+    } catch (error) {
+        console.error('メールテンプレートプレビューエラー:', error);
+    }
+}
+
+// 入力のたびにサーバーへ問い合わせないよう少し待ってからプレビューする
+function schedulePreviewEmailTemplate() {
+    clearTimeout(emailTemplateState.previewTimer);
+    emailTemplateState.previewTimer = setTimeout(previewEmailTemplate, 400);
+}
+
+// 最後にフォーカスしていた入力欄のカーソル位置に変数を挿入
+let lastTemplateField = null;
+
+function insertTemplateVariable(name) {
+    const field = lastTemplateField || document.getElementById('emailTemplateBodyText');
+    const text = `{{${name}}}`;
+    const start = field.selectionStart ?? field.value.length;
+    const end = field.selectionEnd ?? field.value.length;
+    field.value = field.value.slice(0, start) + text + field.value.slice(end);
+    field.focus();
+    field.setSelectionRange(start + text.length, start + text.length);
+    schedulePreviewEmailTemplate();
+}
+
+function showEmailTemplateAlert(type, message) {
+    const alertBox = document.getElementById('emailTemplateAlert');
+    alertBox.className = `alert alert-${type}`;
+    alertBox.textContent = message;
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+}
+
+document.getElementById('emailTemplateKey')?.addEventListener('change', (e) => {
+    showEmailTemplate(e.target.value);
+});
+
+['emailTemplateSubject', 'emailTemplateBodyText', 'emailTemplateBodyHtml'].forEach(id => {
+    const field = document.getElementById(id);
+    field?.addEventListener('input', schedulePreviewEmailTemplate);
+    field?.addEventListener('focus', () => { lastTemplateField = field; });
+});
+
+document.getElementById('emailTemplateVariables')?.addEventListener('click', (e) => {
+    const button = e.target.closest('.insert-template-variable');
+    if (button) {
+        insertTemplateVariable(button.dataset.name);
+    }
+});
+
+document.getElementById('emailTemplateForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const key = document.getElementById('emailTemplateKey').value;
+
+    try {
+        const result = await api(`/api/admin/email-templates/${key}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                subject: document.getElementById('emailTemplateSubject').value,
+                bodyText: document.getElementById('emailTemplateBodyText').value,
+                bodyHtml: document.getElementById('emailTemplateBodyHtml').value
+            })
+        });
+        showEmailTemplateAlert('success', result.message);
+        loadEmailTemplates(key);
+    } catch (error) {
+        showEmailTemplateAlert('error', error.message);
+    }
+});
+
+document.getElementById('resetEmailTemplate')?.addEventListener('click', async () => {
+    const key = document.getElementById('emailTemplateKey').value;
+    if (!confirm('このテンプレートを初期設定に戻しますか？\n編集した内容は失われます。')) return;
+
+    try {
+        const result = await api(`/api/admin/email-templates/${key}`, { method: 'DELETE' });
+        showEmailTemplateAlert('success', result.message);
+        loadEmailTemplates(key);
+    } catch (error) {
+        showEmailTemplateAlert('error', error.message);
+    }
+});
+
 function showBookingSettingsAlert(type, message) {
     const alert = document.getElementById('bookingSettingsAlert');
     if (!alert) return;
@@ -878,10 +1786,14 @@ function showSettingsAlert(type, message) {
 }
 
 // ===== 医師（スタッフ）管理 =====
+let doctorList = [];
+
 async function loadDoctors() {
     try {
         const doctors = await api('/api/admin/staff');
+        doctorList = doctors;
         renderDoctorsTable(doctors);
+        loadCalendarFeeds(doctors);
     } catch (error) {
         console.error('医師一覧読み込みエラー:', error);
     }
@@ -891,7 +1803,7 @@ function renderDoctorsTable(doctors) {
     const tbody = document.querySelector('#doctorsTable tbody');
 
     if (doctors.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--muted);">医師が登録されていません</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--muted);">医師が登録されていません</td></tr>';
         return;
     }
 
@@ -901,9 +1813,23 @@ function renderDoctorsTable(doctors) {
                 <span style="color: var(--muted); margin-right: 8px;">☰</span>
                 ${doc.id}
             </td>
-            <td>${escapeHtml(doc.name)}</td>
+            <td>
+                ${doc.photo_url ? `<img src="${doc.photo_url}" alt="" style="width: 28px; height: 28px; border-radius: 50%; object-fit: cover; vertical-align: middle; margin-right: 6px;">` : ''}${escapeHtml(doc.name)}
+                ${doc.accepting_new_patients === false ? '<div style="font-size: 0.75rem; color: var(--muted);">新患受付停止中</div>' : ''}
+            </td>
             <td>${escapeHtml(doc.title || '-')}</td>
+            <td style="white-space: nowrap;">
+                <select class="form-input doctor-role-select" style="width: auto; padding: 4px;">
+                    ${Object.entries(staffRoleLabels).map(([value, label]) => `
+                        <option value="${value}" ${(doc.role || 'doctor') === value ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <button class="btn btn-secondary save-doctor-role-btn" data-id="${doc.id}" style="padding: 4px 8px; font-size: 0.75rem;">保存</button>
+            </td>
+            <td style="font-size: 0.85rem;">${doc.service_names && doc.service_names.length > 0 ? doc.service_names.map(escapeHtml).join('、') : '-'}</td>
             <td>
+                <button class="btn btn-secondary profile-doctor-btn" data-id="${doc.id}" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">プロフィール</button>
+                <button class="btn btn-secondary schedule-doctor-btn" data-id="${doc.id}" data-name="${escapeHtml(doc.name)}" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">勤務設定</button>
                 <button class="btn btn-secondary delete-doctor-btn" data-id="${doc.id}" style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">削除</button>
             </td>
         </tr>
@@ -924,12 +1850,13 @@ document.getElementById('addDoctorForm')?.addEventListener('submit', async (e) =
 
     const name = document.getElementById('doctorName').value;
     const title = document.getElementById('doctorTitle').value;
+    const role = document.getElementById('doctorRole').value;
     const alertBox = document.getElementById('doctorParamsAlert');
 
     try {
         await api('/api/admin/staff', {
             method: 'POST',
-            body: JSON.stringify({ name, title })
+            body: JSON.stringify({ name, title, role })
         });
 
         document.getElementById('addDoctorForm').reset();
@@ -946,6 +1873,126 @@ document.getElementById('addDoctorForm')?.addEventListener('submit', async (e) =
     }
 });
 
+// 職種（工程のあるメニューで担当する工程が決まる）
+const staffRoleLabels = {
+    'doctor': '歯科医師',
+    'hygienist': '歯科衛生士'
+};
+
+async function saveDoctorRole(button) {
+    const row = button.closest('tr');
+    const alertBox = document.getElementById('doctorParamsAlert');
+
+    try {
+        const result = await api(`/api/admin/staff/${button.getAttribute('data-id')}/role`, {
+            method: 'PUT',
+            body: JSON.stringify({ role: row.querySelector('.doctor-role-select').value })
+        });
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+    }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+}
+
+// ===== 医師プロフィール（予約画面に表示） =====
+const STAFF_PHOTO_MAX_BYTES = 2 * 1024 * 1024;
+let profileStaffId = null;
+
+function openStaffProfileModal(id) {
+    const doctor = doctorList.find(doc => doc.id === parseInt(id));
+    if (!doctor) return;
+
+    profileStaffId = doctor.id;
+    document.getElementById('staffProfileTitle').textContent = `プロフィール: ${doctor.name}`;
+    document.getElementById('staffProfileName').value = doctor.name;
+    document.getElementById('staffProfileTitleInput').value = doctor.title || '';
+    document.getElementById('staffProfileSpecialties').value = (doctor.specialties || []).join('、');
+    document.getElementById('staffProfileLanguages').value = (doctor.languages || []).join('、');
+    document.getElementById('staffProfileBio').value = doctor.bio || '';
+    document.getElementById('staffProfileAccepting').checked = doctor.accepting_new_patients !== false;
+    document.getElementById('staffProfilePhotoFile').value = '';
+    renderStaffProfilePhoto(doctor.photo_url);
+
+    document.getElementById('staffProfileModal').classList.add('active');
+}
+
+function closeStaffProfileModal() {
+    document.getElementById('staffProfileModal').classList.remove('active');
+    profileStaffId = null;
+}
+
+function renderStaffProfilePhoto(photoUrl) {
+    document.getElementById('staffProfilePhoto').innerHTML = photoUrl
+        ? `<img src="${photoUrl}" alt="" style="width: 72px; height: 72px; border-radius: 50%; object-fit: cover;">`
+        : '<div style="width: 72px; height: 72px; border-radius: 50%; background: var(--border); display: flex; align-items: center; justify-content: center; color: var(--muted); font-size: 0.75rem;">写真なし</div>';
+    document.getElementById('staffProfilePhotoDelete').style.display = photoUrl ? 'inline-flex' : 'none';
+}
+
+async function saveStaffProfile() {
+    const alertBox = document.getElementById('doctorParamsAlert');
+    const photoFile = document.getElementById('staffProfilePhotoFile').files[0];
+
+    if (photoFile && photoFile.size > STAFF_PHOTO_MAX_BYTES) {
+        alert('写真は2MB以下のファイルを選択してください');
+        return;
+    }
+
+    try {
+        const result = await api(`/api/admin/staff/${profileStaffId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: document.getElementById('staffProfileName').value.trim(),
+                title: document.getElementById('staffProfileTitleInput').value.trim(),
+                specialties: document.getElementById('staffProfileSpecialties').value,
+                languages: document.getElementById('staffProfileLanguages').value,
+                bio: document.getElementById('staffProfileBio').value.trim(),
+                acceptingNewPatients: document.getElementById('staffProfileAccepting').checked
+            })
+        });
+
+        // 写真は画像ファイルをそのまま送る
+        if (photoFile) {
+            await api(`/api/admin/staff/${profileStaffId}/photo`, {
+                method: 'PUT',
+                headers: { 'Content-Type': photoFile.type || 'application/octet-stream' },
+                body: photoFile
+            });
+        }
+
+        closeStaffProfileModal();
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        alertBox.style.display = 'block';
+        setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+
+        loadDoctors();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+async function deleteStaffProfilePhoto() {
+    const confirmed = await showConfirm('写真の削除', 'プロフィールの写真を削除してもよろしいですか？', '削除する');
+    if (!confirmed) return;
+
+    try {
+        await api(`/api/admin/staff/${profileStaffId}/photo`, { method: 'DELETE' });
+        renderStaffProfilePhoto(null);
+        loadDoctors();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+document.getElementById('closeStaffProfileModal')?.addEventListener('click', closeStaffProfileModal);
+document.getElementById('staffProfileCancel')?.addEventListener('click', closeStaffProfileModal);
+document.getElementById('staffProfileSave')?.addEventListener('click', saveStaffProfile);
+document.getElementById('staffProfilePhotoDelete')?.addEventListener('click', deleteStaffProfilePhoto);
+
 async function deleteDoctor(id) {
     const confirmed = await showConfirm(
         '医師の削除',
@@ -964,199 +2011,992 @@ async function deleteDoctor(id) {
     }
 }
 
-// ===== DnD処理 =====
-let dragSrcEl = null;
+// ===== カレンダー配信（iCal） =====
+async function loadCalendarFeeds(doctors) {
+    try {
+        const data = await api('/api/admin/calendar-feeds');
+        renderCalendarFeedsTable(doctors, data.feeds, data.detailLevels);
+    } catch (error) {
+        console.error('カレンダー配信読み込みエラー:', error);
+    }
+}
 
-function handleDragStart(e) {
-    dragSrcEl = this;
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/html', this.innerHTML);
-    this.classList.add('dragging');
+function renderCalendarFeedsTable(doctors, feeds, detailLevels) {
+    const tbody = document.querySelector('#calendarFeedsTable tbody');
+
+    // 医院全体 + 医師ごと
+    const targets = [{ id: '', name: '医院全体' }, ...doctors];
+
+    tbody.innerHTML = targets.map(target => {
+        const feed = feeds.find(f => String(f.staff_id || '') === String(target.id));
+        const options = Object.entries(detailLevels).map(([value, label]) =>
+            `<option value="${value}" ${(feed ? feed.detail_level : 'initials') === value ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        const status = !feed ? '<span style="color: var(--muted);">未発行</span>'
+            : `<span class="badge badge-confirmed">配信中</span>
+               <div style="color: var(--muted); font-size: 0.8rem;">${feed.last_accessed_at ? `最終取得 ${formatDateTime(new Date(feed.last_accessed_at))}` : '未取得'}</div>`;
+
+        return `
+        <tr data-staff-id="${target.id}" data-feed-id="${feed ? feed.id : ''}">
+            <td>${escapeHtml(target.name)}</td>
+            <td><select class="form-input calendar-feed-detail" style="min-width: 160px;">${options}</select></td>
+            <td>${status}</td>
+            <td style="white-space: nowrap;">
+                <button class="btn btn-secondary issue-calendar-feed-btn" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">${feed ? '再発行' : '発行'}</button>
+                ${feed ? '<button class="btn btn-secondary revoke-calendar-feed-btn" style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">停止</button>' : ''}
+            </td>
+        </tr>`;
+    }).join('');
 }
 
-function handleDragOver(e) {
-    if (e.preventDefault) {
-        e.preventDefault();
-    }
-    e.dataTransfer.dropEffect = 'move';
-    return false;
+function showCalendarFeedAlert(type, message) {
+    const alertBox = document.getElementById('calendarFeedAlert');
+    alertBox.className = `alert alert-${type}`;
+    alertBox.textContent = message;
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 5000);
 }
 
-function handleDrop(e) {
-    if (e.stopPropagation) {
-        e.stopPropagation();
+async function issueCalendarFeed(row) {
+    if (row.dataset.feedId) {
+        const confirmed = await showConfirm(
+            '購読URLの再発行',
+            '現在のURLは使えなくなります。再発行してもよろしいですか？',
+            '再発行する'
+        );
+        if (!confirmed) return;
     }
 
-    if (dragSrcEl !== this) {
-        // 並び替え処理
-        const tbody = this.parentNode;
-        const rows = Array.from(tbody.querySelectorAll('tr.draggable-row'));
-        const srcIndex = rows.indexOf(dragSrcEl);
-        const targetIndex = rows.indexOf(this);
+    try {
+        const result = await api('/api/admin/calendar-feeds', {
+            method: 'POST',
+            body: JSON.stringify({
+                staffId: row.dataset.staffId || null,
+                detailLevel: row.querySelector('.calendar-feed-detail').value
+            })
+        });
 
-        if (srcIndex < targetIndex) {
-            tbody.insertBefore(dragSrcEl, this.nextSibling);
-        } else {
-            tbody.insertBefore(dragSrcEl, this);
-        }
+        document.getElementById('calendarFeedUrl').value = result.url;
+        document.getElementById('calendarFeedIssued').style.display = 'block';
+        showCalendarFeedAlert('success', result.message);
+        loadDoctors();
+    } catch (error) {
+        showCalendarFeedAlert('error', error.message);
+    }
+}
 
-        saveDoctorOrder();
+async function updateCalendarFeedDetail(row) {
+    // 未発行の行は発行時に選択内容を使う
+    if (!row.dataset.feedId) return;
+
+    try {
+        const result = await api(`/api/admin/calendar-feeds/${row.dataset.feedId}`, {
+            method: 'PUT',
+            body: JSON.stringify({ detailLevel: row.querySelector('.calendar-feed-detail').value })
+        });
+        showCalendarFeedAlert('success', result.message);
+    } catch (error) {
+        showCalendarFeedAlert('error', error.message);
     }
+}
 
-    return false;
+async function revokeCalendarFeed(row) {
+    const confirmed = await showConfirm(
+        'カレンダー配信の停止',
+        'このURLでの配信を停止します。よろしいですか？',
+        '停止する'
+    );
+    if (!confirmed) return;
+
+    try {
+        const result = await api(`/api/admin/calendar-feeds/${row.dataset.feedId}`, { method: 'DELETE' });
+        showCalendarFeedAlert('success', result.message);
+        loadDoctors();
+    } catch (error) {
+        showCalendarFeedAlert('error', error.message);
+    }
 }
 
-function handleDragEnd(e) {
-    this.classList.remove('dragging');
-    const rows = document.querySelectorAll('#doctorsTable tr.draggable-row');
+document.querySelector('#calendarFeedsTable tbody')?.addEventListener('click', (e) => {
+    const row = e.target.closest('tr');
+    if (e.target.closest('.issue-calendar-feed-btn')) {
+        issueCalendarFeed(row);
+    } else if (e.target.closest('.revoke-calendar-feed-btn')) {
+        revokeCalendarFeed(row);
+    }
+});
+document.querySelector('#calendarFeedsTable tbody')?.addEventListener('change', (e) => {
+    if (e.target.classList.contains('calendar-feed-detail')) {
+        updateCalendarFeedDetail(e.target.closest('tr'));
+    }
+});
+document.getElementById('copyCalendarFeedUrl')?.addEventListener('click', async () => {
+    const input = document.getElementById('calendarFeedUrl');
+    try {
+        await navigator.clipboard.writeText(input.value);
+        showCalendarFeedAlert('success', 'URLをコピーしました');
+    } catch (error) {
+        input.select();
+    }
+});
+
+// ===== 医師の勤務表・休暇 =====
+const leaveTypeLabels = {
+    'vacation': '休暇',
+    'conference': '学会',
+    'half_day': '半休',
+    'other': 'その他'
+};
+
+let scheduleStaffId = null;
+
+async function openStaffScheduleModal(id, name) {
+    scheduleStaffId = id;
+    document.getElementById('staffScheduleTitle').textContent = `勤務設定: ${name}`;
+    document.getElementById('staffScheduleAlert').style.display = 'none';
+    document.getElementById('addStaffLeaveForm').reset();
+
+    try {
+        const [schedules, leaves] = await Promise.all([
+            api(`/api/admin/staff/${id}/schedules`),
+            api(`/api/admin/staff/${id}/leaves`)
+        ]);
+        renderStaffScheduleTable(schedules);
+        renderStaffLeavesTable(leaves);
+        document.getElementById('staffScheduleModal').classList.add('active');
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+function closeStaffScheduleModal() {
+    document.getElementById('staffScheduleModal').classList.remove('active');
+    scheduleStaffId = null;
+}
+
+function renderStaffScheduleTable(schedules) {
+    const tbody = document.querySelector('#staffScheduleTable tbody');
+    const useSchedule = document.getElementById('staffUseSchedule');
+    useSchedule.checked = schedules.length > 0;
+
+    // 曜日ごとに開始時間順の1件目を午前、2件目を午後として表示
+    tbody.innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => {
+        const daySchedules = schedules.filter(s => s.day_of_week === day);
+        const morning = daySchedules[0] || {};
+        const afternoon = daySchedules[1] || {};
+        const time = (value) => value ? value.substring(0, 5) : '';
+
+        return `
+            <tr data-day="${day}">
+                <td><strong>${dayNames[day]}曜日</strong></td>
+                <td><input type="time" class="form-input ss-morning-start" value="${time(morning.start_time)}" style="width: 110px;"></td>
+                <td><input type="time" class="form-input ss-morning-end" value="${time(morning.end_time)}" style="width: 110px;"></td>
+                <td><input type="time" class="form-input ss-afternoon-start" value="${time(afternoon.start_time)}" style="width: 110px;"></td>
+                <td><input type="time" class="form-input ss-afternoon-end" value="${time(afternoon.end_time)}" style="width: 110px;"></td>
+            </tr>
+        `;
+    }).join('');
+
+    toggleStaffScheduleInputs();
+}
+
+function toggleStaffScheduleInputs() {
+    const enabled = document.getElementById('staffUseSchedule').checked;
+    document.querySelectorAll('#staffScheduleTable input[type="time"]').forEach(input => {
+        input.disabled = !enabled;
+    });
+}
+
+async function saveStaffSchedule() {
+    const schedules = [];
+
+    if (document.getElementById('staffUseSchedule').checked) {
+        document.querySelectorAll('#staffScheduleTable tbody tr').forEach(row => {
+            const dayOfWeek = parseInt(row.dataset.day);
+            [['.ss-morning-start', '.ss-morning-end'], ['.ss-afternoon-start', '.ss-afternoon-end']].forEach(([startSel, endSel]) => {
+                const startTime = row.querySelector(startSel).value;
+                const endTime = row.querySelector(endSel).value;
+                if (startTime || endTime) {
+                    schedules.push({ dayOfWeek, startTime, endTime });
+                }
+            });
+        });
+
+        if (schedules.length === 0) {
+            showStaffScheduleAlert('error', '勤務時間を1つ以上入力してください');
+            return;
+        }
+    }
+
+    try {
+        const result = await api(`/api/admin/staff/${scheduleStaffId}/schedules`, {
+            method: 'PUT',
+            body: JSON.stringify({ schedules })
+        });
+        showStaffScheduleAlert('success', result.message);
+    } catch (error) {
+        showStaffScheduleAlert('error', error.message);
+    }
+}
+
+function renderStaffLeavesTable(leaves) {
+    const tbody = document.querySelector('#staffLeavesTable tbody');
+
+    if (leaves.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; color: var(--muted);">登録されている休暇はありません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = leaves.map(leave => {
+        const startDate = formatDate(new Date(leave.start_date));
+        const endDate = formatDate(new Date(leave.end_date));
+        const timeDisplay = leave.start_time && leave.end_time
+            ? `${leave.start_time.substring(0, 5)} 〜 ${leave.end_time.substring(0, 5)}`
+            : '終日';
+
+        return `
+            <tr>
+                <td>${leaveTypeLabels[leave.leave_type] || leave.leave_type}</td>
+                <td>${startDate === endDate ? startDate : `${startDate} 〜 ${endDate}`}</td>
+                <td>${timeDisplay}</td>
+                <td>${escapeHtml(leave.reason || '-')}</td>
+                <td>
+                    <button class="btn btn-secondary delete-leave-btn" data-id="${leave.id}"
+                        style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">削除</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function loadStaffLeaves() {
+    try {
+        const leaves = await api(`/api/admin/staff/${scheduleStaffId}/leaves`);
+        renderStaffLeavesTable(leaves);
+    } catch (error) {
+        console.error('休暇読み込みエラー:', error);
+    }
+}
+
+async function deleteStaffLeave(id) {
+    const confirmed = await showConfirm(
+        '休暇の削除',
+        'この休暇を削除してもよろしいですか？',
+        '削除する',
+        'btn-primary'
+    );
+
+    if (!confirmed) return;
+
+    try {
+        await api(`/api/admin/staff/${scheduleStaffId}/leaves/${id}`, { method: 'DELETE' });
+        loadStaffLeaves();
+    } catch (error) {
+        showStaffScheduleAlert('error', error.message);
+    }
+}
+
+function showStaffScheduleAlert(type, message) {
+    const alertBox = document.getElementById('staffScheduleAlert');
+    alertBox.className = `alert alert-${type}`;
+    alertBox.textContent = message;
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+}
+
+document.getElementById('staffUseSchedule')?.addEventListener('change', toggleStaffScheduleInputs);
+document.getElementById('saveStaffSchedule')?.addEventListener('click', saveStaffSchedule);
+document.getElementById('closeStaffScheduleModal')?.addEventListener('click', closeStaffScheduleModal);
+document.getElementById('staffScheduleClose')?.addEventListener('click', closeStaffScheduleModal);
+
+document.getElementById('addStaffLeaveForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const data = {
+        leaveType: document.getElementById('leaveType').value,
+        startDate: document.getElementById('leaveStartDate').value,
+        endDate: document.getElementById('leaveEndDate').value,
+        startTime: document.getElementById('leaveStartTime').value || null,
+        endTime: document.getElementById('leaveEndTime').value || null,
+        reason: document.getElementById('leaveReason').value || null
+    };
+
+    try {
+        const result = await api(`/api/admin/staff/${scheduleStaffId}/leaves`, {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+
+        document.getElementById('addStaffLeaveForm').reset();
+        showStaffScheduleAlert('success', result.message);
+        loadStaffLeaves();
+    } catch (error) {
+        showStaffScheduleAlert('error', error.message);
+    }
+});
+
+// 休暇削除イベントのデリゲーション
+document.getElementById('staffLeavesTable')?.addEventListener('click', async (e) => {
+    if (e.target.classList.contains('delete-leave-btn')) {
+        await deleteStaffLeave(e.target.dataset.id);
+    }
+});
+
+// ===== DnD処理 =====
+let dragSrcEl = null;
+
+function handleDragStart(e) {
+    dragSrcEl = this;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/html', this.innerHTML);
+    this.classList.add('dragging');
+}
+
+function handleDragOver(e) {
+    if (e.preventDefault) {
+        e.preventDefault();
+    }
+    e.dataTransfer.dropEffect = 'move';
+    return false;
+}
+
+function handleDrop(e) {
+    if (e.stopPropagation) {
+        e.stopPropagation();
+    }
+
+    if (dragSrcEl !== this) {
+        // 並び替え処理
+        const tbody = this.parentNode;
+        const rows = Array.from(tbody.querySelectorAll('tr.draggable-row'));
+        const srcIndex = rows.indexOf(dragSrcEl);
+        const targetIndex = rows.indexOf(this);
+
+        if (srcIndex < targetIndex) {
+            tbody.insertBefore(dragSrcEl, this.nextSibling);
+        } else {
+            tbody.insertBefore(dragSrcEl, this);
+        }
+
+        saveDoctorOrder();
+    }
+
+    return false;
+}
+
+function handleDragEnd(e) {
+    this.classList.remove('dragging');
+    const rows = document.querySelectorAll('#doctorsTable tr.draggable-row');
     rows.forEach(row => row.classList.remove('drag-over'));
 }
 
-async function saveDoctorOrder() {
-    const rows = document.querySelectorAll('#doctorsTable tr.draggable-row');
-    const ids = Array.from(rows).map(row => parseInt(row.dataset.id));
+async function saveDoctorOrder() {
+    const rows = document.querySelectorAll('#doctorsTable tr.draggable-row');
+    const ids = Array.from(rows).map(row => parseInt(row.dataset.id));
+
+    try {
+        await api('/api/admin/staff/reorder', {
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+    } catch (error) {
+        console.error('並び替え保存エラー:', error);
+        alert('順序の保存に失敗しました');
+    }
+}
+
+// ===== 管理者アカウント管理 =====
+async function loadAccounts() {
+    try {
+        const accounts = await api('/api/admin/accounts');
+        renderAccountsTable(accounts);
+    } catch (error) {
+        console.error('管理者一覧読み込みエラー:', error);
+    }
+}
+
+function renderAccountsTable(accounts) {
+    const tbody = document.querySelector('#accountsTable tbody');
+    if (!tbody) return;
+
+    if (accounts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--muted);">管理者が登録されていません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = accounts.map(acc => `
+        <tr>
+            <td>${acc.id}</td>
+            <td>${escapeHtml(acc.username)}</td>
+            <td>${escapeHtml(acc.display_name)}</td>
+            <td>${acc.last_login_at ? formatDateTime(new Date(acc.last_login_at)) : '-'}</td>
+            <td>${formatDate(new Date(acc.created_at))}</td>
+            <td>
+                <button class="btn btn-secondary delete-account-btn" data-id="${acc.id}" style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">削除</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+document.getElementById('addAccountForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const username = document.getElementById('accountUsername').value;
+    const password = document.getElementById('accountPassword').value;
+    const displayName = document.getElementById('accountDisplayName').value;
+    const alertBox = document.getElementById('accountAlert');
+
+    try {
+        await api('/api/admin/accounts', {
+            method: 'POST',
+            body: JSON.stringify({ username, password, displayName })
+        });
+
+        document.getElementById('addAccountForm').reset();
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = '管理者を登録しました';
+        alertBox.style.display = 'block';
+        setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+
+        loadAccounts();
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+        alertBox.style.display = 'block';
+    }
+});
+
+async function deleteAccount(id) {
+    const confirmed = await showConfirm(
+        '管理者の削除',
+        'この管理者を削除してもよろしいですか？',
+        '削除する',
+        'btn-primary'
+    );
+
+    if (!confirmed) return;
+
+    try {
+        await api(`/api/admin/accounts/${id}`, { method: 'DELETE' });
+        loadAccounts();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+window.deleteAccount = deleteAccount;
+
+// ===== メニュー管理 =====
+let serviceList = [];
+let serviceStaffOptions = [];
+let serviceResourceOptions = [];
+
+async function loadServices() {
+    try {
+        const [services, staff, resources] = await Promise.all([
+            api('/api/admin/services'),
+            api('/api/admin/staff'),
+            api('/api/admin/resources')
+        ]);
+        serviceList = services;
+        serviceStaffOptions = staff;
+        serviceResourceOptions = resources;
+        renderServicesTable(services);
+    } catch (error) {
+        console.error('メニュー一覧読み込みエラー:', error);
+    }
+}
+
+function renderServicesTable(services) {
+    const tbody = document.querySelector('#servicesTable tbody');
+    if (!tbody) return;
+
+    if (services.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="10" style="text-align: center; color: var(--muted);">メニューが登録されていません</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = services.map(svc => `
+        <tr class="draggable-service-row" draggable="true" data-id="${svc.id}">
+            <td style="cursor: move;">
+                <span style="color: var(--muted); margin-right: 8px;">☰</span>
+                ${svc.id}
+            </td>
+            <td>
+                ${svc.color ? `<span style="display: inline-block; width: 10px; height: 10px; border-radius: 50%; background: ${svc.color}; margin-right: 6px;"></span>` : ''}${escapeHtml(svc.name)}
+            </td>
+            <td>
+                ${svc.duration_minutes}分
+                ${svc.segments.length > 0 ? `<div style="font-size: 0.75rem; color: var(--muted);">${svc.segments.map(seg => `${escapeHtml(seg.name)} ${seg.durationMinutes}分${seg.gapAfterMinutes > 0 ? ` → 待ち${seg.gapAfterMinutes}分` : ''}`).join(' → ')}</div>` : ''}
+            </td>
+            <td style="white-space: nowrap;">
+                <input type="number" class="form-input service-buffer-before" value="${svc.buffer_before_minutes || 0}" min="0" max="120" step="5" style="width: 64px; padding: 4px;">
+                /
+                <input type="number" class="form-input service-buffer-after" value="${svc.buffer_after_minutes || 0}" min="0" max="120" step="5" style="width: 64px; padding: 4px;">
+                <button class="btn btn-secondary save-service-buffer-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem;">保存</button>
+            </td>
+            <td style="white-space: nowrap;">
+                <input type="number" class="form-input service-recall-months" value="${svc.recall_months || ''}" min="1" max="36" placeholder="-" style="width: 56px; padding: 4px;">
+                か月後に
+                <select class="form-input service-recall-service" style="width: auto; padding: 4px;">
+                    ${services.map(target => `
+                        <option value="${target.id}" ${(svc.recall_service_id || svc.id) === target.id ? 'selected' : ''}>${escapeHtml(target.name)}</option>
+                    `).join('')}
+                </select>
+                <button class="btn btn-secondary save-service-recall-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem;">保存</button>
+            </td>
+            <td>${escapeHtml(svc.description || '-')}</td>
+            <td style="font-size: 0.85rem;">${getServiceStaffLabel(svc)}</td>
+            <td style="font-size: 0.85rem;">${svc.resources.length > 0 ? svc.resources.map(r => `${escapeHtml(r.name)}×${r.quantity}`).join('、') : '-'}</td>
+            <td>
+                <span class="badge ${svc.is_active ? 'badge-confirmed' : 'badge-cancelled'}">
+                    ${svc.is_active ? '有効' : '無効'}
+                </span>
+            </td>
+            <td class="table-actions">
+                <button class="btn btn-secondary edit-service-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">編集</button>
+                <button class="btn btn-secondary service-staff-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">担当設定</button>
+                <button class="btn btn-secondary service-segments-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">工程設定</button>
+                <button class="btn btn-secondary service-resources-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">設備設定</button>
+                <button class="btn btn-secondary delete-service-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">削除</button>
+            </td>
+        </tr>
+    `).join('');
+
+    // DnDイベント設定
+    const rows = tbody.querySelectorAll('tr.draggable-service-row');
+    rows.forEach(row => {
+        row.addEventListener('dragstart', handleServiceDragStart);
+        row.addEventListener('dragover', handleServiceDragOver);
+        row.addEventListener('drop', handleServiceDrop);
+        row.addEventListener('dragend', handleServiceDragEnd);
+    });
+}
+
+function getServiceStaffLabel(service) {
+    const names = serviceStaffOptions
+        .filter(st => service.staff_ids.includes(st.id))
+        .map(st => escapeHtml(st.name));
+    return names.length > 0 ? names.join('、') : '<span style="color: var(--muted);">全医師</span>';
+}
+
+// ===== メニューの担当医師設定 =====
+let editingServiceId = null;
+
+function openServiceStaffModal(id) {
+    const service = serviceList.find(svc => svc.id === parseInt(id));
+    if (!service) return;
+
+    editingServiceId = service.id;
+    document.getElementById('serviceStaffTitle').textContent = `担当医師設定: ${service.name}`;
+    document.getElementById('serviceStaffList').innerHTML = serviceStaffOptions.length === 0
+        ? '<p style="color: var(--muted);">医師が登録されていません</p>'
+        : serviceStaffOptions.map(st => `
+            <label style="display: flex; align-items: center; gap: 8px; padding: 6px 0;">
+                <input type="checkbox" class="service-staff-checkbox" value="${st.id}" ${service.staff_ids.includes(st.id) ? 'checked' : ''} style="width: 18px; height: 18px;">
+                <span>${escapeHtml(st.name)}${st.title ? ` <span style="color: var(--muted); font-size: 0.85rem;">${escapeHtml(st.title)}</span>` : ''}</span>
+            </label>
+        `).join('');
+
+    document.getElementById('serviceStaffModal').classList.add('active');
+}
+
+function closeServiceStaffModal() {
+    document.getElementById('serviceStaffModal').classList.remove('active');
+    editingServiceId = null;
+}
+
+async function saveServiceStaff() {
+    const staffIds = Array.from(document.querySelectorAll('.service-staff-checkbox:checked'))
+        .map(input => parseInt(input.value));
+    const alertBox = document.getElementById('serviceAlert');
+
+    try {
+        const result = await api(`/api/admin/services/${editingServiceId}/staff`, {
+            method: 'PUT',
+            body: JSON.stringify({ staffIds })
+        });
+
+        closeServiceStaffModal();
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        alertBox.style.display = 'block';
+        setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+
+        loadServices();
+        loadDoctors();
+    } catch (error) {
+        alert(error.message);
+    }
+}
+
+document.getElementById('closeServiceStaffModal')?.addEventListener('click', closeServiceStaffModal);
+document.getElementById('serviceStaffCancel')?.addEventListener('click', closeServiceStaffModal);
+document.getElementById('serviceStaffSave')?.addEventListener('click', saveServiceStaff);
+
+// ===== メニューの準備・片付け時間 =====
+async function saveServiceBuffers(button) {
+    const row = button.closest('tr');
+    const alertBox = document.getElementById('serviceAlert');
+
+    try {
+        const result = await api(`/api/admin/services/${button.dataset.id}/buffers`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                bufferBeforeMinutes: parseInt(row.querySelector('.service-buffer-before').value) || 0,
+                bufferAfterMinutes: parseInt(row.querySelector('.service-buffer-after').value) || 0
+            })
+        });
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+    } catch (error) {
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
+    }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+}
+
+// ===== メニューのリコール設定 =====
+async function saveServiceRecall(button) {
+    const row = button.closest('tr');
+    const alertBox = document.getElementById('serviceAlert');
 
     try {
-        await api('/api/admin/staff/reorder', {
+        const result = await api(`/api/admin/services/${button.dataset.id}/recall`, {
             method: 'PUT',
-            body: JSON.stringify({ ids })
+            body: JSON.stringify({
+                recallMonths: parseInt(row.querySelector('.service-recall-months').value) || null,
+                recallServiceId: parseInt(row.querySelector('.service-recall-service').value)
+            })
         });
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        loadServices();
+        loadRecalls();
     } catch (error) {
-        console.error('並び替え保存エラー:', error);
-        alert('順序の保存に失敗しました');
+        alertBox.className = 'alert alert-error';
+        alertBox.textContent = error.message;
     }
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+}
+
+// ===== メニューの必要設備設定 =====
+function openServiceResourcesModal(id) {
+    const service = serviceList.find(svc => svc.id === parseInt(id));
+    if (!service) return;
+
+    editingServiceId = service.id;
+    document.getElementById('serviceResourcesTitle').textContent = `必要設備設定: ${service.name}`;
+    document.getElementById('serviceResourcesList').innerHTML = serviceResourceOptions.length === 0
+        ? '<p style="color: var(--muted);">設備が登録されていません（設備管理タブで登録してください）</p>'
+        : serviceResourceOptions.map(r => {
+            const current = service.resources.find(item => item.resourceId === r.id);
+            return `
+                <div style="display: flex; align-items: center; gap: 8px; padding: 6px 0;">
+                    <label style="display: flex; align-items: center; gap: 8px; flex: 1;">
+                        <input type="checkbox" class="service-resource-checkbox" value="${r.id}" ${current ? 'checked' : ''} style="width: 18px; height: 18px;">
+                        <span>${escapeHtml(r.name)}</span>
+                    </label>
+                    <input type="number" class="form-input service-resource-quantity" data-id="${r.id}" value="${current ? current.quantity : 1}" min="1" max="${r.quantity}" style="width: 70px;">
+                    <span style="color: var(--muted); font-size: 0.85rem;">/ ${r.quantity}</span>
+                </div>
+            `;
+        }).join('');
+
+    document.getElementById('serviceResourcesModal').classList.add('active');
 }
 
-// ===== 管理者アカウント管理 =====
-async function loadAccounts() {
+function closeServiceResourcesModal() {
+    document.getElementById('serviceResourcesModal').classList.remove('active');
+    editingServiceId = null;
+}
+
+async function saveServiceResources() {
+    const resources = Array.from(document.querySelectorAll('.service-resource-checkbox:checked')).map(input => ({
+        resourceId: parseInt(input.value),
+        quantity: parseInt(document.querySelector(`.service-resource-quantity[data-id="${input.value}"]`).value) || 1
+    }));
+    const alertBox = document.getElementById('serviceAlert');
+
     try {
-        const accounts = await api('/api/admin/accounts');
-        renderAccountsTable(accounts);
+        const result = await api(`/api/admin/services/${editingServiceId}/resources`, {
+            method: 'PUT',
+            body: JSON.stringify({ resources })
+        });
+
+        closeServiceResourcesModal();
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        alertBox.style.display = 'block';
+        setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+
+        loadServices();
     } catch (error) {
-        console.error('管理者一覧読み込みエラー:', error);
+        alert(error.message);
     }
 }
 
-function renderAccountsTable(accounts) {
-    const tbody = document.querySelector('#accountsTable tbody');
-    if (!tbody) return;
+document.getElementById('closeServiceResourcesModal')?.addEventListener('click', closeServiceResourcesModal);
+document.getElementById('serviceResourcesCancel')?.addEventListener('click', closeServiceResourcesModal);
+document.getElementById('serviceResourcesSave')?.addEventListener('click', saveServiceResources);
 
-    if (accounts.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--muted);">管理者が登録されていません</td></tr>';
-        return;
-    }
+// ===== メニューの編集 =====
+function openServiceEditModal(id) {
+    const service = serviceList.find(svc => svc.id === parseInt(id));
+    if (!service) return;
 
-    tbody.innerHTML = accounts.map(acc => `
-        <tr>
-            <td>${acc.id}</td>
-            <td>${escapeHtml(acc.username)}</td>
-            <td>${escapeHtml(acc.display_name)}</td>
-            <td>${acc.last_login_at ? formatDateTime(new Date(acc.last_login_at)) : '-'}</td>
-            <td>${formatDate(new Date(acc.created_at))}</td>
-            <td>
-                <button class="btn btn-secondary delete-account-btn" data-id="${acc.id}" style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">削除</button>
-            </td>
-        </tr>
-    `).join('');
+    editingServiceId = service.id;
+    document.getElementById('serviceEditTitle').textContent = `メニュー編集: ${service.name}`;
+    document.getElementById('serviceEditName').value = service.name;
+    document.getElementById('serviceEditDuration').value = service.duration_minutes;
+    // 工程のあるメニューの所要時間は工程設定で変更する
+    document.getElementById('serviceEditDuration').disabled = service.segments.length > 0;
+    document.getElementById('serviceEditDescription').value = service.description || '';
+    document.getElementById('serviceEditUseColor').checked = !!service.color;
+    document.getElementById('serviceEditColor').value = service.color || '#3b82f6';
+    document.getElementById('serviceEditActive').checked = service.is_active;
+
+    document.getElementById('serviceEditModal').classList.add('active');
 }
 
-document.getElementById('addAccountForm')?.addEventListener('submit', async (e) => {
-    e.preventDefault();
+function closeServiceEditModal() {
+    document.getElementById('serviceEditModal').classList.remove('active');
+    editingServiceId = null;
+}
 
-    const username = document.getElementById('accountUsername').value;
-    const password = document.getElementById('accountPassword').value;
-    const displayName = document.getElementById('accountDisplayName').value;
-    const alertBox = document.getElementById('accountAlert');
+async function saveServiceEdit() {
+    const alertBox = document.getElementById('serviceAlert');
+    const durationInput = document.getElementById('serviceEditDuration');
 
     try {
-        await api('/api/admin/accounts', {
-            method: 'POST',
-            body: JSON.stringify({ username, password, displayName })
+        const result = await api(`/api/admin/services/${editingServiceId}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                name: document.getElementById('serviceEditName').value.trim(),
+                durationMinutes: durationInput.disabled ? undefined : durationInput.value,
+                description: document.getElementById('serviceEditDescription').value,
+                color: document.getElementById('serviceEditUseColor').checked ? document.getElementById('serviceEditColor').value : '',
+                isActive: document.getElementById('serviceEditActive').checked
+            })
         });
 
-        document.getElementById('addAccountForm').reset();
+        closeServiceEditModal();
         alertBox.className = 'alert alert-success';
-        alertBox.textContent = '管理者を登録しました';
+        alertBox.textContent = result.message;
         alertBox.style.display = 'block';
         setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
 
-        loadAccounts();
+        loadServices();
     } catch (error) {
-        alertBox.className = 'alert alert-error';
-        alertBox.textContent = error.message;
-        alertBox.style.display = 'block';
+        alert(error.message);
     }
-});
+}
 
-async function deleteAccount(id) {
-    const confirmed = await showConfirm(
-        '管理者の削除',
-        'この管理者を削除してもよろしいですか？',
-        '削除する',
-        'btn-primary'
-    );
+document.getElementById('closeServiceEditModal')?.addEventListener('click', closeServiceEditModal);
+document.getElementById('serviceEditCancel')?.addEventListener('click', closeServiceEditModal);
+document.getElementById('serviceEditSave')?.addEventListener('click', saveServiceEdit);
 
-    if (!confirmed) return;
+// ===== メニューの工程設定 =====
+function openServiceSegmentsModal(id) {
+    const service = serviceList.find(svc => svc.id === parseInt(id));
+    if (!service) return;
+
+    editingServiceId = service.id;
+    document.getElementById('serviceSegmentsTitle').textContent = `工程設定: ${service.name}`;
+    document.getElementById('serviceSegmentsList').innerHTML = '';
+    service.segments.forEach(addServiceSegmentRow);
+    updateServiceSegmentsTotal();
+
+    document.getElementById('serviceSegmentsModal').classList.add('active');
+}
+
+function closeServiceSegmentsModal() {
+    document.getElementById('serviceSegmentsModal').classList.remove('active');
+    editingServiceId = null;
+}
+
+function addServiceSegmentRow(segment = {}) {
+    const row = document.createElement('div');
+    row.className = 'service-segment-row';
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; padding: 6px 0; flex-wrap: wrap;';
+    row.innerHTML = `
+        <input type="text" class="form-input segment-name" value="${escapeHtml(segment.name || '')}" placeholder="例: クリーニング" style="flex: 1; min-width: 120px;">
+        <select class="form-input segment-role" style="width: auto;">
+            ${Object.entries(staffRoleLabels).map(([value, label]) => `
+                <option value="${value}" ${(segment.staffRole || 'doctor') === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+        </select>
+        <input type="number" class="form-input segment-duration" value="${segment.durationMinutes || 30}" min="5" max="240" step="5" style="width: 70px;">分
+        <span style="color: var(--muted); font-size: 0.85rem;">後の待ち</span>
+        <input type="number" class="form-input segment-gap" value="${segment.gapAfterMinutes || 0}" min="0" max="120" step="5" style="width: 64px;">分
+        <button type="button" class="btn btn-secondary remove-segment-btn" style="padding: 4px 8px; font-size: 0.75rem;">削除</button>
+    `;
+    row.querySelector('.remove-segment-btn').addEventListener('click', () => {
+        row.remove();
+        updateServiceSegmentsTotal();
+    });
+    row.querySelectorAll('input').forEach(input => input.addEventListener('input', updateServiceSegmentsTotal));
+    document.getElementById('serviceSegmentsList').appendChild(row);
+}
+
+function getServiceSegmentsInput() {
+    return Array.from(document.querySelectorAll('#serviceSegmentsList .service-segment-row')).map(row => ({
+        name: row.querySelector('.segment-name').value.trim(),
+        staffRole: row.querySelector('.segment-role').value,
+        durationMinutes: parseInt(row.querySelector('.segment-duration').value) || 0,
+        gapAfterMinutes: parseInt(row.querySelector('.segment-gap').value) || 0
+    }));
+}
+
+// 最後の工程の後の待ち時間は所要時間に含めない
+function updateServiceSegmentsTotal() {
+    const segments = getServiceSegmentsInput();
+    const total = segments.reduce((sum, seg, i) => sum + seg.durationMinutes + (i < segments.length - 1 ? seg.gapAfterMinutes : 0), 0);
+    document.getElementById('serviceSegmentsTotal').textContent = segments.length > 0
+        ? `所要時間: ${total}分`
+        : '工程なし（1人の担当者が通しで担当します）';
+}
+
+async function saveServiceSegments() {
+    const alertBox = document.getElementById('serviceAlert');
 
     try {
-        await api(`/api/admin/accounts/${id}`, { method: 'DELETE' });
-        loadAccounts();
+        const result = await api(`/api/admin/services/${editingServiceId}/segments`, {
+            method: 'PUT',
+            body: JSON.stringify({ segments: getServiceSegmentsInput() })
+        });
+
+        closeServiceSegmentsModal();
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        alertBox.style.display = 'block';
+        setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+
+        loadServices();
     } catch (error) {
         alert(error.message);
     }
 }
 
-window.deleteAccount = deleteAccount;
+document.getElementById('closeServiceSegmentsModal')?.addEventListener('click', closeServiceSegmentsModal);
+document.getElementById('serviceSegmentsCancel')?.addEventListener('click', closeServiceSegmentsModal);
+document.getElementById('serviceSegmentsSave')?.addEventListener('click', saveServiceSegments);
+document.getElementById('serviceSegmentsAdd')?.addEventListener('click', () => {
+    addServiceSegmentRow();
+    updateServiceSegmentsTotal();
+});
 
-// ===== メニュー管理 =====
-async function loadServices() {
+// ===== 設備（チェア・部屋・機器）管理 =====
+const resourceTypeLabels = {
+    'chair': 'チェア',
+    'room': '部屋',
+    'equipment': '機器'
+};
+
+async function loadResources() {
     try {
-        const services = await api('/api/admin/services');
-        renderServicesTable(services);
+        const resources = await api('/api/admin/resources');
+        renderResourcesTable(resources);
     } catch (error) {
-        console.error('メニュー一覧読み込みエラー:', error);
+        console.error('設備一覧読み込みエラー:', error);
     }
 }
 
-function renderServicesTable(services) {
-    const tbody = document.querySelector('#servicesTable tbody');
+function renderResourcesTable(resources) {
+    const tbody = document.querySelector('#resourcesTable tbody');
     if (!tbody) return;
 
-    if (services.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; color: var(--muted);">メニューが登録されていません</td></tr>';
+    if (resources.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--muted);">設備が登録されていません</td></tr>';
         return;
     }
 
-    tbody.innerHTML = services.map(svc => `
-        <tr class="draggable-service-row" draggable="true" data-id="${svc.id}">
-            <td style="cursor: move;">
-                <span style="color: var(--muted); margin-right: 8px;">☰</span>
-                ${svc.id}
-            </td>
-            <td>${escapeHtml(svc.name)}</td>
-            <td>${svc.duration_minutes}分</td>
-            <td>${escapeHtml(svc.description || '-')}</td>
+    tbody.innerHTML = resources.map(r => `
+        <tr data-id="${r.id}">
+            <td>${escapeHtml(r.name)}</td>
+            <td>${resourceTypeLabels[r.resource_type] || r.resource_type}</td>
             <td>
-                <span class="badge ${svc.is_active ? 'badge-confirmed' : 'badge-cancelled'}">
-                    ${svc.is_active ? '有効' : '無効'}
-                </span>
+                <input type="number" class="form-input resource-quantity-input" value="${r.quantity}" min="1" max="99" style="width: 80px;">
             </td>
             <td class="table-actions">
-                <button class="btn btn-secondary delete-service-btn" data-id="${svc.id}" style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">削除</button>
+                <button class="btn btn-primary save-resource-btn" data-id="${r.id}" style="padding: 4px 8px; font-size: 0.75rem; margin-right: 4px;">保存</button>
+                <button class="btn btn-secondary delete-resource-btn" data-id="${r.id}" style="padding: 4px 8px; font-size: 0.75rem; color: #ef4444; border-color: #ef4444;">削除</button>
             </td>
         </tr>
     `).join('');
+}
 
-    // DnDイベント設定
-    const rows = tbody.querySelectorAll('tr.draggable-service-row');
-    rows.forEach(row => {
-        row.addEventListener('dragstart', handleServiceDragStart);
-        row.addEventListener('dragover', handleServiceDragOver);
-        row.addEventListener('drop', handleServiceDrop);
-        row.addEventListener('dragend', handleServiceDragEnd);
-    });
+function showResourceAlert(type, message) {
+    const alertBox = document.getElementById('resourceAlert');
+    alertBox.className = `alert alert-${type}`;
+    alertBox.textContent = message;
+    alertBox.style.display = 'block';
+    setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
 }
 
+document.getElementById('addResourceForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const data = {
+        name: document.getElementById('resourceName').value,
+        resourceType: document.getElementById('resourceType').value,
+        quantity: parseInt(document.getElementById('resourceQuantity').value)
+    };
+
+    try {
+        const result = await api('/api/admin/resources', {
+            method: 'POST',
+            body: JSON.stringify(data)
+        });
+
+        document.getElementById('addResourceForm').reset();
+        showResourceAlert('success', result.message);
+        loadResources();
+        loadServices();
+    } catch (error) {
+        showResourceAlert('error', error.message);
+    }
+});
+
+// 保存・削除イベントのデリゲーション
+document.getElementById('resourcesTable')?.addEventListener('click', async (e) => {
+    const id = e.target.dataset.id;
+
+    if (e.target.classList.contains('save-resource-btn')) {
+        const quantity = parseInt(e.target.closest('tr').querySelector('.resource-quantity-input').value);
+        try {
+            const result = await api(`/api/admin/resources/${id}`, {
+                method: 'PUT',
+                body: JSON.stringify({ quantity })
+            });
+            showResourceAlert('success', result.message);
+            loadServices();
+        } catch (error) {
+            showResourceAlert('error', error.message);
+        }
+    }
+
+    if (e.target.classList.contains('delete-resource-btn')) {
+        const confirmed = await showConfirm(
+            '設備の削除',
+            'この設備を削除してもよろしいですか？（この設備を必要とするメニューの設備制約も解除されます）',
+            '削除する',
+            'btn-primary'
+        );
+        if (!confirmed) return;
+
+        try {
+            await api(`/api/admin/resources/${id}`, { method: 'DELETE' });
+            loadResources();
+            loadServices();
+        } catch (error) {
+            showResourceAlert('error', error.message);
+        }
+    }
+});
+
 document.getElementById('addServiceForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
 
@@ -1195,8 +3035,15 @@ async function deleteService(id) {
 
     if (!confirmed) return;
 
+    const alertBox = document.getElementById('serviceAlert');
+
     try {
-        await api(`/api/admin/services/${id}`, { method: 'DELETE' });
+        const result = await api(`/api/admin/services/${id}`, { method: 'DELETE' });
+        alertBox.className = 'alert alert-success';
+        alertBox.textContent = result.message;
+        alertBox.style.display = 'block';
+        setTimeout(() => { alertBox.style.display = 'none'; }, 3000);
+
         loadServices();
     } catch (error) {
         alert(error.message);
@@ -1550,7 +3397,11 @@ document.getElementById('createModalCancel')?.addEventListener('click', closeCre
 
 document.getElementById('createModalSave')?.addEventListener('click', async () => {
     if (createForm.checkValidity()) {
-        await createAppointment();
+        if (document.getElementById('newAptRepeat').checked) {
+            await createAppointmentSeries();
+        } else {
+            await createAppointment();
+        }
     } else {
         createForm.reportValidity();
     }
@@ -1600,6 +3451,8 @@ async function openCreateModal() {
 function closeCreateModal() {
     createModal.classList.remove('active');
     createForm.reset();
+    document.getElementById('newAptNextList').innerHTML = '';
+    resetSeriesPlan();
 }
 
 async function createAppointment() {
@@ -1607,6 +3460,7 @@ async function createAppointment() {
     const dateStr = document.getElementById('newAptDate').value;
     const timeStr = document.getElementById('newAptTime').value;
     const serviceId = document.getElementById('newAptService').value;
+    const staffId = document.getElementById('newAptStaff').value;
     const notes = document.getElementById('newAptNotes').value;
 
     const startAt = `${dateStr}T${timeStr}:00+09:00`; // JST(日本時間)を明示して送信
@@ -1620,7 +3474,7 @@ async function createAppointment() {
     try {
         await api('/api/admin/appointments', {
             method: 'POST',
-            body: JSON.stringify({ name, startAt, serviceId, notes })
+            body: JSON.stringify({ name, startAt, serviceId, staffId: staffId || null, notes })
         });
 
         closeCreateModal();
@@ -1637,13 +3491,231 @@ async function createAppointment() {
     }
 }
 
-// 日付・メニュー変更時に空き枠を再取得
+// ===== 通院シリーズ（繰り返し予約） =====
+
+// 確認済みの各回（{ index, startAt, available, error, alternatives, chosen }）
+let seriesPlan = [];
+
+function resetSeriesPlan() {
+    seriesPlan = [];
+    document.getElementById('newAptSeriesFields').style.display = 'none';
+    document.getElementById('newAptSeriesList').innerHTML = '';
+}
+
+document.getElementById('newAptRepeat')?.addEventListener('change', (e) => {
+    document.getElementById('newAptSeriesFields').style.display = e.target.checked ? 'block' : 'none';
+    document.getElementById('createModalSave').textContent = e.target.checked ? 'シリーズを登録' : '登録';
+});
+
+// 条件を変えたら確認し直す
+['newAptDate', 'newAptTime', 'newAptService', 'newAptStaff', 'newAptIntervalWeeks', 'newAptOccurrences'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', () => {
+        seriesPlan = [];
+        document.getElementById('newAptSeriesList').innerHTML = '';
+    });
+});
+
+document.getElementById('newAptCheckSeries')?.addEventListener('click', previewAppointmentSeries);
+
+async function previewAppointmentSeries() {
+    const dateStr = document.getElementById('newAptDate').value;
+    const timeStr = document.getElementById('newAptTime').value;
+    const list = document.getElementById('newAptSeriesList');
+
+    if (!dateStr || !timeStr) {
+        alert('1回目の予約日と開始時間を選択してください');
+        return;
+    }
+
+    list.innerHTML = '<span style="color: var(--muted); font-size: 0.875rem;">確認中...</span>';
+
+    try {
+        const result = await api('/api/admin/appointment-series/preview', {
+            method: 'POST',
+            body: JSON.stringify({
+                startAt: `${dateStr}T${timeStr}:00+09:00`,
+                serviceId: document.getElementById('newAptService').value,
+                staffId: document.getElementById('newAptStaff').value || null,
+                intervalWeeks: document.getElementById('newAptIntervalWeeks').value,
+                occurrences: document.getElementById('newAptOccurrences').value
+            })
+        });
+
+        seriesPlan = result.occurrences.map(occurrence => ({ ...occurrence, chosen: null }));
+        renderSeriesPlan();
+    } catch (error) {
+        list.innerHTML = `<span style="color: var(--error); font-size: 0.875rem;">${escapeHtml(error.message)}</span>`;
+    }
+}
+
+function renderSeriesPlan() {
+    const list = document.getElementById('newAptSeriesList');
+
+    list.innerHTML = `
+        <table class="table" style="font-size: 0.8rem;">
+            <tbody>
+                ${seriesPlan.map(occurrence => `
+                    <tr>
+                        <td style="white-space: nowrap;">${occurrence.index}回目</td>
+                        <td>
+                            ${occurrence.chosen
+                                ? `<s style="color: var(--muted);">${formatDateTime(new Date(occurrence.startAt))}</s><br>${formatDateTime(new Date(occurrence.chosen))}`
+                                : formatDateTime(new Date(occurrence.startAt))}
+                        </td>
+                        <td>
+                            ${occurrence.available || occurrence.chosen
+                                ? '<span class="badge badge-confirmed">予約可</span>'
+                                : `<span class="badge badge-cancelled">予約不可</span>
+                                   <div style="color: var(--muted); margin: 4px 0;">${escapeHtml(occurrence.error || '')}</div>
+                                   <div style="display: flex; flex-wrap: wrap; gap: 4px;">
+                                       ${occurrence.alternatives.length === 0 ? '<span style="color: var(--muted);">近くに空き枠がありません</span>' : ''}
+                                       ${occurrence.alternatives.map(alt => `
+                                           <button type="button" class="btn btn-secondary series-alt-btn" data-index="${occurrence.index}" data-start-at="${alt.startAt}"
+                                               style="padding: 2px 6px; font-size: 0.75rem;">${formatDateTime(new Date(alt.startAt))}</button>
+                                       `).join('')}
+                                   </div>`}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// 代わりの候補を選ぶ
+document.getElementById('newAptSeriesList')?.addEventListener('click', (e) => {
+    const btn = e.target.closest('.series-alt-btn');
+    if (!btn) return;
+
+    const occurrence = seriesPlan.find(o => o.index === parseInt(btn.dataset.index));
+    occurrence.chosen = btn.dataset.startAt;
+    renderSeriesPlan();
+});
+
+async function createAppointmentSeries() {
+    if (seriesPlan.length === 0) {
+        alert('先に「各回の空きを確認」を押してください');
+        return;
+    }
+    if (seriesPlan.some(o => !o.available && !o.chosen)) {
+        alert('予約できない回があります。候補から日時を選び直してください');
+        return;
+    }
+
+    const btn = document.getElementById('createModalSave');
+    btn.disabled = true;
+    btn.textContent = '登録中...';
+
+    try {
+        const result = await api('/api/admin/appointment-series', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: document.getElementById('newAptName').value,
+                serviceId: document.getElementById('newAptService').value,
+                staffId: document.getElementById('newAptStaff').value || null,
+                intervalWeeks: document.getElementById('newAptIntervalWeeks').value,
+                notes: document.getElementById('newAptNotes').value,
+                occurrences: seriesPlan.map(o => o.chosen || o.startAt)
+            })
+        });
+
+        closeCreateModal();
+        loadCalendar();
+        loadAppointments();
+
+        alert(`通院シリーズ（${result.appointmentIds.length}回）を登録しました`);
+
+    } catch (error) {
+        // 確認後に埋まった回があれば、候補とともに表示し直す
+        const conflicts = error.data && error.data.conflicts;
+        if (conflicts) {
+            seriesPlan = conflicts.reduce((plan, conflict) => plan.map(o =>
+                new Date(o.chosen || o.startAt).getTime() === new Date(conflict.startAt).getTime()
+                    ? { ...o, startAt: conflict.startAt, available: false, error: conflict.error, alternatives: conflict.alternatives || [], chosen: null }
+                    : o
+            ), seriesPlan);
+            renderSeriesPlan();
+        }
+        alert(error.message);
+    } finally {
+        btn.disabled = false;
+        btn.textContent = document.getElementById('newAptRepeat').checked ? 'シリーズを登録' : '登録';
+    }
+}
+
+// 日付・メニュー・担当医師変更時に空き枠を再取得
 document.getElementById('newAptDate')?.addEventListener('change', updateAvailableTimes);
-document.getElementById('newAptService')?.addEventListener('change', updateAvailableTimes);
+document.getElementById('newAptService')?.addEventListener('change', async () => {
+    await loadCreateModalStaff();
+    updateAvailableTimes();
+});
+document.getElementById('newAptStaff')?.addEventListener('change', updateAvailableTimes);
+
+// 最短の空き枠検索
+document.getElementById('newAptFindNext')?.addEventListener('click', findNextAvailableForCreate);
+document.getElementById('newAptNextList')?.addEventListener('click', async (e) => {
+    const btn = e.target.closest('.next-slot-btn');
+    if (!btn) return;
+
+    document.getElementById('newAptDate').value = btn.dataset.date;
+    await updateAvailableTimes();
+    document.getElementById('newAptTime').value = btn.dataset.time;
+});
+
+// 選択中のメニューを担当する医師を読み込む
+async function loadCreateModalStaff() {
+    const serviceId = document.getElementById('newAptService').value;
+    const select = document.getElementById('newAptStaff');
+    const staff = await api(`/api/staff?serviceId=${serviceId}`);
+
+    select.innerHTML = '<option value="">指名なし（自動割り当て）</option>' + staff.map(s =>
+        `<option value="${s.id}">${escapeHtml(s.name)}${s.title ? `（${escapeHtml(s.title)}）` : ''}</option>`
+    ).join('');
+}
+
+async function findNextAvailableForCreate() {
+    const list = document.getElementById('newAptNextList');
+    const params = new URLSearchParams({
+        serviceId: document.getElementById('newAptService').value,
+        from: document.getElementById('newAptDate').value || formatDate(new Date()),
+        count: 5
+    });
+
+    const staffId = document.getElementById('newAptStaff').value;
+    if (staffId) params.append('staffId', staffId);
+
+    const weekdays = Array.from(document.querySelectorAll('#newAptWeekdays input:checked')).map(el => el.value);
+    if (weekdays.length > 0) params.append('weekdays', weekdays.join(','));
+
+    // 午前・午後の区切りは13:00
+    const timeOfDay = document.getElementById('newAptTimeOfDay').value;
+    if (timeOfDay === 'morning') params.append('timeTo', '13:00');
+    if (timeOfDay === 'afternoon') params.append('timeFrom', '13:00');
+
+    list.innerHTML = '<span style="color: var(--muted); font-size: 0.875rem;">検索中...</span>';
+
+    try {
+        const result = await api(`/api/slots/next-available?${params}`);
+
+        if (result.slots.length === 0) {
+            list.innerHTML = '<span style="color: var(--muted); font-size: 0.875rem;">条件に合う空き枠がありません</span>';
+            return;
+        }
+
+        list.innerHTML = result.slots.map(slot => {
+            const [, month, day] = slot.date.split('-').map(Number);
+            return `<button type="button" class="btn btn-secondary next-slot-btn" data-date="${slot.date}" data-time="${slot.start}"
+                style="padding: 4px 8px; font-size: 0.75rem;">${month}/${day}（${slot.dayName}） ${slot.start}</button>`;
+        }).join('');
+    } catch (error) {
+        list.innerHTML = `<span style="color: var(--error); font-size: 0.875rem;">${escapeHtml(error.message)}</span>`;
+    }
+}
 
 async function updateAvailableTimes() {
     const dateStr = document.getElementById('newAptDate').value;
     const serviceId = document.getElementById('newAptService').value;
+    const staffId = document.getElementById('newAptStaff').value;
     const timeSelect = document.getElementById('newAptTime');
 
     if (!dateStr || !serviceId) return;
@@ -1654,7 +3726,7 @@ async function updateAvailableTimes() {
 
     try {
         // 空き枠APIを呼び出す
-        const result = await api(`/api/slots?date=${dateStr}&serviceId=${serviceId}`);
+        const result = await api(`/api/slots?date=${dateStr}&serviceId=${serviceId}${staffId ? `&staffId=${staffId}` : ''}`);
         const slots = result.slots || [];
 
         timeSelect.innerHTML = '';
@@ -1699,7 +3771,8 @@ async function openCreateModalNew() {
         const dStr = formatDate(now);
         document.getElementById('newAptDate').value = dStr;
 
-        // 空き枠更新
+        // 担当医師・空き枠更新
+        await loadCreateModalStaff();
         await updateAvailableTimes();
 
         createModal.classList.add('active');
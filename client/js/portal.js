@@ -0,0 +1,451 @@
+/**
+ * 歯科医院予約システム - 患者向けマイページ
+ */
+
+// ===== 状態管理 =====
+const state = {
+    phone: '',
+    email: '',
+    appointments: { upcoming: [], past: [] },
+    rescheduleTarget: null,
+    selectedSlot: null
+};
+
+// ===== DOM要素 =====
+const elements = {
+    globalError: document.getElementById('globalError'),
+    logoutLink: document.getElementById('logoutLink'),
+    portalMessage: document.getElementById('portalMessage'),
+    upcomingList: document.getElementById('upcomingList'),
+    pastList: document.getElementById('pastList'),
+    rescheduleCard: document.getElementById('rescheduleCard'),
+    rescheduleDate: document.getElementById('rescheduleDate'),
+    rescheduleSlots: document.getElementById('rescheduleSlots'),
+    submitReschedule: document.getElementById('submitReschedule')
+};
+
+// ===== 初期化 =====
+document.addEventListener('DOMContentLoaded', async () => {
+    setupEventListeners();
+
+    // ログイン済みならそのままマイページを表示
+    try {
+        await loadProfile();
+        await showDashboard();
+    } catch (error) {
+        showView('stepLogin');
+    }
+});
+
+// ===== API通信（タイムアウト付き） =====
+async function api(endpoint, options = {}) {
+    const timeout = 30000; // 30秒タイムアウト
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(endpoint, {
+            ...options,
+            credentials: 'same-origin',
+            signal: controller.signal,
+            headers: {
+                'Content-Type': 'application/json',
+                ...options.headers
+            }
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'エラーが発生しました');
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('通信がタイムアウトしました。インターネット接続を確認してください。');
+        }
+        if (error instanceof TypeError && error.message.includes('fetch')) {
+            throw new Error('ネットワーク接続に問題があります。インターネット接続を確認して再度お試しください。');
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// ===== 画面切り替え =====
+function showView(id) {
+    document.querySelectorAll('.step-content').forEach(el => el.classList.remove('active'));
+    document.getElementById(id).classList.add('active');
+    elements.logoutLink.style.display = id === 'stepDashboard' ? 'inline' : 'none';
+    window.scrollTo(0, 0);
+}
+
+// セッション切れの場合はログイン画面に戻す
+function handleApiError(error) {
+    if (error.status === 401) {
+        showView('stepLogin');
+        showError('ログインの有効期限が切れました。もう一度ログインしてください。');
+        return;
+    }
+    showError(escapeHtml(error.message));
+}
+
+// ===== イベントリスナー =====
+function setupEventListeners() {
+    // ログインコードの送信
+    document.getElementById('requestCodeForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError();
+
+        state.phone = document.getElementById('loginPhone').value.trim();
+        state.email = document.getElementById('loginEmail').value.trim();
+
+        const btn = document.getElementById('requestCodeSubmit');
+        btn.disabled = true;
+
+        try {
+            const result = await api('/api/portal/request-code', {
+                method: 'POST',
+                body: JSON.stringify({ phone: state.phone, email: state.email })
+            });
+
+            document.getElementById('codeMessage').textContent = result.message;
+            document.getElementById('loginCode').value = '';
+            showView('stepCode');
+        } catch (error) {
+            showError(escapeHtml(error.message));
+        } finally {
+            btn.disabled = false;
+        }
+    });
+
+    // ログインコードの確認
+    document.getElementById('verifyCodeForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError();
+
+        const btn = document.getElementById('verifyCodeSubmit');
+        btn.disabled = true;
+
+        try {
+            await api('/api/portal/verify', {
+                method: 'POST',
+                body: JSON.stringify({
+                    phone: state.phone,
+                    email: state.email,
+                    code: document.getElementById('loginCode').value.trim()
+                })
+            });
+
+            await loadProfile();
+            await showDashboard();
+        } catch (error) {
+            showError(escapeHtml(error.message));
+        } finally {
+            btn.disabled = false;
+        }
+    });
+
+    document.getElementById('backToLogin').addEventListener('click', () => {
+        hideError();
+        showView('stepLogin');
+    });
+
+    // ログアウト
+    elements.logoutLink.addEventListener('click', async (e) => {
+        e.preventDefault();
+        try {
+            await api('/api/portal/logout', { method: 'POST' });
+        } catch (error) {
+            // ログアウト失敗時もログイン画面に戻す
+        }
+        hideError();
+        showView('stepLogin');
+    });
+
+    // 連絡先の更新
+    document.getElementById('profileForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        hideError();
+
+        const btn = document.getElementById('profileSubmit');
+        btn.disabled = true;
+
+        try {
+            const result = await api('/api/portal/me', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    phone: document.getElementById('profilePhone').value.trim(),
+                    email: document.getElementById('profileEmail').value.trim(),
+                    address: document.getElementById('profileAddress').value.trim(),
+                    notificationChannel: document.getElementById('profileNotificationChannel').value
+                })
+            });
+
+            await loadProfile();
+            showMessage(result.message);
+        } catch (error) {
+            handleApiError(error);
+        } finally {
+            btn.disabled = false;
+        }
+    });
+
+    // 予約ごとの操作
+    elements.upcomingList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        const id = parseInt(btn.dataset.id);
+        if (btn.dataset.action === 'cancel') {
+            cancelAppointment(id);
+        } else if (btn.dataset.action === 'reschedule') {
+            startReschedule(id);
+        }
+    });
+
+    // 日時の変更
+    elements.rescheduleDate.addEventListener('change', () => {
+        loadRescheduleSlots(elements.rescheduleDate.value);
+    });
+
+    elements.rescheduleSlots.addEventListener('click', (e) => {
+        const item = e.target.closest('.slot-item');
+        if (!item || item.classList.contains('disabled')) return;
+
+        elements.rescheduleSlots.querySelectorAll('.slot-item').forEach(el => el.classList.remove('selected'));
+        item.classList.add('selected');
+        state.selectedSlot = { startAt: item.dataset.start };
+        elements.submitReschedule.disabled = false;
+    });
+
+    document.getElementById('cancelReschedule').addEventListener('click', closeReschedule);
+    elements.submitReschedule.addEventListener('click', submitReschedule);
+}
+
+// ===== マイページ =====
+async function loadProfile() {
+    const patient = await api('/api/portal/me');
+
+    document.getElementById('profileName').textContent = patient.name;
+    document.getElementById('profilePhone').value = patient.phone || '';
+    document.getElementById('profileEmail').value = patient.email || '';
+    document.getElementById('profileAddress').value = patient.address || '';
+    document.getElementById('profileNotificationChannel').innerHTML = patient.notificationChannels
+        .map(c => `<option value="${c.name}" ${c.name === patient.notificationChannel ? 'selected' : ''}>${escapeHtml(c.label)}</option>`)
+        .join('');
+}
+
+async function showDashboard() {
+    hideError();
+    elements.portalMessage.style.display = 'none';
+    showView('stepDashboard');
+    await loadAppointments();
+}
+
+async function loadAppointments() {
+    try {
+        const result = await api('/api/portal/appointments');
+        state.appointments = result;
+
+        document.getElementById('cutoffNote').textContent =
+            `キャンセル・日時の変更は予約日の${result.cutoffDays}日前までです。それ以降はお電話でお問い合わせください。`;
+
+        renderAppointments();
+    } catch (error) {
+        handleApiError(error);
+    }
+}
+
+function renderAppointments() {
+    const { upcoming, past } = state.appointments;
+
+    if (upcoming.length === 0) {
+        elements.upcomingList.innerHTML = `
+            <div class="no-slots">今後のご予約はありません</div>
+            <a href="/" class="btn btn-primary btn-block" style="margin-top: 16px;">予約する</a>
+        `;
+    } else {
+        elements.upcomingList.innerHTML = upcoming.map(apt => `
+            <div class="portal-appointment">
+                ${renderAppointmentSummary(apt)}
+                <div class="portal-appointment-actions">
+                    <a class="btn btn-secondary" href="/api/portal/appointments/${apt.id}/calendar.ics">カレンダーに追加</a>
+                    ${apt.canChange ? `
+                    <button class="btn btn-secondary" data-action="reschedule" data-id="${apt.id}">日時を変更</button>
+                    <button class="btn btn-secondary" data-action="cancel" data-id="${apt.id}">キャンセル</button>
+                    ` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    elements.pastList.innerHTML = past.length === 0
+        ? '<div class="no-slots">過去のご予約はありません</div>'
+        : past.map(apt => `<div class="portal-appointment">${renderAppointmentSummary(apt)}</div>`).join('');
+}
+
+function renderAppointmentSummary(apt) {
+    return `
+        <div class="portal-appointment-date">
+            ${formatDateTimeLabel(new Date(apt.startAt))}
+            <span class="badge badge-${apt.status}">${getStatusLabel(apt.status)}</span>
+        </div>
+        <div class="portal-appointment-detail">
+            #${apt.id} ${escapeHtml(apt.serviceName)}（担当: ${escapeHtml(apt.staffName)}）
+        </div>
+    `;
+}
+
+async function cancelAppointment(id) {
+    if (!confirm('本当にキャンセルしますか？')) return;
+    hideError();
+
+    try {
+        const result = await api(`/api/portal/appointments/${id}/cancel`, { method: 'POST' });
+        closeReschedule();
+        showMessage(result.message);
+        await loadAppointments();
+    } catch (error) {
+        handleApiError(error);
+    }
+}
+
+// ===== 日時の変更 =====
+function startReschedule(id) {
+    const appointment = state.appointments.upcoming.find(apt => apt.id === id);
+    if (!appointment) return;
+
+    hideError();
+    state.rescheduleTarget = appointment;
+    state.selectedSlot = null;
+
+    document.getElementById('rescheduleTarget').textContent =
+        `#${appointment.id} ${appointment.serviceName}（現在: ${formatDateTimeLabel(new Date(appointment.startAt))}）`;
+    elements.rescheduleDate.value = '';
+    elements.rescheduleDate.min = formatDate(new Date());
+    elements.rescheduleSlots.innerHTML = '';
+    elements.submitReschedule.disabled = true;
+    elements.rescheduleCard.style.display = 'block';
+    elements.rescheduleCard.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeReschedule() {
+    state.rescheduleTarget = null;
+    state.selectedSlot = null;
+    elements.rescheduleCard.style.display = 'none';
+}
+
+async function loadRescheduleSlots(date) {
+    const appointment = state.rescheduleTarget;
+    if (!appointment || !date) return;
+
+    state.selectedSlot = null;
+    elements.submitReschedule.disabled = true;
+    elements.rescheduleSlots.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+
+    // 同じメニュー・担当者（指名時のみ）で空き枠を取得
+    const params = new URLSearchParams({ date, serviceId: appointment.serviceId });
+    if (appointment.staffId) {
+        params.append('staffId', appointment.staffId);
+    }
+
+    try {
+        const result = await api(`/api/slots?${params}`);
+        const slots = (result.slots || []).filter(slot => slot.available);
+
+        if (slots.length === 0) {
+            elements.rescheduleSlots.innerHTML = '<div class="no-slots">この日は空きがありません</div>';
+            return;
+        }
+
+        elements.rescheduleSlots.innerHTML = slots.map(slot => `
+            <div class="slot-item" data-start="${slot.startAt}">${slot.start}</div>
+        `).join('');
+    } catch (error) {
+        elements.rescheduleSlots.innerHTML = `<div class="no-slots">${escapeHtml(error.message)}</div>`;
+    }
+}
+
+async function submitReschedule() {
+    const appointment = state.rescheduleTarget;
+    if (!appointment || !state.selectedSlot) return;
+    if (!confirm('この日時に変更しますか？')) return;
+
+    elements.submitReschedule.disabled = true;
+    hideError();
+
+    try {
+        const result = await api(`/api/portal/appointments/${appointment.id}/reschedule`, {
+            method: 'POST',
+            body: JSON.stringify({ startAt: state.selectedSlot.startAt })
+        });
+
+        closeReschedule();
+        showMessage(`${result.message}。メールアドレスに変更確認メールをお送りしました`);
+        await loadAppointments();
+    } catch (error) {
+        handleApiError(error);
+        elements.submitReschedule.disabled = false;
+    }
+}
+
+// ===== ユーティリティ =====
+function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+}
+
+function formatTime(date) {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+}
+
+function formatDateTimeLabel(date) {
+    const dayNames = ['日', '月', '火', '水', '木', '金', '土'];
+    return `${date.getFullYear()}年${date.getMonth() + 1}月${date.getDate()}日（${dayNames[date.getDay()]}） ${formatTime(date)}`;
+}
+
+function escapeHtml(str) {
+    if (!str) return '';
+    const map = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#039;'
+    };
+    return String(str).replace(/[&<>"']/g, char => map[char]);
+}
+
+function getStatusLabel(status) {
+    const labels = {
+        confirmed: '予約済み',
+        cancelled: 'キャンセル済み',
+        completed: '完了'
+    };
+    return labels[status] || status;
+}
+
+function showMessage(message) {
+    elements.portalMessage.textContent = message;
+    elements.portalMessage.style.display = 'block';
+    window.scrollTo(0, 0);
+}
+
+function showError(message) {
+    elements.globalError.innerHTML = message;
+    elements.globalError.style.display = 'block';
+    window.scrollTo(0, 0);
+}
+
+function hideError() {
+    elements.globalError.style.display = 'none';
+}
@@ -0,0 +1,35 @@
+-- スタッフ勤務表・休暇機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. staff_schedules テーブル作成（スタッフ×曜日ごとの勤務時間帯）
+CREATE TABLE IF NOT EXISTS staff_schedules (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_schedules_staff_day ON staff_schedules(staff_id, day_of_week);
+
+-- 2. staff_leaves テーブル作成（日付単位の休暇・学会・半休）
+CREATE TABLE IF NOT EXISTS staff_leaves (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    leave_type VARCHAR(50) NOT NULL DEFAULT 'vacation',
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    reason VARCHAR(255),
+    created_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_leaves_staff_dates ON staff_leaves(staff_id, start_date, end_date);
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE staff_schedules IS 'スタッフの曜日別勤務時間帯（未登録のスタッフは診療時間中すべて勤務扱い）';
+COMMENT ON COLUMN staff_leaves.leave_type IS '休暇種別 (vacation=休暇, conference=学会, half_day=半休, other=その他)';
+COMMENT ON COLUMN staff_leaves.start_time IS '時間指定の開始時刻 (NULLなら終日)';
@@ -0,0 +1,15 @@
+-- メニュー別担当スタッフ機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. service_staff テーブル作成（メニューとスタッフの多対多）
+CREATE TABLE IF NOT EXISTS service_staff (
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    staff_id INTEGER NOT NULL REFERENCES staff(id) ON DELETE CASCADE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (service_id, staff_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_staff_staff ON service_staff(staff_id);
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE service_staff IS 'メニューごとの対応可能スタッフ（登録のないメニューは全スタッフが対応）';
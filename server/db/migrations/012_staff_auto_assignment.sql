@@ -0,0 +1,13 @@
+-- 指名なし予約の担当者自動割り当て機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. appointments テーブルに自動割り当てフラグを追加
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS auto_assigned BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- 2. settings テーブルに割り当て方法を追加（round_robin / least_loaded / preferred）
+INSERT INTO settings (key, value, description)
+VALUES ('staff_assignment_strategy', 'least_loaded', '指名なし予約の担当者割り当て方法')
+ON CONFLICT (key) DO NOTHING;
+
+-- 確認用
+COMMENT ON COLUMN appointments.auto_assigned IS '指名なし予約で担当者を自動割り当てしたか';
@@ -0,0 +1,30 @@
+-- 設備（チェア・部屋・機器）管理機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. resources テーブル作成
+CREATE TABLE IF NOT EXISTS resources (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    resource_type VARCHAR(20) NOT NULL DEFAULT 'chair',
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- 2. service_resources テーブル作成（メニューごとの必要設備と数）
+CREATE TABLE IF NOT EXISTS service_resources (
+    service_id INTEGER NOT NULL REFERENCES services(id) ON DELETE CASCADE,
+    resource_id INTEGER NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+    PRIMARY KEY (service_id, resource_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_resources_resource ON service_resources(resource_id);
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE resources IS '診療で使用する設備（チェア・レントゲン室など）';
+COMMENT ON COLUMN resources.resource_type IS '設備種別 (chair=チェア, room=部屋, equipment=機器)';
+COMMENT ON COLUMN resources.quantity IS '同時に使用できる数';
+COMMENT ON COLUMN service_resources.quantity IS 'このメニュー1件で使用する数';
@@ -0,0 +1,10 @@
+-- メニューごとの準備・片付け時間（バッファ）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. services テーブルに前後のバッファ時間を追加
+ALTER TABLE services ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER NOT NULL DEFAULT 0;
+
+-- 確認用
+COMMENT ON COLUMN services.buffer_before_minutes IS '施術前の準備時間（分）。担当者・設備のみ押さえ、患者への案内時間には含めない';
+COMMENT ON COLUMN services.buffer_after_minutes IS '施術後の片付け・滅菌時間（分）。担当者・設備のみ押さえ、患者への案内時間には含めない';
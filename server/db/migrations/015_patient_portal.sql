@@ -0,0 +1,20 @@
+-- 患者ポータル（ワンタイムコードログイン）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. patient_login_codes テーブル作成
+CREATE TABLE IF NOT EXISTS patient_login_codes (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_login_codes_patient ON patient_login_codes(patient_id, created_at);
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE patient_login_codes IS '患者ポータルのログイン用ワンタイムコード（ハッシュで保存）';
+COMMENT ON COLUMN patient_login_codes.attempts IS '誤入力の回数（上限を超えたコードは無効）';
+COMMENT ON COLUMN patient_login_codes.used_at IS 'ログインに使用した日時（使用済みのコードは無効）';
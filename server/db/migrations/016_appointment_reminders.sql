@@ -0,0 +1,27 @@
+-- リマインドメール自動送信機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. appointment_reminders テーブル作成
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    hours_before INTEGER NOT NULL,
+    start_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMP,
+    UNIQUE (appointment_id, hours_before, start_at)
+);
+
+-- 2. settings テーブルにリマインド設定を追加
+INSERT INTO settings (key, value, description)
+VALUES
+    ('reminder_enabled', 'true', 'リマインドメールを送信するか'),
+    ('reminder_hours_before', '24,2', 'リマインドメールの送信タイミング（予約の何時間前、カンマ区切り）')
+ON CONFLICT (key) DO NOTHING;
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE appointment_reminders IS 'リマインドメールの送信記録（送信前に行を確保して二重送信を防ぐ）';
+COMMENT ON COLUMN appointment_reminders.hours_before IS '予約の何時間前のリマインドか';
+COMMENT ON COLUMN appointment_reminders.start_at IS '送信時点の予約日時（日時変更後は改めて送信する）';
+COMMENT ON COLUMN appointment_reminders.status IS '送信状態 (pending=送信中, sent=送信済み, failed=失敗, skipped=SMTP未設定)';
@@ -0,0 +1,31 @@
+-- 定期検診リコール機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. services テーブルにリコール設定を追加
+ALTER TABLE services ADD COLUMN IF NOT EXISTS recall_months INTEGER;
+ALTER TABLE services ADD COLUMN IF NOT EXISTS recall_service_id INTEGER REFERENCES services(id) ON DELETE SET NULL;
+
+-- 2. recall_emails テーブル作成
+CREATE TABLE IF NOT EXISTS recall_emails (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL UNIQUE REFERENCES appointments(id) ON DELETE CASCADE,
+    patient_id INTEGER NOT NULL REFERENCES patients(id) ON DELETE CASCADE,
+    service_id INTEGER NOT NULL REFERENCES services(id),
+    due_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    sent_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recall_emails_patient ON recall_emails(patient_id);
+
+-- 3. 既存メニューの初期設定（クリーニング・定期検診は6か月後に定期検診をご案内）
+UPDATE services SET recall_months = 6, recall_service_id = (SELECT id FROM services WHERE name = '定期検診' LIMIT 1)
+WHERE name IN ('クリーニング', '定期検診') AND recall_months IS NULL;
+
+-- 確認用: テーブル説明
+COMMENT ON COLUMN services.recall_months IS '来院後のリコール（定期検診の案内）までの月数。NULLならリコールなし';
+COMMENT ON COLUMN services.recall_service_id IS 'リコールで予約してもらうメニュー。NULLなら同じメニュー';
+COMMENT ON TABLE recall_emails IS 'リコールメールの送信記録（起点となった来院ごとに1通）';
+COMMENT ON COLUMN recall_emails.status IS '送信状態 (pending=送信中, sent=送信済み, failed=失敗, skipped=SMTP未設定)';
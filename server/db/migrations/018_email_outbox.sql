@@ -0,0 +1,18 @@
+-- メール送信キュー（再送）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. email_logs テーブルに送信キュー用の列を追加
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS email_type VARCHAR(50);
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS from_name VARCHAR(255);
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP;
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP;
+
+-- 2. 送信待ちの検索用インデックス
+CREATE INDEX IF NOT EXISTS idx_email_logs_outbox ON email_logs(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_email_logs_status ON email_logs(status, created_at);
+
+-- 確認用: テーブル説明
+COMMENT ON COLUMN email_logs.status IS 'pending: 送信待ち, sent: 送信済み, failed: 送信失敗（キュー導入前・ログインコード）, dead: 再送上限に達した, skipped: SMTP未設定';
+COMMENT ON COLUMN email_logs.attempts IS '送信を試みた回数';
+COMMENT ON COLUMN email_logs.next_attempt_at IS '次に送信を試みる日時（送信待ちの場合のみ）';
@@ -0,0 +1,27 @@
+-- メールテンプレート機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. email_templates テーブル作成（保存されていない種類は初期テンプレートを使う）
+CREATE TABLE IF NOT EXISTS email_templates (
+    id SERIAL PRIMARY KEY,
+    template_key VARCHAR(50) NOT NULL UNIQUE,
+    subject VARCHAR(500) NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    updated_by INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- 2. email_logs テーブルにHTML版の本文を追加
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS body_html TEXT;
+
+-- 3. settings テーブルに地図URLを追加
+INSERT INTO settings (key, value, description)
+VALUES
+    ('clinic_map_url', '', '地図のURL（メールに記載）')
+ON CONFLICT (key) DO NOTHING;
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE email_templates IS 'メールテンプレート（件名・本文に {{変数名}} を差し込む）';
+COMMENT ON COLUMN email_templates.template_key IS 'テンプレートの種類 (confirmation, cancellation, admin_notification)';
+COMMENT ON COLUMN email_templates.body_html IS 'HTML版の本文。空ならテキストのみで送信';
@@ -0,0 +1,12 @@
+-- カレンダー登録（.ics）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. appointments テーブルにカレンダーの更新番号を追加
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0;
+
+-- 2. email_logs テーブルに添付ファイルを追加（再送時も同じ添付を送る）
+ALTER TABLE email_logs ADD COLUMN IF NOT EXISTS attachments JSONB;
+
+-- 確認用: テーブル説明
+COMMENT ON COLUMN appointments.calendar_sequence IS 'カレンダー（.ics）の SEQUENCE。日時変更・キャンセルのたびに増やす';
+COMMENT ON COLUMN email_logs.attachments IS '添付ファイル（nodemailer の attachments 形式の配列）';
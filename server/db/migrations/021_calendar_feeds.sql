@@ -0,0 +1,25 @@
+-- カレンダー配信（iCal 購読）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. カレンダー配信テーブル（購読URLのトークンはハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER, -- NULL は医院全体
+    token_hash VARCHAR(255) NOT NULL UNIQUE,
+    detail_level VARCHAR(20) NOT NULL DEFAULT 'initials', -- initials, name, full
+    created_by INTEGER,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_accessed_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- 2. 配信中のURLは医師ごと（医院全体）に1つまで
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_active
+    ON calendar_feeds ((COALESCE(staff_id, 0))) WHERE revoked_at IS NULL;
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE calendar_feeds IS '医師ごと・医院全体の予約カレンダー配信（iCal 購読URL）';
+COMMENT ON COLUMN calendar_feeds.detail_level IS '予定に載せる患者情報: initials=イニシャルのみ, name=氏名, full=氏名・電話番号・メモ';
+COMMENT ON COLUMN calendar_feeds.revoked_at IS '停止・再発行した日時。設定されたURLは使えない';
@@ -0,0 +1,33 @@
+-- 通知チャネル（メール・SMS・LINE）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. email_logs をすべての送信方法の送信履歴（notification_logs）にする
+ALTER TABLE IF EXISTS email_logs RENAME TO notification_logs;
+
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'notification_logs' AND column_name = 'recipient_email') THEN
+        ALTER TABLE notification_logs RENAME COLUMN recipient_email TO recipient;
+    END IF;
+    IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'notification_logs' AND column_name = 'email_type') THEN
+        ALTER TABLE notification_logs RENAME COLUMN email_type TO notification_type;
+    END IF;
+END $$;
+
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS channel VARCHAR(20) NOT NULL DEFAULT 'email';
+
+ALTER INDEX IF EXISTS idx_email_logs_appointment RENAME TO idx_notification_logs_appointment;
+ALTER INDEX IF EXISTS idx_email_logs_outbox RENAME TO idx_notification_logs_outbox;
+ALTER INDEX IF EXISTS idx_email_logs_status RENAME TO idx_notification_logs_status;
+
+-- 2. patients テーブルにお知らせの送信方法を追加
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS notification_channel VARCHAR(20) NOT NULL DEFAULT 'email';
+ALTER TABLE patients ADD COLUMN IF NOT EXISTS line_user_id VARCHAR(100);
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE notification_logs IS 'お知らせの送信キュー・送信履歴（メール・SMS・LINE）';
+COMMENT ON COLUMN notification_logs.channel IS 'email: メール, sms: SMS, line: LINE';
+COMMENT ON COLUMN notification_logs.recipient IS '宛先（メールアドレス・電話番号・LINE のユーザーID）';
+COMMENT ON COLUMN notification_logs.status IS 'pending: 送信待ち, sent: 送信済み, failed: 送信失敗（キュー導入前・ログインコード）, dead: 再送上限に達した, skipped: 送信設定なし';
+COMMENT ON COLUMN patients.notification_channel IS 'お知らせの送信方法（送れない場合はメール）: email, sms, line';
+COMMENT ON COLUMN patients.line_user_id IS 'LINE で送る場合の宛先（医院で登録）';
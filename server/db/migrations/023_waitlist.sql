@@ -0,0 +1,58 @@
+-- キャンセル待ち機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. キャンセル待ちの登録（希望する期間・メニュー・担当医師）
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    service_id INTEGER NOT NULL,
+    staff_id INTEGER, -- NULL は指名なし
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    time_from TIME, -- 希望する開始時刻の範囲（NULL は指定なし）
+    time_to TIME,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting', -- waiting, offered, booked, cancelled, expired
+    source VARCHAR(20) NOT NULL DEFAULT 'patient', -- patient（予約ページ）, admin（受付）
+    notes TEXT,
+    created_by INTEGER, -- 受付で登録した管理者
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_waiting
+    ON waitlist_entries(service_id, date_from, date_to) WHERE status = 'waiting';
+
+-- 2. 空いた枠のご案内（確保用URLのトークンはハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id SERIAL PRIMARY KEY,
+    entry_id INTEGER NOT NULL,
+    start_at TIMESTAMP NOT NULL,
+    end_at TIMESTAMP NOT NULL,
+    staff_id INTEGER, -- 空いた枠の担当医師（指名なしの登録では確保時に割り当て直す）
+    token_hash VARCHAR(255) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, claimed, expired
+    appointment_id INTEGER, -- 確保して作成された予約
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    claimed_at TIMESTAMP,
+    FOREIGN KEY (entry_id) REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE SET NULL,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_pending
+    ON waitlist_offers(expires_at) WHERE status = 'pending';
+
+-- 3. ご案内の有効期限（時間）
+INSERT INTO settings (key, value, description)
+VALUES ('waitlist_offer_hours', '2', 'キャンセル待ちのご案内の有効期限（時間）')
+ON CONFLICT (key) DO NOTHING;
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE waitlist_entries IS 'キャンセル待ちの登録（空きが出たら登録順にご案内する）';
+COMMENT ON COLUMN waitlist_entries.status IS 'waiting=待機中, offered=ご案内中, booked=予約済み, cancelled=取り消し, expired=希望期間終了';
+COMMENT ON TABLE waitlist_offers IS 'キャンセルで空いた枠のご案内（期限内に確保URLから予約できる）';
@@ -0,0 +1,31 @@
+-- 通院シリーズ（定期的な連続予約）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. 通院シリーズ（根管治療・矯正など、同じメニュー・担当医師で N 週ごとに通う予約のまとまり）
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    service_id INTEGER NOT NULL,
+    staff_id INTEGER, -- NULL は指名なし（回ごとに自動割り当て）
+    interval_weeks INTEGER NOT NULL, -- 何週ごとか
+    occurrences INTEGER NOT NULL, -- 作成時の回数
+    notes TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (patient_id) REFERENCES patients(id),
+    FOREIGN KEY (service_id) REFERENCES services(id),
+    FOREIGN KEY (staff_id) REFERENCES staff(id),
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- 2. 予約とシリーズの紐付け
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES appointment_series(id) ON DELETE SET NULL;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS series_index INTEGER; -- シリーズの何回目か（1始まり）
+
+CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id) WHERE series_id IS NOT NULL;
+
+-- 確認用: テーブル説明
+COMMENT ON TABLE appointment_series IS '通院シリーズ（同じメニュー・担当医師で定期的に通う予約のまとまり）';
+COMMENT ON COLUMN appointments.series_id IS '通院シリーズ（単発の予約は NULL）';
+COMMENT ON COLUMN appointments.series_index IS 'シリーズの何回目か（1始まり）';
@@ -0,0 +1,42 @@
+-- 複数工程のメニュー（衛生士 → 医師など）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. スタッフの職種（工程ごとに担当できる職種を決めるため）
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'doctor'; -- doctor（歯科医師）, hygienist（歯科衛生士）
+
+-- 2. メニューの工程（登録のないメニューは1人の担当者が通しで担当）
+CREATE TABLE IF NOT EXISTS service_segments (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    name VARCHAR(100) NOT NULL, -- 例: クリーニング、麻酔、診察
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes >= 1),
+    staff_role VARCHAR(20) NOT NULL DEFAULT 'doctor', -- この工程を担当する職種
+    gap_after_minutes INTEGER NOT NULL DEFAULT 0 CHECK (gap_after_minutes >= 0), -- 工程後の待ち時間（麻酔が効くまでなど。担当者は空く）
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_segments_service ON service_segments(service_id, sort_order);
+
+-- 3. 予約の工程ごとの担当者と時間帯
+CREATE TABLE IF NOT EXISTS appointment_segments (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    name VARCHAR(100) NOT NULL,
+    staff_role VARCHAR(20) NOT NULL,
+    staff_id INTEGER, -- スタッフ未登録の医院では NULL
+    start_at TIMESTAMP NOT NULL,
+    end_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_segments_appointment ON appointment_segments(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_segments_staff ON appointment_segments(staff_id, start_at);
+
+-- 確認用: テーブル説明
+COMMENT ON COLUMN staff.role IS '職種（doctor: 歯科医師, hygienist: 歯科衛生士）';
+COMMENT ON TABLE service_segments IS 'メニューの工程（順番・所要時間・担当職種・工程後の待ち時間）';
+COMMENT ON TABLE appointment_segments IS '予約の工程ごとの担当者と時間帯（患者には1件の予約として案内）';
@@ -0,0 +1,8 @@
+-- メニュー管理（登録・編集・表示色）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. services テーブルに管理画面のカレンダーで使う表示色を追加
+ALTER TABLE services ADD COLUMN IF NOT EXISTS color VARCHAR(7); -- #RRGGBB（NULL は標準色）
+
+-- 確認用
+COMMENT ON COLUMN services.color IS '管理画面のカレンダーでの表示色（#RRGGBB）。NULLなら標準色';
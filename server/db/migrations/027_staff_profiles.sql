@@ -0,0 +1,16 @@
+-- スタッフプロフィール（専門・紹介文・写真・対応言語・新患受付）機能用マイグレーション
+-- 実行日: 2026-10-19
+
+-- 1. staff テーブルに予約画面で表示するプロフィールを追加
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS specialties TEXT[] NOT NULL DEFAULT '{}'; -- 例: {インプラント,小児歯科}
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS bio TEXT;
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS languages TEXT[] NOT NULL DEFAULT '{}'; -- 例: {日本語,English}
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS photo_filename VARCHAR(255); -- 写真の保存ファイル名（STAFF_PHOTO_DIR 内）
+ALTER TABLE staff ADD COLUMN IF NOT EXISTS accepting_new_patients BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- 確認用
+COMMENT ON COLUMN staff.specialties IS '専門分野（予約画面のプロフィールに表示）';
+COMMENT ON COLUMN staff.bio IS '紹介文（予約画面のプロフィールに表示）';
+COMMENT ON COLUMN staff.languages IS '対応できる言語';
+COMMENT ON COLUMN staff.photo_filename IS '写真のファイル名。写真は STAFF_PHOTO_DIR に保存し /api/staff/:id/photo で配信する';
+COMMENT ON COLUMN staff.accepting_new_patients IS 'FALSE の場合、初めての患者様はこのスタッフを指名して予約できない';
@@ -37,10 +37,16 @@ CREATE TABLE IF NOT EXISTS services (
     name VARCHAR(255) NOT NULL,
     description TEXT,
     duration_minutes INTEGER NOT NULL DEFAULT 30,
+    buffer_before_minutes INTEGER NOT NULL DEFAULT 0, -- 施術前の準備時間（担当者・設備を押さえる）
+    buffer_after_minutes INTEGER NOT NULL DEFAULT 0,  -- 施術後の片付け・滅菌時間（担当者・設備を押さえる）
+    recall_months INTEGER, -- 来院後のリコール（定期検診の案内）までの月数（NULLならリコールなし）
+    recall_service_id INTEGER, -- リコールで予約してもらうメニュー（NULLなら同じメニュー）
+    color VARCHAR(7), -- 管理画面のカレンダーでの表示色（#RRGGBB、NULLなら標準色）
     is_active BOOLEAN NOT NULL DEFAULT TRUE,
     sort_order INTEGER NOT NULL DEFAULT 0,
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (recall_service_id) REFERENCES services(id) ON DELETE SET NULL
 );
 
 -- スタッフ
@@ -48,6 +54,12 @@ CREATE TABLE IF NOT EXISTS staff (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     title VARCHAR(255),
+    role VARCHAR(20) NOT NULL DEFAULT 'doctor', -- doctor（歯科医師）, hygienist（歯科衛生士）
+    specialties TEXT[] NOT NULL DEFAULT '{}', -- 専門分野（予約画面のプロフィール）
+    bio TEXT, -- 紹介文
+    languages TEXT[] NOT NULL DEFAULT '{}', -- 対応できる言語
+    photo_filename VARCHAR(255), -- 写真の保存ファイル名（STAFF_PHOTO_DIR 内）
+    accepting_new_patients BOOLEAN NOT NULL DEFAULT TRUE, -- FALSE なら初めての患者様は指名できない
     is_active BOOLEAN NOT NULL DEFAULT TRUE,
     sort_order INTEGER NOT NULL DEFAULT 0,
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
@@ -62,6 +74,8 @@ CREATE TABLE IF NOT EXISTS patients (
     phone VARCHAR(20) NOT NULL,
     email VARCHAR(255),
     address TEXT,
+    notification_channel VARCHAR(20) NOT NULL DEFAULT 'email', -- email, sms, line（送れない場合はメール）
+    line_user_id VARCHAR(100), -- LINE で送る場合の宛先
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMP NOT NULL DEFAULT NOW()
 );
@@ -84,45 +98,79 @@ CREATE TABLE IF NOT EXISTS patient_notes (
 
 CREATE INDEX IF NOT EXISTS idx_patient_notes_patient ON patient_notes(patient_id);
 
+-- 通院シリーズ（根管治療・矯正など、同じメニュー・担当医師で N 週ごとに通う予約のまとまり）
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    service_id INTEGER NOT NULL,
+    staff_id INTEGER, -- NULL は指名なし（回ごとに自動割り当て）
+    interval_weeks INTEGER NOT NULL, -- 何週ごとか
+    occurrences INTEGER NOT NULL, -- 作成時の回数
+    notes TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (patient_id) REFERENCES patients(id),
+    FOREIGN KEY (service_id) REFERENCES services(id),
+    FOREIGN KEY (staff_id) REFERENCES staff(id),
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
 -- 予約
 CREATE TABLE IF NOT EXISTS appointments (
     id SERIAL PRIMARY KEY,
     patient_id INTEGER NOT NULL,
     service_id INTEGER NOT NULL,
     staff_id INTEGER,
+    auto_assigned BOOLEAN NOT NULL DEFAULT FALSE, -- 指名なし予約で担当者を自動割り当てしたか
     start_at TIMESTAMP NOT NULL,
     end_at TIMESTAMP NOT NULL,
     status VARCHAR(20) NOT NULL DEFAULT 'confirmed', -- confirmed, cancelled, completed
     access_token_hash VARCHAR(255) NOT NULL,
     token_expires_at TIMESTAMP NOT NULL,
     notes TEXT,
+    calendar_sequence INTEGER NOT NULL DEFAULT 0, -- カレンダー（.ics）の SEQUENCE。日時変更・キャンセルのたびに増やす
+    series_id INTEGER, -- 通院シリーズ（単発の予約は NULL）
+    series_index INTEGER, -- シリーズの何回目か（1始まり）
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
     updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
     FOREIGN KEY (patient_id) REFERENCES patients(id),
     FOREIGN KEY (service_id) REFERENCES services(id),
-    FOREIGN KEY (staff_id) REFERENCES staff(id)
+    FOREIGN KEY (staff_id) REFERENCES staff(id),
+    FOREIGN KEY (series_id) REFERENCES appointment_series(id) ON DELETE SET NULL
 );
 
 CREATE INDEX IF NOT EXISTS idx_appointments_start ON appointments(start_at);
 CREATE INDEX IF NOT EXISTS idx_appointments_patient ON appointments(patient_id);
 CREATE INDEX IF NOT EXISTS idx_appointments_status ON appointments(status);
 CREATE INDEX IF NOT EXISTS idx_appointments_token ON appointments(access_token_hash);
+CREATE INDEX IF NOT EXISTS idx_appointments_series ON appointments(series_id) WHERE series_id IS NOT NULL;
 
--- メール送信ログ
-CREATE TABLE IF NOT EXISTS email_logs (
+-- お知らせの送信キュー・送信履歴（メール・SMS・LINE）
+CREATE TABLE IF NOT EXISTS notification_logs (
     id SERIAL PRIMARY KEY,
     appointment_id INTEGER,
-    recipient_email VARCHAR(255) NOT NULL,
+    channel VARCHAR(20) NOT NULL DEFAULT 'email', -- email, sms, line
+    notification_type VARCHAR(50), -- confirmation, cancellation, reminder など
+    recipient VARCHAR(255) NOT NULL, -- メールアドレス・電話番号・LINE のユーザーID
+    from_name VARCHAR(255),
     subject VARCHAR(500) NOT NULL,
     body TEXT NOT NULL,
-    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed
+    body_html TEXT, -- HTML版の本文（テンプレートにHTML版がある場合）
+    attachments JSONB, -- 添付ファイル（.ics など）
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed, dead, skipped
     error_message TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_attempt_at TIMESTAMP,
+    next_attempt_at TIMESTAMP,
     sent_at TIMESTAMP,
     created_at TIMESTAMP NOT NULL DEFAULT NOW(),
     FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL
 );
 
-CREATE INDEX IF NOT EXISTS idx_email_logs_appointment ON email_logs(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_notification_logs_appointment ON notification_logs(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_notification_logs_outbox ON notification_logs(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_notification_logs_status ON notification_logs(status, created_at);
 
 
 
@@ -187,3 +235,223 @@ CREATE TABLE IF NOT EXISTS schedule_exceptions (
 CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_dates ON schedule_exceptions(start_date, end_date);
 CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_type ON schedule_exceptions(exception_type);
 
+
+-- スタッフ勤務表（曜日ごとの勤務時間帯。未登録のスタッフは診療時間中すべて勤務扱い）
+CREATE TABLE IF NOT EXISTS staff_schedules (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER NOT NULL,
+    day_of_week INTEGER NOT NULL CHECK (day_of_week >= 0 AND day_of_week <= 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_schedules_staff_day ON staff_schedules(staff_id, day_of_week);
+
+-- スタッフ休暇（休暇・学会・半休など）
+CREATE TABLE IF NOT EXISTS staff_leaves (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER NOT NULL,
+    leave_type VARCHAR(50) NOT NULL DEFAULT 'vacation',
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,  -- 半休など時間指定の場合のみ使用（NULLなら終日）
+    end_time TIME,
+    reason VARCHAR(255),
+    created_by INTEGER,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_staff_leaves_staff_dates ON staff_leaves(staff_id, start_date, end_date);
+
+-- メニュー×担当スタッフ（対応可能なスタッフ。登録のないメニューは全スタッフが対応）
+CREATE TABLE IF NOT EXISTS service_staff (
+    service_id INTEGER NOT NULL,
+    staff_id INTEGER NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (service_id, staff_id),
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_staff_staff ON service_staff(staff_id);
+
+-- 設備（チェア・部屋・機器）
+CREATE TABLE IF NOT EXISTS resources (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    resource_type VARCHAR(20) NOT NULL DEFAULT 'chair', -- chair, room, equipment
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1), -- 同時に使用できる数（チェアの台数など）
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- メニューごとの必要設備
+CREATE TABLE IF NOT EXISTS service_resources (
+    service_id INTEGER NOT NULL,
+    resource_id INTEGER NOT NULL,
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity >= 1),
+    PRIMARY KEY (service_id, resource_id),
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+    FOREIGN KEY (resource_id) REFERENCES resources(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_resources_resource ON service_resources(resource_id);
+
+-- メニューの工程（登録のないメニューは1人の担当者が通しで担当）
+CREATE TABLE IF NOT EXISTS service_segments (
+    id SERIAL PRIMARY KEY,
+    service_id INTEGER NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    name VARCHAR(100) NOT NULL, -- 例: クリーニング、麻酔、診察
+    duration_minutes INTEGER NOT NULL CHECK (duration_minutes >= 1),
+    staff_role VARCHAR(20) NOT NULL DEFAULT 'doctor', -- この工程を担当する職種
+    gap_after_minutes INTEGER NOT NULL DEFAULT 0 CHECK (gap_after_minutes >= 0), -- 工程後の待ち時間（麻酔が効くまでなど。担当者は空く）
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_segments_service ON service_segments(service_id, sort_order);
+
+-- 予約の工程ごとの担当者と時間帯（患者には1件の予約として案内）
+CREATE TABLE IF NOT EXISTS appointment_segments (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    name VARCHAR(100) NOT NULL,
+    staff_role VARCHAR(20) NOT NULL,
+    staff_id INTEGER, -- スタッフ未登録の医院では NULL
+    start_at TIMESTAMP NOT NULL,
+    end_at TIMESTAMP NOT NULL,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_appointment_segments_appointment ON appointment_segments(appointment_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_segments_staff ON appointment_segments(staff_id, start_at);
+
+-- 患者ポータルのログイン用ワンタイムコード
+CREATE TABLE IF NOT EXISTS patient_login_codes (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0, -- 誤入力の回数
+    used_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_patient_login_codes_patient ON patient_login_codes(patient_id, created_at);
+
+-- リマインドメールの送信記録（同じ予約日時・タイミングへの二重送信防止）
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL,
+    hours_before INTEGER NOT NULL, -- 予約の何時間前のリマインドか
+    start_at TIMESTAMP NOT NULL, -- 送信時点の予約日時（日時変更後は改めて送信する）
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed, skipped
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    sent_at TIMESTAMP,
+    UNIQUE (appointment_id, hours_before, start_at),
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE
+);
+
+-- リコールメールの送信記録（リコールの起点となった来院ごとに1通）
+CREATE TABLE IF NOT EXISTS recall_emails (
+    id SERIAL PRIMARY KEY,
+    appointment_id INTEGER NOT NULL UNIQUE, -- リコールの起点となった完了済みの予約
+    patient_id INTEGER NOT NULL,
+    service_id INTEGER NOT NULL, -- 案内したメニュー
+    due_at TIMESTAMP NOT NULL, -- リコール予定日
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, sent, failed, skipped
+    sent_by INTEGER, -- 送信した管理者
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE CASCADE,
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    FOREIGN KEY (service_id) REFERENCES services(id),
+    FOREIGN KEY (sent_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_recall_emails_patient ON recall_emails(patient_id);
+
+-- メールテンプレート（保存されていない種類は server/lib/emailTemplates.js の初期テンプレートを使う）
+CREATE TABLE IF NOT EXISTS email_templates (
+    id SERIAL PRIMARY KEY,
+    template_key VARCHAR(50) NOT NULL UNIQUE, -- confirmation, cancellation, admin_notification
+    subject VARCHAR(500) NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT, -- 空ならテキストのみで送信
+    updated_by INTEGER,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (updated_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+-- カレンダー配信（iCal 購読URL。トークンはハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id SERIAL PRIMARY KEY,
+    staff_id INTEGER, -- NULL は医院全体
+    token_hash VARCHAR(255) NOT NULL UNIQUE,
+    detail_level VARCHAR(20) NOT NULL DEFAULT 'initials', -- initials, name, full
+    created_by INTEGER,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_accessed_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feeds_active
+    ON calendar_feeds ((COALESCE(staff_id, 0))) WHERE revoked_at IS NULL;
+
+-- キャンセル待ちの登録（希望する期間・メニュー・担当医師）
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id SERIAL PRIMARY KEY,
+    patient_id INTEGER NOT NULL,
+    service_id INTEGER NOT NULL,
+    staff_id INTEGER, -- NULL は指名なし
+    date_from DATE NOT NULL,
+    date_to DATE NOT NULL,
+    time_from TIME, -- 希望する開始時刻の範囲（NULL は指定なし）
+    time_to TIME,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting', -- waiting, offered, booked, cancelled, expired
+    source VARCHAR(20) NOT NULL DEFAULT 'patient', -- patient（予約ページ）, admin（受付）
+    notes TEXT,
+    created_by INTEGER, -- 受付で登録した管理者
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    FOREIGN KEY (patient_id) REFERENCES patients(id) ON DELETE CASCADE,
+    FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE SET NULL,
+    FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_waiting
+    ON waitlist_entries(service_id, date_from, date_to) WHERE status = 'waiting';
+
+-- キャンセル待ちへの空き枠のご案内（確保用URLのトークンはハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id SERIAL PRIMARY KEY,
+    entry_id INTEGER NOT NULL,
+    start_at TIMESTAMP NOT NULL,
+    end_at TIMESTAMP NOT NULL,
+    staff_id INTEGER, -- 空いた枠の担当医師（指名なしの登録では確保時に割り当て直す）
+    token_hash VARCHAR(255) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, claimed, expired
+    appointment_id INTEGER, -- 確保して作成された予約
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    claimed_at TIMESTAMP,
+    FOREIGN KEY (entry_id) REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    FOREIGN KEY (staff_id) REFERENCES staff(id) ON DELETE SET NULL,
+    FOREIGN KEY (appointment_id) REFERENCES appointments(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_pending
+    ON waitlist_offers(expires_at) WHERE status = 'pending';
@@ -54,6 +54,11 @@ async function seed() {
         }
         // シーケンス更新
         await pool.query(`SELECT setval('services_id_seq', (SELECT MAX(id) FROM services))`);
+        // クリーニング・定期検診は6か月後に定期検診をご案内
+        await pool.query(`
+            UPDATE services SET recall_months = 6, recall_service_id = 4
+            WHERE id IN (3, 4) AND recall_months IS NULL
+        `);
         console.log('✅ 診療メニューを登録しました');
 
         // スタッフ
@@ -122,12 +127,17 @@ async function seed() {
             ['clinic_name', '彦歯科医院', '医院名'],
             ['clinic_phone', '03-1234-5678', '電話番号'],
             ['clinic_address', '東京都○○区△△1-2-3', '住所'],
+            ['clinic_map_url', '', '地図のURL（メールに記載）'],
             ['booking_cutoff_days', '2', '予約締切日数'],
             ['booking_cutoff_hours', '3', '予約締切時間'],
             ['booking_max_days_ahead', '60', '最遠予約日数'],
             ['slot_duration_minutes', '30', 'スロット間隔（分）'],
             ['lunch_start', '12:00', '昼休み開始'],
             ['lunch_end', '13:00', '昼休み終了'],
+            ['staff_assignment_strategy', 'least_loaded', '指名なし予約の担当者割り当て方法'],
+            ['reminder_enabled', 'true', 'リマインドメールを送信するか'],
+            ['reminder_hours_before', '24,2', 'リマインドメールの送信タイミング（予約の何時間前、カンマ区切り）'],
+            ['waitlist_offer_hours', '2', 'キャンセル待ちのご案内の有効期限（時間）'],
         ];
 
         for (const [key, value, description] of settings) {
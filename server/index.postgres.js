@@ -16,12 +16,30 @@ const path = require('path');
 const security = require('./lib/security');
 const slots = require('./lib/slots.postgres');
 const mailer = require('./lib/mailer');
+const notifications = require('./lib/notifications');
+const notificationChannels = require('./lib/notificationChannels');
+const reminders = require('./lib/reminders');
+const recalls = require('./lib/recalls');
+const emailTemplates = require('./lib/emailTemplates');
+const ics = require('./lib/ics');
+const calendarFeeds = require('./lib/calendarFeeds');
+const waitlist = require('./lib/waitlist');
+const appointmentSeries = require('./lib/appointmentSeries');
+const staffPhotos = require('./lib/staffPhotos');
 const db = require('./db/db');
 
 // 設定
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev-secret-change-in-production';
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// ローカルサーバーでリマインドメールを確認する間隔
+const REMINDER_INTERVAL_MS = 5 * 60 * 1000; // 5分
+// ローカルサーバーで送信待ちの通知（メール・SMS・LINE）を再送する間隔
+const NOTIFICATION_OUTBOX_INTERVAL_MS = 60 * 1000; // 1分
+// ローカルサーバーで期限切れのキャンセル待ちのご案内を確認する間隔
+const WAITLIST_INTERVAL_MS = 5 * 60 * 1000; // 5分
 
 // Express アプリ作成
 const app = express();
@@ -76,6 +94,13 @@ const bookingLimiter = rateLimit({
     message: { error: 'リクエストが多すぎます。しばらく待ってから再度お試しください。' }
 });
 
+// 予約確認URLの再送は総当たりとメール大量送信を防ぐため厳しめに制限
+const lookupLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1時間
+    max: 5, // 5リクエストまで
+    message: { error: 'リクエストが多すぎます。しばらく待ってから再度お試しください。' }
+});
+
 // 静的ファイル
 app.use(express.static(path.join(__dirname, '..', 'client')));
 
@@ -97,6 +122,14 @@ function requireAdmin(req, res, next) {
     next();
 }
 
+// 患者ポータル（ログイン済み患者のみ）
+function requirePatient(req, res, next) {
+    if (!req.session.patientId) {
+        return res.status(401).json({ error: 'ログインが必要です' });
+    }
+    next();
+}
+
 async function logAudit(adminId, action, entityType, entityId, oldValue, newValue, req) {
     try {
         await db.execute(`
@@ -117,6 +150,266 @@ async function logAudit(adminId, action, entityType, entityId, oldValue, newValu
     }
 }
 
+/**
+ * 患者による予約変更・キャンセルの締切（予約日の cutoffDays 日前）を過ぎていないか
+ */
+function isBeforePatientChangeCutoff(startAt, cutoffDays) {
+    const cutoffDate = new Date(startAt);
+    cutoffDate.setDate(cutoffDate.getDate() - cutoffDays);
+    return new Date() <= cutoffDate;
+}
+
+/**
+ * 予約の .ics ファイルを返す（予約確認URL・マイページ共通）
+ * メールで送った予定と同じ UID なので、取り込み済みの予定は上書きされる
+ * @param {Object} appointment - 予約（service_name, staff_name を含む）
+ */
+function sendCalendarFile(res, appointment, settings) {
+    const content = ics.buildAppointmentCalendar({
+        appointment,
+        serviceName: appointment.service_name,
+        staffName: appointment.staff_name,
+        settings,
+        method: 'PUBLISH'
+    });
+
+    res.set('Content-Type', ics.CONTENT_TYPE);
+    res.set('Content-Disposition', `attachment; filename="appointment-${appointment.id}.ics"`);
+    res.send(content);
+}
+
+/**
+ * 患者による予約キャンセル（予約確認URL・マイページ共通）
+ * @param {Object} appointment - 確定済みの予約（患者の name/email/phone/notification_channel/line_user_id を含む）
+ * @returns {Promise<{error?: string, status?: number}>}
+ */
+async function cancelAppointmentByPatient(appointment) {
+    // キャンセル締切チェック
+    const settings = await getSettings();
+
+    const cutoffDays = parseInt(settings.booking_cutoff_days) || 2;
+
+    if (!isBeforePatientChangeCutoff(appointment.start_at, cutoffDays)) {
+        return { status: 400, error: `キャンセルは予約日の${cutoffDays}日前までです。お電話でお問い合わせください。` };
+    }
+
+    // キャンセル実行（カレンダーの予定も取り消せるよう更新番号を進める）
+    // 同時にキャンセル・日時変更された予約は対象外にし、お知らせ・キャンセル待ちのご案内を重複させない
+    const cancelled = await db.queryOne(`
+        UPDATE appointments SET status = 'cancelled', calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+        WHERE id = $1 AND status = 'confirmed' AND start_at = $2
+        RETURNING calendar_sequence
+    `, [appointment.id, appointment.start_at]);
+
+    if (!cancelled) {
+        return { status: 409, error: 'この予約は既に変更またはキャンセルされています' };
+    }
+
+    // キャンセルのお知らせ送信
+    const service = { name: appointment.service_name };
+    const patient = {
+        name: appointment.name,
+        email: appointment.email,
+        phone: appointment.phone,
+        notification_channel: appointment.notification_channel,
+        line_user_id: appointment.line_user_id
+    };
+    mailer.sendCancellationEmail(db, { ...appointment, calendar_sequence: cancelled.calendar_sequence }, patient, service, settings)
+        .catch(err => console.error('キャンセルメール送信エラー:', err));
+
+    // 空いた枠をキャンセル待ちの方へご案内
+    waitlist.offerFreedSlot(appointment, settings)
+        .catch(err => console.error('キャンセル待ちご案内エラー:', err));
+
+    return {};
+}
+
+/**
+ * 患者による予約日時の変更（予約確認URL・マイページ共通）
+ * 同じメニュー・担当者のまま、通常の予約と同じ基準で検証して排他ロック付きで移動する
+ * @param {Object} appointment - 確定済みの予約（services.duration_minutes を含む）
+ * @param {string} startAt - 変更後の開始日時
+ * @param {string|null} accessToken - 変更確認メールに載せる平文トークン（マイページからは null）
+ * @returns {Promise<{error?: string, status?: number, appointment?: Object}>}
+ */
+async function rescheduleAppointment(appointment, startAt, accessToken, req) {
+    // 変更締切チェック（キャンセルと同じく変更元の予約日の締切まで）
+    const settings = await getSettings();
+
+    const cutoffDays = parseInt(settings.booking_cutoff_days) || 2;
+
+    if (!isBeforePatientChangeCutoff(appointment.start_at, cutoffDays)) {
+        return { status: 400, error: `日時の変更は予約日の${cutoffDays}日前までです。お電話でお問い合わせください。` };
+    }
+
+    // 終了時刻はメニューの所要時間から決める
+    const newStart = new Date(startAt);
+    if (isNaN(newStart.getTime())) {
+        return { status: 400, error: '無効な日時です' };
+    }
+    const newEnd = new Date(newStart.getTime() + appointment.duration_minutes * 60000);
+
+    // 指名した担当者は引き継ぎ、自動割り当てだった場合は変更先で割り当て直す
+    const staffId = appointment.auto_assigned ? null : appointment.staff_id;
+
+    // 新しい日時を通常の予約と同じ基準で検証（予約受付期間・営業時間・担当者の勤務など）
+    const bookingValidation = await slots.validateBooking(
+        newStart.toISOString(),
+        newEnd.toISOString(),
+        appointment.service_id,
+        staffId,
+        settings,
+        { excludeAppointmentId: appointment.id }
+    );
+
+    if (!bookingValidation.valid) {
+        return { status: 400, error: bookingValidation.error };
+    }
+
+    const client = await db.getPool().connect();
+    let availability;
+
+    try {
+        await client.query('BEGIN');
+
+        // 変更元の予約をロックし、同時にキャンセル・変更されていないか確認
+        const lockedRes = await client.query(`
+            SELECT id FROM appointments WHERE id = $1 AND status = 'confirmed' AND start_at = $2 FOR UPDATE
+        `, [appointment.id, appointment.start_at]);
+
+        if (!lockedRes.rows[0]) {
+            await client.query('ROLLBACK');
+            return { status: 409, error: 'この予約は既に変更またはキャンセルされています' };
+        }
+
+        // === 排他ロック付き重複チェック（変更元の予約自身は除く） ===
+        availability = await slots.checkBookingAvailability(client, {
+            serviceId: appointment.service_id,
+            staffId,
+            startAt: newStart,
+            endAt: newEnd,
+            patientId: appointment.patient_id,
+            excludeAppointmentId: appointment.id
+        }, settings);
+
+        if (!availability.available) {
+            await client.query('ROLLBACK');
+            return { status: 409, error: availability.error };
+        }
+
+        // 予約を移動（リンクは変更後の予約日まで使えるよう有効期限を延長）
+        const tokenExpiry = security.calculateTokenExpiry();
+        await client.query(`
+            UPDATE appointments
+            SET start_at = $1, end_at = $2, staff_id = $3, auto_assigned = $4,
+                token_expires_at = GREATEST(token_expires_at, $5),
+                calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+            WHERE id = $6
+        `, [
+            newStart.toISOString(),
+            newEnd.toISOString(),
+            availability.staffId,
+            availability.autoAssigned,
+            tokenExpiry.toISOString(),
+            appointment.id
+        ]);
+        await slots.saveAppointmentSegments(client, appointment.id, availability.segments);
+
+        await client.query('COMMIT');
+    } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+    } finally {
+        client.release();
+    }
+
+    // 変更履歴（患者本人による操作のため admin_id は NULL）
+    await logAudit(
+        null, 'reschedule_appointment', 'appointment', appointment.id,
+        { startAt: appointment.start_at, endAt: appointment.end_at, staffId: appointment.staff_id },
+        { startAt: newStart.toISOString(), endAt: newEnd.toISOString(), staffId: availability.staffId },
+        req
+    );
+
+    // 変更確認メール送信（非同期、失敗しても変更は確定）
+    const updated = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointment.id]);
+    const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [appointment.service_id]);
+    const staffData = availability.staffId ? await db.queryOne('SELECT * FROM staff WHERE id = $1', [availability.staffId]) : null;
+    const patientData = await db.queryOne('SELECT * FROM patients WHERE id = $1', [appointment.patient_id]);
+
+    mailer.sendRescheduleEmail(db, updated, patientData, service, staffData, appointment.start_at, accessToken, settings)
+        .catch(err => console.error('変更確認メール送信エラー:', err));
+
+    // 変更前の枠をキャンセル待ちの方へご案内
+    waitlist.offerFreedSlot(appointment, settings)
+        .catch(err => console.error('キャンセル待ちご案内エラー:', err));
+
+    return {
+        appointment: {
+            id: appointment.id,
+            startAt: updated.start_at,
+            endAt: updated.end_at,
+            service: service.name,
+            staff: staffData ? staffData.name : '指名なし'
+        }
+    };
+}
+
+/**
+ * 電話番号（またはメールアドレス）が一致する患者を取得し、いなければ新規登録する
+ * Web予約・キャンセル待ちの登録で共通（一致した患者は氏名・ふりがなを最新にする）
+ * @param {Object} client - トランザクション中のDBクライアント
+ * @param {Object} data - { name, kana, phone, email, address }
+ * @returns {Promise<{id: number}>}
+ */
+async function findOrCreatePatient(client, { name, kana, phone, email, address }) {
+    // 既存患者の検索（電話またはメールで一致）
+    let patient = null;
+    const cleanPhone = phone.replace(/[-\s]/g, '');
+
+    if (email) {
+        const patientRes = await client.query(`
+            SELECT * FROM patients WHERE phone = $1 OR email = $2
+        `, [cleanPhone, email]);
+        patient = patientRes.rows[0] || null;
+    } else {
+        const patientRes = await client.query(`
+            SELECT * FROM patients WHERE phone = $1
+        `, [cleanPhone]);
+        patient = patientRes.rows[0] || null;
+    }
+
+    // 患者が存在しない場合は新規作成
+    if (!patient) {
+        const patientRes = await client.query(`
+            INSERT INTO patients (name, kana, phone, email, address)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+        `, [
+            security.sanitize(name),
+            security.sanitize(kana),
+            cleanPhone,
+            email ? security.sanitize(email) : null,
+            address ? security.sanitize(address) : null
+        ]);
+        patient = { id: patientRes.rows[0].id };
+    } else {
+        // 既存患者の情報を更新
+        await client.query(`
+            UPDATE patients SET name = $1, kana = $2, email = COALESCE($3, email), address = COALESCE($4, address), updated_at = NOW()
+            WHERE id = $5
+        `, [
+            security.sanitize(name),
+            security.sanitize(kana),
+            email ? security.sanitize(email) : null,
+            address ? security.sanitize(address) : null,
+            patient.id
+        ]);
+    }
+
+    return patient;
+}
+
 // ===== 公開API =====
 
 // サービス一覧
@@ -136,17 +429,49 @@ app.get('/api/services', async (req, res) => {
 // スタッフ一覧
 app.get('/api/staff', async (req, res) => {
     try {
-        const staff = await db.queryAll(`
-            SELECT id, name, title
-            FROM staff WHERE is_active = true ORDER BY sort_order
-        `);
-        res.json(staff);
+        const serviceId = req.query.serviceId ? Number(req.query.serviceId) : null;
+
+        if (serviceId !== null && !Number.isInteger(serviceId)) {
+            return res.status(400).json({ error: 'メニューの指定が正しくありません' });
+        }
+
+        // メニュー指定時は、そのメニューを担当するスタッフのみ
+        const staff = await slots.getEligibleStaff(serviceId);
+        res.json(staff.map(({ photo_filename, ...member }) => ({
+            ...member,
+            photo_url: staffPhotos.getPhotoUrl({ id: member.id, photo_filename })
+        })));
     } catch (error) {
         console.error('スタッフ取得エラー:', error);
         res.status(500).json({ error: 'スタッフの取得に失敗しました' });
     }
 });
 
+// スタッフの写真（予約画面のプロフィール用）
+app.get('/api/staff/:id/photo', async (req, res) => {
+    try {
+        const staff = await db.queryOne(
+            'SELECT photo_filename FROM staff WHERE id = $1 AND is_active = true',
+            [req.params.id]
+        );
+        if (!staff || !staff.photo_filename) {
+            return res.status(404).json({ error: '写真が見つかりません' });
+        }
+
+        // URLにファイル名が付くため、差し替えるまでキャッシュしてよい
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.type(staffPhotos.getPhotoContentType(staff.photo_filename));
+        res.sendFile(staffPhotos.getPhotoPath(staff.photo_filename), (error) => {
+            if (error && !res.headersSent) {
+                res.status(404).json({ error: '写真が見つかりません' });
+            }
+        });
+    } catch (error) {
+        console.error('写真取得エラー:', error);
+        res.status(500).json({ error: '写真の取得に失敗しました' });
+    }
+});
+
 // 予約可能日一覧
 app.get('/api/available-dates', async (req, res) => {
     try {
@@ -159,6 +484,102 @@ app.get('/api/available-dates', async (req, res) => {
     }
 });
 
+// 期間内の日ごとの空き状況（予約カレンダー表示用）
+app.get('/api/availability', async (req, res) => {
+    try {
+        const { from, to, serviceId, staffId } = req.query;
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!from || !to || !serviceId) {
+            return res.status(400).json({ error: '期間とメニューを指定してください' });
+        }
+
+        if (!datePattern.test(from) || !datePattern.test(to) || from > to) {
+            return res.status(400).json({ error: '無効な期間です' });
+        }
+
+        if (!Number.isInteger(Number(serviceId)) || (staffId && !Number.isInteger(Number(staffId)))) {
+            return res.status(400).json({ error: 'メニュー・担当者の指定が正しくありません' });
+        }
+
+        // 一度に取得できるのは約2か月分まで
+        const rangeDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+        if (isNaN(rangeDays) || rangeDays > 62) {
+            return res.status(400).json({ error: '期間は62日以内で指定してください' });
+        }
+
+        const settings = await getSettings();
+        const result = await slots.getAvailabilitySummary(
+            from,
+            to,
+            Number(serviceId),
+            staffId ? Number(staffId) : null,
+            settings
+        );
+
+        if (result.error) {
+            return res.status(400).json({ error: result.error, days: [] });
+        }
+
+        res.json({ days: result.days });
+    } catch (error) {
+        console.error('空き状況取得エラー:', error);
+        res.status(500).json({ error: '空き状況の取得に失敗しました' });
+    }
+});
+
+// 最短の空き枠検索（患者画面・電話受付の両方で使用）
+app.get('/api/slots/next-available', async (req, res) => {
+    try {
+        const { serviceId, staffId, from, count, weekdays, timeFrom, timeTo } = req.query;
+        const timePattern = /^\d{2}:\d{2}$/;
+
+        if (!serviceId) {
+            return res.status(400).json({ error: 'メニューを指定してください' });
+        }
+
+        if (!Number.isInteger(Number(serviceId)) || (staffId && !Number.isInteger(Number(staffId)))) {
+            return res.status(400).json({ error: 'メニュー・担当者の指定が正しくありません' });
+        }
+
+        if (from && !/^\d{4}-\d{2}-\d{2}$/.test(from)) {
+            return res.status(400).json({ error: '無効な日付です' });
+        }
+
+        if ((timeFrom && !timePattern.test(timeFrom)) || (timeTo && !timePattern.test(timeTo))) {
+            return res.status(400).json({ error: '時間帯はHH:MM形式で指定してください' });
+        }
+
+        // 希望曜日（カンマ区切り、0=日〜6=土）
+        const weekdayList = weekdays
+            ? weekdays.split(',').map(d => parseInt(d)).filter(d => d >= 0 && d <= 6)
+            : [];
+
+        const settings = await getSettings();
+        const result = await slots.findNextAvailableSlots(
+            from || slots.formatDate(new Date()),
+            Number(serviceId),
+            staffId ? Number(staffId) : null,
+            {
+                count: Math.min(Math.max(parseInt(count) || 5, 1), 20),
+                weekdays: weekdayList,
+                timeFrom: timeFrom || null,
+                timeTo: timeTo || null
+            },
+            settings
+        );
+
+        if (result.error) {
+            return res.status(400).json({ error: result.error, slots: [] });
+        }
+
+        res.json({ slots: result.slots });
+    } catch (error) {
+        console.error('最短空き枠検索エラー:', error);
+        res.status(500).json({ error: '空き枠の検索に失敗しました' });
+    }
+});
+
 // 空き時間スロット
 app.get('/api/slots', async (req, res) => {
     try {
@@ -228,86 +649,27 @@ app.post('/api/appointments', bookingLimiter, async (req, res) => {
         try {
             await client.query('BEGIN');
 
-            // 既存患者の検索（電話またはメールで一致）
-            let patient = null;
-            const cleanPhone = phone.replace(/[-\s]/g, '');
-
-            if (email) {
-                const patientRes = await client.query(`
-                    SELECT * FROM patients WHERE phone = $1 OR email = $2
-                `, [cleanPhone, email]);
-                patient = patientRes.rows[0] || null;
-            } else {
-                const patientRes = await client.query(`
-                    SELECT * FROM patients WHERE phone = $1
-                `, [cleanPhone]);
-                patient = patientRes.rows[0] || null;
-            }
-
-            // 患者が存在しない場合は新規作成
-            if (!patient) {
-                const patientRes = await client.query(`
-                    INSERT INTO patients (name, kana, phone, email, address)
-                    VALUES ($1, $2, $3, $4, $5)
-                    RETURNING id
-                `, [
-                    security.sanitize(name),
-                    security.sanitize(kana),
-                    cleanPhone,
-                    email ? security.sanitize(email) : null,
-                    address ? security.sanitize(address) : null
-                ]);
-                patient = { id: patientRes.rows[0].id };
-            } else {
-                // 既存患者の情報を更新
-                await client.query(`
-                    UPDATE patients SET name = $1, kana = $2, email = COALESCE($3, email), address = COALESCE($4, address), updated_at = NOW()
-                    WHERE id = $5
-                `, [
-                    security.sanitize(name),
-                    security.sanitize(kana),
-                    email ? security.sanitize(email) : null,
-                    address ? security.sanitize(address) : null,
-                    patient.id
-                ]);
-            }
+            const patient = await findOrCreatePatient(client, { name, kana, phone, email, address });
 
             // === 排他ロック付き重複チェック (Race Condition 対策) ===
             // FOR UPDATE でロックを取得し、同時予約によるダブルブッキングを防止
-            const parsedStaffId = staffId ? parseInt(staffId) : null;
-
-            if (parsedStaffId) {
-                // スタッフ指名ありの場合
-                const conflictRes = await client.query(`
-                    SELECT id FROM appointments
-                    WHERE status = 'confirmed'
-                    AND start_at < $1 AND end_at > $2
-                    AND (staff_id = $3 OR staff_id IS NULL)
-                    FOR UPDATE
-                `, [endAt, startAt, parsedStaffId]);
-
-                if (conflictRes.rows.length > 0) {
-                    await client.query('ROLLBACK');
-                    return res.status(409).json({ error: 'この担当者はその時間帯に既に予約が入っています。別の時間帯をお選びください。' });
-                }
-            } else {
-                // 指名なしの場合：キャパシティチェック
-                const conflictRes = await client.query(`
-                    SELECT id FROM appointments
-                    WHERE status = 'confirmed'
-                    AND start_at < $1 AND end_at > $2
-                    FOR UPDATE
-                `, [endAt, startAt]);
-
-                const bookingCount = conflictRes.rows.length;
-                const capacity = parseInt(settings.default_slot_capacity) || 1;
-
-                if (bookingCount >= capacity) {
-                    await client.query('ROLLBACK');
-                    return res.status(409).json({ error: 'この時間帯は満席です。別の時間帯をお選びください。' });
-                }
+            // キャパシティ・担当者（指名なしは自動割り当て）・設備をまとめて確認
+            const availability = await slots.checkBookingAvailability(client, {
+                serviceId: parseInt(serviceId),
+                staffId: staffId ? parseInt(staffId) : null,
+                startAt,
+                endAt,
+                patientId: patient.id
+            }, settings);
+
+            if (!availability.available) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: availability.error });
             }
 
+            const parsedStaffId = availability.staffId;
+            const autoAssigned = availability.autoAssigned;
+
             // アクセストークン生成
             const accessToken = security.generateAccessToken();
             const tokenHash = security.hashToken(accessToken);
@@ -315,13 +677,14 @@ app.post('/api/appointments', bookingLimiter, async (req, res) => {
 
             // 予約作成
             const appointmentRes = await client.query(`
-                INSERT INTO appointments (patient_id, service_id, staff_id, start_at, end_at, access_token_hash, token_expires_at)
-                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                INSERT INTO appointments (patient_id, service_id, staff_id, auto_assigned, start_at, end_at, access_token_hash, token_expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                 RETURNING id
             `, [
                 patient.id,
                 parseInt(serviceId),
                 parsedStaffId,
+                autoAssigned,
                 startAt,
                 endAt,
                 tokenHash,
@@ -329,6 +692,7 @@ app.post('/api/appointments', bookingLimiter, async (req, res) => {
             ]);
 
             const appointmentId = appointmentRes.rows[0].id;
+            await slots.saveAppointmentSegments(client, appointmentId, availability.segments);
 
             await client.query('COMMIT');
 
@@ -408,7 +772,10 @@ app.get('/api/appointments/by-token', async (req, res) => {
             startAt: appointment.start_at,
             endAt: appointment.end_at,
             status: appointment.status,
+            serviceId: appointment.service_id,
             serviceName: appointment.service_name,
+            // 日時変更では指名した担当者のみ引き継ぐ（自動割り当ては変更先で割り当て直す）
+            staffId: appointment.auto_assigned ? null : appointment.staff_id,
             staffName: appointment.staff_name || '指名なし',
             patientName: appointment.patient_name
         });
@@ -419,678 +786,2015 @@ app.get('/api/appointments/by-token', async (req, res) => {
     }
 });
 
-// 予約キャンセル
-app.post('/api/appointments/cancel', bookingLimiter, async (req, res) => {
+// カレンダー登録用ファイル（.ics）のダウンロード（予約確認URLから）
+app.get('/api/appointments/calendar.ics', async (req, res) => {
     try {
-        const { token } = req.body;
+        const { token } = req.query;
 
         if (!token) {
             return res.status(400).json({ error: 'トークンが必要です' });
         }
 
-        const tokenHash = security.hashToken(token);
-
         const appointment = await db.queryOne(`
-            SELECT a.*, p.*, s.name as service_name
+            SELECT a.*, s.name as service_name, st.name as staff_name
             FROM appointments a
-            JOIN patients p ON a.patient_id = p.id
             JOIN services s ON a.service_id = s.id
+            LEFT JOIN staff st ON a.staff_id = st.id
             WHERE a.access_token_hash = $1
             AND a.token_expires_at > NOW()
             AND a.status = 'confirmed'
-        `, [tokenHash]);
+        `, [security.hashToken(token)]);
 
         if (!appointment) {
-            return res.status(404).json({ error: '予約が見つからないか、既にキャンセル済みです' });
-        }
-
-        // キャンセル締切チェック
-        const settings = await getSettings();
-        const cutoffDays = parseInt(settings.booking_cutoff_days) || 2;
-        const startDate = new Date(appointment.start_at);
-        const cutoffDate = new Date(startDate);
-        cutoffDate.setDate(cutoffDate.getDate() - cutoffDays);
-
-        if (new Date() > cutoffDate) {
-            return res.status(400).json({
-                error: `キャンセルは予約日の${cutoffDays}日前までです。お電話でお問い合わせください。`
-            });
+            return res.status(404).json({ error: '予約が見つからないか、リンクの有効期限が切れています' });
         }
 
-        // キャンセル実行
-        await db.execute(`
-            UPDATE appointments SET status = 'cancelled', updated_at = NOW()
-            WHERE id = $1
-        `, [appointment.id]);
-
-        // キャンセルメール送信
-        const service = { name: appointment.service_name };
-        const patient = { name: appointment.name, email: appointment.email };
-        mailer.sendCancellationEmail(null, appointment, patient, service, settings)
-            .catch(err => console.error('キャンセルメール送信エラー:', err));
-
-        res.json({ success: true, message: '予約をキャンセルしました' });
+        sendCalendarFile(res, appointment, await getSettings());
 
     } catch (error) {
-        console.error('キャンセルエラー:', error);
-        res.status(500).json({ error: 'キャンセルに失敗しました' });
+        console.error('カレンダーファイル作成エラー:', error);
+        res.status(500).json({ error: 'カレンダーファイルの作成に失敗しました' });
     }
 });
 
-// ===== 管理者API =====
-
-// ログイン
-app.post('/api/admin/login', async (req, res) => {
+// 予約確認URLの再送（確認メールを紛失した患者向け）
+// 該当する予約の有無にかかわらず同じ応答を返し、登録済みのメールアドレスにのみ送信する
+app.post('/api/appointments/lookup', lookupLimiter, async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { phone, email, appointmentNumber } = req.body;
 
-        if (!username || !password) {
-            return res.status(400).json({ error: 'ユーザー名とパスワードを入力してください' });
+        if (!phone || (!email && !appointmentNumber)) {
+            return res.status(400).json({ error: '電話番号と、メールアドレスまたは予約番号を入力してください' });
         }
 
-        const admin = await db.queryOne(`
-            SELECT * FROM admins WHERE username = $1 AND is_active = true
-        `, [username]);
-
-        if (!admin) {
-            return res.status(401).json({ error: 'ユーザー名またはパスワードが正しくありません' });
+        const cleanPhone = String(phone).replace(/[-\s]/g, '');
+        const appointmentId = appointmentNumber ? parseInt(String(appointmentNumber).replace(/^#/, '')) : null;
+
+        // 今後の確定済み予約のうち、電話番号＋（予約番号 または 登録メールアドレス）が一致するもの
+        let appointments = [];
+        if (appointmentId) {
+            appointments = await db.queryAll(`
+                SELECT a.*, s.name as service_name
+                FROM appointments a
+                JOIN patients p ON a.patient_id = p.id
+                JOIN services s ON a.service_id = s.id
+                WHERE a.id = $1 AND p.phone = $2
+                AND a.status = 'confirmed' AND a.start_at > NOW()
+            `, [appointmentId, cleanPhone]);
+        } else if (security.isValidEmail(email)) {
+            appointments = await db.queryAll(`
+                SELECT a.*, s.name as service_name
+                FROM appointments a
+                JOIN patients p ON a.patient_id = p.id
+                JOIN services s ON a.service_id = s.id
+                WHERE p.phone = $1 AND LOWER(p.email) = LOWER($2)
+                AND a.status = 'confirmed' AND a.start_at > NOW()
+                ORDER BY a.start_at
+            `, [cleanPhone, security.sanitize(email)]);
         }
 
-        const validPassword = await security.verifyPassword(password, admin.password_hash);
-        if (!validPassword) {
-            return res.status(401).json({ error: 'ユーザー名またはパスワードが正しくありません' });
-        }
+        const patient = appointments.length > 0
+            ? await db.queryOne('SELECT * FROM patients WHERE id = $1', [appointments[0].patient_id])
+            : null;
 
-        // ログイン成功
-        req.session.adminId = admin.id;
-        req.session.adminName = admin.display_name;
+        if (patient && patient.email) {
+            // トークンを再発行し、古いURLは無効にする
+            const links = [];
+            for (const appointment of appointments) {
+                const accessToken = security.generateAccessToken();
+                const tokenExpiry = security.calculateTokenExpiry();
 
-        // 最終ログイン更新
-        await db.execute(`
-            UPDATE admins SET last_login_at = NOW() WHERE id = $1
-        `, [admin.id]);
+                await db.execute(`
+                    UPDATE appointments
+                    SET access_token_hash = $1, token_expires_at = GREATEST($2, end_at), updated_at = NOW()
+                    WHERE id = $3
+                `, [security.hashToken(accessToken), tokenExpiry.toISOString(), appointment.id]);
 
-        // 監査ログ
-        await logAudit(admin.id, 'login', 'admin', admin.id, null, null, req);
+                links.push({ appointment, serviceName: appointment.service_name, accessToken });
+            }
+
+            const settings = await getSettings();
+            mailer.sendAccessLinkEmail(db, patient, links, settings)
+                .catch(err => console.error('予約確認URL送信エラー:', err));
+        }
 
+        // 予約・患者の有無が分からないよう常に同じ応答
         res.json({
             success: true,
-            admin: {
-                id: admin.id,
-                username: admin.username,
-                displayName: admin.display_name
-            }
+            message: 'ご入力の内容に一致するご予約がある場合、ご登録のメールアドレスに予約確認用のURLをお送りしました'
         });
 
     } catch (error) {
-        console.error('ログインエラー:', error);
-        res.status(500).json({ error: 'ログインに失敗しました' });
+        console.error('予約確認URL再送エラー:', error);
+        res.status(500).json({ error: '予約確認URLの送信に失敗しました' });
     }
 });
 
-// ログアウト
-app.post('/api/admin/logout', async (req, res) => {
-    if (req.session.adminId) {
-        await logAudit(req.session.adminId, 'logout', 'admin', req.session.adminId, null, null, req);
-    }
-    req.session = null;
-    res.json({ success: true });
-});
+// 予約日時の変更（トークン所持者による変更、同じメニュー・担当者で別の枠へ移動）
+app.post('/api/appointments/reschedule', bookingLimiter, async (req, res) => {
+    try {
+        const { token, startAt } = req.body;
 
-// セッション確認
-app.get('/api/admin/me', requireAdmin, (req, res) => {
-    res.json({
-        id: req.session.adminId,
-        displayName: req.session.adminName
-    });
-});
+        if (!token || !startAt) {
+            return res.status(400).json({ error: 'トークンと変更後の日時が必要です' });
+        }
 
-// 予約一覧（管理者用）
-app.get('/api/admin/appointments', requireAdmin, async (req, res) => {
-    try {
-        const { start, end, status } = req.query;
+        const tokenHash = security.hashToken(token);
 
-        let query = `
-            SELECT 
-                a.id, a.start_at, a.end_at, a.status, a.notes, a.created_at,
-                s.name as service_name, s.duration_minutes,
-                st.name as staff_name,
-                p.id as patient_id, p.name as patient_name, p.kana as patient_kana, p.phone as patient_phone
+        const appointment = await db.queryOne(`
+            SELECT a.*, s.duration_minutes
             FROM appointments a
             JOIN services s ON a.service_id = s.id
-            LEFT JOIN staff st ON a.staff_id = st.id
-            JOIN patients p ON a.patient_id = p.id
-            WHERE 1=1
-        `;
-        const params = [];
-        let paramIndex = 1;
+            WHERE a.access_token_hash = $1
+            AND a.token_expires_at > NOW()
+            AND a.status = 'confirmed'
+        `, [tokenHash]);
 
-        if (start) {
-            query += ` AND a.start_at >= $${paramIndex++}`;
-            params.push(start);
-        }
-        if (end) {
-            query += ` AND a.start_at <= $${paramIndex++}`;
-            params.push(end);
-        }
-        if (status) {
-            query += ` AND a.status = $${paramIndex++}`;
-            params.push(status);
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つからないか、既にキャンセル済みです' });
         }
 
-        query += ' ORDER BY a.start_at ASC';
+        const result = await rescheduleAppointment(appointment, startAt, token, req);
 
-        const appointments = await db.queryAll(query, params);
-        res.json(appointments);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, message: '予約日時を変更しました', appointment: result.appointment });
 
     } catch (error) {
-        console.error('予約一覧取得エラー:', error);
-        res.status(500).json({ error: '予約一覧の取得に失敗しました' });
+        console.error('予約変更エラー:', error);
+        res.status(500).json({ error: '予約の変更に失敗しました' });
     }
 });
 
-// 予約削除 (管理者用)
-app.delete('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+// 予約キャンセル
+app.post('/api/appointments/cancel', bookingLimiter, async (req, res) => {
     try {
-        const id = req.params.id;
+        const { token } = req.body;
 
-        // 削除対象の存在確認
-        const apt = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [id]);
-        if (!apt) {
-            return res.status(404).json({ error: '予約が見つかりません' });
+        if (!token) {
+            return res.status(400).json({ error: 'トークンが必要です' });
         }
 
-        await db.execute('DELETE FROM appointments WHERE id = $1', [id]);
+        const tokenHash = security.hashToken(token);
 
-        await logAudit(req.session.adminId, 'delete_appointment', 'appointment', id, apt, null, req);
+        const appointment = await db.queryOne(`
+            SELECT a.*, p.name, p.email, p.phone, p.notification_channel, p.line_user_id, s.name as service_name
+            FROM appointments a
+            JOIN patients p ON a.patient_id = p.id
+            JOIN services s ON a.service_id = s.id
+            WHERE a.access_token_hash = $1
+            AND a.token_expires_at > NOW()
+            AND a.status = 'confirmed'
+        `, [tokenHash]);
 
-        res.json({ success: true, message: '予約を削除しました' });
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つからないか、既にキャンセル済みです' });
+        }
+
+        const result = await cancelAppointmentByPatient(appointment);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ success: true, message: '予約をキャンセルしました' });
 
     } catch (error) {
-        console.error('予約削除エラー:', error);
-        res.status(500).json({ error: '予約の削除に失敗しました' });
+        console.error('キャンセルエラー:', error);
+        res.status(500).json({ error: 'キャンセルに失敗しました' });
     }
 });
 
-// 新規予約作成 (管理者・電話予約用)
-app.post('/api/admin/appointments', requireAdmin, async (req, res) => {
-    try {
-        const { name, startAt, serviceId, notes } = req.body;
+// ===== キャンセル待ち =====
 
-        if (!name || !startAt) {
-            return res.status(400).json({ error: '名前と日時は必須です' });
+/**
+ * キャンセル待ちの希望条件を検証
+ * @param {Object} body - { serviceId, staffId, dateFrom, dateTo, timeFrom, timeTo }
+ * @returns {Promise<{error?: string, values?: Object}>}
+ */
+async function parseWaitlistRequest(body, settings) {
+    const serviceId = parseInt(body.serviceId);
+    const staffId = body.staffId ? parseInt(body.staffId) : null;
+    const { dateFrom, dateTo } = body;
+    const timeFrom = body.timeFrom || null;
+    const timeTo = body.timeTo || null;
+
+    const service = serviceId ? await db.queryOne('SELECT id FROM services WHERE id = $1 AND is_active = true', [serviceId]) : null;
+    if (!service) {
+        return { error: 'メニューを選択してください' };
+    }
+
+    if (staffId) {
+        const staff = await db.queryOne('SELECT id FROM staff WHERE id = $1 AND is_active = true', [staffId]);
+        if (!staff) {
+            return { error: '無効な担当者です' };
         }
+    }
 
-        const client = await db.getPool().connect();
-        try {
-            await client.query('BEGIN');
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(dateFrom || '') || !datePattern.test(dateTo || '') || dateFrom > dateTo) {
+        return { error: 'ご希望の期間を正しく入力してください' };
+    }
 
-            // 1. 患者登録（電話番号・カナは空でOK）
-            const patientRes = await client.query(`
-                INSERT INTO patients (name, kana, phone, created_at, updated_at)
-                VALUES ($1, $2, $3, NOW(), NOW())
-                RETURNING id
-            `, [name, '', '']);
+    const today = slots.formatDate(new Date());
+    const maxDaysAhead = parseInt(settings.booking_max_days_ahead) || 60;
+    const lastDate = slots.formatDate(new Date(Date.now() + maxDaysAhead * 24 * 60 * 60 * 1000));
+    if (dateTo < today) {
+        return { error: 'ご希望の期間が過ぎています' };
+    }
+    if (dateFrom > lastDate) {
+        return { error: `キャンセル待ちは${maxDaysAhead}日先までの期間で登録できます` };
+    }
 
-            const patientId = patientRes.rows[0].id;
+    const timePattern = /^\d{2}:\d{2}$/;
+    if ((timeFrom && !timePattern.test(timeFrom)) || (timeTo && !timePattern.test(timeTo)) || (timeFrom && timeTo && timeFrom > timeTo)) {
+        return { error: 'ご希望の時間帯を正しく入力してください' };
+    }
 
-            // 2. 予約作成
-            const serviceIdToUse = serviceId || 1;
-            const serviceRes = await client.query('SELECT duration_minutes FROM services WHERE id = $1', [serviceIdToUse]);
-            const duration = serviceRes.rows[0] ? serviceRes.rows[0].duration_minutes : 30;
+    return {
+        values: {
+            serviceId,
+            staffId,
+            dateFrom: dateFrom < today ? today : dateFrom,
+            dateTo,
+            timeFrom,
+            timeTo
+        }
+    };
+}
 
-            const startDate = new Date(startAt);
-            const endDate = new Date(startDate.getTime() + duration * 60000);
+/**
+ * キャンセル待ちを登録（患者の特定・登録も同じトランザクションで行う）
+ * @returns {Promise<number>} 登録ID
+ */
+async function createWaitlistEntry(patientData, values, { source, notes = null, adminId = null }) {
+    return db.transaction(async (client) => {
+        const patient = await findOrCreatePatient(client, patientData);
+
+        const entryRes = await client.query(`
+            INSERT INTO waitlist_entries (patient_id, service_id, staff_id, date_from, date_to, time_from, time_to, source, notes, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING id
+        `, [
+            patient.id,
+            values.serviceId,
+            values.staffId,
+            values.dateFrom,
+            values.dateTo,
+            values.timeFrom,
+            values.timeTo,
+            source,
+            notes ? security.sanitize(notes) : null,
+            adminId
+        ]);
 
-            // 明示的にUTC文字列に変換してDBに渡す（勝手なタイムゾーン変換を防ぐ）
-            const startParam = startDate.toISOString();
-            const endParam = endDate.toISOString();
+        return entryRes.rows[0].id;
+    });
+}
 
-            // トークン生成
-            const crypto = require('crypto');
-            const accessToken = crypto.randomBytes(32).toString('hex');
-            const tokenExpiresAt = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
+// キャンセル待ちの登録（予約ページ）
+// ご案内はメールで送るため、メールアドレスを必須とする
+app.post('/api/waitlist', bookingLimiter, async (req, res) => {
+    try {
+        const { name, kana, phone, email } = req.body;
 
-            const aptRes = await client.query(`
-                INSERT INTO appointments (
-                    patient_id, service_id, start_at, end_at, status, 
-                    access_token_hash, token_expires_at, notes, created_at, updated_at
-                )
-                VALUES ($1, $2, $3, $4, 'confirmed', $5, $6, $7, NOW(), NOW())
-                RETURNING id
-            `, [
-                patientId, serviceIdToUse, startParam, endParam,
-                accessToken, tokenExpiresAt, notes || ''
-            ]);
+        const validation = security.validateAppointmentData({
+            serviceId: req.body.serviceId,
+            startAt: req.body.dateFrom,
+            name: security.sanitize(name),
+            kana: security.sanitize(kana),
+            phone: security.sanitize(phone),
+            email: security.sanitize(email)
+        });
 
-            const newAptId = aptRes.rows[0].id;
+        if (!validation.valid) {
+            return res.status(400).json({ error: validation.errors.join(', ') });
+        }
 
-            await client.query('COMMIT');
+        if (!email) {
+            return res.status(400).json({ error: '空きのご案内をお送りするメールアドレスを入力してください' });
+        }
 
-            // ログ記録
-            await logAudit(
-                req.session.adminId, 'create_appointment_phone', 'appointment',
-                newAptId, null, { name, startAt }, req
-            );
+        const settings = await getSettings();
+        const parsed = await parseWaitlistRequest(req.body, settings);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
 
-            res.json({ success: true, message: '予約を作成しました' });
+        const entryId = await createWaitlistEntry({ name, kana, phone, email }, parsed.values, { source: 'patient' });
 
-        } catch (e) {
-            await client.query('ROLLBACK');
-            throw e;
-        } finally {
-            client.release();
-        }
+        res.status(201).json({
+            success: true,
+            entryId,
+            message: 'キャンセル待ちに登録しました。空きが出ましたらメールでご案内します。'
+        });
 
     } catch (error) {
-        console.error('管理者予約作成エラー:', error);
-        res.status(500).json({ error: '予約の作成に失敗しました: ' + error.message });
+        console.error('キャンセル待ち登録エラー:', error);
+        res.status(500).json({ error: 'キャンセル待ちの登録に失敗しました' });
     }
 });
 
-// 予約詳細
-app.get('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+// 空き枠のご案内の取得（確保URL）
+app.get('/api/waitlist/offer', async (req, res) => {
     try {
-        const appointment = await db.queryOne(`
-            SELECT 
-                a.*,
-                s.name as service_name, s.duration_minutes,
-                st.name as staff_name,
-                p.*
-            FROM appointments a
-            JOIN services s ON a.service_id = s.id
-            LEFT JOIN staff st ON a.staff_id = st.id
-            JOIN patients p ON a.patient_id = p.id
-            WHERE a.id = $1
-        `, [req.params.id]);
+        const { token } = req.query;
 
-        if (!appointment) {
-            return res.status(404).json({ error: '予約が見つかりません' });
+        if (!token) {
+            return res.status(400).json({ error: 'トークンが必要です' });
+        }
+
+        const offer = await waitlist.findOfferByToken(token);
+        if (!offer) {
+            return res.status(404).json({ error: 'ご案内が見つかりません' });
         }
 
-        res.json(appointment);
+        const expired = offer.status === 'expired' || (offer.status === 'pending' && new Date(offer.expires_at) <= new Date());
+
+        res.json({
+            status: expired ? 'expired' : offer.status,
+            patientName: offer.patient_name,
+            serviceName: offer.service_name,
+            staffName: offer.staff_name || '指名なし',
+            startAt: offer.start_at,
+            endAt: offer.end_at,
+            expiresAt: offer.expires_at
+        });
 
     } catch (error) {
-        console.error('予約詳細取得エラー:', error);
-        res.status(500).json({ error: '予約詳細の取得に失敗しました' });
+        console.error('キャンセル待ちご案内取得エラー:', error);
+        res.status(500).json({ error: 'ご案内の取得に失敗しました' });
     }
 });
 
-// 予約更新
-app.put('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+// ご案内された枠で予約を確定
+app.post('/api/waitlist/claim', bookingLimiter, async (req, res) => {
     try {
-        const { status, notes } = req.body;
-        const appointmentId = req.params.id;
+        const { token } = req.body;
 
-        const oldAppointment = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointmentId]);
-        if (!oldAppointment) {
-            return res.status(404).json({ error: '予約が見つかりません' });
+        if (!token) {
+            return res.status(400).json({ error: 'トークンが必要です' });
         }
 
-        if (status) {
-            await db.execute(`
-                UPDATE appointments SET status = $1, updated_at = NOW() WHERE id = $2
-            `, [status, appointmentId]);
-        }
+        const result = await waitlist.claimOffer(token, await getSettings());
 
-        if (notes !== undefined) {
-            await db.execute(`
-                UPDATE appointments SET notes = $1, updated_at = NOW() WHERE id = $2
-            `, [notes, appointmentId]);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        const newAppointment = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointmentId]);
-        await logAudit(req.session.adminId, 'update_appointment', 'appointment', appointmentId, oldAppointment, newAppointment, req);
-
-        res.json({ success: true });
+        res.status(201).json({
+            success: true,
+            appointmentId: result.appointment.id,
+            message: '予約が完了しました',
+            appointment: result.appointment
+        });
 
     } catch (error) {
-        console.error('予約更新エラー:', error);
-        res.status(500).json({ error: '予約の更新に失敗しました' });
+        console.error('キャンセル待ち予約確定エラー:', error);
+        res.status(500).json({ error: '予約の確定に失敗しました' });
     }
 });
 
-// 予約削除
-app.delete('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+// ===== 患者ポータルAPI =====
+
+// ログインコードの有効期限（分）と誤入力の上限回数
+const LOGIN_CODE_EXPIRY_MINUTES = 10;
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+
+/**
+ * 電話番号と登録メールアドレスの両方が一致する患者を取得
+ */
+async function findPatientByContact(phone, email) {
+    if (!phone || !security.isValidEmail(email)) {
+        return null;
+    }
+    const cleanPhone = String(phone).replace(/[-\s]/g, '');
+    return db.queryOne(`
+        SELECT * FROM patients
+        WHERE phone = $1 AND LOWER(email) = LOWER($2)
+        ORDER BY id
+        LIMIT 1
+    `, [cleanPhone, security.sanitize(email)]);
+}
+
+// ログインコードの送信
+// 患者の有無にかかわらず同じ応答を返し、登録済みのメールアドレスにのみ送信する
+app.post('/api/portal/request-code', lookupLimiter, async (req, res) => {
     try {
-        const appointmentId = req.params.id;
+        const { phone, email } = req.body;
 
-        const appointment = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointmentId]);
-        if (!appointment) {
-            return res.status(404).json({ error: '予約が見つかりません' });
+        if (!phone || !email) {
+            return res.status(400).json({ error: '電話番号とメールアドレスを入力してください' });
         }
 
-        await db.execute('DELETE FROM appointments WHERE id = $1', [appointmentId]);
-        await logAudit(req.session.adminId, 'delete_appointment', 'appointment', appointmentId, appointment, null, req);
+        const patient = await findPatientByContact(phone, email);
 
-        res.json({ success: true });
+        if (patient) {
+            // 未使用のコードは破棄し、最新のコードのみ有効にする
+            await db.execute(`
+                DELETE FROM patient_login_codes WHERE patient_id = $1
+            `, [patient.id]);
+
+            const code = security.generateLoginCode();
+            const expiresAt = new Date(Date.now() + LOGIN_CODE_EXPIRY_MINUTES * 60000);
+
+            await db.execute(`
+                INSERT INTO patient_login_codes (patient_id, code_hash, expires_at)
+                VALUES ($1, $2, $3)
+            `, [patient.id, security.hashToken(code), expiresAt.toISOString()]);
+
+            const settings = await getSettings();
+            mailer.sendLoginCodeEmail(db, patient, code, LOGIN_CODE_EXPIRY_MINUTES, settings)
+                .catch(err => console.error('ログインコード送信エラー:', err));
+        }
+
+        res.json({
+            success: true,
+            message: 'ご入力の内容が登録情報と一致する場合、ご登録のメールアドレスにログインコードをお送りしました'
+        });
 
     } catch (error) {
-        console.error('予約削除エラー:', error);
-        res.status(500).json({ error: '予約の削除に失敗しました' });
+        console.error('ログインコード送信エラー:', error);
+        res.status(500).json({ error: 'ログインコードの送信に失敗しました' });
     }
 });
 
-// CSVエクスポート
-app.get('/api/admin/appointments/export/csv', requireAdmin, async (req, res) => {
+// ログインコードの確認
+app.post('/api/portal/verify', bookingLimiter, async (req, res) => {
     try {
-        const { start, end } = req.query;
-
-        let query = `
-            SELECT 
-                a.id, a.start_at, a.end_at, a.status,
-                s.name as service_name,
-                st.name as staff_name,
-                p.name as patient_name, p.kana as patient_kana, p.phone as patient_phone, p.email as patient_email
-            FROM appointments a
-            JOIN services s ON a.service_id = s.id
-            LEFT JOIN staff st ON a.staff_id = st.id
-            JOIN patients p ON a.patient_id = p.id
-            WHERE 1=1
-        `;
-        const params = [];
-        let paramIndex = 1;
+        const { phone, email, code } = req.body;
 
-        if (start) {
-            query += ` AND a.start_at >= $${paramIndex++}`;
-            params.push(start);
-        }
-        if (end) {
-            query += ` AND a.start_at <= $${paramIndex++}`;
-            params.push(end);
+        if (!phone || !email || !code) {
+            return res.status(400).json({ error: '電話番号・メールアドレス・ログインコードを入力してください' });
         }
 
-        query += ' ORDER BY a.start_at ASC';
+        const invalidMessage = 'ログインコードが正しくないか、有効期限が切れています';
 
-        const appointments = await db.queryAll(query, params);
+        const patient = await findPatientByContact(phone, email);
+        if (!patient) {
+            return res.status(401).json({ error: invalidMessage });
+        }
 
-        // CSV生成
-        const headers = ['予約ID', '予約日時', '終了時刻', 'ステータス', 'メニュー', '担当', '患者名', 'ふりがな', '電話番号', 'メールアドレス'];
-        let csv = '\uFEFF' + headers.join(',') + '\n'; // BOM付きUTF-8
+        const loginCode = await db.queryOne(`
+            SELECT * FROM patient_login_codes
+            WHERE patient_id = $1
+            AND used_at IS NULL
+            AND expires_at > NOW()
+            AND attempts < $2
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [patient.id, LOGIN_CODE_MAX_ATTEMPTS]);
+
+        if (!loginCode) {
+            return res.status(401).json({ error: invalidMessage });
+        }
 
-        for (const apt of appointments) {
-            const row = [
-                apt.id,
-                apt.start_at,
-                apt.end_at,
-                apt.status,
-                apt.service_name,
-                apt.staff_name || '',
-                apt.patient_name,
-                apt.patient_kana,
-                apt.patient_phone,
-                apt.patient_email || ''
-            ].map(val => `"${String(val).replace(/"/g, '""')}"`);
-            csv += row.join(',') + '\n';
+        if (security.hashToken(String(code).trim()) !== loginCode.code_hash) {
+            await db.execute(`
+                UPDATE patient_login_codes SET attempts = attempts + 1 WHERE id = $1
+            `, [loginCode.id]);
+            return res.status(401).json({ error: invalidMessage });
         }
 
-        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-        res.setHeader('Content-Disposition', `attachment; filename="appointments_${new Date().toISOString().split('T')[0]}.csv"`);
-        res.send(csv);
-
-    } catch (error) {
-        console.error('CSVエクスポートエラー:', error);
-        res.status(500).json({ error: 'エクスポートに失敗しました' });
-    }
-});
-
-// 患者一覧
-app.get('/api/admin/patients', requireAdmin, async (req, res) => {
-    try {
-        const { search } = req.query;
-
-        let query = `
-            SELECT p.*, 
-                (SELECT COUNT(*) FROM appointments WHERE patient_id = p.id) as appointment_count,
-                (SELECT MAX(start_at) FROM appointments WHERE patient_id = p.id) as last_visit
-            FROM patients p
-            WHERE 1=1
-        `;
-        const params = [];
+        // 同じコードでの二重ログインを防ぐため、未使用の場合のみ使用済みにする
+        const used = await db.queryOne(`
+            UPDATE patient_login_codes SET used_at = NOW()
+            WHERE id = $1 AND used_at IS NULL
+            RETURNING id
+        `, [loginCode.id]);
 
-        if (search) {
-            query += ` AND (p.name LIKE $1 OR p.kana LIKE $1 OR p.phone LIKE $1 OR p.email LIKE $1)`;
-            params.push(`%${search}%`);
+        if (!used) {
+            return res.status(401).json({ error: invalidMessage });
         }
 
-        query += ' ORDER BY p.created_at DESC LIMIT 100';
+        req.session.patientId = patient.id;
 
-        const patients = await db.queryAll(query, params);
-        res.json(patients);
+        res.json({ success: true, patient: { name: patient.name } });
 
     } catch (error) {
-        console.error('患者一覧取得エラー:', error);
-        res.status(500).json({ error: '患者一覧の取得に失敗しました' });
+        console.error('ログインコード確認エラー:', error);
+        res.status(500).json({ error: 'ログインに失敗しました' });
     }
 });
 
-// 患者詳細
-app.get('/api/admin/patients/:id', requireAdmin, async (req, res) => {
+// ログアウト（管理者セッションは残す）
+app.post('/api/portal/logout', (req, res) => {
+    req.session.patientId = null;
+    res.json({ success: true });
+});
+
+// 登録情報の取得
+app.get('/api/portal/me', requirePatient, async (req, res) => {
     try {
-        const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [req.params.id]);
+        const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [req.session.patientId]);
 
         if (!patient) {
-            return res.status(404).json({ error: '患者が見つかりません' });
+            req.session.patientId = null;
+            return res.status(401).json({ error: 'ログインが必要です' });
         }
 
-        // 予約履歴
-        const appointments = await db.queryAll(`
-            SELECT a.*, s.name as service_name, st.name as staff_name
-            FROM appointments a
-            JOIN services s ON a.service_id = s.id
-            LEFT JOIN staff st ON a.staff_id = st.id
-            WHERE a.patient_id = $1
-            ORDER BY a.start_at DESC
-        `, [req.params.id]);
-
-        // メモ
-        const notes = await db.queryAll(`
-            SELECT n.*, a.display_name as created_by_name
-            FROM patient_notes n
-            LEFT JOIN admins a ON n.created_by = a.id
-            WHERE n.patient_id = $1
-            ORDER BY n.created_at DESC
-        `, [req.params.id]);
-
         res.json({
-            ...patient,
-            appointments,
-            notes
+            name: patient.name,
+            kana: patient.kana,
+            phone: patient.phone,
+            email: patient.email,
+            address: patient.address,
+            notificationChannel: patient.notification_channel,
+            notificationChannels: getPatientNotificationChannels(patient)
         });
 
     } catch (error) {
-        console.error('患者詳細取得エラー:', error);
-        res.status(500).json({ error: '患者詳細の取得に失敗しました' });
+        console.error('患者情報取得エラー:', error);
+        res.status(500).json({ error: '登録情報の取得に失敗しました' });
     }
 });
 
-// 患者メモ追加
-app.post('/api/admin/patients/:id/notes', requireAdmin, async (req, res) => {
+// 患者が選べるお知らせの送信方法（LINE は医院で連携の登録をした患者のみ）
+function getPatientNotificationChannels(patient) {
+    return Object.entries(notificationChannels.getChannelLabels())
+        .filter(([name]) => name !== 'line' || patient.line_user_id)
+        .map(([name, label]) => ({ name, label }));
+}
+
+// 連絡先の更新（氏名の変更は医院で受け付ける）
+app.put('/api/portal/me', requirePatient, async (req, res) => {
     try {
-        const { note } = req.body;
-        const patientId = req.params.id;
+        const { phone, email, address, notificationChannel } = req.body;
 
-        if (!note || !note.trim()) {
-            return res.status(400).json({ error: 'メモを入力してください' });
+        if (!security.isValidPhone(phone)) {
+            return res.status(400).json({ error: '有効な電話番号を入力してください' });
         }
 
-        const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [patientId]);
-        if (!patient) {
-            return res.status(404).json({ error: '患者が見つかりません' });
+        // ログインに使うためメールアドレスは必須
+        if (!security.isValidEmail(email)) {
+            return res.status(400).json({ error: '有効なメールアドレスを入力してください' });
         }
 
-        const noteId = await db.insert(`
-            INSERT INTO patient_notes (patient_id, note, created_by)
-            VALUES ($1, $2, $3)
-        `, [patientId, security.sanitize(note), req.session.adminId]);
+        const oldPatient = await db.queryOne(`
+            SELECT phone, email, address, notification_channel, line_user_id FROM patients WHERE id = $1
+        `, [req.session.patientId]);
 
-        await logAudit(req.session.adminId, 'add_patient_note', 'patient_note', noteId, null, { patientId, note }, req);
+        const channel = notificationChannel || oldPatient.notification_channel;
+        if (!getPatientNotificationChannels(oldPatient).some(c => c.name === channel)) {
+            return res.status(400).json({ error: 'お知らせの送信方法の指定が正しくありません' });
+        }
 
-        res.status(201).json({ success: true, noteId });
+        const newPatient = {
+            phone: String(phone).replace(/[-\s]/g, ''),
+            email: security.sanitize(email),
+            address: address ? security.sanitize(address) : null,
+            notification_channel: channel
+        };
+
+        await db.execute(`
+            UPDATE patients SET phone = $1, email = $2, address = $3, notification_channel = $4, updated_at = NOW()
+            WHERE id = $5
+        `, [newPatient.phone, newPatient.email, newPatient.address, newPatient.notification_channel, req.session.patientId]);
+
+        // 変更履歴（患者本人による操作のため admin_id は NULL）
+        await logAudit(null, 'update_patient_contact', 'patient', req.session.patientId, oldPatient, newPatient, req);
+
+        res.json({ success: true, message: '登録情報を更新しました' });
 
     } catch (error) {
-        console.error('メモ追加エラー:', error);
-        res.status(500).json({ error: 'メモの追加に失敗しました' });
+        console.error('患者情報更新エラー:', error);
+        res.status(500).json({ error: '登録情報の更新に失敗しました' });
     }
 });
 
-// SMTP設定取得
-app.get('/api/admin/settings/smtp', requireAdmin, async (req, res) => {
+// 予約一覧（今後の予約と過去の予約）
+app.get('/api/portal/appointments', requirePatient, async (req, res) => {
     try {
         const settings = await getSettings();
-        res.json({
-            smtpHost: settings.smtp_host || 'smtp.gmail.com',
-            smtpPort: settings.smtp_port || '587',
-            smtpUser: settings.smtp_user || '',
-            smtpPass: settings.smtp_pass ? '********' : '', // パスワードは隠す
-            adminNotificationEmail: settings.admin_notification_email || ''
-        });
+        const cutoffDays = parseInt(settings.booking_cutoff_days) || 2;
+
+        const rows = await db.queryAll(`
+            SELECT a.*, s.name as service_name, st.name as staff_name
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            LEFT JOIN staff st ON a.staff_id = st.id
+            WHERE a.patient_id = $1
+            ORDER BY a.start_at DESC
+            LIMIT 100
+        `, [req.session.patientId]);
+
+        const now = new Date();
+        const upcoming = [];
+        const past = [];
+
+        for (const row of rows) {
+            const isUpcoming = row.status === 'confirmed' && new Date(row.start_at) > now;
+            const item = {
+                id: row.id,
+                startAt: row.start_at,
+                endAt: row.end_at,
+                status: row.status,
+                serviceId: row.service_id,
+                serviceName: row.service_name,
+                // 日時変更では指名した担当者のみ引き継ぐ（自動割り当ては変更先で割り当て直す）
+                staffId: row.auto_assigned ? null : row.staff_id,
+                staffName: row.staff_name || '指名なし',
+                canChange: isUpcoming && isBeforePatientChangeCutoff(row.start_at, cutoffDays)
+            };
+            if (isUpcoming) {
+                upcoming.unshift(item);
+            } else {
+                past.push(item);
+            }
+        }
+
+        res.json({ upcoming, past, cutoffDays });
+
     } catch (error) {
-        console.error('SMTP設定取得エラー:', error);
-        res.status(500).json({ error: 'SMTP設定の取得に失敗しました' });
+        console.error('患者予約一覧取得エラー:', error);
+        res.status(500).json({ error: '予約一覧の取得に失敗しました' });
     }
 });
 
-// SMTP設定保存
-app.put('/api/admin/settings/smtp', requireAdmin, async (req, res) => {
+// マイページ: カレンダー登録用ファイル（.ics）のダウンロード
+app.get('/api/portal/appointments/:id/calendar.ics', requirePatient, async (req, res) => {
     try {
-        const { smtpHost, smtpPort, smtpUser, smtpPass, adminNotificationEmail } = req.body;
-
-        const upsertSetting = async (key, value) => {
-            await db.execute(`
-                INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, NOW())
-                ON CONFLICT(key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
-            `, [key, value]);
-        };
-
-        if (smtpHost) await upsertSetting('smtp_host', smtpHost);
-        if (smtpPort) await upsertSetting('smtp_port', smtpPort);
-        if (smtpUser) await upsertSetting('smtp_user', smtpUser);
-        // パスワードは********でなければ更新
-        if (smtpPass && smtpPass !== '********') await upsertSetting('smtp_pass', smtpPass);
-        if (adminNotificationEmail !== undefined) await upsertSetting('admin_notification_email', adminNotificationEmail);
+        const appointment = await db.queryOne(`
+            SELECT a.*, s.name as service_name, st.name as staff_name
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            LEFT JOIN staff st ON a.staff_id = st.id
+            WHERE a.id = $1
+            AND a.patient_id = $2
+            AND a.status = 'confirmed'
+        `, [parseInt(req.params.id), req.session.patientId]);
 
-        await logAudit(req.session.adminId, 'update_smtp_settings', 'settings', null, null, { smtpHost, smtpPort, smtpUser }, req);
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つかりません' });
+        }
 
-        res.json({ success: true, message: 'SMTP設定を保存しました' });
+        sendCalendarFile(res, appointment, await getSettings());
 
     } catch (error) {
-        console.error('SMTP設定保存エラー:', error);
-        res.status(500).json({ error: 'SMTP設定の保存に失敗しました' });
+        console.error('カレンダーファイル作成エラー:', error);
+        res.status(500).json({ error: 'カレンダーファイルの作成に失敗しました' });
     }
 });
 
-// テストメール送信
-app.post('/api/admin/settings/smtp/test', requireAdmin, async (req, res) => {
+// 予約キャンセル（マイページ）
+app.post('/api/portal/appointments/:id/cancel', requirePatient, async (req, res) => {
     try {
-        const settings = await getSettings();
-        const testEmail = req.body.email || settings.admin_notification_email || settings.smtp_user;
-
-        if (!testEmail) {
-            return res.status(400).json({ error: 'テスト送信先メールアドレスを指定してください' });
-        }
+        const appointment = await db.queryOne(`
+            SELECT a.*, p.name, p.email, p.phone, p.notification_channel, p.line_user_id, s.name as service_name
+            FROM appointments a
+            JOIN patients p ON a.patient_id = p.id
+            JOIN services s ON a.service_id = s.id
+            WHERE a.id = $1
+            AND a.patient_id = $2
+            AND a.status = 'confirmed'
+        `, [parseInt(req.params.id), req.session.patientId]);
 
-        if (!settings.smtp_user || !settings.smtp_pass) {
-            return res.status(400).json({ error: 'SMTP設定が完了していません。設定を保存してください。' });
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つからないか、既にキャンセル済みです' });
         }
 
-        const nodemailer = require('nodemailer');
-        const smtpPort = parseInt(settings.smtp_port) || 587;
-        const isSecure = smtpPort === 465;
-
-        const transporter = nodemailer.createTransport({
-            host: settings.smtp_host || 'smtp.gmail.com',
-            port: smtpPort,
-            secure: isSecure,
-            auth: {
-                user: settings.smtp_user,
-                pass: settings.smtp_pass
-            },
-            tls: {
-                rejectUnauthorized: false
-            },
-            connectionTimeout: 10000,
-            greetingTimeout: 10000
-        });
+        const result = await cancelAppointmentByPatient(appointment);
 
-        await transporter.sendMail({
-            from: `"彦歯科医院 予約システム" <${settings.smtp_user}>`,
-            to: testEmail,
-            subject: '【テスト】メール設定確認',
-            text: `これは彦歯科医院予約システムからのテストメールです。\n\nこのメールが届いていれば、SMTP設定は正しく動作しています。`
-        });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
-        res.json({ success: true, message: `テストメールを ${testEmail} に送信しました` });
+        res.json({ success: true, message: '予約をキャンセルしました' });
 
     } catch (error) {
-        console.error('テストメール送信エラー:', error);
-        res.status(500).json({ error: `メール送信エラー: ${error.message}` });
+        console.error('キャンセルエラー:', error);
+        res.status(500).json({ error: 'キャンセルに失敗しました' });
     }
 });
 
-// ===== 予約枠キャパシティ管理API =====
-
-// キャパシティ設定一覧取得
-app.get('/api/admin/slot-capacities', requireAdmin, async (req, res) => {
+// 予約日時の変更（マイページ）
+app.post('/api/portal/appointments/:id/reschedule', requirePatient, bookingLimiter, async (req, res) => {
     try {
-        const capacities = await db.queryAll(`
-            SELECT * FROM slot_capacities ORDER BY day_of_week, time_slot
-        `);
+        const { startAt } = req.body;
 
-        // デフォルト値も取得
-        const defaultCapacity = await db.queryOne(`
-            SELECT value FROM settings WHERE key = 'default_slot_capacity'
-        `);
-
-        res.json({
-            capacities,
-            defaultCapacity: parseInt(defaultCapacity?.value) || 1
-        });
-    } catch (error) {
-        console.error('キャパシティ設定取得エラー:', error);
-        res.status(500).json({ error: 'キャパシティ設定の取得に失敗しました' });
-    }
-});
+        if (!startAt) {
+            return res.status(400).json({ error: '変更後の日時が必要です' });
+        }
 
-// デフォルトキャパシティ更新
-app.put('/api/admin/slot-capacities/default', requireAdmin, async (req, res) => {
-    try {
-        const { capacity } = req.body;
+        const appointment = await db.queryOne(`
+            SELECT a.*, s.duration_minutes
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            WHERE a.id = $1
+            AND a.patient_id = $2
+            AND a.status = 'confirmed'
+        `, [parseInt(req.params.id), req.session.patientId]);
 
-        if (!capacity || capacity < 1) {
-            return res.status(400).json({ error: 'キャパシティは1以上の数値を指定してください' });
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つからないか、既にキャンセル済みです' });
         }
 
-        await db.execute(`
-            INSERT INTO settings (key, value, description)
-            VALUES ('default_slot_capacity', $1, '時間枠あたりのデフォルト予約上限数')
-            ON CONFLICT (key) DO UPDATE SET value = $1
-        `, [String(capacity)]);
+        // マイページからの変更では予約確認URLを載せず、マイページへ案内する
+        const result = await rescheduleAppointment(appointment, startAt, null, req);
 
-        await logAudit(req.session.adminId, 'update_default_capacity', 'settings', null, null, { capacity }, req);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
-        res.json({ success: true, message: 'デフォルトキャパシティを更新しました' });
+        res.json({ success: true, message: '予約日時を変更しました', appointment: result.appointment });
 
     } catch (error) {
-        console.error('デフォルトキャパシティ更新エラー:', error);
-        res.status(500).json({ error: 'デフォルトキャパシティの更新に失敗しました' });
+        console.error('予約変更エラー:', error);
+        res.status(500).json({ error: '予約の変更に失敗しました' });
     }
 });
 
-// 一括キャパシティ設定（曜日×時間帯マトリクス）
-app.put('/api/admin/slot-capacities/bulk', requireAdmin, async (req, res) => {
+// ===== 管理者API =====
+
+// ログイン
+app.post('/api/admin/login', async (req, res) => {
     try {
-        const { capacities } = req.body; // [{ dayOfWeek, timeSlot, capacity }, ...]
+        const { username, password } = req.body;
 
-        if (!Array.isArray(capacities)) {
-            return res.status(400).json({ error: '無効なデータ形式です' });
+        if (!username || !password) {
+            return res.status(400).json({ error: 'ユーザー名とパスワードを入力してください' });
         }
 
-        // トランザクションで一括処理
-        await db.transaction(async (client) => {
-            for (const item of capacities) {
-                if (item.capacity === null || item.capacity === undefined) {
-                    // 削除（デフォルトに戻す）
+        const admin = await db.queryOne(`
+            SELECT * FROM admins WHERE username = $1 AND is_active = true
+        `, [username]);
+
+        if (!admin) {
+            return res.status(401).json({ error: 'ユーザー名またはパスワードが正しくありません' });
+        }
+
+        const validPassword = await security.verifyPassword(password, admin.password_hash);
+        if (!validPassword) {
+            return res.status(401).json({ error: 'ユーザー名またはパスワードが正しくありません' });
+        }
+
+        // ログイン成功
+        req.session.adminId = admin.id;
+        req.session.adminName = admin.display_name;
+
+        // 最終ログイン更新
+        await db.execute(`
+            UPDATE admins SET last_login_at = NOW() WHERE id = $1
+        `, [admin.id]);
+
+        // 監査ログ
+        await logAudit(admin.id, 'login', 'admin', admin.id, null, null, req);
+
+        res.json({
+            success: true,
+            admin: {
+                id: admin.id,
+                username: admin.username,
+                displayName: admin.display_name
+            }
+        });
+
+    } catch (error) {
+        console.error('ログインエラー:', error);
+        res.status(500).json({ error: 'ログインに失敗しました' });
+    }
+});
+
+// ログアウト
+app.post('/api/admin/logout', async (req, res) => {
+    if (req.session.adminId) {
+        await logAudit(req.session.adminId, 'logout', 'admin', req.session.adminId, null, null, req);
+    }
+    req.session = null;
+    res.json({ success: true });
+});
+
+// セッション確認
+app.get('/api/admin/me', requireAdmin, (req, res) => {
+    res.json({
+        id: req.session.adminId,
+        displayName: req.session.adminName
+    });
+});
+
+/**
+ * 予約一覧の取得（管理画面の予約一覧・カレンダー配信共通）
+ * @param {Object} filters - { start, end, status, staffId }
+ * @returns {Promise<Object[]>}
+ */
+async function findAdminAppointments({ start, end, status, staffId } = {}) {
+    let query = `
+        SELECT 
+            a.id, a.start_at, a.end_at, a.status, a.notes, a.created_at, a.auto_assigned,
+            a.staff_id, a.calendar_sequence, a.series_id, a.series_index,
+            s.name as service_name, s.duration_minutes, s.color as service_color,
+            st.name as staff_name,
+            p.id as patient_id, p.name as patient_name, p.kana as patient_kana, p.phone as patient_phone
+        FROM appointments a
+        JOIN services s ON a.service_id = s.id
+        LEFT JOIN staff st ON a.staff_id = st.id
+        JOIN patients p ON a.patient_id = p.id
+        WHERE 1=1
+    `;
+    const params = [];
+    let paramIndex = 1;
+
+    if (start) {
+        query += ` AND a.start_at >= $${paramIndex++}`;
+        params.push(start);
+    }
+    if (end) {
+        query += ` AND a.start_at <= $${paramIndex++}`;
+        params.push(end);
+    }
+    if (status) {
+        query += ` AND a.status = $${paramIndex++}`;
+        params.push(status);
+    }
+    if (staffId) {
+        // 工程のある予約は、工程だけを担当するスタッフの予約にも含める
+        query += ` AND (a.staff_id = $${paramIndex} OR EXISTS (
+            SELECT 1 FROM appointment_segments sg WHERE sg.appointment_id = a.id AND sg.staff_id = $${paramIndex}
+        ))`;
+        paramIndex++;
+        params.push(staffId);
+    }
+
+    query += ' ORDER BY a.start_at ASC';
+
+    const appointments = await db.queryAll(query, params);
+
+    // 工程だけを担当する予約は、そのスタッフの工程の時間帯にする
+    const segmentOnly = staffId ? appointments.filter(apt => apt.staff_id !== parseInt(staffId)) : [];
+    if (segmentOnly.length > 0) {
+        const segmentTimes = await db.queryAll(`
+            SELECT appointment_id, MIN(start_at) as start_at, MAX(end_at) as end_at
+            FROM appointment_segments
+            WHERE staff_id = $1 AND appointment_id = ANY($2::int[])
+            GROUP BY appointment_id
+        `, [staffId, segmentOnly.map(apt => apt.id)]);
+
+        for (const time of segmentTimes) {
+            const apt = segmentOnly.find(item => item.id === time.appointment_id);
+            apt.start_at = time.start_at;
+            apt.end_at = time.end_at;
+        }
+    }
+
+    return appointments;
+}
+
+// 予約一覧（管理者用）
+app.get('/api/admin/appointments', requireAdmin, async (req, res) => {
+    try {
+        const { start, end, status } = req.query;
+
+        const appointments = await findAdminAppointments({ start, end, status });
+        res.json(appointments);
+
+    } catch (error) {
+        console.error('予約一覧取得エラー:', error);
+        res.status(500).json({ error: '予約一覧の取得に失敗しました' });
+    }
+});
+
+// 予約削除 (管理者用)
+app.delete('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+    try {
+        const id = req.params.id;
+
+        // 削除対象の存在確認
+        const apt = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [id]);
+        if (!apt) {
+            return res.status(404).json({ error: '予約が見つかりません' });
+        }
+
+        await db.execute('DELETE FROM appointments WHERE id = $1', [id]);
+
+        await logAudit(req.session.adminId, 'delete_appointment', 'appointment', id, apt, null, req);
+
+        // 確定済みの予約だった場合は空いた枠をキャンセル待ちの方へご案内
+        if (apt.status === 'confirmed') {
+            waitlist.offerFreedSlot(apt, await getSettings())
+                .catch(err => console.error('キャンセル待ちご案内エラー:', err));
+        }
+
+        res.json({ success: true, message: '予約を削除しました' });
+
+    } catch (error) {
+        console.error('予約削除エラー:', error);
+        res.status(500).json({ error: '予約の削除に失敗しました' });
+    }
+});
+
+// 新規予約作成 (管理者・電話予約用)
+app.post('/api/admin/appointments', requireAdmin, async (req, res) => {
+    try {
+        const { name, startAt, serviceId, staffId, notes } = req.body;
+
+        if (!name || !startAt) {
+            return res.status(400).json({ error: '名前と日時は必須です' });
+        }
+
+        const client = await db.getPool().connect();
+        try {
+            await client.query('BEGIN');
+
+            // 1. 患者登録（電話番号・カナは空でOK）
+            const patientRes = await client.query(`
+                INSERT INTO patients (name, kana, phone, created_at, updated_at)
+                VALUES ($1, $2, $3, NOW(), NOW())
+                RETURNING id
+            `, [name, '', '']);
+
+            const patientId = patientRes.rows[0].id;
+
+            // 2. 予約作成
+            const serviceIdToUse = parseInt(serviceId) || 1;
+            const serviceRes = await client.query('SELECT duration_minutes FROM services WHERE id = $1', [serviceIdToUse]);
+            const duration = serviceRes.rows[0] ? serviceRes.rows[0].duration_minutes : 30;
+
+            const startDate = new Date(startAt);
+            const endDate = new Date(startDate.getTime() + duration * 60000);
+
+            // 明示的にUTC文字列に変換してDBに渡す（勝手なタイムゾーン変換を防ぐ）
+            const startParam = startDate.toISOString();
+            const endParam = endDate.toISOString();
+
+            // Web予約と同じ基準でキャパシティ・担当者・設備の空きを確認（排他ロック付き）
+            const settings = await getSettings();
+            const availability = await slots.checkBookingAvailability(client, {
+                serviceId: serviceIdToUse,
+                staffId: staffId ? parseInt(staffId) : null,
+                startAt: startDate,
+                endAt: endDate,
+                patientId,
+                byStaff: true
+            }, settings);
+
+            if (!availability.available) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: availability.error });
+            }
+
+            // トークン生成
+            const crypto = require('crypto');
+            const accessToken = crypto.randomBytes(32).toString('hex');
+            const tokenExpiresAt = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
+
+            const aptRes = await client.query(`
+                INSERT INTO appointments (
+                    patient_id, service_id, staff_id, auto_assigned, start_at, end_at, status, 
+                    access_token_hash, token_expires_at, notes, created_at, updated_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, 'confirmed', $7, $8, $9, NOW(), NOW())
+                RETURNING id
+            `, [
+                patientId, serviceIdToUse, availability.staffId, availability.autoAssigned,
+                startParam, endParam, accessToken, tokenExpiresAt, notes || ''
+            ]);
+
+            const newAptId = aptRes.rows[0].id;
+            await slots.saveAppointmentSegments(client, newAptId, availability.segments);
+
+            await client.query('COMMIT');
+
+            // ログ記録
+            await logAudit(
+                req.session.adminId, 'create_appointment_phone', 'appointment',
+                newAptId, null, { name, startAt, staffId: availability.staffId }, req
+            );
+
+            res.json({ success: true, message: '予約を作成しました' });
+
+        } catch (e) {
+            await client.query('ROLLBACK');
+            throw e;
+        } finally {
+            client.release();
+        }
+
+    } catch (error) {
+        console.error('管理者予約作成エラー:', error);
+        res.status(500).json({ error: '予約の作成に失敗しました: ' + error.message });
+    }
+});
+
+// 予約詳細
+app.get('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+    try {
+        const appointment = await db.queryOne(`
+            SELECT 
+                a.*,
+                s.name as service_name, s.duration_minutes,
+                st.name as staff_name,
+                p.*
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            LEFT JOIN staff st ON a.staff_id = st.id
+            JOIN patients p ON a.patient_id = p.id
+            WHERE a.id = $1
+        `, [req.params.id]);
+
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つかりません' });
+        }
+
+        // 工程のあるメニューは工程ごとの担当者と時間帯
+        const segments = await db.queryAll(`
+            SELECT sg.name, sg.staff_role, sg.start_at, sg.end_at, st.name as staff_name
+            FROM appointment_segments sg
+            LEFT JOIN staff st ON sg.staff_id = st.id
+            WHERE sg.appointment_id = $1
+            ORDER BY sg.start_at
+        `, [req.params.id]);
+
+        res.json({ ...appointment, segments });
+
+    } catch (error) {
+        console.error('予約詳細取得エラー:', error);
+        res.status(500).json({ error: '予約詳細の取得に失敗しました' });
+    }
+});
+
+// 予約更新
+app.put('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+    try {
+        const { status, notes } = req.body;
+        const appointmentId = req.params.id;
+
+        const oldAppointment = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointmentId]);
+        if (!oldAppointment) {
+            return res.status(404).json({ error: '予約が見つかりません' });
+        }
+
+        if (status) {
+            await db.execute(`
+                UPDATE appointments SET status = $1, updated_at = NOW() WHERE id = $2
+            `, [status, appointmentId]);
+        }
+
+        if (notes !== undefined) {
+            await db.execute(`
+                UPDATE appointments SET notes = $1, updated_at = NOW() WHERE id = $2
+            `, [notes, appointmentId]);
+        }
+
+        const newAppointment = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointmentId]);
+        await logAudit(req.session.adminId, 'update_appointment', 'appointment', appointmentId, oldAppointment, newAppointment, req);
+
+        // キャンセルにした場合は空いた枠をキャンセル待ちの方へご案内
+        if (oldAppointment.status === 'confirmed' && newAppointment.status === 'cancelled') {
+            waitlist.offerFreedSlot(newAppointment, await getSettings())
+                .catch(err => console.error('キャンセル待ちご案内エラー:', err));
+        }
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('予約更新エラー:', error);
+        res.status(500).json({ error: '予約の更新に失敗しました' });
+    }
+});
+
+// 予約削除
+app.delete('/api/admin/appointments/:id', requireAdmin, async (req, res) => {
+    try {
+        const appointmentId = req.params.id;
+
+        const appointment = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointmentId]);
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つかりません' });
+        }
+
+        await db.execute('DELETE FROM appointments WHERE id = $1', [appointmentId]);
+        await logAudit(req.session.adminId, 'delete_appointment', 'appointment', appointmentId, appointment, null, req);
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('予約削除エラー:', error);
+        res.status(500).json({ error: '予約の削除に失敗しました' });
+    }
+});
+
+// ===== 通院シリーズ（N週ごとの連続予約） =====
+
+/**
+ * 通院シリーズの登録・確認リクエストの検証
+ * 全回を同じ担当医師にするため、担当できるスタッフがいるメニューでは担当医師の指定を必須とする
+ * （指名なしで1回ずつ自動割り当てすると、回ごとに担当医師が変わりうるため）
+ * @param {Object} body - { serviceId, staffId, intervalWeeks, occurrences }
+ * @returns {Promise<{error?: string, values?: Object}>}
+ */
+async function parseSeriesRequest(body) {
+    const serviceId = parseInt(body.serviceId);
+    const staffId = body.staffId ? parseInt(body.staffId) : null;
+    const intervalWeeks = parseInt(body.intervalWeeks);
+
+    if (!serviceId) {
+        return { error: 'メニューを選択してください' };
+    }
+    if (!(intervalWeeks >= 1 && intervalWeeks <= appointmentSeries.MAX_INTERVAL_WEEKS)) {
+        return { error: `間隔は1〜${appointmentSeries.MAX_INTERVAL_WEEKS}週で指定してください` };
+    }
+
+    const eligibleStaff = await slots.getEligibleStaff(serviceId);
+    if (eligibleStaff.length > 0 && !staffId) {
+        return { error: '通院シリーズは全回を同じ担当医師にするため、担当医師を選択してください' };
+    }
+    if (staffId && !eligibleStaff.some(member => member.id === staffId)) {
+        return { error: 'この担当者は選択されたメニューを担当していません' };
+    }
+
+    return { values: { serviceId, staffId, intervalWeeks } };
+}
+
+/**
+ * 予約の日時をまとめて変更（管理者による変更・通院シリーズの移動共通）
+ * 事前に通常の予約と同じ基準（予約受付期間は除く）で確認し、排他ロック付きで全件移動する
+ * 1件でも移動できなければ何も変更しない
+ * @param {Array<{appointment: Object, startAt: Date}>} moves - appointment は services.duration_minutes を含む
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{status?: number, error?: string, conflicts?: Array}>}
+ */
+async function moveAppointmentsByAdmin(moves, settings) {
+    const planned = moves.map(move => ({
+        appointment: move.appointment,
+        startAt: move.startAt,
+        endAt: new Date(move.startAt.getTime() + move.appointment.duration_minutes * 60000)
+    }));
+
+    // 後ろへずらすときは後の回から、前へずらすときは前の回から動かす（同じ患者の他の回と重ならないように）
+    const later = planned[0].startAt > new Date(planned[0].appointment.start_at);
+    planned.sort((a, b) => later ? b.startAt - a.startAt : a.startAt - b.startAt);
+
+    // 事前確認（予約できない回には代わりの候補を付ける）
+    // 一緒に移動する予約の移動前の日時は空くため、重複判定から除く（1週ずらすと前の回の枠に入るため）
+    const movingAppointmentIds = planned.map(move => move.appointment.id);
+    const conflicts = [];
+    for (const move of planned) {
+        const [result] = await appointmentSeries.checkOccurrences([{
+            index: move.appointment.series_index,
+            appointmentId: move.appointment.id,
+            startAt: move.startAt,
+            endAt: move.endAt
+        }], {
+            serviceId: move.appointment.service_id,
+            staffId: move.appointment.auto_assigned ? null : move.appointment.staff_id,
+            movingAppointmentIds
+        }, settings);
+        if (!result.available) {
+            conflicts.push(result);
+        }
+    }
+    if (conflicts.length > 0) {
+        return { status: 409, error: '予約できない日時があります', conflicts };
+    }
+
+    const client = await db.getPool().connect();
+    try {
+        await client.query('BEGIN');
+
+        // 変更する予約をロックし、同時にキャンセル・変更されていないか確認
+        const ids = planned.map(move => move.appointment.id);
+        const lockedRes = await client.query(`
+            SELECT id FROM appointments WHERE id = ANY($1::int[]) AND status = 'confirmed' FOR UPDATE
+        `, [ids]);
+        if (lockedRes.rows.length !== ids.length) {
+            await client.query('ROLLBACK');
+            return { status: 409, error: '既に変更またはキャンセルされた予約が含まれています' };
+        }
+
+        const result = await appointmentSeries.moveAppointments(client, planned, settings);
+        if (result.conflicts.length > 0) {
+            await client.query('ROLLBACK');
+            return { status: 409, error: '予約できない日時があります', conflicts: result.conflicts };
+        }
+
+        await client.query('COMMIT');
+    } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+    } finally {
+        client.release();
+    }
+
+    // 変更確認メール送信・変更前の枠をキャンセル待ちの方へご案内（非同期、失敗しても変更は確定）
+    for (const move of planned) {
+        const { appointment } = move;
+        const updated = await db.queryOne('SELECT * FROM appointments WHERE id = $1', [appointment.id]);
+        const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [appointment.service_id]);
+        const staffData = updated.staff_id ? await db.queryOne('SELECT * FROM staff WHERE id = $1', [updated.staff_id]) : null;
+        const patientData = await db.queryOne('SELECT * FROM patients WHERE id = $1', [appointment.patient_id]);
+
+        mailer.sendRescheduleEmail(db, updated, patientData, service, staffData, appointment.start_at, null, settings)
+            .catch(err => console.error('変更確認メール送信エラー:', err));
+
+        waitlist.offerFreedSlot(appointment, settings)
+            .catch(err => console.error('キャンセル待ちご案内エラー:', err));
+    }
+
+    return {};
+}
+
+// シリーズの予約（今後の確定済みの回）を取得
+async function findUpcomingSeriesAppointments(seriesId) {
+    return db.queryAll(`
+        SELECT a.*, s.duration_minutes
+        FROM appointments a
+        JOIN services s ON a.service_id = s.id
+        WHERE a.series_id = $1 AND a.status = 'confirmed' AND a.start_at > NOW()
+        ORDER BY a.start_at
+    `, [seriesId]);
+}
+
+// 各回の予約可否の確認（登録前のプレビュー）
+app.post('/api/admin/appointment-series/preview', requireAdmin, async (req, res) => {
+    try {
+        const parsed = await parseSeriesRequest(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        const { serviceId, staffId, intervalWeeks } = parsed.values;
+
+        const count = parseInt(req.body.occurrences);
+        if (!(count >= 2 && count <= appointmentSeries.MAX_OCCURRENCES)) {
+            return res.status(400).json({ error: `回数は2〜${appointmentSeries.MAX_OCCURRENCES}回で指定してください` });
+        }
+
+        const startAt = new Date(req.body.startAt);
+        if (isNaN(startAt.getTime())) {
+            return res.status(400).json({ error: '1回目の日時を指定してください' });
+        }
+
+        const service = await db.queryOne('SELECT * FROM services WHERE id = $1 AND is_active = TRUE', [serviceId]);
+        if (!service) {
+            return res.status(400).json({ error: '無効なメニューです' });
+        }
+
+        const settings = await getSettings();
+        const occurrences = appointmentSeries.buildOccurrences(startAt, intervalWeeks, count, service.duration_minutes);
+        const results = await appointmentSeries.checkOccurrences(occurrences, { serviceId, staffId }, settings);
+
+        res.json({ occurrences: results });
+
+    } catch (error) {
+        console.error('通院シリーズ確認エラー:', error);
+        res.status(500).json({ error: '通院シリーズの確認に失敗しました' });
+    }
+});
+
+// 通院シリーズの登録（各回の日時は代わりの候補を選び直したものを受け取る）
+app.post('/api/admin/appointment-series', requireAdmin, async (req, res) => {
+    try {
+        const parsed = await parseSeriesRequest(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+        const { serviceId, staffId, intervalWeeks } = parsed.values;
+        const name = security.sanitize(req.body.name || '');
+        const notes = security.sanitize(req.body.notes || '');
+
+        if (!name) {
+            return res.status(400).json({ error: '名前は必須です' });
+        }
+
+        const startTimes = Array.isArray(req.body.occurrences) ? req.body.occurrences.map(value => new Date(value)) : [];
+        if (startTimes.length < 2 || startTimes.length > appointmentSeries.MAX_OCCURRENCES) {
+            return res.status(400).json({ error: `回数は2〜${appointmentSeries.MAX_OCCURRENCES}回で指定してください` });
+        }
+        if (startTimes.some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ error: '無効な日時が含まれています' });
+        }
+
+        const service = await db.queryOne('SELECT * FROM services WHERE id = $1 AND is_active = TRUE', [serviceId]);
+        if (!service) {
+            return res.status(400).json({ error: '無効なメニューです' });
+        }
+
+        // 日時順に回の番号を振る
+        startTimes.sort((a, b) => a - b);
+        const occurrences = startTimes.map((startAt, i) => ({
+            index: i + 1,
+            startAt,
+            endAt: new Date(startAt.getTime() + service.duration_minutes * 60000)
+        }));
+
+        // 事前確認（予約できない回があれば登録せず、代わりの候補とともに返す）
+        const settings = await getSettings();
+        const checked = await appointmentSeries.checkOccurrences(occurrences, { serviceId, staffId }, settings);
+        const unavailable = checked.filter(result => !result.available);
+        if (unavailable.length > 0) {
+            return res.status(409).json({ error: '予約できない回があります', conflicts: unavailable });
+        }
+
+        const result = await db.transaction(async (client) => {
+            // 患者登録（電話予約と同じく電話番号・カナは空でOK）
+            const patientRes = await client.query(`
+                INSERT INTO patients (name, kana, phone, created_at, updated_at)
+                VALUES ($1, '', '', NOW(), NOW())
+                RETURNING id
+            `, [name]);
+            const patientId = patientRes.rows[0].id;
+
+            const seriesRes = await client.query(`
+                INSERT INTO appointment_series (patient_id, service_id, staff_id, interval_weeks, occurrences, notes, created_by)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING id
+            `, [patientId, serviceId, staffId, intervalWeeks, occurrences.length, notes, req.session.adminId]);
+            const seriesId = seriesRes.rows[0].id;
+
+            const booked = await appointmentSeries.bookOccurrences(client, occurrences, {
+                seriesId, patientId, serviceId, staffId, notes
+            }, settings);
+
+            // 1回でも予約できなければ全体を取り消す
+            if (booked.conflicts.length > 0) {
+                const conflictError = new Error('予約できない回があります');
+                conflictError.conflicts = booked.conflicts;
+                throw conflictError;
+            }
+
+            return { seriesId, appointmentIds: booked.appointmentIds };
+        });
+
+        await logAudit(
+            req.session.adminId, 'create_appointment_series', 'appointment_series', result.seriesId, null,
+            { name, serviceId, staffId, intervalWeeks, occurrences: startTimes.map(date => date.toISOString()) }, req
+        );
+
+        res.json({ success: true, seriesId: result.seriesId, appointmentIds: result.appointmentIds });
+
+    } catch (error) {
+        if (error.conflicts) {
+            return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+        }
+        console.error('通院シリーズ登録エラー:', error);
+        res.status(500).json({ error: '通院シリーズの登録に失敗しました' });
+    }
+});
+
+// 通院シリーズ詳細（全回の予約）
+app.get('/api/admin/appointment-series/:id', requireAdmin, async (req, res) => {
+    try {
+        const series = await db.queryOne(`
+            SELECT sr.*, s.name as service_name, st.name as staff_name, p.name as patient_name
+            FROM appointment_series sr
+            JOIN services s ON sr.service_id = s.id
+            LEFT JOIN staff st ON sr.staff_id = st.id
+            JOIN patients p ON sr.patient_id = p.id
+            WHERE sr.id = $1
+        `, [req.params.id]);
+
+        if (!series) {
+            return res.status(404).json({ error: '通院シリーズが見つかりません' });
+        }
+
+        const appointments = await db.queryAll(`
+            SELECT a.id, a.series_index, a.start_at, a.end_at, a.status, st.name as staff_name
+            FROM appointments a
+            LEFT JOIN staff st ON a.staff_id = st.id
+            WHERE a.series_id = $1
+            ORDER BY a.start_at
+        `, [series.id]);
+
+        res.json({ ...series, appointments });
+
+    } catch (error) {
+        console.error('通院シリーズ取得エラー:', error);
+        res.status(500).json({ error: '通院シリーズの取得に失敗しました' });
+    }
+});
+
+// 通院シリーズの移動（指定した回（省略時は次の回）以降を、その回の変更幅だけまとめてずらす）
+app.put('/api/admin/appointment-series/:id/move', requireAdmin, async (req, res) => {
+    try {
+        const seriesId = req.params.id;
+        const startAt = new Date(req.body.startAt);
+        if (isNaN(startAt.getTime())) {
+            return res.status(400).json({ error: '無効な日時です' });
+        }
+
+        let appointments = await findUpcomingSeriesAppointments(seriesId);
+        if (req.body.appointmentId) {
+            const baseIndex = appointments.findIndex(a => a.id === parseInt(req.body.appointmentId));
+            appointments = baseIndex === -1 ? [] : appointments.slice(baseIndex);
+        }
+        if (appointments.length === 0) {
+            return res.status(404).json({ error: '移動できる今後の予約がありません' });
+        }
+
+        const shiftMs = startAt.getTime() - new Date(appointments[0].start_at).getTime();
+        const moves = appointments.map(appointment => ({
+            appointment,
+            startAt: new Date(new Date(appointment.start_at).getTime() + shiftMs)
+        }));
+
+        const result = await moveAppointmentsByAdmin(moves, await getSettings());
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, conflicts: result.conflicts });
+        }
+
+        await logAudit(
+            req.session.adminId, 'move_appointment_series', 'appointment_series', seriesId,
+            { startAt: appointments.map(a => a.start_at) },
+            { startAt: moves.map(move => move.startAt.toISOString()) },
+            req
+        );
+
+        res.json({ success: true, moved: moves.length });
+
+    } catch (error) {
+        console.error('通院シリーズ移動エラー:', error);
+        res.status(500).json({ error: '通院シリーズの移動に失敗しました' });
+    }
+});
+
+// 通院シリーズのキャンセル（今後の回をすべてキャンセル）
+app.post('/api/admin/appointment-series/:id/cancel', requireAdmin, async (req, res) => {
+    try {
+        const seriesId = req.params.id;
+
+        const cancelled = await db.queryAll(`
+            UPDATE appointments SET status = 'cancelled', calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+            WHERE series_id = $1 AND status = 'confirmed' AND start_at > NOW()
+            RETURNING *
+        `, [seriesId]);
+
+        if (cancelled.length === 0) {
+            return res.status(404).json({ error: 'キャンセルできる今後の予約がありません' });
+        }
+
+        await logAudit(
+            req.session.adminId, 'cancel_appointment_series', 'appointment_series', seriesId,
+            { appointmentIds: cancelled.map(a => a.id) }, null, req
+        );
+
+        // キャンセルのお知らせ・空いた枠のキャンセル待ちご案内（非同期）
+        const settings = await getSettings();
+        const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [cancelled[0].patient_id]);
+        const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [cancelled[0].service_id]);
+        for (const appointment of cancelled) {
+            mailer.sendCancellationEmail(db, appointment, patient, service, settings)
+                .catch(err => console.error('キャンセルメール送信エラー:', err));
+            waitlist.offerFreedSlot(appointment, settings)
+                .catch(err => console.error('キャンセル待ちご案内エラー:', err));
+        }
+
+        res.json({ success: true, cancelled: cancelled.length });
+
+    } catch (error) {
+        console.error('通院シリーズキャンセルエラー:', error);
+        res.status(500).json({ error: '通院シリーズのキャンセルに失敗しました' });
+    }
+});
+
+// 予約日時の変更（管理者用・通院シリーズの1回分の移動にも使用）
+app.put('/api/admin/appointments/:id/reschedule', requireAdmin, async (req, res) => {
+    try {
+        const startAt = new Date(req.body.startAt);
+        if (isNaN(startAt.getTime())) {
+            return res.status(400).json({ error: '無効な日時です' });
+        }
+
+        const appointment = await db.queryOne(`
+            SELECT a.*, s.duration_minutes
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            WHERE a.id = $1
+        `, [req.params.id]);
+
+        if (!appointment) {
+            return res.status(404).json({ error: '予約が見つかりません' });
+        }
+        if (appointment.status !== 'confirmed') {
+            return res.status(400).json({ error: '確定済みの予約のみ日時を変更できます' });
+        }
+
+        const result = await moveAppointmentsByAdmin([{ appointment, startAt }], await getSettings());
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, conflicts: result.conflicts });
+        }
+
+        await logAudit(
+            req.session.adminId, 'move_appointment', 'appointment', appointment.id,
+            { startAt: appointment.start_at, staffId: appointment.staff_id },
+            { startAt: startAt.toISOString() },
+            req
+        );
+
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('予約日時変更エラー:', error);
+        res.status(500).json({ error: '予約日時の変更に失敗しました' });
+    }
+});
+
+// CSVエクスポート
+app.get('/api/admin/appointments/export/csv', requireAdmin, async (req, res) => {
+    try {
+        const { start, end } = req.query;
+
+        let query = `
+            SELECT 
+                a.id, a.start_at, a.end_at, a.status,
+                s.name as service_name,
+                st.name as staff_name,
+                p.name as patient_name, p.kana as patient_kana, p.phone as patient_phone, p.email as patient_email
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            LEFT JOIN staff st ON a.staff_id = st.id
+            JOIN patients p ON a.patient_id = p.id
+            WHERE 1=1
+        `;
+        const params = [];
+        let paramIndex = 1;
+
+        if (start) {
+            query += ` AND a.start_at >= $${paramIndex++}`;
+            params.push(start);
+        }
+        if (end) {
+            query += ` AND a.start_at <= $${paramIndex++}`;
+            params.push(end);
+        }
+
+        query += ' ORDER BY a.start_at ASC';
+
+        const appointments = await db.queryAll(query, params);
+
+        // CSV生成
+        const headers = ['予約ID', '予約日時', '終了時刻', 'ステータス', 'メニュー', '担当', '患者名', 'ふりがな', '電話番号', 'メールアドレス'];
+        let csv = '\uFEFF' + headers.join(',') + '\n'; // BOM付きUTF-8
+
+        for (const apt of appointments) {
+            const row = [
+                apt.id,
+                apt.start_at,
+                apt.end_at,
+                apt.status,
+                apt.service_name,
+                apt.staff_name || '',
+                apt.patient_name,
+                apt.patient_kana,
+                apt.patient_phone,
+                apt.patient_email || ''
+            ].map(val => `"${String(val).replace(/"/g, '""')}"`);
+            csv += row.join(',') + '\n';
+        }
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="appointments_${new Date().toISOString().split('T')[0]}.csv"`);
+        res.send(csv);
+
+    } catch (error) {
+        console.error('CSVエクスポートエラー:', error);
+        res.status(500).json({ error: 'エクスポートに失敗しました' });
+    }
+});
+
+// 患者一覧
+app.get('/api/admin/patients', requireAdmin, async (req, res) => {
+    try {
+        const { search } = req.query;
+
+        let query = `
+            SELECT p.*, 
+                (SELECT COUNT(*) FROM appointments WHERE patient_id = p.id) as appointment_count,
+                (SELECT MAX(start_at) FROM appointments WHERE patient_id = p.id) as last_visit
+            FROM patients p
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (search) {
+            query += ` AND (p.name LIKE $1 OR p.kana LIKE $1 OR p.phone LIKE $1 OR p.email LIKE $1)`;
+            params.push(`%${search}%`);
+        }
+
+        query += ' ORDER BY p.created_at DESC LIMIT 100';
+
+        const patients = await db.queryAll(query, params);
+        res.json(patients);
+
+    } catch (error) {
+        console.error('患者一覧取得エラー:', error);
+        res.status(500).json({ error: '患者一覧の取得に失敗しました' });
+    }
+});
+
+// 患者詳細
+app.get('/api/admin/patients/:id', requireAdmin, async (req, res) => {
+    try {
+        const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [req.params.id]);
+
+        if (!patient) {
+            return res.status(404).json({ error: '患者が見つかりません' });
+        }
+
+        // 予約履歴
+        const appointments = await db.queryAll(`
+            SELECT a.*, s.name as service_name, st.name as staff_name
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            LEFT JOIN staff st ON a.staff_id = st.id
+            WHERE a.patient_id = $1
+            ORDER BY a.start_at DESC
+        `, [req.params.id]);
+
+        // メモ
+        const notes = await db.queryAll(`
+            SELECT n.*, a.display_name as created_by_name
+            FROM patient_notes n
+            LEFT JOIN admins a ON n.created_by = a.id
+            WHERE n.patient_id = $1
+            ORDER BY n.created_at DESC
+        `, [req.params.id]);
+
+        res.json({
+            ...patient,
+            appointments,
+            notes,
+            notificationChannels: notificationChannels.getChannelLabels()
+        });
+
+    } catch (error) {
+        console.error('患者詳細取得エラー:', error);
+        res.status(500).json({ error: '患者詳細の取得に失敗しました' });
+    }
+});
+
+// お知らせの送信方法の変更（電話・窓口で希望を受けた場合、LINE 連携の登録）
+app.put('/api/admin/patients/:id/notification', requireAdmin, async (req, res) => {
+    try {
+        const { notificationChannel } = req.body;
+        const lineUserId = req.body.lineUserId ? security.sanitize(String(req.body.lineUserId).trim()) : null;
+
+        if (!notificationChannels.getChannel(notificationChannel)) {
+            return res.status(400).json({ error: '送信方法の指定が正しくありません' });
+        }
+
+        if (notificationChannel === 'line' && !lineUserId) {
+            return res.status(400).json({ error: 'LINE で送る場合は LINE のユーザーIDを入力してください' });
+        }
+
+        const patient = await db.queryOne('SELECT id, notification_channel, line_user_id FROM patients WHERE id = $1', [req.params.id]);
+        if (!patient) {
+            return res.status(404).json({ error: '患者が見つかりません' });
+        }
+
+        await db.execute(`
+            UPDATE patients SET notification_channel = $1, line_user_id = $2, updated_at = NOW()
+            WHERE id = $3
+        `, [notificationChannel, lineUserId, patient.id]);
+
+        await logAudit(req.session.adminId, 'update_patient_notification', 'patient', patient.id,
+            { notificationChannel: patient.notification_channel, lineUserId: patient.line_user_id },
+            { notificationChannel, lineUserId }, req);
+
+        res.json({ success: true, message: 'お知らせの送信方法を変更しました' });
+
+    } catch (error) {
+        console.error('送信方法変更エラー:', error);
+        res.status(500).json({ error: '送信方法の変更に失敗しました' });
+    }
+});
+
+// 患者メモ追加
+app.post('/api/admin/patients/:id/notes', requireAdmin, async (req, res) => {
+    try {
+        const { note } = req.body;
+        const patientId = req.params.id;
+
+        if (!note || !note.trim()) {
+            return res.status(400).json({ error: 'メモを入力してください' });
+        }
+
+        const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [patientId]);
+        if (!patient) {
+            return res.status(404).json({ error: '患者が見つかりません' });
+        }
+
+        const noteId = await db.insert(`
+            INSERT INTO patient_notes (patient_id, note, created_by)
+            VALUES ($1, $2, $3)
+        `, [patientId, security.sanitize(note), req.session.adminId]);
+
+        await logAudit(req.session.adminId, 'add_patient_note', 'patient_note', noteId, null, { patientId, note }, req);
+
+        res.status(201).json({ success: true, noteId });
+
+    } catch (error) {
+        console.error('メモ追加エラー:', error);
+        res.status(500).json({ error: 'メモの追加に失敗しました' });
+    }
+});
+
+// ===== リコール（定期検診のご案内） =====
+
+// リコール対象の患者一覧（期限切れ＋今後 withinDays 日以内に予定日を迎える患者）
+app.get('/api/admin/recalls', requireAdmin, async (req, res) => {
+    try {
+        const withinDays = Math.min(Math.max(parseInt(req.query.withinDays) || 30, 0), 365);
+        const settings = await getSettings();
+        const list = await recalls.getRecallList({ withinDays, settings });
+        res.json(list);
+    } catch (error) {
+        console.error('リコール一覧取得エラー:', error);
+        res.status(500).json({ error: 'リコール一覧の取得に失敗しました' });
+    }
+});
+
+// リコールメール送信（選択した患者のみ）
+app.post('/api/admin/recalls/send', requireAdmin, async (req, res) => {
+    try {
+        const { appointmentIds } = req.body;
+
+        if (!Array.isArray(appointmentIds) || appointmentIds.length === 0) {
+            return res.status(400).json({ error: '送信する患者を選択してください' });
+        }
+
+        const ids = appointmentIds.map(id => parseInt(id)).filter(id => Number.isInteger(id));
+        const settings = await getSettings();
+        const result = await recalls.sendRecallEmails(ids, req.session.adminId, settings);
+
+        await logAudit(req.session.adminId, 'send_recall_emails', 'recall', null, null, { appointmentIds: ids, result }, req);
+
+        const notes = [];
+        if (result.alreadySent > 0) notes.push(`送信済み${result.alreadySent}件`);
+        if (result.noContact > 0) notes.push(`連絡先未登録${result.noContact}件`);
+        if (result.failed > 0) notes.push(`失敗${result.failed}件`);
+        if (result.skipped > 0) notes.push(`送信設定がないため未送信${result.skipped}件`);
+
+        res.json({
+            success: true,
+            message: `リコールのご案内を${result.sent}件送信しました${notes.length > 0 ? `（${notes.join('、')}）` : ''}`,
+            result
+        });
+    } catch (error) {
+        console.error('リコールメール送信エラー:', error);
+        res.status(500).json({ error: 'リコールメールの送信に失敗しました' });
+    }
+});
+
+// ===== キャンセル待ち（受付） =====
+
+// キャンセル待ち一覧（既定は待機中・ご案内中のみ）
+app.get('/api/admin/waitlist', requireAdmin, async (req, res) => {
+    try {
+        const { status } = req.query;
+        const statuses = status && waitlist.ENTRY_STATUS_LABELS[status] ? [status] : ['waiting', 'offered'];
+
+        const entries = await db.queryAll(`
+            SELECT w.*, p.name as patient_name, p.phone as patient_phone, p.email as patient_email,
+                   s.name as service_name, st.name as staff_name,
+                   o.start_at as offer_start_at, o.expires_at as offer_expires_at, o.status as offer_status
+            FROM waitlist_entries w
+            JOIN patients p ON w.patient_id = p.id
+            JOIN services s ON w.service_id = s.id
+            LEFT JOIN staff st ON w.staff_id = st.id
+            LEFT JOIN LATERAL (
+                SELECT start_at, expires_at, status FROM waitlist_offers
+                WHERE entry_id = w.id
+                ORDER BY created_at DESC
+                LIMIT 1
+            ) o ON true
+            WHERE w.status = ANY($1)
+            ORDER BY w.created_at, w.id
+        `, [statuses]);
+
+        const settings = await getSettings();
+        res.json({
+            entries,
+            statusLabels: waitlist.ENTRY_STATUS_LABELS,
+            offerHours: waitlist.getOfferHours(settings)
+        });
+    } catch (error) {
+        console.error('キャンセル待ち一覧取得エラー:', error);
+        res.status(500).json({ error: 'キャンセル待ち一覧の取得に失敗しました' });
+    }
+});
+
+// キャンセル待ちの登録（電話・窓口で受けた場合）
+app.post('/api/admin/waitlist', requireAdmin, async (req, res) => {
+    try {
+        const { name, kana, phone, email, notes } = req.body;
+
+        if (!name || !kana || !security.isValidPhone(phone)) {
+            return res.status(400).json({ error: '氏名・ふりがな・電話番号を入力してください' });
+        }
+        if (email && !security.isValidEmail(email)) {
+            return res.status(400).json({ error: '有効なメールアドレスを入力してください' });
+        }
+
+        const settings = await getSettings();
+        const parsed = await parseWaitlistRequest(req.body, settings);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const entryId = await createWaitlistEntry({ name, kana, phone, email }, parsed.values, {
+            source: 'admin',
+            notes,
+            adminId: req.session.adminId
+        });
+
+        await logAudit(req.session.adminId, 'create_waitlist_entry', 'waitlist_entry', entryId, null, { name, phone, ...parsed.values }, req);
+
+        res.status(201).json({ success: true, entryId, message: 'キャンセル待ちに登録しました' });
+    } catch (error) {
+        console.error('キャンセル待ち登録エラー:', error);
+        res.status(500).json({ error: 'キャンセル待ちの登録に失敗しました' });
+    }
+});
+
+// キャンセル待ちの取り消し（ご案内中の確保URLも使えなくする）
+app.delete('/api/admin/waitlist/:id', requireAdmin, async (req, res) => {
+    try {
+        const entryId = req.params.id;
+
+        const entry = await db.queryOne('SELECT * FROM waitlist_entries WHERE id = $1', [entryId]);
+        if (!entry) {
+            return res.status(404).json({ error: 'キャンセル待ちの登録が見つかりません' });
+        }
+        if (!['waiting', 'offered'].includes(entry.status)) {
+            return res.status(400).json({ error: 'この登録は既に終了しています' });
+        }
+
+        await db.transaction(async (client) => {
+            await client.query(`
+                UPDATE waitlist_offers SET status = 'expired' WHERE entry_id = $1 AND status = 'pending'
+            `, [entryId]);
+            await client.query(`
+                UPDATE waitlist_entries SET status = 'cancelled', updated_at = NOW() WHERE id = $1
+            `, [entryId]);
+        });
+
+        await logAudit(req.session.adminId, 'cancel_waitlist_entry', 'waitlist_entry', entryId, entry, { status: 'cancelled' }, req);
+
+        res.json({ success: true, message: 'キャンセル待ちを取り消しました' });
+    } catch (error) {
+        console.error('キャンセル待ち取り消しエラー:', error);
+        res.status(500).json({ error: 'キャンセル待ちの取り消しに失敗しました' });
+    }
+});
+
+// SMTP設定取得
+app.get('/api/admin/settings/smtp', requireAdmin, async (req, res) => {
+    try {
+        const settings = await getSettings();
+        res.json({
+            smtpHost: settings.smtp_host || 'smtp.gmail.com',
+            smtpPort: settings.smtp_port || '587',
+            smtpUser: settings.smtp_user || '',
+            smtpPass: settings.smtp_pass ? '********' : '', // パスワードは隠す
+            adminNotificationEmail: settings.admin_notification_email || ''
+        });
+    } catch (error) {
+        console.error('SMTP設定取得エラー:', error);
+        res.status(500).json({ error: 'SMTP設定の取得に失敗しました' });
+    }
+});
+
+// SMTP設定保存
+app.put('/api/admin/settings/smtp', requireAdmin, async (req, res) => {
+    try {
+        const { smtpHost, smtpPort, smtpUser, smtpPass, adminNotificationEmail } = req.body;
+
+        const upsertSetting = async (key, value) => {
+            await db.execute(`
+                INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, NOW())
+                ON CONFLICT(key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+            `, [key, value]);
+        };
+
+        if (smtpHost) await upsertSetting('smtp_host', smtpHost);
+        if (smtpPort) await upsertSetting('smtp_port', smtpPort);
+        if (smtpUser) await upsertSetting('smtp_user', smtpUser);
+        // パスワードは********でなければ更新
+        if (smtpPass && smtpPass !== '********') await upsertSetting('smtp_pass', smtpPass);
+        if (adminNotificationEmail !== undefined) await upsertSetting('admin_notification_email', adminNotificationEmail);
+
+        await logAudit(req.session.adminId, 'update_smtp_settings', 'settings', null, null, { smtpHost, smtpPort, smtpUser }, req);
+
+        res.json({ success: true, message: 'SMTP設定を保存しました' });
+
+    } catch (error) {
+        console.error('SMTP設定保存エラー:', error);
+        res.status(500).json({ error: 'SMTP設定の保存に失敗しました' });
+    }
+});
+
+// テストメール送信
+app.post('/api/admin/settings/smtp/test', requireAdmin, async (req, res) => {
+    try {
+        const settings = await getSettings();
+        const testEmail = req.body.email || settings.admin_notification_email || settings.smtp_user;
+
+        if (!testEmail) {
+            return res.status(400).json({ error: 'テスト送信先メールアドレスを指定してください' });
+        }
+
+        if (!settings.smtp_user || !settings.smtp_pass) {
+            return res.status(400).json({ error: 'SMTP設定が完了していません。設定を保存してください。' });
+        }
+
+        const nodemailer = require('nodemailer');
+        const smtpPort = parseInt(settings.smtp_port) || 587;
+        const isSecure = smtpPort === 465;
+
+        const transporter = nodemailer.createTransport({
+            host: settings.smtp_host || 'smtp.gmail.com',
+            port: smtpPort,
+            secure: isSecure,
+            auth: {
+                user: settings.smtp_user,
+                pass: settings.smtp_pass
+            },
+            tls: {
+                rejectUnauthorized: false
+            },
+            connectionTimeout: 10000,
+            greetingTimeout: 10000
+        });
+
+        await transporter.sendMail({
+            from: `"彦歯科医院 予約システム" <${settings.smtp_user}>`,
+            to: testEmail,
+            subject: '【テスト】メール設定確認',
+            text: `これは彦歯科医院予約システムからのテストメールです。\n\nこのメールが届いていれば、SMTP設定は正しく動作しています。`
+        });
+
+        res.json({ success: true, message: `テストメールを ${testEmail} に送信しました` });
+
+    } catch (error) {
+        console.error('テストメール送信エラー:', error);
+        res.status(500).json({ error: `メール送信エラー: ${error.message}` });
+    }
+});
+
+// ===== 予約枠キャパシティ管理API =====
+
+// キャパシティ設定一覧取得
+app.get('/api/admin/slot-capacities', requireAdmin, async (req, res) => {
+    try {
+        const capacities = await db.queryAll(`
+            SELECT * FROM slot_capacities ORDER BY day_of_week, time_slot
+        `);
+
+        // デフォルト値も取得
+        const defaultCapacity = await db.queryOne(`
+            SELECT value FROM settings WHERE key = 'default_slot_capacity'
+        `);
+
+        res.json({
+            capacities,
+            defaultCapacity: parseInt(defaultCapacity?.value) || 1
+        });
+    } catch (error) {
+        console.error('キャパシティ設定取得エラー:', error);
+        res.status(500).json({ error: 'キャパシティ設定の取得に失敗しました' });
+    }
+});
+
+// デフォルトキャパシティ更新
+app.put('/api/admin/slot-capacities/default', requireAdmin, async (req, res) => {
+    try {
+        const { capacity } = req.body;
+
+        if (!capacity || capacity < 1) {
+            return res.status(400).json({ error: 'キャパシティは1以上の数値を指定してください' });
+        }
+
+        await db.execute(`
+            INSERT INTO settings (key, value, description)
+            VALUES ('default_slot_capacity', $1, '時間枠あたりのデフォルト予約上限数')
+            ON CONFLICT (key) DO UPDATE SET value = $1
+        `, [String(capacity)]);
+
+        await logAudit(req.session.adminId, 'update_default_capacity', 'settings', null, null, { capacity }, req);
+
+        res.json({ success: true, message: 'デフォルトキャパシティを更新しました' });
+
+    } catch (error) {
+        console.error('デフォルトキャパシティ更新エラー:', error);
+        res.status(500).json({ error: 'デフォルトキャパシティの更新に失敗しました' });
+    }
+});
+
+// 一括キャパシティ設定（曜日×時間帯マトリクス）
+app.put('/api/admin/slot-capacities/bulk', requireAdmin, async (req, res) => {
+    try {
+        const { capacities } = req.body; // [{ dayOfWeek, timeSlot, capacity }, ...]
+
+        if (!Array.isArray(capacities)) {
+            return res.status(400).json({ error: '無効なデータ形式です' });
+        }
+
+        // トランザクションで一括処理
+        await db.transaction(async (client) => {
+            for (const item of capacities) {
+                if (item.capacity === null || item.capacity === undefined) {
+                    // 削除（デフォルトに戻す）
                     await client.query(`
                         DELETE FROM slot_capacities 
                         WHERE day_of_week = $1 AND time_slot = $2
@@ -1107,257 +2811,1284 @@ app.put('/api/admin/slot-capacities/bulk', requireAdmin, async (req, res) => {
             }
         });
 
-        await logAudit(req.session.adminId, 'bulk_update_capacity', 'slot_capacities', null, null, { count: capacities.length }, req);
+        await logAudit(req.session.adminId, 'bulk_update_capacity', 'slot_capacities', null, null, { count: capacities.length }, req);
+
+        res.json({ success: true, message: 'キャパシティ設定を一括更新しました' });
+
+    } catch (error) {
+        console.error('一括キャパシティ更新エラー:', error);
+        res.status(500).json({ error: 'キャパシティ設定の一括更新に失敗しました' });
+    }
+});
+
+// 個別キャパシティ設定
+app.put('/api/admin/slot-capacities/:dayOfWeek/:timeSlot', requireAdmin, async (req, res) => {
+    try {
+        const { dayOfWeek, timeSlot } = req.params;
+        const { capacity } = req.body;
+
+        if (capacity === null || capacity === undefined) {
+            // 削除（デフォルトに戻す）
+            await db.execute(`
+                DELETE FROM slot_capacities 
+                WHERE day_of_week = $1 AND time_slot = $2
+            `, [dayOfWeek, timeSlot]);
+        } else {
+            if (capacity < 1) {
+                return res.status(400).json({ error: 'キャパシティは1以上を指定してください' });
+            }
+            await db.execute(`
+                INSERT INTO slot_capacities (day_of_week, time_slot, capacity, updated_at)
+                VALUES ($1, $2, $3, NOW())
+                ON CONFLICT (day_of_week, time_slot) 
+                DO UPDATE SET capacity = $3, updated_at = NOW()
+            `, [dayOfWeek, timeSlot, capacity]);
+        }
+
+        await logAudit(req.session.adminId, 'update_slot_capacity', 'slot_capacities', null, null, { dayOfWeek, timeSlot, capacity }, req);
+
+        res.json({ success: true, message: 'キャパシティを更新しました' });
+
+    } catch (error) {
+        console.error('個別キャパシティ更新エラー:', error);
+        res.status(500).json({ error: 'キャパシティの更新に失敗しました' });
+    }
+});
+
+// 特定日付のキャパシティ設定取得
+app.get('/api/admin/slot-capacities/date/:date', requireAdmin, async (req, res) => {
+    try {
+        const { date } = req.params;
+        const targetDate = new Date(date);
+        const dayOfWeek = targetDate.getDay(); // 0-6
+
+        // 1. デフォルト値
+        const defaultCapacityRes = await db.queryOne(`SELECT value FROM settings WHERE key = 'default_slot_capacity'`);
+        const defaultCapacity = parseInt(defaultCapacityRes?.value) || 1;
+
+        // 2. 曜日設定
+        const dayCapacities = await db.queryAll(`
+            SELECT time_slot, capacity FROM slot_capacities 
+            WHERE day_of_week = $1 AND specific_date IS NULL
+        `, [dayOfWeek]);
+
+        // 3. 特定日設定
+        const dateCapacities = await db.queryAll(`
+            SELECT time_slot, capacity FROM slot_capacities 
+            WHERE specific_date = $1
+        `, [date]);
+
+        // マージロジック
+        // 全時間枠（9:00-19:00, 30分刻み）を生成して、優先順位に従って埋める
+        const result = [];
+        const startHour = 9;
+        const endHour = 19;
+
+        for (let h = startHour; h < endHour; h++) {
+            for (let m of [0, 30]) {
+                const timeSlot = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:00`;
+                const displayTime = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+
+                let capacity = defaultCapacity;
+                let source = 'default';
+
+                const dayConfig = dayCapacities.find(c => c.time_slot === timeSlot);
+                if (dayConfig) {
+                    capacity = dayConfig.capacity;
+                    source = 'day';
+                }
+
+                const dateConfig = dateCapacities.find(c => c.time_slot === timeSlot);
+                if (dateConfig) {
+                    capacity = dateConfig.capacity;
+                    source = 'date';
+                }
+
+                result.push({
+                    timeSlot: displayTime,
+                    capacity,
+                    source // default, day, date
+                });
+            }
+        }
+
+        res.json({ date, dayOfWeek, capacities: result });
+
+    } catch (error) {
+        console.error('特定日キャパシティ取得エラー:', error);
+        res.status(500).json({ error: 'キャパシティ設定の取得に失敗しました' });
+    }
+});
+
+// 特定日付のキャパシティ設定保存
+app.put('/api/admin/slot-capacities/date/:date', requireAdmin, async (req, res) => {
+    try {
+        const { date } = req.params;
+        const { capacities } = req.body; // [{ timeSlot: '09:00', capacity: 3 }, ...]
+
+        if (!Array.isArray(capacities)) {
+            return res.status(400).json({ error: '無効なデータ形式です' });
+        }
+
+        await db.transaction(async (client) => {
+            for (const item of capacities) {
+                // capacityがnull/undefined、または "default" "day" などの指示があれば削除
+                // ここでは単純に「送られてきた値」を特定日設定として保存する
+                // もし「設定解除（曜日設定に戻す）」場合は null を送る想定
+
+                if (item.capacity === null) {
+                    // 特定日設定削除
+                    await client.query(`
+                        DELETE FROM slot_capacities 
+                        WHERE specific_date = $1 AND time_slot = $2
+                    `, [date, item.timeSlot]);
+                } else {
+                    // 特定日設定追加/更新
+                    await client.query(`
+                        INSERT INTO slot_capacities (specific_date, time_slot, capacity, updated_at)
+                        VALUES ($1, $2, $3, NOW())
+                        ON CONFLICT (specific_date, time_slot) 
+                        DO UPDATE SET capacity = $3, updated_at = NOW()
+                    `, [date, item.timeSlot, item.capacity]);
+                }
+            }
+        });
+
+        await logAudit(req.session.adminId, 'update_date_capacity', 'slot_capacities', null, null, { date, count: capacities.length }, req);
+
+        res.json({ success: true, message: `${date} のキャパシティ設定を保存しました` });
+
+    } catch (error) {
+        console.error('特定日キャパシティ保存エラー:', error);
+        res.status(500).json({ error: 'キャパシティ設定の保存に失敗しました' });
+    }
+});
+
+// ===== サービス（メニュー）管理API =====
+
+// サービス一覧（管理者用）
+app.get('/api/admin/services', requireAdmin, async (req, res) => {
+    try {
+        const services = await db.queryAll(`
+            SELECT s.*,
+                COALESCE((
+                    SELECT array_agg(ss.staff_id ORDER BY ss.staff_id)
+                    FROM service_staff ss WHERE ss.service_id = s.id
+                ), '{}') as staff_ids,
+                COALESCE((
+                    SELECT json_agg(json_build_object('resourceId', sr.resource_id, 'name', r.name, 'quantity', sr.quantity) ORDER BY r.sort_order, r.id)
+                    FROM service_resources sr
+                    JOIN resources r ON r.id = sr.resource_id AND r.is_active = true
+                    WHERE sr.service_id = s.id
+                ), '[]') as resources,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'name', sg.name, 'durationMinutes', sg.duration_minutes,
+                        'staffRole', sg.staff_role, 'gapAfterMinutes', sg.gap_after_minutes
+                    ) ORDER BY sg.sort_order, sg.id)
+                    FROM service_segments sg WHERE sg.service_id = s.id
+                ), '[]') as segments
+            FROM services s ORDER BY s.sort_order, s.id
+        `);
+        res.json(services);
+    } catch (error) {
+        console.error('サービス取得エラー:', error);
+        res.status(500).json({ error: 'サービスの取得に失敗しました' });
+    }
+});
+
+// メニューの所要時間・表示色の入力チェック（エラーメッセージ、問題なければ null）
+const SERVICE_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function validateServiceFields({ durationMinutes, color }) {
+    if (durationMinutes !== undefined && !(parseInt(durationMinutes) >= 5 && parseInt(durationMinutes) <= 480)) {
+        return '所要時間は5〜480分で入力してください';
+    }
+    if (color && !SERVICE_COLOR_PATTERN.test(color)) {
+        return '表示色が正しくありません';
+    }
+    return null;
+}
+
+// メニュー追加（並び順は最後）
+app.post('/api/admin/services', requireAdmin, async (req, res) => {
+    try {
+        const { durationMinutes, color } = req.body;
+        const name = security.sanitize(req.body.name);
+        const description = security.sanitize(req.body.description);
+
+        if (!name || !durationMinutes) {
+            return res.status(400).json({ error: 'メニュー名と所要時間を入力してください' });
+        }
+
+        const validationError = validateServiceFields({ durationMinutes, color });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const serviceId = await db.insert(`
+            INSERT INTO services (name, description, duration_minutes, color, sort_order)
+            VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(sort_order), -1) + 1 FROM services))
+        `, [name, description || null, parseInt(durationMinutes), color || null]);
+
+        await logAudit(req.session.adminId, 'create_service', 'service', serviceId, null, { name, durationMinutes: parseInt(durationMinutes), description, color }, req);
+
+        res.status(201).json({ success: true, message: 'メニューを登録しました', id: serviceId });
+
+    } catch (error) {
+        console.error('メニュー登録エラー:', error);
+        res.status(500).json({ error: 'メニューの登録に失敗しました' });
+    }
+});
+
+// メニュー並び替え
+app.put('/api/admin/services/reorder', requireAdmin, async (req, res) => {
+    try {
+        const { ids } = req.body; // IDの配列 (順序通り)
+
+        if (!Array.isArray(ids) || !ids.map(Number).every(Number.isInteger)) {
+            return res.status(400).json({ error: 'データ形式が正しくありません' });
+        }
+
+        const oldOrder = await db.queryAll(
+            'SELECT id, sort_order FROM services WHERE id = ANY($1::int[]) ORDER BY sort_order, id',
+            [ids.map(Number)]
+        );
+
+        await db.transaction(async (client) => {
+            for (let i = 0; i < ids.length; i++) {
+                await client.query('UPDATE services SET sort_order = $1, updated_at = NOW() WHERE id = $2', [i, ids[i]]);
+            }
+        });
+
+        await logAudit(
+            req.session.adminId, 'reorder_services', 'service', null,
+            { order: oldOrder.map(row => ({ id: row.id, sortOrder: row.sort_order })) },
+            { order: ids.map((id, i) => ({ id: Number(id), sortOrder: i })) },
+            req
+        );
+
+        res.json({ success: true, message: '順序を保存しました' });
+
+    } catch (error) {
+        console.error('並び替えエラー:', error);
+        res.status(500).json({ error: '並び替えの保存に失敗しました' });
+    }
+});
+
+// メニュー更新（指定した項目のみ。color に空文字を渡すと標準色に戻す）
+app.put('/api/admin/services/:id', requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+        const { durationMinutes, color, isActive } = req.body;
+        const name = security.sanitize(req.body.name);
+        const description = security.sanitize(req.body.description);
+
+        const oldService = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        if (!oldService) {
+            return res.status(404).json({ error: 'メニューが見つかりません' });
+        }
+
+        if (name !== undefined && !name) {
+            return res.status(400).json({ error: 'メニュー名を入力してください' });
+        }
+
+        const validationError = validateServiceFields({ durationMinutes, color });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        // 工程のあるメニューの所要時間は工程の合計で決まる
+        if (durationMinutes !== undefined && parseInt(durationMinutes) !== oldService.duration_minutes) {
+            const segment = await db.queryOne('SELECT id FROM service_segments WHERE service_id = $1 LIMIT 1', [serviceId]);
+            if (segment) {
+                return res.status(400).json({ error: '工程のあるメニューの所要時間は「工程設定」で変更してください' });
+            }
+        }
+
+        await db.execute(`
+            UPDATE services SET
+                name = $1, description = $2, duration_minutes = $3, color = $4, is_active = $5,
+                updated_at = NOW()
+            WHERE id = $6
+        `, [
+            name !== undefined ? name : oldService.name,
+            description !== undefined ? (description || null) : oldService.description,
+            durationMinutes !== undefined ? parseInt(durationMinutes) : oldService.duration_minutes,
+            color !== undefined ? (color || null) : oldService.color,
+            isActive !== undefined ? !!isActive : oldService.is_active,
+            serviceId
+        ]);
+
+        const newService = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        await logAudit(req.session.adminId, 'update_service', 'service', serviceId, oldService, newService, req);
+
+        res.json({ success: true, message: 'メニューを更新しました' });
+
+    } catch (error) {
+        console.error('メニュー更新エラー:', error);
+        res.status(500).json({ error: 'メニューの更新に失敗しました' });
+    }
+});
+
+// メニュー削除（予約・通院シリーズ・リコール・キャンセル待ちで使われているメニューは無効化のみ）
+app.delete('/api/admin/services/:id', requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+
+        const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        if (!service) {
+            return res.status(404).json({ error: 'メニューが見つかりません' });
+        }
+
+        const reference = await db.queryOne(`
+            SELECT
+                EXISTS (SELECT 1 FROM appointments WHERE service_id = $1)
+                OR EXISTS (SELECT 1 FROM appointment_series WHERE service_id = $1)
+                OR EXISTS (SELECT 1 FROM recall_emails WHERE service_id = $1)
+                OR EXISTS (SELECT 1 FROM waitlist_entries WHERE service_id = $1 AND status IN ('waiting', 'offered'))
+                as referenced
+        `, [serviceId]);
+
+        if (reference.referenced) {
+            await db.execute('UPDATE services SET is_active = false, updated_at = NOW() WHERE id = $1', [serviceId]);
+            await logAudit(req.session.adminId, 'deactivate_service', 'service', serviceId, service, { ...service, is_active: false }, req);
+
+            return res.json({ success: true, deactivated: true, message: '予約が入っているメニューのため、無効にしました' });
+        }
+
+        await db.execute('DELETE FROM services WHERE id = $1', [serviceId]);
+        await logAudit(req.session.adminId, 'delete_service', 'service', serviceId, service, null, req);
+
+        res.json({ success: true, deactivated: false, message: 'メニューを削除しました' });
+
+    } catch (error) {
+        console.error('メニュー削除エラー:', error);
+        res.status(500).json({ error: 'メニューの削除に失敗しました' });
+    }
+});
+
+// メニューの担当スタッフ更新（空配列なら全スタッフが担当）
+app.put('/api/admin/services/:id/staff', requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+        const { staffIds } = req.body;
+
+        if (!Array.isArray(staffIds)) {
+            return res.status(400).json({ error: 'データ形式が正しくありません' });
+        }
+
+        const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        if (!service) {
+            return res.status(404).json({ error: 'メニューが見つかりません' });
+        }
+
+        // 登録済みの有効なスタッフのみ指定できる
+        const parsedStaffIds = [...new Set(staffIds.map(Number))];
+        if (!parsedStaffIds.every(Number.isInteger)) {
+            return res.status(400).json({ error: '担当医師の指定が正しくありません' });
+        }
+        const activeStaff = await db.queryAll(
+            'SELECT id FROM staff WHERE id = ANY($1::int[]) AND is_active = true',
+            [parsedStaffIds]
+        );
+        if (activeStaff.length !== parsedStaffIds.length) {
+            return res.status(400).json({ error: '登録されていない担当医師が含まれています' });
+        }
+
+        const oldStaff = await db.queryAll('SELECT staff_id FROM service_staff WHERE service_id = $1', [serviceId]);
+
+        await db.transaction(async (client) => {
+            await client.query('DELETE FROM service_staff WHERE service_id = $1', [serviceId]);
+            for (const staffId of parsedStaffIds) {
+                await client.query(`
+                    INSERT INTO service_staff (service_id, staff_id) VALUES ($1, $2)
+                    ON CONFLICT DO NOTHING
+                `, [serviceId, staffId]);
+            }
+        });
+
+        await logAudit(
+            req.session.adminId, 'update_service_staff', 'service', serviceId,
+            { staffIds: oldStaff.map(r => r.staff_id) }, { staffIds: parsedStaffIds }, req
+        );
+
+        res.json({ success: true, message: '担当医師を保存しました' });
+
+    } catch (error) {
+        console.error('担当スタッフ更新エラー:', error);
+        res.status(500).json({ error: '担当医師の保存に失敗しました' });
+    }
+});
+
+// メニューの準備・片付け時間更新
+app.put('/api/admin/services/:id/buffers', requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+        const bufferBefore = parseInt(req.body.bufferBeforeMinutes) || 0;
+        const bufferAfter = parseInt(req.body.bufferAfterMinutes) || 0;
+
+        if (bufferBefore < 0 || bufferAfter < 0 || bufferBefore > 120 || bufferAfter > 120) {
+            return res.status(400).json({ error: '準備・片付け時間は0〜120分で入力してください' });
+        }
+
+        const oldService = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        if (!oldService) {
+            return res.status(404).json({ error: 'メニューが見つかりません' });
+        }
+
+        await db.execute(`
+            UPDATE services SET buffer_before_minutes = $1, buffer_after_minutes = $2, updated_at = NOW()
+            WHERE id = $3
+        `, [bufferBefore, bufferAfter, serviceId]);
+
+        await logAudit(
+            req.session.adminId, 'update_service_buffers', 'service', serviceId,
+            { bufferBeforeMinutes: oldService.buffer_before_minutes, bufferAfterMinutes: oldService.buffer_after_minutes },
+            { bufferBeforeMinutes: bufferBefore, bufferAfterMinutes: bufferAfter },
+            req
+        );
+
+        res.json({ success: true, message: '準備・片付け時間を保存しました' });
+
+    } catch (error) {
+        console.error('バッファ時間更新エラー:', error);
+        res.status(500).json({ error: '準備・片付け時間の保存に失敗しました' });
+    }
+});
+
+// メニューのリコール設定更新（月数が空ならリコールなし）
+app.put('/api/admin/services/:id/recall', requireAdmin, async (req, res) => {
+    try {
+        const serviceId = parseInt(req.params.id);
+        const recallMonths = req.body.recallMonths ? parseInt(req.body.recallMonths) : null;
+        const recallServiceId = req.body.recallServiceId ? parseInt(req.body.recallServiceId) : null;
+
+        if (recallMonths !== null && (!Number.isInteger(recallMonths) || recallMonths < 1 || recallMonths > 36)) {
+            return res.status(400).json({ error: 'リコールまでの期間は1〜36か月で入力してください' });
+        }
+
+        const oldService = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        if (!oldService) {
+            return res.status(404).json({ error: 'メニューが見つかりません' });
+        }
+
+        if (recallServiceId !== null && recallServiceId !== serviceId) {
+            const target = await db.queryOne('SELECT id FROM services WHERE id = $1', [recallServiceId]);
+            if (!target) {
+                return res.status(400).json({ error: 'ご案内するメニューが見つかりません' });
+            }
+        }
+
+        // 同じメニューを案内する場合は NULL で保存
+        const savedRecallServiceId = recallMonths !== null && recallServiceId !== serviceId ? recallServiceId : null;
+
+        await db.execute(`
+            UPDATE services SET recall_months = $1, recall_service_id = $2, updated_at = NOW()
+            WHERE id = $3
+        `, [recallMonths, savedRecallServiceId, serviceId]);
+
+        await logAudit(
+            req.session.adminId, 'update_service_recall', 'service', serviceId,
+            { recallMonths: oldService.recall_months, recallServiceId: oldService.recall_service_id },
+            { recallMonths, recallServiceId: savedRecallServiceId },
+            req
+        );
+
+        res.json({ success: true, message: 'リコール設定を保存しました' });
+
+    } catch (error) {
+        console.error('リコール設定更新エラー:', error);
+        res.status(500).json({ error: 'リコール設定の保存に失敗しました' });
+    }
+});
+
+// メニューの必要設備更新（空配列なら設備の制約なし）
+app.put('/api/admin/services/:id/resources', requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+        const { resources } = req.body; // [{ resourceId, quantity }]
+
+        if (!Array.isArray(resources)) {
+            return res.status(400).json({ error: 'データ形式が正しくありません' });
+        }
+
+        for (const item of resources) {
+            const quantity = parseInt(item.quantity);
+            if (!item.resourceId || isNaN(quantity) || quantity < 1) {
+                return res.status(400).json({ error: '必要数は1以上で入力してください' });
+            }
+        }
+
+        const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        if (!service) {
+            return res.status(404).json({ error: 'メニューが見つかりません' });
+        }
+
+        const oldResources = await db.queryAll('SELECT resource_id, quantity FROM service_resources WHERE service_id = $1', [serviceId]);
+
+        await db.transaction(async (client) => {
+            await client.query('DELETE FROM service_resources WHERE service_id = $1', [serviceId]);
+            for (const item of resources) {
+                await client.query(`
+                    INSERT INTO service_resources (service_id, resource_id, quantity) VALUES ($1, $2, $3)
+                    ON CONFLICT (service_id, resource_id) DO UPDATE SET quantity = EXCLUDED.quantity
+                `, [serviceId, parseInt(item.resourceId), parseInt(item.quantity)]);
+            }
+        });
+
+        await logAudit(req.session.adminId, 'update_service_resources', 'service', serviceId, oldResources, resources, req);
+
+        res.json({ success: true, message: '必要設備を保存しました' });
+
+    } catch (error) {
+        console.error('必要設備更新エラー:', error);
+        res.status(500).json({ error: '必要設備の保存に失敗しました' });
+    }
+});
+
+// メニューの工程更新（空配列なら工程なし＝1人の担当者が通しで担当）
+// 所要時間は工程と待ち時間の合計に合わせる
+app.put('/api/admin/services/:id/segments', requireAdmin, async (req, res) => {
+    try {
+        const serviceId = req.params.id;
+        const { segments } = req.body; // [{ name, durationMinutes, staffRole, gapAfterMinutes }]
+
+        if (!Array.isArray(segments)) {
+            return res.status(400).json({ error: 'データ形式が正しくありません' });
+        }
+
+        const parsed = [];
+        for (const item of segments) {
+            const name = security.sanitize(item.name || '').trim();
+            const durationMinutes = parseInt(item.durationMinutes);
+            const gapAfterMinutes = parseInt(item.gapAfterMinutes) || 0;
+
+            if (!name) {
+                return res.status(400).json({ error: '工程名を入力してください' });
+            }
+            if (!slots.STAFF_ROLES[item.staffRole]) {
+                return res.status(400).json({ error: '担当する職種を選択してください' });
+            }
+            if (!(durationMinutes >= 5 && durationMinutes <= 240)) {
+                return res.status(400).json({ error: '工程の所要時間は5〜240分で入力してください' });
+            }
+            if (gapAfterMinutes < 0 || gapAfterMinutes > 120) {
+                return res.status(400).json({ error: '待ち時間は0〜120分で入力してください' });
+            }
+            parsed.push({ name, durationMinutes, staffRole: item.staffRole, gapAfterMinutes });
+        }
+
+        // 最後の工程の後の待ち時間は予約に含めない
+        if (parsed.length > 0) {
+            parsed[parsed.length - 1].gapAfterMinutes = 0;
+        }
+
+        const oldService = await db.queryOne('SELECT * FROM services WHERE id = $1', [serviceId]);
+        if (!oldService) {
+            return res.status(404).json({ error: 'メニューが見つかりません' });
+        }
+
+        const oldSegments = await db.queryAll(`
+            SELECT name, duration_minutes, staff_role, gap_after_minutes
+            FROM service_segments WHERE service_id = $1 ORDER BY sort_order, id
+        `, [serviceId]);
+
+        const totalMinutes = parsed.reduce((sum, item) => sum + item.durationMinutes + item.gapAfterMinutes, 0);
+
+        await db.transaction(async (client) => {
+            await client.query('DELETE FROM service_segments WHERE service_id = $1', [serviceId]);
+            for (let i = 0; i < parsed.length; i++) {
+                await client.query(`
+                    INSERT INTO service_segments (service_id, sort_order, name, duration_minutes, staff_role, gap_after_minutes)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                `, [serviceId, i, parsed[i].name, parsed[i].durationMinutes, parsed[i].staffRole, parsed[i].gapAfterMinutes]);
+            }
+            if (parsed.length > 0) {
+                await client.query('UPDATE services SET duration_minutes = $1, updated_at = NOW() WHERE id = $2', [totalMinutes, serviceId]);
+            }
+        });
+
+        await logAudit(
+            req.session.adminId, 'update_service_segments', 'service', serviceId,
+            { durationMinutes: oldService.duration_minutes, segments: oldSegments },
+            { durationMinutes: parsed.length > 0 ? totalMinutes : oldService.duration_minutes, segments: parsed },
+            req
+        );
+
+        res.json({ success: true, message: '工程を保存しました' });
+
+    } catch (error) {
+        console.error('工程更新エラー:', error);
+        res.status(500).json({ error: '工程の保存に失敗しました' });
+    }
+});
+
+// ===== 設備（チェア・部屋・機器）管理API =====
+
+const RESOURCE_TYPES = ['chair', 'room', 'equipment'];
+
+// 設備一覧
+app.get('/api/admin/resources', requireAdmin, async (req, res) => {
+    try {
+        const resources = await db.queryAll(`
+            SELECT * FROM resources WHERE is_active = true ORDER BY sort_order, id
+        `);
+        res.json(resources);
+    } catch (error) {
+        console.error('設備取得エラー:', error);
+        res.status(500).json({ error: '設備の取得に失敗しました' });
+    }
+});
+
+// 設備追加
+app.post('/api/admin/resources', requireAdmin, async (req, res) => {
+    try {
+        const { name, resourceType, quantity } = req.body;
+        const parsedQuantity = parseInt(quantity) || 1;
+
+        if (!name) {
+            return res.status(400).json({ error: '設備名を入力してください' });
+        }
+
+        if (!RESOURCE_TYPES.includes(resourceType)) {
+            return res.status(400).json({ error: '無効な設備種別です' });
+        }
+
+        if (parsedQuantity < 1) {
+            return res.status(400).json({ error: '台数は1以上で入力してください' });
+        }
+
+        const resourceId = await db.insert(`
+            INSERT INTO resources (name, resource_type, quantity) VALUES ($1, $2, $3)
+        `, [name, resourceType, parsedQuantity]);
+
+        await logAudit(req.session.adminId, 'create_resource', 'resource', resourceId, null, { name, resourceType, quantity: parsedQuantity }, req);
+
+        res.status(201).json({ success: true, message: '設備を登録しました', id: resourceId });
+
+    } catch (error) {
+        console.error('設備登録エラー:', error);
+        res.status(500).json({ error: '設備の登録に失敗しました' });
+    }
+});
+
+// 設備更新
+app.put('/api/admin/resources/:id', requireAdmin, async (req, res) => {
+    try {
+        const resourceId = req.params.id;
+        const { name, resourceType, quantity } = req.body;
+
+        const oldResource = await db.queryOne('SELECT * FROM resources WHERE id = $1', [resourceId]);
+        if (!oldResource) {
+            return res.status(404).json({ error: '設備が見つかりません' });
+        }
+
+        if (resourceType !== undefined && !RESOURCE_TYPES.includes(resourceType)) {
+            return res.status(400).json({ error: '無効な設備種別です' });
+        }
+
+        if (quantity !== undefined && !(parseInt(quantity) >= 1)) {
+            return res.status(400).json({ error: '台数は1以上で入力してください' });
+        }
+
+        await db.execute(`
+            UPDATE resources SET
+                name = COALESCE($1, name),
+                resource_type = COALESCE($2, resource_type),
+                quantity = COALESCE($3, quantity),
+                updated_at = NOW()
+            WHERE id = $4
+        `, [name || null, resourceType || null, quantity !== undefined ? parseInt(quantity) : null, resourceId]);
+
+        const newResource = await db.queryOne('SELECT * FROM resources WHERE id = $1', [resourceId]);
+        await logAudit(req.session.adminId, 'update_resource', 'resource', resourceId, oldResource, newResource, req);
+
+        res.json({ success: true, message: '設備を更新しました' });
+
+    } catch (error) {
+        console.error('設備更新エラー:', error);
+        res.status(500).json({ error: '設備の更新に失敗しました' });
+    }
+});
+
+// 設備削除（論理削除）
+app.delete('/api/admin/resources/:id', requireAdmin, async (req, res) => {
+    try {
+        const resourceId = req.params.id;
+
+        const resource = await db.queryOne('SELECT * FROM resources WHERE id = $1', [resourceId]);
+        if (!resource) {
+            return res.status(404).json({ error: '設備が見つかりません' });
+        }
+
+        await db.execute('UPDATE resources SET is_active = false, updated_at = NOW() WHERE id = $1', [resourceId]);
+        await logAudit(req.session.adminId, 'delete_resource', 'resource', resourceId, resource, null, req);
+
+        res.json({ success: true, message: '設備を削除しました' });
+
+    } catch (error) {
+        console.error('設備削除エラー:', error);
+        res.status(500).json({ error: '設備の削除に失敗しました' });
+    }
+});
+
+
+// ===== 医師（スタッフ）管理API =====
+
+// スタッフ一覧（管理者用）
+app.get('/api/admin/staff', requireAdmin, async (req, res) => {
+    try {
+        const staff = await db.queryAll(`
+            SELECT st.*,
+                COALESCE((
+                    SELECT array_agg(sv.name ORDER BY sv.sort_order, sv.id)
+                    FROM service_staff ss
+                    JOIN services sv ON sv.id = ss.service_id AND sv.is_active = true
+                    WHERE ss.staff_id = st.id
+                ), '{}') as service_names
+            FROM staff st WHERE st.is_active = true ORDER BY st.sort_order, st.id
+        `);
+        res.json(staff.map(member => ({ ...member, photo_url: staffPhotos.getPhotoUrl(member) })));
+    } catch (error) {
+        console.error('スタッフ取得エラー:', error);
+        res.status(500).json({ error: 'スタッフの取得に失敗しました' });
+    }
+});
+
+// スタッフ追加
+app.post('/api/admin/staff', requireAdmin, async (req, res) => {
+    try {
+        const { name, title } = req.body;
+        const role = req.body.role || 'doctor';
+
+        if (!name) {
+            return res.status(400).json({ error: '名前を入力してください' });
+        }
+        if (!slots.STAFF_ROLES[role]) {
+            return res.status(400).json({ error: '職種が正しくありません' });
+        }
+
+        const staffId = await db.insert(`
+            INSERT INTO staff (name, title, role) VALUES ($1, $2, $3)
+        `, [name, title || null, role]);
+
+        await logAudit(req.session.adminId, 'create_staff', 'staff', staffId, null, { name, title, role }, req);
+
+        res.status(201).json({ success: true, message: 'スタッフを登録しました', id: staffId });
+
+    } catch (error) {
+        console.error('スタッフ登録エラー:', error);
+        res.status(500).json({ error: 'スタッフの登録に失敗しました' });
+    }
+});
+
+// スタッフ削除（論理削除）
+app.delete('/api/admin/staff/:id', requireAdmin, async (req, res) => {
+    try {
+        const staffId = req.params.id;
+
+        const staff = await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]);
+        if (!staff) {
+            return res.status(404).json({ error: 'スタッフが見つかりません' });
+        }
+
+        console.log(`[DEBUG] Deleting staff ${staffId}`);
+        const result = await db.execute("UPDATE staff SET is_active = false, updated_at = NOW() WHERE id = $1", [staffId]);
+        console.log(`[DEBUG] Deleted staff ${staffId}, changes: ${result.rowCount}`);
+
+        // 削除した医師のカレンダー配信も停止する
+        await db.execute('UPDATE calendar_feeds SET revoked_at = NOW() WHERE staff_id = $1 AND revoked_at IS NULL', [staffId]);
+
+        await logAudit(req.session.adminId, 'delete_staff', 'staff', staffId, staff, null, req);
+
+        res.json({ success: true, message: 'スタッフを削除しました' });
+
+    } catch (error) {
+        console.error('スタッフ削除エラー:', error);
+        res.status(500).json({ error: 'スタッフの削除に失敗しました' });
+    }
+});
+
+// スタッフの職種更新（工程のあるメニューで担当する工程が決まる）
+app.put('/api/admin/staff/:id/role', requireAdmin, async (req, res) => {
+    try {
+        const staffId = req.params.id;
+        const { role } = req.body;
+
+        if (!slots.STAFF_ROLES[role]) {
+            return res.status(400).json({ error: '職種が正しくありません' });
+        }
+
+        const staff = await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]);
+        if (!staff) {
+            return res.status(404).json({ error: 'スタッフが見つかりません' });
+        }
+
+        await db.execute('UPDATE staff SET role = $1, updated_at = NOW() WHERE id = $2', [role, staffId]);
+
+        await logAudit(req.session.adminId, 'update_staff_role', 'staff', staffId, { role: staff.role }, { role }, req);
+
+        res.json({ success: true, message: '職種を保存しました' });
+
+    } catch (error) {
+        console.error('職種更新エラー:', error);
+        res.status(500).json({ error: '職種の保存に失敗しました' });
+    }
+});
+
+// スタッフ並び替え
+app.put('/api/admin/staff/reorder', requireAdmin, async (req, res) => {
+    try {
+        const { ids } = req.body; // IDの配列 (順序通り)
+
+        if (!Array.isArray(ids)) {
+            return res.status(400).json({ error: 'データ形式が正しくありません' });
+        }
+
+        await db.transaction(async (client) => {
+            for (let i = 0; i < ids.length; i++) {
+                await client.query("UPDATE staff SET sort_order = $1, updated_at = NOW() WHERE id = $2", [i, ids[i]]);
+            }
+        });
+
+        res.json({ success: true, message: '順序を保存しました' });
 
-        res.json({ success: true, message: 'キャパシティ設定を一括更新しました' });
+    } catch (error) {
+        console.error('並び替えエラー:', error);
+        res.status(500).json({ error: '並び替えの保存に失敗しました' });
+    }
+});
+
+// 専門分野・対応言語（カンマ・読点・改行区切りの文字列または配列）を配列に
+function parseProfileList(value) {
+    const items = Array.isArray(value) ? value : String(value || '').split(/[,、\n]/);
+    return [...new Set(items.map(item => String(item).trim()).filter(Boolean))].slice(0, 20);
+}
+
+// スタッフのプロフィール更新（指定した項目のみ）
+app.put('/api/admin/staff/:id', requireAdmin, async (req, res) => {
+    try {
+        const staffId = req.params.id;
+        const { name, title, specialties, bio, languages, acceptingNewPatients } = req.body;
+
+        const oldStaff = await db.queryOne('SELECT * FROM staff WHERE id = $1 AND is_active = true', [staffId]);
+        if (!oldStaff) {
+            return res.status(404).json({ error: 'スタッフが見つかりません' });
+        }
+
+        if (name !== undefined && !String(name).trim()) {
+            return res.status(400).json({ error: '名前を入力してください' });
+        }
+
+        if (bio && String(bio).length > 1000) {
+            return res.status(400).json({ error: '紹介文は1000文字以内で入力してください' });
+        }
+
+        await db.execute(`
+            UPDATE staff SET
+                name = $1, title = $2, specialties = $3, bio = $4, languages = $5, accepting_new_patients = $6,
+                updated_at = NOW()
+            WHERE id = $7
+        `, [
+            name !== undefined ? String(name).trim() : oldStaff.name,
+            title !== undefined ? (title || null) : oldStaff.title,
+            specialties !== undefined ? parseProfileList(specialties) : oldStaff.specialties,
+            bio !== undefined ? (bio || null) : oldStaff.bio,
+            languages !== undefined ? parseProfileList(languages) : oldStaff.languages,
+            acceptingNewPatients !== undefined ? !!acceptingNewPatients : oldStaff.accepting_new_patients,
+            staffId
+        ]);
+
+        const newStaff = await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]);
+        await logAudit(req.session.adminId, 'update_staff', 'staff', staffId, oldStaff, newStaff, req);
+
+        res.json({ success: true, message: 'プロフィールを保存しました' });
 
     } catch (error) {
-        console.error('一括キャパシティ更新エラー:', error);
-        res.status(500).json({ error: 'キャパシティ設定の一括更新に失敗しました' });
+        console.error('プロフィール更新エラー:', error);
+        res.status(500).json({ error: 'プロフィールの保存に失敗しました' });
     }
 });
 
-// 個別キャパシティ設定
-app.put('/api/admin/slot-capacities/:dayOfWeek/:timeSlot', requireAdmin, async (req, res) => {
+// スタッフの写真アップロード（画像ファイルをそのまま送信。JPEG・PNG・WebP、2MBまで）
+const parseStaffPhoto = express.raw({ type: 'image/*', limit: staffPhotos.MAX_PHOTO_BYTES });
+
+app.put('/api/admin/staff/:id/photo', requireAdmin, (req, res, next) => {
+    parseStaffPhoto(req, res, (error) => {
+        if (!error) return next();
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ error: '写真は2MB以下のファイルを選択してください' });
+        }
+        res.status(400).json({ error: '写真を読み込めませんでした' });
+    });
+}, async (req, res) => {
     try {
-        const { dayOfWeek, timeSlot } = req.params;
-        const { capacity } = req.body;
+        const staffId = req.params.id;
 
-        if (capacity === null || capacity === undefined) {
-            // 削除（デフォルトに戻す）
-            await db.execute(`
-                DELETE FROM slot_capacities 
-                WHERE day_of_week = $1 AND time_slot = $2
-            `, [dayOfWeek, timeSlot]);
-        } else {
-            if (capacity < 1) {
-                return res.status(400).json({ error: 'キャパシティは1以上を指定してください' });
-            }
-            await db.execute(`
-                INSERT INTO slot_capacities (day_of_week, time_slot, capacity, updated_at)
-                VALUES ($1, $2, $3, NOW())
-                ON CONFLICT (day_of_week, time_slot) 
-                DO UPDATE SET capacity = $3, updated_at = NOW()
-            `, [dayOfWeek, timeSlot, capacity]);
+        const staff = await db.queryOne('SELECT * FROM staff WHERE id = $1 AND is_active = true', [staffId]);
+        if (!staff) {
+            return res.status(404).json({ error: 'スタッフが見つかりません' });
         }
 
-        await logAudit(req.session.adminId, 'update_slot_capacity', 'slot_capacities', null, null, { dayOfWeek, timeSlot, capacity }, req);
+        const photo = Buffer.isBuffer(req.body) ? req.body : null;
+        const photoType = photo ? staffPhotos.detectPhotoType(photo) : null;
+        if (!photoType) {
+            return res.status(400).json({ error: '写真は JPEG・PNG・WebP 形式のファイルを選択してください' });
+        }
 
-        res.json({ success: true, message: 'キャパシティを更新しました' });
+        const filename = await staffPhotos.savePhoto(staff.id, photo, photoType);
+        await db.execute('UPDATE staff SET photo_filename = $1, updated_at = NOW() WHERE id = $2', [filename, staffId]);
+        await staffPhotos.removePhoto(staff.photo_filename);
+
+        await logAudit(req.session.adminId, 'update_staff_photo', 'staff', staffId, { photo: staff.photo_filename }, { photo: filename }, req);
+
+        res.json({ success: true, message: '写真を保存しました', photoUrl: staffPhotos.getPhotoUrl({ id: staff.id, photo_filename: filename }) });
 
     } catch (error) {
-        console.error('個別キャパシティ更新エラー:', error);
-        res.status(500).json({ error: 'キャパシティの更新に失敗しました' });
+        console.error('写真保存エラー:', error);
+        res.status(500).json({ error: '写真の保存に失敗しました' });
     }
 });
 
-// 特定日付のキャパシティ設定取得
-app.get('/api/admin/slot-capacities/date/:date', requireAdmin, async (req, res) => {
+// スタッフの写真削除
+app.delete('/api/admin/staff/:id/photo', requireAdmin, async (req, res) => {
     try {
-        const { date } = req.params;
-        const targetDate = new Date(date);
-        const dayOfWeek = targetDate.getDay(); // 0-6
+        const staffId = req.params.id;
 
-        // 1. デフォルト値
-        const defaultCapacityRes = await db.queryOne(`SELECT value FROM settings WHERE key = 'default_slot_capacity'`);
-        const defaultCapacity = parseInt(defaultCapacityRes?.value) || 1;
+        const staff = await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]);
+        if (!staff) {
+            return res.status(404).json({ error: 'スタッフが見つかりません' });
+        }
 
-        // 2. 曜日設定
-        const dayCapacities = await db.queryAll(`
-            SELECT time_slot, capacity FROM slot_capacities 
-            WHERE day_of_week = $1 AND specific_date IS NULL
-        `, [dayOfWeek]);
+        await db.execute('UPDATE staff SET photo_filename = NULL, updated_at = NOW() WHERE id = $1', [staffId]);
+        await staffPhotos.removePhoto(staff.photo_filename);
 
-        // 3. 特定日設定
-        const dateCapacities = await db.queryAll(`
-            SELECT time_slot, capacity FROM slot_capacities 
-            WHERE specific_date = $1
-        `, [date]);
+        await logAudit(req.session.adminId, 'delete_staff_photo', 'staff', staffId, { photo: staff.photo_filename }, null, req);
 
-        // マージロジック
-        // 全時間枠（9:00-19:00, 30分刻み）を生成して、優先順位に従って埋める
-        const result = [];
-        const startHour = 9;
-        const endHour = 19;
+        res.json({ success: true, message: '写真を削除しました' });
 
-        for (let h = startHour; h < endHour; h++) {
-            for (let m of [0, 30]) {
-                const timeSlot = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:00`;
-                const displayTime = `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+    } catch (error) {
+        console.error('写真削除エラー:', error);
+        res.status(500).json({ error: '写真の削除に失敗しました' });
+    }
+});
 
-                let capacity = defaultCapacity;
-                let source = 'default';
+// スタッフ勤務表取得
+app.get('/api/admin/staff/:id/schedules', requireAdmin, async (req, res) => {
+    try {
+        const schedules = await db.queryAll(`
+            SELECT * FROM staff_schedules WHERE staff_id = $1 ORDER BY day_of_week, start_time
+        `, [req.params.id]);
+        res.json(schedules);
+    } catch (error) {
+        console.error('勤務表取得エラー:', error);
+        res.status(500).json({ error: '勤務表の取得に失敗しました' });
+    }
+});
 
-                const dayConfig = dayCapacities.find(c => c.time_slot === timeSlot);
-                if (dayConfig) {
-                    capacity = dayConfig.capacity;
-                    source = 'day';
-                }
+// スタッフ勤務表更新（一括置き換え。空配列なら診療時間中すべて勤務扱いに戻す）
+app.put('/api/admin/staff/:id/schedules', requireAdmin, async (req, res) => {
+    try {
+        const staffId = req.params.id;
+        const { schedules } = req.body; // [{ dayOfWeek, startTime, endTime }]
 
-                const dateConfig = dateCapacities.find(c => c.time_slot === timeSlot);
-                if (dateConfig) {
-                    capacity = dateConfig.capacity;
-                    source = 'date';
-                }
+        if (!Array.isArray(schedules)) {
+            return res.status(400).json({ error: 'データ形式が正しくありません' });
+        }
 
-                result.push({
-                    timeSlot: displayTime,
-                    capacity,
-                    source // default, day, date
-                });
+        const staff = await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]);
+        if (!staff) {
+            return res.status(404).json({ error: 'スタッフが見つかりません' });
+        }
+
+        for (const schedule of schedules) {
+            const dayOfWeek = parseInt(schedule.dayOfWeek);
+            if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+                return res.status(400).json({ error: '無効な曜日です' });
+            }
+            if (!schedule.startTime || !schedule.endTime || schedule.startTime >= schedule.endTime) {
+                return res.status(400).json({ error: '勤務の終了時間は開始時間より後に設定してください' });
             }
         }
 
-        res.json({ date, dayOfWeek, capacities: result });
+        const oldSchedules = await db.queryAll('SELECT * FROM staff_schedules WHERE staff_id = $1', [staffId]);
+
+        await db.transaction(async (client) => {
+            await client.query('DELETE FROM staff_schedules WHERE staff_id = $1', [staffId]);
+            for (const schedule of schedules) {
+                await client.query(`
+                    INSERT INTO staff_schedules (staff_id, day_of_week, start_time, end_time)
+                    VALUES ($1, $2, $3, $4)
+                `, [staffId, parseInt(schedule.dayOfWeek), schedule.startTime, schedule.endTime]);
+            }
+        });
+
+        await logAudit(req.session.adminId, 'update_staff_schedules', 'staff', staffId, oldSchedules, schedules, req);
+
+        res.json({ success: true, message: '勤務表を保存しました' });
 
     } catch (error) {
-        console.error('特定日キャパシティ取得エラー:', error);
-        res.status(500).json({ error: 'キャパシティ設定の取得に失敗しました' });
+        console.error('勤務表更新エラー:', error);
+        res.status(500).json({ error: '勤務表の保存に失敗しました' });
     }
 });
 
-// 特定日付のキャパシティ設定保存
-app.put('/api/admin/slot-capacities/date/:date', requireAdmin, async (req, res) => {
+// スタッフ休暇一覧（本日以降）
+app.get('/api/admin/staff/:id/leaves', requireAdmin, async (req, res) => {
     try {
-        const { date } = req.params;
-        const { capacities } = req.body; // [{ timeSlot: '09:00', capacity: 3 }, ...]
+        const leaves = await db.queryAll(`
+            SELECT * FROM staff_leaves
+            WHERE staff_id = $1 AND end_date >= CURRENT_DATE
+            ORDER BY start_date, start_time
+        `, [req.params.id]);
+        res.json(leaves);
+    } catch (error) {
+        console.error('休暇取得エラー:', error);
+        res.status(500).json({ error: '休暇の取得に失敗しました' });
+    }
+});
 
-        if (!Array.isArray(capacities)) {
-            return res.status(400).json({ error: '無効なデータ形式です' });
+// スタッフ休暇追加
+app.post('/api/admin/staff/:id/leaves', requireAdmin, async (req, res) => {
+    try {
+        const staffId = req.params.id;
+        const { leaveType, startDate, endDate, startTime, endTime, reason } = req.body;
+
+        if (!leaveType || !['vacation', 'conference', 'half_day', 'other'].includes(leaveType)) {
+            return res.status(400).json({ error: '無効な休暇種別です' });
         }
 
-        await db.transaction(async (client) => {
-            for (const item of capacities) {
-                // capacityがnull/undefined、または "default" "day" などの指示があれば削除
-                // ここでは単純に「送られてきた値」を特定日設定として保存する
-                // もし「設定解除（曜日設定に戻す）」場合は null を送る想定
+        if (!startDate || !endDate) {
+            return res.status(400).json({ error: '開始日と終了日は必須です' });
+        }
 
-                if (item.capacity === null) {
-                    // 特定日設定削除
-                    await client.query(`
-                        DELETE FROM slot_capacities 
-                        WHERE specific_date = $1 AND time_slot = $2
-                    `, [date, item.timeSlot]);
-                } else {
-                    // 特定日設定追加/更新
-                    await client.query(`
-                        INSERT INTO slot_capacities (specific_date, time_slot, capacity, updated_at)
-                        VALUES ($1, $2, $3, NOW())
-                        ON CONFLICT (specific_date, time_slot) 
-                        DO UPDATE SET capacity = $3, updated_at = NOW()
-                    `, [date, item.timeSlot, item.capacity]);
-                }
-            }
-        });
+        if (new Date(startDate) > new Date(endDate)) {
+            return res.status(400).json({ error: '終了日は開始日以降である必要があります' });
+        }
+
+        // 半休は時間帯が必要
+        if (leaveType === 'half_day' && (!startTime || !endTime)) {
+            return res.status(400).json({ error: '半休の場合は開始時間と終了時間が必要です' });
+        }
+
+        if ((startTime || endTime) && (!startTime || !endTime || startTime >= endTime)) {
+            return res.status(400).json({ error: '終了時間は開始時間より後に設定してください' });
+        }
+
+        const staff = await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]);
+        if (!staff) {
+            return res.status(404).json({ error: 'スタッフが見つかりません' });
+        }
+
+        const leaveId = await db.insert(`
+            INSERT INTO staff_leaves (staff_id, leave_type, start_date, end_date, start_time, end_time, reason, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+            staffId,
+            leaveType,
+            startDate,
+            endDate,
+            startTime || null,
+            endTime || null,
+            reason || null,
+            req.session.adminId
+        ]);
 
-        await logAudit(req.session.adminId, 'update_date_capacity', 'slot_capacities', null, null, { date, count: capacities.length }, req);
+        await logAudit(req.session.adminId, 'create_staff_leave', 'staff_leave', leaveId, null, req.body, req);
 
-        res.json({ success: true, message: `${date} のキャパシティ設定を保存しました` });
+        res.status(201).json({ success: true, message: '休暇を登録しました', id: leaveId });
 
     } catch (error) {
-        console.error('特定日キャパシティ保存エラー:', error);
-        res.status(500).json({ error: 'キャパシティ設定の保存に失敗しました' });
+        console.error('休暇登録エラー:', error);
+        res.status(500).json({ error: '休暇の登録に失敗しました' });
     }
 });
 
-// ===== サービス（メニュー）管理API =====
-
-// サービス一覧（管理者用）
-app.get('/api/admin/services', requireAdmin, async (req, res) => {
+// スタッフ休暇削除
+app.delete('/api/admin/staff/:id/leaves/:leaveId', requireAdmin, async (req, res) => {
     try {
-        const services = await db.queryAll(`
-            SELECT * FROM services ORDER BY sort_order, id
-        `);
-        res.json(services);
+        const leave = await db.queryOne(
+            'SELECT * FROM staff_leaves WHERE id = $1 AND staff_id = $2',
+            [req.params.leaveId, req.params.id]
+        );
+        if (!leave) {
+            return res.status(404).json({ error: '休暇が見つかりません' });
+        }
+
+        await db.execute('DELETE FROM staff_leaves WHERE id = $1', [leave.id]);
+        await logAudit(req.session.adminId, 'delete_staff_leave', 'staff_leave', leave.id, leave, null, req);
+
+        res.json({ success: true, message: '休暇を削除しました' });
+
     } catch (error) {
-        console.error('サービス取得エラー:', error);
-        res.status(500).json({ error: 'サービスの取得に失敗しました' });
+        console.error('休暇削除エラー:', error);
+        res.status(500).json({ error: '休暇の削除に失敗しました' });
     }
 });
 
+// ===== カレンダー配信（iCal 購読） =====
 
-// ===== 医師（スタッフ）管理API =====
+function getCalendarFeedUrl(token) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    return `${baseUrl}/api/calendar-feeds/${token}.ics`;
+}
 
-// スタッフ一覧（管理者用）
-app.get('/api/admin/staff', requireAdmin, async (req, res) => {
+// 配信中のカレンダー一覧（URLは発行時にしか表示できない）
+app.get('/api/admin/calendar-feeds', requireAdmin, async (req, res) => {
     try {
-        const staff = await db.queryAll(`
-            SELECT * FROM staff WHERE is_active = true ORDER BY sort_order, id
+        const feeds = await db.queryAll(`
+            SELECT f.id, f.staff_id, f.detail_level, f.created_at, f.last_accessed_at, st.name as staff_name
+            FROM calendar_feeds f
+            LEFT JOIN staff st ON f.staff_id = st.id
+            WHERE f.revoked_at IS NULL
+            ORDER BY f.staff_id NULLS FIRST
         `);
-        res.json(staff);
+        res.json({ feeds, detailLevels: calendarFeeds.DETAIL_LEVELS });
     } catch (error) {
-        console.error('スタッフ取得エラー:', error);
-        res.status(500).json({ error: 'スタッフの取得に失敗しました' });
+        console.error('カレンダー配信取得エラー:', error);
+        res.status(500).json({ error: 'カレンダー配信の取得に失敗しました' });
     }
 });
 
-// スタッフ追加
-app.post('/api/admin/staff', requireAdmin, async (req, res) => {
+// カレンダー配信URLの発行（同じ対象の配信中のURLは無効にする）
+app.post('/api/admin/calendar-feeds', requireAdmin, async (req, res) => {
     try {
-        const { name, title } = req.body;
+        const staffId = req.body.staffId ? parseInt(req.body.staffId) : null;
+        const detailLevel = req.body.detailLevel || 'initials';
 
-        if (!name) {
-            return res.status(400).json({ error: '名前を入力してください' });
+        if (!calendarFeeds.DETAIL_LEVELS[detailLevel]) {
+            return res.status(400).json({ error: '表示内容の指定が正しくありません' });
         }
 
-        const staffId = await db.insert(`
-            INSERT INTO staff (name, title) VALUES ($1, $2)
-        `, [name, title || null]);
+        if (staffId) {
+            const staff = await db.queryOne('SELECT id FROM staff WHERE id = $1 AND is_active = true', [staffId]);
+            if (!staff) {
+                return res.status(404).json({ error: 'スタッフが見つかりません' });
+            }
+        }
 
-        await logAudit(req.session.adminId, 'create_staff', 'staff', staffId, null, { name, title }, req);
+        const token = security.generateAccessToken();
 
-        res.status(201).json({ success: true, message: 'スタッフを登録しました', id: staffId });
+        const feedId = await db.transaction(async (client) => {
+            await client.query(`
+                UPDATE calendar_feeds SET revoked_at = NOW()
+                WHERE staff_id IS NOT DISTINCT FROM $1 AND revoked_at IS NULL
+            `, [staffId]);
+            const inserted = await client.query(`
+                INSERT INTO calendar_feeds (staff_id, token_hash, detail_level, created_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id
+            `, [staffId, security.hashToken(token), detailLevel, req.session.adminId]);
+            return inserted.rows[0].id;
+        });
 
+        await logAudit(req.session.adminId, 'issue_calendar_feed', 'calendar_feed', feedId, null, { staffId, detailLevel }, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'カレンダー配信URLを発行しました。このURLは再表示できないため控えてください',
+            url: getCalendarFeedUrl(token)
+        });
     } catch (error) {
-        console.error('スタッフ登録エラー:', error);
-        res.status(500).json({ error: 'スタッフの登録に失敗しました' });
+        console.error('カレンダー配信発行エラー:', error);
+        res.status(500).json({ error: 'カレンダー配信URLの発行に失敗しました' });
     }
 });
 
-// スタッフ削除（論理削除）
-app.delete('/api/admin/staff/:id', requireAdmin, async (req, res) => {
+// 表示内容の変更（URLはそのまま）
+app.put('/api/admin/calendar-feeds/:id', requireAdmin, async (req, res) => {
     try {
-        const staffId = req.params.id;
+        const { detailLevel } = req.body;
 
-        const staff = await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]);
-        if (!staff) {
-            return res.status(404).json({ error: 'スタッフが見つかりません' });
+        if (!calendarFeeds.DETAIL_LEVELS[detailLevel]) {
+            return res.status(400).json({ error: '表示内容の指定が正しくありません' });
         }
 
-        console.log(`[DEBUG] Deleting staff ${staffId}`);
-        const result = await db.execute("UPDATE staff SET is_active = false, updated_at = NOW() WHERE id = $1", [staffId]);
-        console.log(`[DEBUG] Deleted staff ${staffId}, changes: ${result.rowCount}`);
+        const feed = await db.queryOne('SELECT * FROM calendar_feeds WHERE id = $1 AND revoked_at IS NULL', [req.params.id]);
+        if (!feed) {
+            return res.status(404).json({ error: 'カレンダー配信が見つかりません' });
+        }
 
-        await logAudit(req.session.adminId, 'delete_staff', 'staff', staffId, staff, null, req);
+        await db.execute('UPDATE calendar_feeds SET detail_level = $1 WHERE id = $2', [detailLevel, feed.id]);
 
-        res.json({ success: true, message: 'スタッフを削除しました' });
+        await logAudit(req.session.adminId, 'update_calendar_feed', 'calendar_feed', feed.id,
+            { detailLevel: feed.detail_level }, { detailLevel }, req);
 
+        res.json({ success: true, message: '表示内容を変更しました' });
     } catch (error) {
-        console.error('スタッフ削除エラー:', error);
-        res.status(500).json({ error: 'スタッフの削除に失敗しました' });
+        console.error('カレンダー配信更新エラー:', error);
+        res.status(500).json({ error: 'カレンダー配信の更新に失敗しました' });
     }
 });
 
-// スタッフ並び替え
-app.put('/api/admin/staff/reorder', requireAdmin, async (req, res) => {
+// カレンダー配信の停止（URLを無効にする）
+app.delete('/api/admin/calendar-feeds/:id', requireAdmin, async (req, res) => {
     try {
-        const { ids } = req.body; // IDの配列 (順序通り)
+        const feed = await db.queryOne('SELECT * FROM calendar_feeds WHERE id = $1 AND revoked_at IS NULL', [req.params.id]);
+        if (!feed) {
+            return res.status(404).json({ error: 'カレンダー配信が見つかりません' });
+        }
 
-        if (!Array.isArray(ids)) {
-            return res.status(400).json({ error: 'データ形式が正しくありません' });
+        await db.execute('UPDATE calendar_feeds SET revoked_at = NOW() WHERE id = $1', [feed.id]);
+
+        await logAudit(req.session.adminId, 'revoke_calendar_feed', 'calendar_feed', feed.id,
+            { staffId: feed.staff_id, detailLevel: feed.detail_level }, null, req);
+
+        res.json({ success: true, message: 'カレンダー配信を停止しました' });
+    } catch (error) {
+        console.error('カレンダー配信停止エラー:', error);
+        res.status(500).json({ error: 'カレンダー配信の停止に失敗しました' });
+    }
+});
+
+// カレンダー配信（カレンダーアプリが定期的に取得する。認証はURLのトークンのみ）
+app.get('/api/calendar-feeds/:token.ics', async (req, res) => {
+    try {
+        const feed = await db.queryOne(`
+            SELECT f.*, st.name as staff_name
+            FROM calendar_feeds f
+            LEFT JOIN staff st ON f.staff_id = st.id
+            WHERE f.token_hash = $1
+            AND f.revoked_at IS NULL
+            AND (f.staff_id IS NULL OR st.is_active = true)
+        `, [security.hashToken(req.params.token)]);
+
+        if (!feed) {
+            return res.status(404).json({ error: 'カレンダーが見つかりません' });
         }
 
-        await db.transaction(async (client) => {
-            for (let i = 0; i < ids.length; i++) {
-                await client.query("UPDATE staff SET sort_order = $1, updated_at = NOW() WHERE id = $2", [i, ids[i]]);
-            }
+        const start = new Date();
+        start.setDate(start.getDate() - calendarFeeds.FEED_PAST_DAYS);
+        const end = new Date();
+        end.setDate(end.getDate() + calendarFeeds.FEED_FUTURE_DAYS);
+
+        const settings = await getSettings();
+        const appointments = await findAdminAppointments({
+            start: start.toISOString(),
+            end: end.toISOString(),
+            status: 'confirmed',
+            staffId: feed.staff_id
         });
 
-        res.json({ success: true, message: '順序を保存しました' });
+        const clinicName = settings.clinic_name || '彦歯科医院';
+        const content = calendarFeeds.buildFeedCalendar({
+            appointments,
+            calendarName: feed.staff_id ? `${clinicName} ${feed.staff_name}` : `${clinicName} 予約`,
+            detailLevel: feed.detail_level,
+            includeStaffName: !feed.staff_id,
+            settings
+        });
+
+        await db.execute('UPDATE calendar_feeds SET last_accessed_at = NOW() WHERE id = $1', [feed.id]);
+
+        res.set('Content-Type', ics.CONTENT_TYPE);
+        res.set('Cache-Control', 'private, no-store');
+        res.send(content);
 
     } catch (error) {
-        console.error('並び替えエラー:', error);
-        res.status(500).json({ error: '並び替えの保存に失敗しました' });
+        console.error('カレンダー配信エラー:', error);
+        res.status(500).json({ error: 'カレンダーの取得に失敗しました' });
     }
 });
 
@@ -1463,25 +4194,46 @@ app.put('/api/admin/business-hours/:dayOfWeek', requireAdmin, async (req, res) =
             return res.status(400).json({ error: '無効な曜日です' });
         }
 
+        // 午前・午後それぞれ開始と終了が揃っているか（午前のみ・午後のみも可）
+        const hasMorning = !!(morningOpen && morningClose);
+        const hasAfternoon = !!(afternoonOpen && afternoonClose);
+
+        if (!isClosed) {
+            if (!hasMorning && !hasAfternoon) {
+                return res.status(400).json({ error: '午前または午後の診療時間を入力してください' });
+            }
+            if ((hasMorning && morningOpen >= morningClose) || (hasAfternoon && afternoonOpen >= afternoonClose)) {
+                return res.status(400).json({ error: '終了時間は開始時間より後にしてください' });
+            }
+            if (hasMorning && hasAfternoon && morningClose > afternoonOpen) {
+                return res.status(400).json({ error: '午後の開始時間は午前の終了時間以降にしてください' });
+            }
+        }
+
         const oldHours = await db.queryOne('SELECT * FROM business_hours WHERE day_of_week = $1', [dayOfWeek]);
 
         if (isClosed) {
             await db.execute(`
                 UPDATE business_hours 
-                SET is_closed = true, morning_open = NULL, morning_close = NULL, 
+                SET is_closed = true, open_time = NULL, close_time = NULL,
+                    morning_open = NULL, morning_close = NULL, 
                     afternoon_open = NULL, afternoon_close = NULL
                 WHERE day_of_week = $1
             `, [dayOfWeek]);
         } else {
+            // open_time / close_time は午前開始〜午後終了（片方のみの場合はその時間帯）に揃える
             await db.execute(`
                 UPDATE business_hours 
                 SET is_closed = false, 
                     morning_open = $1, morning_close = $2,
-                    afternoon_open = $3, afternoon_close = $4
-                WHERE day_of_week = $5
+                    afternoon_open = $3, afternoon_close = $4,
+                    open_time = $5, close_time = $6
+                WHERE day_of_week = $7
             `, [
-                morningOpen || null, morningClose || null,
-                afternoonOpen || null, afternoonClose || null,
+                hasMorning ? morningOpen : null, hasMorning ? morningClose : null,
+                hasAfternoon ? afternoonOpen : null, hasAfternoon ? afternoonClose : null,
+                hasMorning ? morningOpen : afternoonOpen,
+                hasAfternoon ? afternoonClose : morningClose,
                 dayOfWeek
             ]);
         }
@@ -1503,7 +4255,9 @@ app.get('/api/admin/settings/booking', requireAdmin, async (req, res) => {
         res.json({
             cutoffDays: parseInt(settings.booking_cutoff_days) || 2,
             cutoffHours: parseInt(settings.booking_cutoff_hours) || 3,
-            maxDaysAhead: parseInt(settings.booking_max_days_ahead) || 60
+            maxDaysAhead: parseInt(settings.booking_max_days_ahead) || 60,
+            staffAssignmentStrategy: settings.staff_assignment_strategy || 'least_loaded',
+            waitlistOfferHours: waitlist.getOfferHours(settings)
         });
     } catch (error) {
         console.error('予約設定取得エラー:', error);
@@ -1514,7 +4268,15 @@ app.get('/api/admin/settings/booking', requireAdmin, async (req, res) => {
 // 予約設定保存
 app.put('/api/admin/settings/booking', requireAdmin, async (req, res) => {
     try {
-        const { cutoffDays, cutoffHours, maxDaysAhead } = req.body;
+        const { cutoffDays, cutoffHours, maxDaysAhead, staffAssignmentStrategy, waitlistOfferHours } = req.body;
+
+        if (staffAssignmentStrategy !== undefined && !['round_robin', 'least_loaded', 'preferred'].includes(staffAssignmentStrategy)) {
+            return res.status(400).json({ error: '無効な割り当て方法です' });
+        }
+
+        if (waitlistOfferHours !== undefined && !(Number.isInteger(waitlistOfferHours) && waitlistOfferHours >= 1 && waitlistOfferHours <= 72)) {
+            return res.status(400).json({ error: 'ご案内の有効期限は1〜72時間で指定してください' });
+        }
 
         const upsertSetting = async (key, value) => {
             await db.execute(`
@@ -1526,8 +4288,10 @@ app.put('/api/admin/settings/booking', requireAdmin, async (req, res) => {
         if (cutoffDays !== undefined) await upsertSetting('booking_cutoff_days', cutoffDays);
         if (cutoffHours !== undefined) await upsertSetting('booking_cutoff_hours', cutoffHours);
         if (maxDaysAhead !== undefined) await upsertSetting('booking_max_days_ahead', maxDaysAhead);
+        if (staffAssignmentStrategy !== undefined) await upsertSetting('staff_assignment_strategy', staffAssignmentStrategy);
+        if (waitlistOfferHours !== undefined) await upsertSetting('waitlist_offer_hours', waitlistOfferHours);
 
-        await logAudit(req.session.adminId, 'update_booking_settings', 'settings', null, null, { cutoffDays, cutoffHours, maxDaysAhead }, req);
+        await logAudit(req.session.adminId, 'update_booking_settings', 'settings', null, null, { cutoffDays, cutoffHours, maxDaysAhead, staffAssignmentStrategy, waitlistOfferHours }, req);
 
         res.json({ success: true, message: '予約設定を保存しました' });
     } catch (error) {
@@ -1536,6 +4300,303 @@ app.put('/api/admin/settings/booking', requireAdmin, async (req, res) => {
     }
 });
 
+// リマインドメール設定取得
+app.get('/api/admin/settings/reminders', requireAdmin, async (req, res) => {
+    try {
+        const settings = await getSettings();
+        res.json({
+            enabled: settings.reminder_enabled !== 'false',
+            hoursBefore: reminders.parseReminderHours(settings.reminder_hours_before || '24,2')
+        });
+    } catch (error) {
+        console.error('リマインド設定取得エラー:', error);
+        res.status(500).json({ error: 'リマインド設定の取得に失敗しました' });
+    }
+});
+
+// リマインドメール設定保存
+app.put('/api/admin/settings/reminders', requireAdmin, async (req, res) => {
+    try {
+        const { enabled, hoursBefore } = req.body;
+
+        const hours = reminders.parseReminderHours(Array.isArray(hoursBefore) ? hoursBefore.join(',') : hoursBefore);
+
+        if (enabled && hours.length === 0) {
+            return res.status(400).json({ error: '送信タイミングを1つ以上指定してください（1〜168時間前）' });
+        }
+
+        const upsertSetting = async (key, value) => {
+            await db.execute(`
+                INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, NOW())
+                ON CONFLICT(key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+            `, [key, String(value)]);
+        };
+
+        await upsertSetting('reminder_enabled', enabled ? 'true' : 'false');
+        if (hours.length > 0) await upsertSetting('reminder_hours_before', hours.join(','));
+
+        await logAudit(req.session.adminId, 'update_reminder_settings', 'settings', null, null, { enabled: !!enabled, hoursBefore: hours }, req);
+
+        res.json({ success: true, message: 'リマインド設定を保存しました' });
+    } catch (error) {
+        console.error('リマインド設定保存エラー:', error);
+        res.status(500).json({ error: 'リマインド設定の保存に失敗しました' });
+    }
+});
+
+// ===== 通知の送信履歴（メール・SMS・LINE） =====
+
+const NOTIFICATION_LOG_STATUSES = ['pending', 'sent', 'failed', 'dead', 'skipped'];
+
+// 送信履歴一覧（送信キューの状態を含む）
+app.get('/api/admin/notification-logs', requireAdmin, async (req, res) => {
+    try {
+        const status = NOTIFICATION_LOG_STATUSES.includes(req.query.status) ? req.query.status : null;
+        const channel = notificationChannels.getChannel(req.query.channel) ? req.query.channel : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+        const logs = await db.queryAll(`
+            SELECT id, appointment_id, channel, notification_type, recipient, subject, body, status,
+                   error_message, attempts, last_attempt_at, next_attempt_at, sent_at, created_at
+            FROM notification_logs
+            WHERE ($1::varchar IS NULL OR status = $1)
+            AND ($2::varchar IS NULL OR channel = $2)
+            ORDER BY created_at DESC, id DESC
+            LIMIT $3
+        `, [status, channel, limit]);
+
+        const counts = await db.queryAll(`
+            SELECT status, COUNT(*)::int as count FROM notification_logs
+            WHERE ($1::varchar IS NULL OR channel = $1)
+            GROUP BY status
+        `, [channel]);
+
+        const settings = await getSettings();
+        const channelLabels = notificationChannels.getChannelLabels();
+
+        res.json({
+            logs,
+            counts: Object.fromEntries(counts.map(c => [c.status, c.count])),
+            maxAttempts: notifications.NOTIFICATION_MAX_ATTEMPTS,
+            channels: Object.entries(channelLabels).map(([name, label]) => ({
+                name,
+                label,
+                configured: notificationChannels.isChannelConfigured(name, settings)
+            })),
+            stub: notificationChannels.isStubProvider()
+        });
+    } catch (error) {
+        console.error('送信履歴取得エラー:', error);
+        res.status(500).json({ error: '送信履歴の取得に失敗しました' });
+    }
+});
+
+// 送信に失敗した通知の手動再送
+app.post('/api/admin/notification-logs/:id/resend', requireAdmin, async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const log = await db.queryOne('SELECT id, channel, recipient, subject, status, attempts FROM notification_logs WHERE id = $1', [id]);
+        if (!log) {
+            return res.status(404).json({ error: '送信履歴が見つかりません' });
+        }
+
+        const settings = await getSettings();
+        const result = await notifications.resendNotification(db, log.id, settings);
+        if (!result.success) {
+            return res.status(400).json({ error: result.error });
+        }
+
+        await logAudit(req.session.adminId, 'resend_notification', 'notification_log', log.id,
+            { status: log.status, attempts: log.attempts }, { channel: log.channel, recipient: log.recipient, sent: result.sent }, req);
+
+        res.json({
+            success: true,
+            sent: result.sent,
+            message: result.sent
+                ? '再送しました'
+                : '再送に失敗しました。時間をおいて自動で再送します'
+        });
+    } catch (error) {
+        console.error('通知再送エラー:', error);
+        res.status(500).json({ error: '再送に失敗しました' });
+    }
+});
+
+// ===== メールテンプレート =====
+
+// テンプレートの入力チェック（問題なければ null）
+function validateEmailTemplate({ subject, bodyText, bodyHtml }) {
+    if (!subject || !String(subject).trim()) return '件名を入力してください';
+    if (String(subject).length > 500) return '件名は500文字以内で入力してください';
+    if (!bodyText || !String(bodyText).trim()) return '本文（テキスト）を入力してください';
+    if (bodyHtml !== undefined && bodyHtml !== null && typeof bodyHtml !== 'string') return '本文（HTML）が不正です';
+    return null;
+}
+
+// テンプレート一覧
+app.get('/api/admin/email-templates', requireAdmin, async (req, res) => {
+    try {
+        const templates = await emailTemplates.getAllTemplates(db);
+        res.json({ templates, variableLabels: emailTemplates.VARIABLE_LABELS });
+    } catch (error) {
+        console.error('メールテンプレート取得エラー:', error);
+        res.status(500).json({ error: 'メールテンプレートの取得に失敗しました' });
+    }
+});
+
+// テンプレート保存
+app.put('/api/admin/email-templates/:key', requireAdmin, async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (!emailTemplates.TEMPLATE_DEFINITIONS[key]) {
+            return res.status(404).json({ error: 'テンプレートが見つかりません' });
+        }
+
+        const validationError = validateEmailTemplate(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const subject = String(req.body.subject).trim();
+        const bodyText = String(req.body.bodyText);
+        const bodyHtml = req.body.bodyHtml && req.body.bodyHtml.trim() ? req.body.bodyHtml : null;
+
+        const oldTemplate = await emailTemplates.getTemplate(db, key);
+
+        const saved = await db.queryOne(`
+            INSERT INTO email_templates (template_key, subject, body_text, body_html, updated_by, updated_at)
+            VALUES ($1, $2, $3, $4, $5, NOW())
+            ON CONFLICT (template_key) DO UPDATE
+                SET subject = EXCLUDED.subject, body_text = EXCLUDED.body_text, body_html = EXCLUDED.body_html,
+                    updated_by = EXCLUDED.updated_by, updated_at = NOW()
+            RETURNING id
+        `, [key, subject, bodyText, bodyHtml, req.session.adminId]);
+
+        await logAudit(req.session.adminId, 'update_email_template', 'email_template', saved.id,
+            { key, subject: oldTemplate.subject, bodyText: oldTemplate.bodyText, bodyHtml: oldTemplate.bodyHtml },
+            { key, subject, bodyText, bodyHtml }, req);
+
+        res.json({ success: true, message: 'メールテンプレートを保存しました' });
+    } catch (error) {
+        console.error('メールテンプレート保存エラー:', error);
+        res.status(500).json({ error: 'メールテンプレートの保存に失敗しました' });
+    }
+});
+
+// テンプレートを初期設定に戻す
+app.delete('/api/admin/email-templates/:key', requireAdmin, async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (!emailTemplates.TEMPLATE_DEFINITIONS[key]) {
+            return res.status(404).json({ error: 'テンプレートが見つかりません' });
+        }
+
+        const deleted = await db.queryOne(`
+            DELETE FROM email_templates WHERE template_key = $1
+            RETURNING id, subject, body_text, body_html
+        `, [key]);
+
+        if (deleted) {
+            await logAudit(req.session.adminId, 'reset_email_template', 'email_template', deleted.id,
+                { key, subject: deleted.subject, bodyText: deleted.body_text, bodyHtml: deleted.body_html }, null, req);
+        }
+
+        res.json({ success: true, message: 'メールテンプレートを初期設定に戻しました' });
+    } catch (error) {
+        console.error('メールテンプレート初期化エラー:', error);
+        res.status(500).json({ error: 'メールテンプレートの初期化に失敗しました' });
+    }
+});
+
+// 編集中のテンプレートを見本の予約でプレビュー
+app.post('/api/admin/email-templates/:key/preview', requireAdmin, async (req, res) => {
+    try {
+        const { key } = req.params;
+        if (!emailTemplates.TEMPLATE_DEFINITIONS[key]) {
+            return res.status(404).json({ error: 'テンプレートが見つかりません' });
+        }
+
+        const { subject = '', bodyText = '', bodyHtml = '' } = req.body;
+        const settings = await getSettings();
+
+        // 見本には実際のメニュー・医師の名前を使う
+        const service = await db.queryOne('SELECT name FROM services WHERE is_active = true ORDER BY sort_order, id LIMIT 1');
+        const staff = await db.queryOne('SELECT name FROM staff WHERE is_active = true ORDER BY sort_order, id LIMIT 1');
+
+        const preview = mailer.renderTemplatePreview(key, {
+            subject: String(subject),
+            bodyText: String(bodyText),
+            bodyHtml: String(bodyHtml || '')
+        }, settings, { service, staff });
+
+        res.json(preview);
+    } catch (error) {
+        console.error('メールテンプレートプレビューエラー:', error);
+        res.status(500).json({ error: 'プレビューの作成に失敗しました' });
+    }
+});
+
+// 医院情報取得（メールテンプレートで使用）
+app.get('/api/admin/settings/clinic', requireAdmin, async (req, res) => {
+    try {
+        const settings = await getSettings();
+        res.json({
+            clinicName: settings.clinic_name || '',
+            clinicPhone: settings.clinic_phone || '',
+            clinicAddress: settings.clinic_address || '',
+            clinicMapUrl: settings.clinic_map_url || ''
+        });
+    } catch (error) {
+        console.error('医院情報取得エラー:', error);
+        res.status(500).json({ error: '医院情報の取得に失敗しました' });
+    }
+});
+
+// 医院情報保存
+app.put('/api/admin/settings/clinic', requireAdmin, async (req, res) => {
+    try {
+        const clinicName = String(req.body.clinicName || '').trim();
+        const clinicPhone = String(req.body.clinicPhone || '').trim();
+        const clinicAddress = String(req.body.clinicAddress || '').trim();
+        const clinicMapUrl = String(req.body.clinicMapUrl || '').trim();
+
+        if (!clinicName) {
+            return res.status(400).json({ error: '医院名を入力してください' });
+        }
+        if (clinicPhone && !security.isValidPhone(clinicPhone)) {
+            return res.status(400).json({ error: '電話番号の形式が正しくありません' });
+        }
+        if (clinicMapUrl && !/^https?:\/\//.test(clinicMapUrl)) {
+            return res.status(400).json({ error: '地図のURLは http:// または https:// で始めてください' });
+        }
+
+        const upsertSetting = async (key, value) => {
+            await db.execute(`
+                INSERT INTO settings (key, value, updated_at) VALUES ($1, $2, NOW())
+                ON CONFLICT(key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+            `, [key, String(value)]);
+        };
+
+        const oldSettings = await getSettings();
+
+        await upsertSetting('clinic_name', clinicName);
+        await upsertSetting('clinic_phone', clinicPhone);
+        await upsertSetting('clinic_address', clinicAddress);
+        await upsertSetting('clinic_map_url', clinicMapUrl);
+
+        await logAudit(req.session.adminId, 'update_clinic_settings', 'settings', null, {
+            clinicName: oldSettings.clinic_name, clinicPhone: oldSettings.clinic_phone,
+            clinicAddress: oldSettings.clinic_address, clinicMapUrl: oldSettings.clinic_map_url
+        }, { clinicName, clinicPhone, clinicAddress, clinicMapUrl }, req);
+
+        res.json({ success: true, message: '医院情報を保存しました' });
+    } catch (error) {
+        console.error('医院情報保存エラー:', error);
+        res.status(500).json({ error: '医院情報の保存に失敗しました' });
+    }
+});
+
 // デバッグ: 予約データ全消去
 app.delete('/api/admin/debug/appointments', requireAdmin, async (req, res) => {
     try {
@@ -1859,6 +4920,56 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
+// ===== 定期実行 =====
+
+// リマインドメール送信（Vercel Cron から呼び出し）
+// Vercel は CRON_SECRET を Authorization: Bearer ヘッダーで送る
+app.get('/api/cron/reminders', async (req, res) => {
+    if (!CRON_SECRET || req.get('Authorization') !== `Bearer ${CRON_SECRET}`) {
+        return res.status(401).json({ error: '認証が必要です' });
+    }
+
+    try {
+        const settings = await getSettings();
+        const result = await reminders.sendDueReminders(settings);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('リマインド送信ジョブエラー:', error);
+        res.status(500).json({ error: 'リマインドメールの送信に失敗しました' });
+    }
+});
+
+// 送信待ちの通知（メール・SMS・LINE）の再送（Vercel Cron から呼び出し）
+app.get('/api/cron/email-outbox', async (req, res) => {
+    if (!CRON_SECRET || req.get('Authorization') !== `Bearer ${CRON_SECRET}`) {
+        return res.status(401).json({ error: '認証が必要です' });
+    }
+
+    try {
+        const settings = await getSettings();
+        const result = await notifications.processOutbox(db, settings);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('通知再送ジョブエラー:', error);
+        res.status(500).json({ error: '通知の再送に失敗しました' });
+    }
+});
+
+// キャンセル待ちのご案内の期限切れ処理（Vercel Cron から呼び出し）
+app.get('/api/cron/waitlist', async (req, res) => {
+    if (!CRON_SECRET || req.get('Authorization') !== `Bearer ${CRON_SECRET}`) {
+        return res.status(401).json({ error: '認証が必要です' });
+    }
+
+    try {
+        const result = await waitlist.processWaitlist(await getSettings());
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('キャンセル待ち処理ジョブエラー:', error);
+        res.status(500).json({ error: 'キャンセル待ちの処理に失敗しました' });
+    }
+});
+
 // ===== Vercel Serverless Export =====
 // Vercelの場合はサーバーを起動せず、appをエクスポート
 if (process.env.VERCEL) {
@@ -1876,9 +4987,66 @@ if (process.env.VERCEL) {
         `);
     });
 
+    // リマインドメールの定期送信（Vercel では Cron が担当）
+    let reminderRunning = false;
+    const runReminders = async () => {
+        if (reminderRunning) return;
+        reminderRunning = true;
+        try {
+            const result = await reminders.sendDueReminders(await getSettings());
+            if (result.sent + result.failed + result.skipped > 0) {
+                console.log(`📧 リマインド送信: 成功${result.sent}件 / 失敗${result.failed}件 / スキップ${result.skipped}件`);
+            }
+        } catch (error) {
+            console.error('リマインド送信ジョブエラー:', error.message);
+        } finally {
+            reminderRunning = false;
+        }
+    };
+    const reminderTimer = setInterval(runReminders, REMINDER_INTERVAL_MS);
+
+    // 送信に失敗した通知の再送（Vercel では Cron が担当）
+    let outboxRunning = false;
+    const runNotificationOutbox = async () => {
+        if (outboxRunning) return;
+        outboxRunning = true;
+        try {
+            const result = await notifications.processOutbox(db, await getSettings());
+            if (result.sent + result.failed + result.dead > 0) {
+                console.log(`📨 通知の再送: 成功${result.sent}件 / 失敗${result.failed}件 / 再送上限${result.dead}件`);
+            }
+        } catch (error) {
+            console.error('通知再送ジョブエラー:', error.message);
+        } finally {
+            outboxRunning = false;
+        }
+    };
+    const outboxTimer = setInterval(runNotificationOutbox, NOTIFICATION_OUTBOX_INTERVAL_MS);
+
+    // 期限切れのキャンセル待ちのご案内を次の方へ（Vercel では Cron が担当）
+    let waitlistRunning = false;
+    const runWaitlist = async () => {
+        if (waitlistRunning) return;
+        waitlistRunning = true;
+        try {
+            const result = await waitlist.processWaitlist(await getSettings());
+            if (result.expired + result.closed > 0) {
+                console.log(`⏳ キャンセル待ち: 期限切れ${result.expired}件 / 次の方へご案内${result.offered}件 / 期間終了${result.closed}件`);
+            }
+        } catch (error) {
+            console.error('キャンセル待ち処理ジョブエラー:', error.message);
+        } finally {
+            waitlistRunning = false;
+        }
+    };
+    const waitlistTimer = setInterval(runWaitlist, WAITLIST_INTERVAL_MS);
+
     // グレースフルシャットダウン
     process.on('SIGINT', async () => {
         console.log('\n🛑 サーバーを停止しています...');
+        clearInterval(reminderTimer);
+        clearInterval(outboxTimer);
+        clearInterval(waitlistTimer);
         await db.closePool();
         process.exit(0);
     });
@@ -0,0 +1,229 @@
+/**
+ * 通院シリーズ（根管治療・矯正など、同じメニュー・担当医師で N 週ごとに通う連続予約）
+ *
+ * 受付での登録のため予約受付期間（締切・最遠予約日）は問わず、診療時間・担当医師の勤務・
+ * キャパシティ・設備は通常の予約と同じ基準で1回ずつ確認する。
+ * 空いていない回には、同じ日と数日後の空き枠を代わりの候補として返す。
+ */
+
+const security = require('./security');
+const slots = require('./slots.postgres');
+
+// 1シリーズの回数・間隔の上限
+const MAX_OCCURRENCES = 52;
+const MAX_INTERVAL_WEEKS = 12;
+
+// 代わりの候補を探す日数（予定日から）と候補の数
+const ALTERNATIVE_SEARCH_DAYS = 4;
+const ALTERNATIVE_COUNT = 3;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * 各回の日時を作成
+ * @param {Date|string} startAt - 1回目の開始日時
+ * @param {number} intervalWeeks - 何週ごとか
+ * @param {number} occurrences - 回数
+ * @param {number} durationMinutes - メニューの所要時間
+ * @returns {Array<{index: number, startAt: Date, endAt: Date}>}
+ */
+function buildOccurrences(startAt, intervalWeeks, occurrences, durationMinutes) {
+    const first = new Date(startAt);
+    const result = [];
+    for (let i = 0; i < occurrences; i++) {
+        const start = new Date(first.getTime() + i * intervalWeeks * WEEK_MS);
+        result.push({
+            index: i + 1,
+            startAt: start,
+            endAt: new Date(start.getTime() + durationMinutes * 60000)
+        });
+    }
+    return result;
+}
+
+/**
+ * 各回を予約できるか確認し、できない回には代わりの候補を付ける
+ * @param {Array<{index: number, startAt: Date, endAt: Date, appointmentId?: number}>} occurrences
+ *   appointmentId は日時を変更する既存の予約（重複判定から除く）
+ * @param {Object} booking - { serviceId, staffId, movingAppointmentIds }
+ *   movingAppointmentIds は一緒に移動する予約（移動前の日時は空くものとして重複判定から除く）
+ * @param {Object} settings - システム設定
+ * @returns {Promise<Array>} { index, startAt, endAt, available, error, alternatives }
+ */
+async function checkOccurrences(occurrences, { serviceId, staffId, movingAppointmentIds = [] }, settings) {
+    const results = [];
+
+    for (const occurrence of occurrences) {
+        const validation = await slots.validateBooking(
+            occurrence.startAt.toISOString(),
+            occurrence.endAt.toISOString(),
+            serviceId,
+            staffId,
+            settings,
+            { excludeAppointmentId: [occurrence.appointmentId, ...movingAppointmentIds].filter(Boolean), ignoreBookingPeriod: true }
+        );
+
+        results.push({
+            index: occurrence.index,
+            appointmentId: occurrence.appointmentId || null,
+            startAt: occurrence.startAt,
+            endAt: occurrence.endAt,
+            available: validation.valid,
+            error: validation.error,
+            alternatives: validation.valid ? [] : await findAlternatives(occurrence.startAt, serviceId, staffId, settings)
+        });
+    }
+
+    return results;
+}
+
+/**
+ * 予約できない回の代わりの候補（同じ日の近い時刻 → 翌日以降の順）
+ */
+async function findAlternatives(startAt, serviceId, staffId, settings) {
+    const requestedDate = slots.formatDate(startAt);
+    const requestedTime = slots.formatTime(startAt);
+    const toMinutes = (time) => parseInt(time.slice(0, 2)) * 60 + parseInt(time.slice(3, 5));
+    const alternatives = [];
+
+    for (let offset = 0; offset < ALTERNATIVE_SEARCH_DAYS && alternatives.length < ALTERNATIVE_COUNT; offset++) {
+        const dateStr = slots.formatDate(new Date(startAt.getTime() + offset * 24 * 60 * 60 * 1000));
+        const { slots: daySlots } = await slots.getAvailableSlots(dateStr, serviceId, staffId, settings, { ignoreBookingPeriod: true });
+
+        const open = daySlots.filter(slot => slot.available);
+        // 同じ日は希望の時刻に近い順、翌日以降は同じ時刻に近い順
+        open.sort((a, b) => Math.abs(toMinutes(a.start) - toMinutes(requestedTime)) - Math.abs(toMinutes(b.start) - toMinutes(requestedTime)));
+
+        for (const slot of open) {
+            if (alternatives.length >= ALTERNATIVE_COUNT) break;
+            alternatives.push({
+                date: dateStr,
+                start: slot.start,
+                startAt: slot.startAt,
+                endAt: slot.endAt,
+                sameDay: dateStr === requestedDate
+            });
+        }
+    }
+
+    return alternatives;
+}
+
+/**
+ * シリーズの各回の予約をまとめて作成（トランザクション内で排他ロック付きで確認）
+ * 1回でも予約できなければ何も作成せず、予約できなかった回を返す
+ * @param {Object} client - トランザクション中のDBクライアント
+ * @param {Array<{index: number, startAt: Date, endAt: Date}>} occurrences
+ * @param {Object} booking - { seriesId, patientId, serviceId, staffId, notes }
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{conflicts: Array, appointmentIds: number[]}>}
+ */
+async function bookOccurrences(client, occurrences, booking, settings) {
+    const conflicts = [];
+    const appointmentIds = [];
+
+    for (const occurrence of occurrences) {
+        const availability = await slots.checkBookingAvailability(client, {
+            serviceId: booking.serviceId,
+            staffId: booking.staffId,
+            startAt: occurrence.startAt,
+            endAt: occurrence.endAt,
+            patientId: booking.patientId,
+            byStaff: true
+        }, settings);
+
+        if (!availability.available) {
+            conflicts.push({ index: occurrence.index, startAt: occurrence.startAt, error: availability.error });
+            continue;
+        }
+
+        // 予約確認URLのトークン（受付で登録した予約はメールを送らないため、平文は保持しない）
+        const tokenHash = security.hashToken(security.generateAccessToken());
+        const tokenExpiry = security.calculateTokenExpiry();
+
+        const appointmentRes = await client.query(`
+            INSERT INTO appointments (
+                patient_id, service_id, staff_id, auto_assigned, start_at, end_at,
+                access_token_hash, token_expires_at, notes, series_id, series_index
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            RETURNING id
+        `, [
+            booking.patientId,
+            booking.serviceId,
+            availability.staffId,
+            availability.autoAssigned,
+            occurrence.startAt.toISOString(),
+            occurrence.endAt.toISOString(),
+            tokenHash,
+            tokenExpiry.toISOString(),
+            booking.notes || '',
+            booking.seriesId,
+            occurrence.index
+        ]);
+        appointmentIds.push(appointmentRes.rows[0].id);
+        await slots.saveAppointmentSegments(client, appointmentRes.rows[0].id, availability.segments);
+    }
+
+    return { conflicts, appointmentIds };
+}
+
+/**
+ * 既存の予約の日時をまとめて変更（トランザクション内で排他ロック付きで確認）
+ * 1件でも変更できなければ何も変更せず、変更できなかった予約を返す
+ * @param {Object} client - トランザクション中のDBクライアント
+ * @param {Array<{appointment: Object, startAt: Date, endAt: Date}>} moves
+ *   appointment は変更前の予約（id, service_id, staff_id, auto_assigned, patient_id）
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{conflicts: Array}>}
+ */
+async function moveAppointments(client, moves, settings) {
+    const conflicts = [];
+
+    for (const move of moves) {
+        const { appointment } = move;
+        // 指名した担当者は引き継ぎ、自動割り当てだった場合は変更先で割り当て直す
+        const staffId = appointment.auto_assigned ? null : appointment.staff_id;
+
+        const availability = await slots.checkBookingAvailability(client, {
+            serviceId: appointment.service_id,
+            staffId,
+            startAt: move.startAt,
+            endAt: move.endAt,
+            patientId: appointment.patient_id,
+            excludeAppointmentId: appointment.id
+        }, settings);
+
+        if (!availability.available) {
+            conflicts.push({ appointmentId: appointment.id, index: appointment.series_index, startAt: move.startAt, error: availability.error });
+            continue;
+        }
+
+        await client.query(`
+            UPDATE appointments
+            SET start_at = $1, end_at = $2, staff_id = $3, auto_assigned = $4,
+                token_expires_at = GREATEST(token_expires_at, $5),
+                calendar_sequence = calendar_sequence + 1, updated_at = NOW()
+            WHERE id = $6
+        `, [
+            move.startAt.toISOString(),
+            move.endAt.toISOString(),
+            availability.staffId,
+            availability.autoAssigned,
+            security.calculateTokenExpiry().toISOString(),
+            appointment.id
+        ]);
+        await slots.saveAppointmentSegments(client, appointment.id, availability.segments);
+    }
+
+    return { conflicts };
+}
+
+module.exports = {
+    MAX_OCCURRENCES,
+    MAX_INTERVAL_WEEKS,
+    buildOccurrences,
+    checkOccurrences,
+    bookOccurrences,
+    moveAppointments
+};
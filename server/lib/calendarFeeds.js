@@ -0,0 +1,83 @@
+/**
+ * 医師ごと（または医院全体）の予約カレンダー配信（iCal 購読）
+ * 購読URLには推測できない秘密のトークンを含め、DBにはハッシュのみ保存する（calendar_feeds）。
+ */
+
+const ics = require('./ics');
+
+// 予定に載せる患者情報の詳しさ
+const DETAIL_LEVELS = {
+    initials: 'イニシャルのみ',
+    name: '氏名',
+    full: '氏名・電話番号・メモ'
+};
+
+// 配信する期間（今日を基準に）
+const FEED_PAST_DAYS = 30;
+const FEED_FUTURE_DAYS = 180;
+
+// カレンダーアプリに求める更新間隔（分）
+const FEED_REFRESH_MINUTES = 15;
+
+/**
+ * 患者のイニシャル（フリガナの姓・名の頭文字、例: ヤマダ タロウ → ヤ.タ.）
+ * @param {string} name - 氏名
+ * @param {string} kana - フリガナ
+ * @returns {string}
+ */
+function getPatientInitials(name, kana) {
+    const parts = String(kana || name || '').trim().split(/[\s　]+/).filter(Boolean);
+    if (parts.length === 0) return '';
+    return parts.map(part => `${[...part][0]}.`).join('');
+}
+
+/**
+ * 配信用の iCalendar データを作成
+ * @param {Object} options
+ * @param {Object[]} options.appointments - 予約一覧（管理画面の予約一覧と同じ形式）
+ * @param {string} options.calendarName - カレンダーの表示名
+ * @param {string} options.detailLevel - 患者情報の詳しさ（DETAIL_LEVELS のキー）
+ * @param {boolean} options.includeStaffName - 予定名に担当医師を含めるか（医院全体の配信）
+ * @param {Object} options.settings - システム設定
+ * @returns {string}
+ */
+function buildFeedCalendar({ appointments, calendarName, detailLevel, includeStaffName, settings }) {
+    const events = appointments.map(apt => {
+        const patientLabel = detailLevel === 'initials'
+            ? `${getPatientInitials(apt.patient_name, apt.patient_kana)} 様`
+            : `${apt.patient_name} 様`;
+        const staffName = apt.staff_name || '担当未定';
+
+        const description = [
+            `メニュー: ${apt.service_name}`,
+            `担当: ${staffName}`,
+            `予約番号: #${apt.id}`,
+            detailLevel !== 'initials' && apt.patient_kana ? `フリガナ: ${apt.patient_kana}` : null,
+            detailLevel === 'full' && apt.patient_phone ? `電話: ${apt.patient_phone}` : null,
+            detailLevel === 'full' && apt.notes ? `メモ: ${apt.notes}` : null
+        ].filter(Boolean).join('\n');
+
+        return ics.buildEvent({
+            uid: ics.getAppointmentUid(apt.id),
+            sequence: apt.calendar_sequence,
+            startAt: apt.start_at,
+            endAt: apt.end_at,
+            summary: `${includeStaffName ? `[${staffName}] ` : ''}${patientLabel} ${apt.service_name}`,
+            description,
+            location: settings.clinic_address
+        });
+    });
+
+    return ics.buildCalendar(events, {
+        name: calendarName,
+        refreshMinutes: FEED_REFRESH_MINUTES
+    });
+}
+
+module.exports = {
+    DETAIL_LEVELS,
+    FEED_PAST_DAYS,
+    FEED_FUTURE_DAYS,
+    getPatientInitials,
+    buildFeedCalendar
+};
@@ -0,0 +1,247 @@
+/**
+ * メールテンプレート
+ * 件名・本文（テキスト／HTML）を email_templates に保存し、{{変数名}} を差し込んで使う。
+ * 保存されていないテンプレートは下記の初期テンプレートを使う。
+ *
+ * 書式:
+ *   {{patient_name}}                    … 変数の値に置き換える（HTML版ではエスケープする）
+ *   {{#clinic_phone}}…{{/clinic_phone}} … 変数が空でない場合のみ中身を出力する
+ */
+
+const security = require('./security');
+
+// 変数の説明（管理画面の一覧表示用）
+const VARIABLE_LABELS = {
+    patient_name: '患者名',
+    patient_kana: '患者名（フリガナ）',
+    patient_phone: '患者の電話番号',
+    patient_email: '患者のメールアドレス',
+    patient_address: '患者の住所',
+    appointment_id: '予約ID',
+    date: '予約日（例: 2026年1月25日（日））',
+    time: '予約時刻（例: 10:00）',
+    service_name: 'メニュー名',
+    staff_name: '担当医師（指名なしの場合は「指名なし」）',
+    manage_url: '予約の確認・変更・キャンセル用URL',
+    booking_url: '予約ページのURL',
+    admin_url: '管理画面のURL',
+    cutoff_days: '患者による変更・キャンセルの締切（予約日の何日前か）',
+    clinic_name: '医院名',
+    clinic_phone: '医院の電話番号',
+    clinic_address: '医院の住所',
+    map_url: '地図のURL'
+};
+
+const CLINIC_VARIABLES = ['clinic_name', 'clinic_phone', 'clinic_address', 'map_url'];
+
+const TEMPLATE_DEFINITIONS = {
+    confirmation: {
+        label: '予約確認メール（患者様宛）',
+        variables: ['patient_name', 'date', 'time', 'service_name', 'staff_name', 'manage_url', 'cutoff_days', ...CLINIC_VARIABLES],
+        subject: '【{{clinic_name}}】ご予約ありがとうございます（{{date}} {{time}}）',
+        bodyText: `
+{{patient_name}} 様
+
+この度は{{clinic_name}}をご予約いただき、誠にありがとうございます。
+以下の内容でご予約を承りました。
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ ご予約内容
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+【予約日時】{{date}} {{time}}
+【メニュー】{{service_name}}
+【担当】{{staff_name}}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ ご来院時のお願い
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+・保険証をお持ちください
+・予約時間の5分前までにお越しください
+・体調が優れない場合は事前にご連絡ください
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ 予約の変更・キャンセル
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+下記URLより予約の確認・日時の変更・キャンセルが可能です。
+{{manage_url}}
+
+※日時の変更・キャンセルは予約日の{{cutoff_days}}日前までにお願いいたします。
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+{{clinic_name}}
+{{#clinic_phone}}電話: {{clinic_phone}}{{/clinic_phone}}
+{{#clinic_address}}住所: {{clinic_address}}{{/clinic_address}}
+{{#map_url}}地図: {{map_url}}{{/map_url}}
+
+※このメールは自動送信されています。
+※ご不明な点がございましたら、お電話にてお問い合わせください。
+`.trim(),
+        bodyHtml: ''
+    },
+    cancellation: {
+        label: 'キャンセルのお知らせ（患者様宛）',
+        variables: ['patient_name', 'date', 'time', 'service_name', 'booking_url', ...CLINIC_VARIABLES],
+        subject: '【{{clinic_name}}】ご予約キャンセルのお知らせ',
+        bodyText: `
+{{patient_name}} 様
+
+以下のご予約がキャンセルされました。
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ キャンセルされた予約
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+【予約日時】{{date}} {{time}}
+【メニュー】{{service_name}}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+再度のご予約をお待ちしております。
+
+{{clinic_name}}
+{{#clinic_phone}}電話: {{clinic_phone}}{{/clinic_phone}}
+
+※このメールは自動送信されています。
+`.trim(),
+        bodyHtml: ''
+    },
+    admin_notification: {
+        label: '新規予約の通知（管理者宛）',
+        variables: ['appointment_id', 'date', 'time', 'service_name', 'staff_name',
+            'patient_name', 'patient_kana', 'patient_phone', 'patient_email', 'patient_address', 'admin_url', 'clinic_name'],
+        subject: '【新規予約】{{patient_name}}様 {{date}} {{time}}',
+        bodyText: `
+新規予約が入りました。
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ 予約内容
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+【予約ID】#{{appointment_id}}
+【予約日時】{{date}} {{time}}
+【メニュー】{{service_name}}
+【担当】{{staff_name}}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ 患者情報
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+【氏名】{{patient_name}}（{{patient_kana}}）
+【電話番号】{{patient_phone}}
+【メール】{{patient_email}}
+【住所】{{patient_address}}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+管理画面で詳細をご確認ください。
+{{admin_url}}
+
+※このメールは自動送信されています。
+`.trim(),
+        bodyHtml: ''
+    }
+};
+
+/**
+ * テンプレートを取得（未保存なら初期テンプレート）
+ * @param {Object} db - データベース接続
+ * @param {string} key - テンプレートの種類
+ * @returns {Promise<Object>} { key, label, variables, subject, bodyText, bodyHtml, isCustom, updatedAt }
+ */
+async function getTemplate(db, key) {
+    const definition = TEMPLATE_DEFINITIONS[key];
+    if (!definition) {
+        throw new Error(`不明なメールテンプレートです: ${key}`);
+    }
+
+    let row = null;
+    try {
+        row = await db.queryOne('SELECT * FROM email_templates WHERE template_key = $1', [key]);
+    } catch (error) {
+        // テンプレートが読めなくてもメールは初期テンプレートで送る
+        console.error('メールテンプレート取得エラー:', error.message);
+    }
+
+    return {
+        key,
+        label: definition.label,
+        variables: definition.variables,
+        subject: row ? row.subject : definition.subject,
+        bodyText: row ? row.body_text : definition.bodyText,
+        bodyHtml: row ? (row.body_html || '') : definition.bodyHtml,
+        isCustom: !!row,
+        updatedAt: row ? row.updated_at : null
+    };
+}
+
+/**
+ * 全テンプレートを取得
+ * @param {Object} db - データベース接続
+ * @returns {Promise<Object[]>}
+ */
+async function getAllTemplates(db) {
+    const templates = [];
+    for (const key of Object.keys(TEMPLATE_DEFINITIONS)) {
+        templates.push(await getTemplate(db, key));
+    }
+    return templates;
+}
+
+/**
+ * テンプレートに変数を差し込む
+ * @param {Object} template - { subject, bodyText, bodyHtml }
+ * @param {Object} variables - 変数名と値
+ * @returns {{subject: string, text: string, html: string|null}}
+ */
+function renderTemplate(template, variables) {
+    const subject = renderString(template.subject, variables, false).replace(/\s*\n\s*/g, ' ').trim();
+    const text = renderString(template.bodyText, variables, false).trim();
+    const html = template.bodyHtml && template.bodyHtml.trim()
+        ? renderString(template.bodyHtml, variables, true)
+        : null;
+    return { subject, text, html };
+}
+
+function renderString(source, variables, isHtml) {
+    const hasValue = (name) => variables[name] !== undefined && variables[name] !== null && String(variables[name]) !== '';
+
+    return String(source || '')
+        // 1行まるごとの条件部分は、出力しない場合に行ごと取り除く
+        .replace(/^([ \t]*)\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}[ \t]*\n/gm,
+            (match, indent, name, inner) => hasValue(name) ? `${indent}${inner}\n` : '')
+        .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, inner) => hasValue(name) ? inner : '')
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            // 未定義の変数はそのまま残す（プレビューで誤字に気付けるように）
+            if (!(name in variables)) return match;
+            const value = variables[name] === null || variables[name] === undefined ? '' : String(variables[name]);
+            return isHtml ? security.escapeHtml(value) : value;
+        });
+}
+
+/**
+ * テンプレートで使われている未定義の変数を探す
+ * @param {Object} template - { subject, bodyText, bodyHtml }
+ * @param {Object} variables - 変数名と値
+ * @returns {string[]}
+ */
+function findUnknownVariables(template, variables) {
+    const source = [template.subject, template.bodyText, template.bodyHtml].join('\n');
+    const names = new Set();
+    for (const match of source.matchAll(/\{\{\s*[#/]?(\w+)\s*\}\}/g)) {
+        if (!(match[1] in variables)) names.add(match[1]);
+    }
+    return [...names];
+}
+
+module.exports = {
+    TEMPLATE_DEFINITIONS,
+    VARIABLE_LABELS,
+    getTemplate,
+    getAllTemplates,
+    renderTemplate,
+    findUnknownVariables
+};
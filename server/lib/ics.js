@@ -0,0 +1,184 @@
+/**
+ * 予約のカレンダー登録用 iCalendar（RFC 5545）データ作成
+ *
+ * UID は予約ごとに固定し、日時変更・キャンセルのたびに appointments.calendar_sequence を増やして
+ * SEQUENCE に載せることで、カレンダーアプリ側の同じ予定が更新・削除されるようにする。
+ * （iTIP に UPDATE という METHOD はなく、変更は SEQUENCE を増やした REQUEST で送る）
+ */
+
+// カレンダー用のMIMEタイプ（メール添付・ダウンロード共通）
+const CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+/**
+ * 予約の UID（予約ごとに不変）
+ * @param {number} appointmentId
+ * @returns {string}
+ */
+function getAppointmentUid(appointmentId) {
+    let host = 'hiko-dental';
+    try {
+        host = new URL(process.env.BASE_URL || 'http://localhost:3000').hostname || host;
+    } catch (error) {
+        // BASE_URL が不正な場合は既定のホスト名を使う
+    }
+    return `appointment-${appointmentId}@${host}`;
+}
+
+/**
+ * 予約の iCalendar データを作成
+ * @param {Object} options
+ * @param {Object} options.appointment - 予約情報（id, start_at, end_at, calendar_sequence）
+ * @param {string} options.serviceName - メニュー名
+ * @param {string|null} options.staffName - 担当医師名
+ * @param {Object|null} options.patient - 患者情報（name, email）。メールで送る場合の出席者
+ * @param {Object} options.settings - システム設定
+ * @param {string} options.method - 'REQUEST'（新規・変更のメール）, 'CANCEL'（キャンセルのメール）, 'PUBLISH'（ダウンロード）
+ * @returns {string}
+ */
+function buildAppointmentCalendar({ appointment, serviceName, staffName = null, patient = null, settings, method = 'PUBLISH' }) {
+    const clinicName = settings.clinic_name || '彦歯科医院';
+    const clinicEmail = settings.smtp_user || process.env.SMTP_USER;
+    const isCancel = method === 'CANCEL';
+
+    const description = [
+        `メニュー: ${serviceName}`,
+        `担当: ${staffName || '指名なし'}`,
+        `予約番号: #${appointment.id}`,
+        settings.clinic_phone ? `電話: ${settings.clinic_phone}` : null,
+        settings.clinic_map_url ? `地図: ${settings.clinic_map_url}` : null
+    ].filter(Boolean).join('\n');
+
+    // メールで送る招待には主催者（医院）と出席者（患者）が必要
+    const attendeeLines = [];
+    if (method !== 'PUBLISH' && clinicEmail) {
+        attendeeLines.push(`ORGANIZER;CN=${quoteParam(clinicName)}:mailto:${clinicEmail}`);
+        if (patient && patient.email) {
+            attendeeLines.push(`ATTENDEE;CN=${quoteParam(patient.name)};ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:mailto:${patient.email}`);
+        }
+    }
+
+    const event = buildEvent({
+        uid: getAppointmentUid(appointment.id),
+        sequence: appointment.calendar_sequence,
+        startAt: appointment.start_at,
+        endAt: appointment.end_at,
+        summary: `${clinicName}（${serviceName}）`,
+        description,
+        location: settings.clinic_address,
+        status: isCancel ? 'CANCELLED' : 'CONFIRMED',
+        extraLines: attendeeLines
+    });
+
+    return buildCalendar([event], { method });
+}
+
+/**
+ * VEVENT を作成
+ * @param {Object} event - { uid, sequence, startAt, endAt, summary, description, location, status, extraLines }
+ * @returns {string[]} 折り返し前の行
+ */
+function buildEvent({ uid, sequence = 0, startAt, endAt, summary, description = null, location = null, status = 'CONFIRMED', extraLines = [] }) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence || 0}`,
+        `DTSTAMP:${formatUtcDateTime(new Date())}`,
+        `DTSTART:${formatUtcDateTime(new Date(startAt))}`,
+        `DTEND:${formatUtcDateTime(new Date(endAt))}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        location ? `LOCATION:${escapeText(location)}` : null,
+        `STATUS:${status}`,
+        ...extraLines,
+        'END:VEVENT'
+    ].filter(line => line !== null);
+}
+
+/**
+ * VCALENDAR にまとめて iCalendar データにする
+ * @param {string[][]} events - buildEvent の結果の配列
+ * @param {Object} options - { method, name（購読カレンダーの表示名）, refreshMinutes（購読の更新間隔） }
+ * @returns {string}
+ */
+function buildCalendar(events, { method = 'PUBLISH', name = null, refreshMinutes = null } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Hiko Dental//Reservation System//JA',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        name ? `X-WR-CALNAME:${escapeText(name)}` : null,
+        refreshMinutes ? `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M` : null,
+        refreshMinutes ? `X-PUBLISHED-TTL:PT${refreshMinutes}M` : null,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ].filter(line => line !== null);
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * メール添付用のファイル情報を作成（nodemailer の attachments 形式）
+ * @param {string} content - iCalendar データ
+ * @param {string} method - iCalendar の METHOD
+ * @returns {Object}
+ */
+function toAttachment(content, method) {
+    return {
+        filename: method === 'CANCEL' ? 'cancel.ics' : 'appointment.ics',
+        content,
+        contentType: `${CONTENT_TYPE}; method=${method}`
+    };
+}
+
+// UTC の日時（例: 20260125T010000Z）
+function formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT 型の値のエスケープ（RFC 5545 3.3.11）
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// パラメーター値（CN など）は引用符で囲む（引用符自体は使えないため除く）
+function quoteParam(value) {
+    return `"${String(value || '').replace(/"/g, '')}"`;
+}
+
+// 1行75オクテットを超える場合は折り返す（RFC 5545 3.1、マルチバイト文字の途中では切らない）
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    // 2行目以降は先頭の空白1文字分を差し引く
+    let limit = 75;
+
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+            limit = 74;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    getAppointmentUid,
+    buildAppointmentCalendar,
+    buildEvent,
+    buildCalendar,
+    toAttachment
+};
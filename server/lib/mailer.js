@@ -1,48 +1,12 @@
 /**
- * メール送信機能
+ * 患者・管理者へのお知らせの文面作成
+ * 送信は notifications.js を通し、患者へのお知らせは患者が選んだ送信方法（メール・SMS・LINE）で送る。
+ * SMS では本文の代わりに shortBody（要点とURLのみの短い本文）を送る。
  */
 
-const nodemailer = require('nodemailer');
-
-/**
- * メールトランスポーター作成
- * @param {Object} settings - システム設定（DBから取得）
- * @returns {Object} Nodemailer transporter
- */
-function createTransporter(settings = {}) {
-    // DB設定を優先、環境変数をフォールバック
-    const smtpUser = settings.smtp_user || process.env.SMTP_USER;
-    const smtpPass = settings.smtp_pass || process.env.SMTP_PASS;
-    const smtpHost = settings.smtp_host || process.env.SMTP_HOST || 'smtp.gmail.com';
-    // 文字列として来ても数値に変換して扱う
-    const smtpPort = parseInt(settings.smtp_port || process.env.SMTP_PORT || '587', 10);
-
-    // ポート465はSSL、587はSTARTTLS
-    const isSecure = smtpPort === 465;
-
-    const config = {
-        host: smtpHost,
-        port: smtpPort,
-        secure: isSecure,
-        auth: {
-            user: smtpUser,
-            pass: smtpPass
-        },
-        tls: {
-            rejectUnauthorized: false // 自己署名証明書を許可
-        },
-        connectionTimeout: 10000,
-        greetingTimeout: 10000
-    };
-
-    // SMTP設定がない場合はテストモード
-    if (!config.auth.user || !config.auth.pass) {
-        console.log('⚠️  SMTP設定がありません。メール送信はスキップされます。');
-        return null;
-    }
-
-    return nodemailer.createTransport(config);
-}
+const emailTemplates = require('./emailTemplates');
+const ics = require('./ics');
+const notifications = require('./notifications');
 
 /**
  * 予約確認メールを送信
@@ -56,144 +20,388 @@ function createTransporter(settings = {}) {
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 async function sendConfirmationEmail(db, appointment, patient, service, staff, accessToken, settings) {
-    // メールアドレスがない場合はスキップ
+    // キャンセルURL生成
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const variables = {
+        ...buildTemplateVariables(appointment, patient, service, staff, settings),
+        manage_url: `${baseUrl}/?token=${encodeURIComponent(accessToken)}`
+    };
+
+    const template = await emailTemplates.getTemplate(db, 'confirmation');
+    const { subject, text, html } = emailTemplates.renderTemplate(template, variables);
+
+    return notifications.notifyPatient(db, patient, {
+        type: 'confirmation',
+        appointmentId: appointment.id,
+        fromName: variables.clinic_name,
+        subject,
+        body: text,
+        bodyHtml: html,
+        attachments: [buildCalendarAttachment(appointment, patient, service, staff, settings, 'REQUEST')],
+        shortBody: `【${variables.clinic_name}】ご予約を承りました。${variables.date} ${variables.time} ${variables.service_name}\n確認・変更・キャンセル: ${variables.manage_url}`
+    }, settings);
+}
+
+/**
+ * 患者ポータルのログイン用ワンタイムコードを送信
+ * 本人確認に使うメールアドレスに送る（送信方法の希望にかかわらずメール）
+ * @param {Object} db - データベース接続
+ * @param {Object} patient - 患者情報
+ * @param {string} code - 平文のワンタイムコード
+ * @param {number} expiresInMinutes - 有効期限（分）
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function sendLoginCodeEmail(db, patient, code, expiresInMinutes, settings) {
     if (!patient.email) {
-        console.log('📧 患者のメールアドレスがないため、メール送信をスキップします');
         return { success: true, skipped: true };
     }
 
-    const transporter = createTransporter(settings);
+    const clinicName = settings.clinic_name || '彦歯科医院';
+    const clinicPhone = settings.clinic_phone || '';
+
+    const subject = `【${clinicName}】マイページのログインコード`;
+
+    // コード自体はログに残さない
+    const body = `
+${patient.name} 様
+
+マイページのログインコードは次のとおりです。
+
+  ${code}
+
+有効期限は${expiresInMinutes}分です。ログイン画面に入力してください。
 
-    // トランスポーターがない場合（SMTP未設定）
-    if (!transporter) {
-        // ログには記録
-        logEmail(db, appointment.id, patient.email, '【確認メール】', '(SMTP未設定のため送信スキップ)', 'skipped');
+※お心当たりのない場合は、このメールを破棄してください。
+
+${clinicName}
+${clinicPhone ? `電話: ${clinicPhone}` : ''}
+
+※このメールは自動送信されています。
+`.trim();
+    const loggedBody = body.replace(code, '******');
+
+    return notifications.sendImmediately(db, {
+        channel: 'email',
+        to: patient.email,
+        type: 'login_code',
+        fromName: clinicName,
+        subject,
+        body
+    }, loggedBody, settings);
+}
+
+/**
+ * 予約確認用URLの再送メールを送信
+ * 本人確認に使ったメールアドレスに送る（送信方法の希望にかかわらずメール）
+ * @param {Object} db - データベース接続
+ * @param {Object} patient - 患者情報
+ * @param {Array<{appointment: Object, serviceName: string, accessToken: string}>} links - 予約ごとの再発行したトークン
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function sendAccessLinkEmail(db, patient, links, settings) {
+    if (!patient.email || links.length === 0) {
         return { success: true, skipped: true };
     }
 
+    const appointmentId = links[0].appointment.id;
+    const clinicName = settings.clinic_name || '彦歯科医院';
+    const clinicPhone = settings.clinic_phone || '';
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    const list = links.map(({ appointment, serviceName, accessToken }) => {
+        const startDate = new Date(appointment.start_at);
+        return `【予約番号】#${appointment.id}
+【予約日時】${formatJapaneseDate(startDate)} ${formatJapaneseTime(startDate)}
+【メニュー】${serviceName}
+${baseUrl}/?token=${encodeURIComponent(accessToken)}`;
+    }).join('\n\n');
+
+    const subject = `【${clinicName}】予約確認用URLのお知らせ`;
+
+    const body = `
+${patient.name} 様
+
+予約確認用URLの再送のご依頼を承りました。
+下記URLより予約の確認・日時の変更・キャンセルが可能です。
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ ご予約
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+${list}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+※以前お送りしたURLは使用できなくなりました。
+※お心当たりのない場合は、お手数ですがお電話にてご連絡ください。
+
+${clinicName}
+${clinicPhone ? `電話: ${clinicPhone}` : ''}
+
+※このメールは自動送信されています。
+`.trim();
+
+    return notifications.sendNotification(db, {
+        channel: 'email',
+        to: patient.email,
+        type: 'access_link',
+        appointmentId: appointmentId,
+        fromName: clinicName,
+        subject,
+        body
+    }, settings);
+}
+
+/**
+ * 予約日時の変更確認メールを送信
+ * @param {Object} db - データベース接続
+ * @param {Object} appointment - 変更後の予約情報
+ * @param {Object} patient - 患者情報
+ * @param {Object} service - サービス情報
+ * @param {Object} staff - スタッフ情報（null可）
+ * @param {Date|string} previousStartAt - 変更前の開始日時
+ * @param {string|null} accessToken - 平文アクセストークン（マイページからの変更では null）
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function sendRescheduleEmail(db, appointment, patient, service, staff, previousStartAt, accessToken, settings) {
     const clinicName = settings.clinic_name || '彦歯科医院';
     const clinicPhone = settings.clinic_phone || '';
 
-    // 予約日時をフォーマット
     const startDate = new Date(appointment.start_at);
     const dateStr = formatJapaneseDate(startDate);
     const timeStr = formatJapaneseTime(startDate);
 
-    // キャンセルURL生成
+    const previousDate = new Date(previousStartAt);
+    const previousStr = `${formatJapaneseDate(previousDate)} ${formatJapaneseTime(previousDate)}`;
+
+    // マイページからの変更ではトークンを持たないため、マイページのURLを案内する
     const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
-    const cancelUrl = `${baseUrl}/?token=${encodeURIComponent(accessToken)}`;
+    const manageUrl = accessToken ? `${baseUrl}/?token=${encodeURIComponent(accessToken)}` : `${baseUrl}/portal.html`;
 
-    const subject = `【${clinicName}】ご予約ありがとうございます（${dateStr} ${timeStr}）`;
+    const subject = `【${clinicName}】ご予約日時の変更を承りました（${dateStr} ${timeStr}）`;
 
     const body = `
 ${patient.name} 様
 
-この度は${clinicName}をご予約いただき、誠にありがとうございます。
-以下の内容でご予約を承りました。
+ご予約日時の変更を承りました。
+変更後のご予約内容は以下のとおりです。
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-■ ご予約内容
+■ 変更後のご予約内容
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 【予約日時】${dateStr} ${timeStr}
+（変更前: ${previousStr}）
 【メニュー】${service.name}
 【担当】${staff ? staff.name : '指名なし'}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-■ ご来院時のお願い
+■ 予約の変更・キャンセル
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-・保険証をお持ちください
-・予約時間の5分前までにお越しください
-・体調が優れない場合は事前にご連絡ください
+下記URLより予約の確認・日時の変更・キャンセルが可能です。
+${manageUrl}
+
+※日時の変更・キャンセルは予約日の2日前までにお願いいたします。
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-■ 予約の変更・キャンセル
+
+${clinicName}
+${clinicPhone ? `電話: ${clinicPhone}` : ''}
+
+※このメールは自動送信されています。
+`.trim();
+
+    return notifications.notifyPatient(db, patient, {
+        type: 'reschedule',
+        appointmentId: appointment.id,
+        fromName: clinicName,
+        subject,
+        body,
+        attachments: [buildCalendarAttachment(appointment, patient, service, staff, settings, 'REQUEST')],
+        shortBody: `【${clinicName}】ご予約日時を${dateStr} ${timeStr}に変更しました（変更前: ${previousStr}）\n確認・変更: ${manageUrl}`
+    }, settings);
+}
+
+/**
+ * 予約前のリマインドメールを送信
+ * アクセストークンはハッシュのみ保存しているため、予約の確認・変更はマイページへ案内する
+ * @param {Object} db - データベース接続
+ * @param {Object} appointment - 予約情報
+ * @param {Object} patient - 患者情報
+ * @param {Object} service - サービス情報
+ * @param {Object} staff - スタッフ情報（null可）
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
+ */
+async function sendReminderEmail(db, appointment, patient, service, staff, settings) {
+    const clinicName = settings.clinic_name || '彦歯科医院';
+    const clinicPhone = settings.clinic_phone || '';
+    const clinicAddress = settings.clinic_address || '';
+
+    const startDate = new Date(appointment.start_at);
+    const dateStr = formatJapaneseDate(startDate);
+    const timeStr = formatJapaneseTime(startDate);
+
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const manageUrl = `${baseUrl}/portal.html`;
+
+    const subject = `【${clinicName}】ご予約日時のお知らせ（${dateStr} ${timeStr}）`;
+
+    const body = `
+${patient.name} 様
+
+${clinicName}です。
+ご予約の日時が近づきましたのでお知らせいたします。
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ ご予約内容
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+【予約番号】#${appointment.id}
+【予約日時】${dateStr} ${timeStr}
+【メニュー】${service.name}
+【担当】${staff ? staff.name : '指名なし'}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ 予約の確認・変更・キャンセル
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-下記URLより予約の確認・キャンセルが可能です。
-${cancelUrl}
+予約確認メールのURL、または下記のマイページから
+予約の確認・日時の変更・キャンセルが可能です。
+${manageUrl}
+（ご登録の電話番号とメールアドレスでログインできます）
 
-※キャンセルは予約日の2日前までにお願いいたします。
+※日時の変更・キャンセルの締切を過ぎている場合は、お電話でご連絡ください。
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 ${clinicName}
+${clinicAddress ? `住所: ${clinicAddress}` : ''}
 ${clinicPhone ? `電話: ${clinicPhone}` : ''}
 
 ※このメールは自動送信されています。
-※ご不明な点がございましたら、お電話にてお問い合わせください。
 `.trim();
 
-    try {
-        await transporter.sendMail({
-            from: `"${clinicName}" <${settings.smtp_user || process.env.SMTP_USER}>`,
-            to: patient.email,
-            replyTo: settings.smtp_user || process.env.SMTP_USER,
-            subject: subject,
-            text: body
-        });
+    return notifications.notifyPatient(db, patient, {
+        type: 'reminder',
+        appointmentId: appointment.id,
+        fromName: clinicName,
+        subject,
+        body,
+        shortBody: `【${clinicName}】ご予約のお知らせ: ${dateStr} ${timeStr} ${service.name}\n変更・キャンセルはマイページ ${manageUrl}${clinicPhone ? ` またはお電話（${clinicPhone}）` : ''}で`
+    }, settings);
+}
+
+/**
+ * 定期検診のご案内（リコール）メールを送信
+ * @param {Object} db - データベース接続
+ * @param {number} appointmentId - リコールの起点となった予約ID（送信ログ用）
+ * @param {Object} patient - 患者情報
+ * @param {Object} service - ご案内するメニュー
+ * @param {Date|string} lastVisitAt - 前回の来院日時
+ * @param {string} bookingUrl - メニューを選択済みの予約ページURL
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
+ */
+async function sendRecallEmail(db, appointmentId, patient, service, lastVisitAt, bookingUrl, settings) {
+    const clinicName = settings.clinic_name || '彦歯科医院';
+    const clinicPhone = settings.clinic_phone || '';
+
+    const lastVisitStr = formatJapaneseDate(new Date(lastVisitAt));
 
-        // 送信ログを保存
-        logEmail(db, appointment.id, patient.email, subject, body, 'sent');
-        console.log(`📧 確認メールを送信しました: ${patient.email}`);
+    const subject = `【${clinicName}】${service.name}のご案内`;
 
-        return { success: true };
+    const body = `
+${patient.name} 様
 
-    } catch (error) {
-        console.error('📧 メール送信エラー:', error.message);
+いつも${clinicName}をご利用いただきありがとうございます。
 
-        // エラーログを保存
-        logEmail(db, appointment.id, patient.email, subject, body, 'failed', error.message);
+前回のご来院（${lastVisitStr}）から期間が空きましたので、
+${service.name}のご案内をお送りいたします。
+お口の健康を保つため、定期的なご来院をおすすめしております。
 
-        // メール送信失敗でも予約は確定
-        return { success: false, error: error.message };
-    }
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ ご予約はこちら
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+下記URLから「${service.name}」のご予約をお取りいただけます。
+${bookingUrl}
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+※既にご予約済みの場合は、このメールは破棄してください。
+
+${clinicName}
+${clinicPhone ? `電話: ${clinicPhone}` : ''}
+
+※このメールは自動送信されています。
+`.trim();
+
+    return notifications.notifyPatient(db, patient, {
+        type: 'recall',
+        appointmentId: appointmentId,
+        fromName: clinicName,
+        subject,
+        body,
+        shortBody: `【${clinicName}】${service.name}の時期となりました。ご予約はこちら: ${bookingUrl}`
+    }, settings);
 }
 
 /**
- * キャンセル確認メールを送信
+ * キャンセル待ちの方へ空いた枠をご案内
  * @param {Object} db - データベース接続
- * @param {Object} appointment - 予約情報
+ * @param {Object} offer - ご案内（start_at, end_at, expires_at）
  * @param {Object} patient - 患者情報
- * @param {Object} service - サービス情報
+ * @param {Object} service - ご希望のメニュー
+ * @param {Object} staff - 空いた枠の担当医師（null可）
+ * @param {string} claimUrl - 予約を確定するURL
  * @param {Object} settings - システム設定
- * @returns {Promise<{success: boolean, error?: string}>}
+ * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
  */
-async function sendCancellationEmail(db, appointment, patient, service, settings) {
-    if (!patient.email) {
-        return { success: true, skipped: true };
-    }
-
-    const transporter = createTransporter(settings);
-    if (!transporter) {
-        return { success: true, skipped: true };
-    }
-
+async function sendWaitlistOfferEmail(db, offer, patient, service, staff, claimUrl, settings) {
     const clinicName = settings.clinic_name || '彦歯科医院';
     const clinicPhone = settings.clinic_phone || '';
 
-    const startDate = new Date(appointment.start_at);
+    const startDate = new Date(offer.start_at);
     const dateStr = formatJapaneseDate(startDate);
     const timeStr = formatJapaneseTime(startDate);
+    const expiresDate = new Date(offer.expires_at);
+    const expiresStr = `${formatJapaneseDate(expiresDate)} ${formatJapaneseTime(expiresDate)}`;
 
-    const subject = `【${clinicName}】ご予約キャンセルのお知らせ`;
+    const subject = `【${clinicName}】キャンセル待ちの枠が空きました（${dateStr} ${timeStr}）`;
 
     const body = `
 ${patient.name} 様
 
-以下のご予約がキャンセルされました。
+${clinicName}です。
+キャンセル待ちにご登録いただいた条件で、ご予約の枠が空きました。
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-■ キャンセルされた予約
+■ 空いた枠
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-【予約日時】${dateStr} ${timeStr}
+【日時】${dateStr} ${timeStr}
 【メニュー】${service.name}
+【担当】${staff ? staff.name : '指名なし'}
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+■ ご予約はこちら
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+下記URLを開き「この枠で予約する」を押すと予約が確定します。
+${claimUrl}
 
-再度のご予約をお待ちしております。
+【有効期限】${expiresStr}まで
+
+※期限を過ぎると、次にお待ちの方へご案内いたします。
+※ほかの方のご予約で先に埋まった場合は、予約をお取りできません。
+  その場合もキャンセル待ちの登録は続きます。
+
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 ${clinicName}
 ${clinicPhone ? `電話: ${clinicPhone}` : ''}
@@ -201,41 +409,127 @@ ${clinicPhone ? `電話: ${clinicPhone}` : ''}
 ※このメールは自動送信されています。
 `.trim();
 
-    try {
-        await transporter.sendMail({
-            from: `"${clinicName}" <${settings.smtp_user || process.env.SMTP_USER}>`,
-            to: patient.email,
-            replyTo: settings.smtp_user || process.env.SMTP_USER,
-            subject: subject,
-            text: body
-        });
-
-        logEmail(db, appointment.id, patient.email, subject, body, 'sent');
-        return { success: true };
-
-    } catch (error) {
-        logEmail(db, appointment.id, patient.email, subject, body, 'failed', error.message);
-        return { success: false, error: error.message };
-    }
+    return notifications.notifyPatient(db, patient, {
+        type: 'waitlist_offer',
+        appointmentId: null,
+        fromName: clinicName,
+        subject,
+        body,
+        shortBody: `【${clinicName}】キャンセル待ちの枠が空きました: ${dateStr} ${timeStr} ${service.name}\n${expiresStr}までにこちらからご予約ください: ${claimUrl}`
+    }, settings);
 }
 
 /**
- * メール送信ログを保存
+ * キャンセル確認メールを送信
+ * @param {Object} db - データベース接続
+ * @param {Object} appointment - 予約情報
+ * @param {Object} patient - 患者情報
+ * @param {Object} service - サービス情報
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function logEmail(db, appointmentId, recipientEmail, subject, body, status, errorMessage = null) {
-    try {
-        // PostgreSQL対応 (dbオブジェクトは server/db/db.js のモジュールそのもの)
-        if (db && db.insert) {
-            await db.insert(`
-                INSERT INTO email_logs (appointment_id, recipient_email, subject, body, status, error_message, sent_at)
-                VALUES ($1, $2, $3, $4, $5, $6, NOW())
-            `, [appointmentId, recipientEmail, subject, body, status, errorMessage]);
-        } else {
-            console.warn('⚠️ DBモジュールが正しく渡されていないため、メールログを保存できませんでした');
-        }
-    } catch (error) {
-        console.error('メールログ保存エラー:', error.message);
+async function sendCancellationEmail(db, appointment, patient, service, settings) {
+    const variables = buildTemplateVariables(appointment, patient, service, null, settings);
+    const template = await emailTemplates.getTemplate(db, 'cancellation');
+    const { subject, text, html } = emailTemplates.renderTemplate(template, variables);
+
+    return notifications.notifyPatient(db, patient, {
+        type: 'cancellation',
+        appointmentId: appointment.id,
+        fromName: variables.clinic_name,
+        subject,
+        body: text,
+        bodyHtml: html,
+        attachments: [buildCalendarAttachment(appointment, patient, service, null, settings, 'CANCEL')],
+        shortBody: `【${variables.clinic_name}】${variables.date} ${variables.time}のご予約（${variables.service_name}）はキャンセルされました。`
+    }, settings);
+}
+
+/**
+ * メールテンプレートに差し込む変数を予約情報から作成
+ * @param {Object} appointment - 予約情報
+ * @param {Object} patient - 患者情報
+ * @param {Object} service - サービス情報
+ * @param {Object} staff - スタッフ情報（null可）
+ * @param {Object} settings - システム設定
+ * @returns {Object}
+ */
+function buildTemplateVariables(appointment, patient, service, staff, settings) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    const startDate = new Date(appointment.start_at);
+
+    return {
+        patient_name: patient.name,
+        patient_kana: patient.kana || '',
+        patient_phone: patient.phone || '',
+        patient_email: patient.email || '未登録',
+        patient_address: patient.address || '未登録',
+        appointment_id: appointment.id,
+        date: formatJapaneseDate(startDate),
+        time: formatJapaneseTime(startDate),
+        service_name: service.name,
+        staff_name: staff ? staff.name : '指名なし',
+        booking_url: `${baseUrl}/`,
+        admin_url: `${baseUrl}/manage.html`,
+        cutoff_days: parseInt(settings.booking_cutoff_days) || 2,
+        clinic_name: settings.clinic_name || '彦歯科医院',
+        clinic_phone: settings.clinic_phone || '',
+        clinic_address: settings.clinic_address || '',
+        map_url: settings.clinic_map_url || ''
+    };
+}
+
+/**
+ * 編集中のテンプレートを見本の予約で差し込んでプレビューする（管理画面用）
+ * @param {string} key - テンプレートの種類
+ * @param {Object} template - { subject, bodyText, bodyHtml }
+ * @param {Object} settings - システム設定
+ * @param {Object} sample - { service, staff } 見本に使うメニュー・医師（null可）
+ * @returns {{subject: string, text: string, html: string|null, unknownVariables: string[]}}
+ */
+function renderTemplatePreview(key, template, settings, sample = {}) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    // 翌日10:00の見本の予約
+    const startAt = new Date();
+    startAt.setDate(startAt.getDate() + 1);
+    startAt.setHours(10, 0, 0, 0);
+
+    const appointment = { id: 123, start_at: startAt };
+    const patient = {
+        name: '山田 太郎',
+        kana: 'ヤマダ タロウ',
+        phone: '090-1234-5678',
+        email: 'yamada@example.com',
+        address: '東京都○○区△△1-2-3'
+    };
+    const service = sample.service || { name: '一般歯科' };
+
+    const variables = buildTemplateVariables(appointment, patient, service, sample.staff || null, settings);
+    if (key === 'confirmation') {
+        variables.manage_url = `${baseUrl}/?token=sample`;
     }
+
+    return {
+        ...emailTemplates.renderTemplate(template, variables),
+        unknownVariables: emailTemplates.findUnknownVariables(template, variables)
+    };
+}
+
+/**
+ * 予約のカレンダー登録用ファイル（.ics）の添付を作成
+ * @param {string} method - 'REQUEST'（新規・変更）または 'CANCEL'
+ */
+function buildCalendarAttachment(appointment, patient, service, staff, settings, method) {
+    const content = ics.buildAppointmentCalendar({
+        appointment,
+        serviceName: service.name,
+        staffName: staff ? staff.name : null,
+        patient,
+        settings,
+        method
+    });
+    return ics.toAttachment(content, method);
 }
 
 /**
@@ -287,71 +581,25 @@ async function sendAdminNotificationEmail(db, appointment, patient, service, sta
         return { success: true, skipped: true };
     }
 
-    const transporter = createTransporter(settings);
-    if (!transporter) {
-        return { success: true, skipped: true };
-    }
-
-    const clinicName = settings.clinic_name || '彦歯科医院';
-
-    // 予約日時をフォーマット
-    const startDate = new Date(appointment.start_at);
-    const dateStr = formatJapaneseDate(startDate);
-    const timeStr = formatJapaneseTime(startDate);
-
-    const subject = `【新規予約】${patient.name}様 ${dateStr} ${timeStr}`;
-
-    const body = `
-新規予約が入りました。
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-■ 予約内容
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-【予約ID】#${appointment.id}
-【予約日時】${dateStr} ${timeStr}
-【メニュー】${service.name}
-【担当】${staff ? staff.name : '指名なし'}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-■ 患者情報
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-【氏名】${patient.name}（${patient.kana}）
-【電話番号】${patient.phone}
-【メール】${patient.email || '未登録'}
-【住所】${patient.address || '未登録'}
-
-━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-
-管理画面で詳細をご確認ください。
-${process.env.BASE_URL || 'http://localhost:3000'}/manage.html
-
-※このメールは自動送信されています。
-`.trim();
+    const variables = buildTemplateVariables(appointment, patient, service, staff, settings);
+    const template = await emailTemplates.getTemplate(db, 'admin_notification');
+    const { subject, text, html } = emailTemplates.renderTemplate(template, variables);
 
-    // 各宛先に個別に送信（エラーの巻き添え防止）
+    // 各宛先に個別にキューへ登録（エラーの巻き添え防止）
     const results = [];
 
     for (const recipient of toAddress) {
-        try {
-            await transporter.sendMail({
-                from: `"${clinicName} 予約システム" <${settings.smtp_user || process.env.SMTP_USER}>`,
-                to: recipient,
-                replyTo: settings.smtp_user || process.env.SMTP_USER,
-                subject: subject,
-                text: body
-            });
-
-            logEmail(db, appointment.id, recipient, subject, body, 'sent');
-            console.log(`📧 管理者通知メールを送信しました: ${recipient}`);
-            results.push({ email: recipient, success: true });
-
-        } catch (error) {
-            console.error(`📧 管理者通知メール送信エラー (${recipient}):`, error.message);
-            logEmail(db, appointment.id, recipient, subject, body, 'failed', error.message);
-            results.push({ email: recipient, success: false, error: error.message });
-        }
+        const result = await notifications.sendNotification(db, {
+            channel: 'email',
+            to: recipient,
+            type: 'admin_notification',
+            appointmentId: appointment.id,
+            fromName: `${variables.clinic_name} 予約システム`,
+            subject,
+            body: text,
+            bodyHtml: html
+        }, settings);
+        results.push({ email: recipient, ...result });
     }
 
     // 全て失敗した場合のみエラー扱いとする（1つでも成功すれば成功とみなす）
@@ -366,6 +614,12 @@ ${process.env.BASE_URL || 'http://localhost:3000'}/manage.html
 module.exports = {
     sendConfirmationEmail,
     sendCancellationEmail,
+    sendRescheduleEmail,
+    sendReminderEmail,
+    sendRecallEmail,
+    sendWaitlistOfferEmail,
+    sendAccessLinkEmail,
+    sendLoginCodeEmail,
     sendAdminNotificationEmail,
-    createTransporter
+    renderTemplatePreview
 };
@@ -0,0 +1,192 @@
+/**
+ * 通知の送信方法（チャネル）
+ *
+ * email: SMTP（nodemailer）
+ * sms:   汎用のSMSゲートウェイ（HTTP POST）
+ * line:  LINE 形式のメッセージ送信Webhook（HTTP POST）
+ *
+ * NOTIFICATION_PROVIDER=stub の場合は実際には送らず、コンソールと
+ * NOTIFICATION_STUB_FILE（指定時）に書き出す（開発・動作確認用）。
+ */
+
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+
+// 外部サービスの応答を待つ時間（ミリ秒）
+const HTTP_TIMEOUT_MS = 10000;
+
+/**
+ * メールトランスポーター作成
+ * @param {Object} settings - システム設定（DBから取得）
+ * @returns {Object} Nodemailer transporter
+ */
+function createTransporter(settings = {}) {
+    // DB設定を優先、環境変数をフォールバック
+    const smtpUser = settings.smtp_user || process.env.SMTP_USER;
+    const smtpPass = settings.smtp_pass || process.env.SMTP_PASS;
+    const smtpHost = settings.smtp_host || process.env.SMTP_HOST || 'smtp.gmail.com';
+    // 文字列として来ても数値に変換して扱う
+    const smtpPort = parseInt(settings.smtp_port || process.env.SMTP_PORT || '587', 10);
+
+    // ポート465はSSL、587はSTARTTLS
+    const isSecure = smtpPort === 465;
+
+    const config = {
+        host: smtpHost,
+        port: smtpPort,
+        secure: isSecure,
+        auth: {
+            user: smtpUser,
+            pass: smtpPass
+        },
+        tls: {
+            rejectUnauthorized: false // 自己署名証明書を許可
+        },
+        connectionTimeout: 10000,
+        greetingTimeout: 10000
+    };
+
+    // SMTP設定がない場合はテストモード
+    if (!config.auth.user || !config.auth.pass) {
+        console.log('⚠️  SMTP設定がありません。メール送信はスキップされます。');
+        return null;
+    }
+
+    return nodemailer.createTransport(config);
+}
+
+const CHANNELS = {
+    email: {
+        label: 'メール',
+        getRecipient: (patient) => patient.email || null,
+        isConfigured: (settings) => !!((settings.smtp_user || process.env.SMTP_USER) && (settings.smtp_pass || process.env.SMTP_PASS)),
+        async send(message, settings) {
+            const transporter = createTransporter(settings);
+            const smtpUser = settings.smtp_user || process.env.SMTP_USER;
+            await transporter.sendMail({
+                from: `"${message.fromName}" <${smtpUser}>`,
+                to: message.to,
+                replyTo: smtpUser,
+                subject: message.subject,
+                text: message.body,
+                html: message.bodyHtml || undefined,
+                attachments: message.attachments || undefined
+            });
+        }
+    },
+    sms: {
+        label: 'SMS',
+        getRecipient: (patient) => patient.phone || null,
+        isConfigured: () => !!process.env.SMS_GATEWAY_URL,
+        async send(message) {
+            await postJson(process.env.SMS_GATEWAY_URL, process.env.SMS_GATEWAY_TOKEN, {
+                to: message.to,
+                from: process.env.SMS_SENDER_ID || undefined,
+                message: message.body
+            });
+        }
+    },
+    line: {
+        label: 'LINE',
+        getRecipient: (patient) => patient.line_user_id || null,
+        isConfigured: () => !!process.env.LINE_WEBHOOK_URL,
+        async send(message) {
+            await postJson(process.env.LINE_WEBHOOK_URL, process.env.LINE_WEBHOOK_TOKEN, {
+                to: message.to,
+                messages: [{ type: 'text', text: message.body }]
+            });
+        }
+    }
+};
+
+/**
+ * 送信方法を取得
+ * @param {string} name - 'email', 'sms', 'line'
+ * @returns {Object|null} { label, getRecipient, isConfigured, send }
+ */
+function getChannel(name) {
+    return CHANNELS[name] || null;
+}
+
+// 送信方法と表示名（管理画面・マイページの選択肢用）
+function getChannelLabels() {
+    return Object.fromEntries(Object.entries(CHANNELS).map(([name, channel]) => [name, channel.label]));
+}
+
+function isStubProvider() {
+    return process.env.NOTIFICATION_PROVIDER === 'stub';
+}
+
+/**
+ * 送信設定があるか（スタブでは常に送信できる）
+ * @param {string} name - 送信方法
+ * @param {Object} settings - システム設定
+ * @returns {boolean}
+ */
+function isChannelConfigured(name, settings) {
+    const channel = getChannel(name);
+    return !!channel && (isStubProvider() || channel.isConfigured(settings));
+}
+
+/**
+ * 1件送信する（失敗時は例外）
+ * @param {string} name - 送信方法
+ * @param {Object} message - { to, fromName, subject, body, bodyHtml, attachments }
+ * @param {Object} settings - システム設定
+ */
+async function deliver(name, message, settings) {
+    const channel = getChannel(name);
+    if (!channel) {
+        throw new Error(`不明な送信方法です: ${name}`);
+    }
+
+    if (isStubProvider()) {
+        return deliverToStub(name, message);
+    }
+
+    return channel.send(message, settings);
+}
+
+// スタブ: 送る代わりに書き出す
+async function deliverToStub(name, message) {
+    const entry = {
+        channel: name,
+        to: message.to,
+        subject: message.subject,
+        body: message.body,
+        attachments: (message.attachments || []).map(a => a.filename),
+        sentAt: new Date().toISOString()
+    };
+
+    console.log(`📨 [stub:${name}] ${message.to} ${message.subject}\n${message.body}`);
+
+    if (process.env.NOTIFICATION_STUB_FILE) {
+        await fs.promises.appendFile(process.env.NOTIFICATION_STUB_FILE, JSON.stringify(entry) + '\n');
+    }
+}
+
+// JSON を POST し、2xx 以外はエラーにする
+async function postJson(url, token, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(HTTP_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        const detail = (await response.text().catch(() => '')).slice(0, 200);
+        throw new Error(`送信先の応答がエラーでした（${response.status}）${detail ? `: ${detail}` : ''}`);
+    }
+}
+
+module.exports = {
+    getChannel,
+    getChannelLabels,
+    isStubProvider,
+    isChannelConfigured,
+    deliver
+};
@@ -0,0 +1,310 @@
+/**
+ * 通知の送信キューと送信履歴（notification_logs）
+ *
+ * 患者へのお知らせは患者が選んだ送信方法（メール・SMS・LINE）で送り、
+ * 連絡先や送信設定がない場合はメールで送る。すべての送信を notification_logs に記録し、
+ * 失敗したものは processOutbox が間隔を空けて再送する。
+ */
+
+const channels = require('./notificationChannels');
+
+// 送信を試みる回数の上限（超えたら dead として手動再送を待つ）
+const NOTIFICATION_MAX_ATTEMPTS = 6;
+// 送信中の通知を再送処理が拾わないよう確保しておく時間（分）
+const NOTIFICATION_SEND_LEASE_MINUTES = 5;
+// 1回の再送処理で扱う最大件数（サーバーレスの実行時間制限対策）
+const NOTIFICATION_OUTBOX_BATCH_SIZE = 50;
+
+/**
+ * 患者に送る送信方法と宛先を決める
+ * 希望の送信方法で送れない（宛先・送信設定がない）場合はメールで送る
+ * @param {Object} patient - 患者情報（email, phone, notification_channel, line_user_id）
+ * @param {Object} settings - システム設定
+ * @returns {{channel: string, to: string}|null} 連絡先がない場合は null
+ */
+function resolvePatientChannel(patient, settings) {
+    const preferred = patient.notification_channel || 'email';
+    const candidates = [...new Set([preferred, 'email'])]
+        .map(name => ({ channel: name, to: channels.getChannel(name)?.getRecipient(patient) }))
+        .filter(candidate => candidate.to);
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    // 送信設定がない場合も、送信スキップとして記録するため宛先は返す
+    return candidates.find(candidate => channels.isChannelConfigured(candidate.channel, settings)) || candidates[0];
+}
+
+/**
+ * 患者にお知らせを送る
+ * @param {Object} db - データベース接続
+ * @param {Object} patient - 患者情報
+ * @param {Object} message - { type, appointmentId, fromName, subject, body, bodyHtml, attachments, shortBody（SMS用の短い本文） }
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, skipped?: boolean, queued?: boolean, sent?: boolean, channel?: string, error?: string}>}
+ */
+async function notifyPatient(db, patient, message, settings) {
+    const target = resolvePatientChannel(patient, settings);
+
+    if (!target) {
+        console.log(`📨 患者の連絡先がないため、通知をスキップします（${message.type}）`);
+        return { success: true, skipped: true };
+    }
+
+    return sendNotification(db, { ...message, channel: target.channel, to: target.to }, settings);
+}
+
+/**
+ * 送信方法と宛先を指定してお知らせを送る（送信キューに登録し、その場で1回目の送信を試みる）
+ * @param {Object} db - データベース接続
+ * @param {Object} notification - { channel, to, type, appointmentId, fromName, subject, body, bodyHtml, attachments, shortBody }
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, skipped?: boolean, queued?: boolean, sent?: boolean, channel?: string, error?: string}>}
+ */
+async function sendNotification(db, notification, settings) {
+    const content = formatForChannel(notification);
+
+    if (!channels.isChannelConfigured(notification.channel, settings)) {
+        const label = channels.getChannel(notification.channel).label;
+        await logNotification(db, {
+            ...content,
+            body: `(${label}の送信設定がないため送信スキップ)`,
+            status: 'skipped'
+        });
+        return { success: true, skipped: true, channel: notification.channel };
+    }
+
+    const result = await queueNotification(db, content, settings);
+    return { ...result, channel: notification.channel };
+}
+
+/**
+ * キューを通さずにすぐ送る（ログインコードなど、有効期限が短く再送しないもの）
+ * @param {Object} db - データベース接続
+ * @param {Object} notification - sendNotification と同じ
+ * @param {string} loggedBody - 履歴に残す本文（コードなどを伏せたもの）
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, skipped?: boolean, error?: string}>}
+ */
+async function sendImmediately(db, notification, loggedBody, settings) {
+    const content = formatForChannel(notification);
+
+    if (!channels.isChannelConfigured(notification.channel, settings)) {
+        const label = channels.getChannel(notification.channel).label;
+        await logNotification(db, { ...content, body: `(${label}の送信設定がないため送信スキップ)`, status: 'skipped' });
+        return { success: true, skipped: true };
+    }
+
+    try {
+        await channels.deliver(notification.channel, content, settings);
+        await logNotification(db, { ...content, body: loggedBody, status: 'sent' });
+        return { success: true };
+    } catch (error) {
+        console.error(`📨 送信エラー (${notification.channel}, ${notification.to}):`, error.message);
+        await logNotification(db, { ...content, body: loggedBody, status: 'failed', errorMessage: error.message });
+        return { success: false, error: error.message };
+    }
+}
+
+// 送信方法に合わせて本文を選ぶ（SMSは短い本文、HTML・添付はメールのみ）
+function formatForChannel(notification) {
+    const isEmail = notification.channel === 'email';
+    return {
+        channel: notification.channel,
+        type: notification.type,
+        appointmentId: notification.appointmentId || null,
+        to: notification.to,
+        fromName: notification.fromName,
+        subject: notification.subject,
+        body: notification.channel === 'sms' && notification.shortBody ? notification.shortBody : notification.body,
+        bodyHtml: isEmail ? notification.bodyHtml || null : null,
+        attachments: isEmail ? notification.attachments || null : null
+    };
+}
+
+/**
+ * 通知を送信キューに登録し、その場で1回目の送信を試みる
+ *
+ * 1回目の送信に失敗しても、以降は processOutbox が間隔を空けて再送する。
+ * キューへの登録ができた時点で成功とみなす。
+ */
+async function queueNotification(db, content, settings) {
+    let row;
+    try {
+        // 登録と同時に1回目の送信枠を確保する（送信中に再送処理が同じ通知を拾わないように）
+        row = await db.queryOne(`
+            INSERT INTO notification_logs (appointment_id, channel, notification_type, recipient, from_name, subject, body, body_html,
+                                           attachments, status, attempts, last_attempt_at, next_attempt_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', 1, NOW(), NOW() + $10 * INTERVAL '1 minute')
+            RETURNING *
+        `, [
+            content.appointmentId, content.channel, content.type, content.to, content.fromName, content.subject, content.body,
+            content.bodyHtml, content.attachments ? JSON.stringify(content.attachments) : null, NOTIFICATION_SEND_LEASE_MINUTES
+        ]);
+    } catch (error) {
+        console.error('📨 送信キュー登録エラー:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    const sent = await deliverQueued(db, row, settings);
+    return { success: true, queued: true, sent };
+}
+
+/**
+ * 送信枠を確保済みのキューの通知を1件送信し、結果を記録する
+ * 失敗した場合は試行回数に応じて次回の送信日時を延ばし、上限に達したら dead（送信不能）にする
+ * @returns {Promise<boolean>} 送信できたか
+ */
+async function deliverQueued(db, row, settings) {
+    try {
+        await channels.deliver(row.channel, {
+            to: row.recipient,
+            fromName: row.from_name,
+            subject: row.subject,
+            body: row.body,
+            bodyHtml: row.body_html,
+            attachments: row.attachments
+        }, settings);
+
+        await db.execute(`
+            UPDATE notification_logs
+            SET status = 'sent', sent_at = NOW(), next_attempt_at = NULL, error_message = NULL
+            WHERE id = $1
+        `, [row.id]);
+        console.log(`📨 ${channels.getChannel(row.channel).label}を送信しました: ${row.recipient}（${row.subject}）`);
+        return true;
+
+    } catch (error) {
+        const isDead = row.attempts >= NOTIFICATION_MAX_ATTEMPTS;
+        console.error(`📨 送信エラー (${row.channel}, ${row.recipient}, ${row.attempts}回目):`, error.message);
+
+        try {
+            await db.execute(`
+                UPDATE notification_logs
+                SET status = $2,
+                    next_attempt_at = CASE WHEN $2 = 'dead' THEN NULL ELSE NOW() + $3 * INTERVAL '1 minute' END,
+                    error_message = $4
+                WHERE id = $1
+            `, [row.id, isDead ? 'dead' : 'pending', getRetryDelayMinutes(row.attempts), error.message]);
+        } catch (updateError) {
+            console.error('送信履歴更新エラー:', updateError.message);
+        }
+        return false;
+    }
+}
+
+/**
+ * 再送までの待ち時間（分）: 1, 2, 4, 8, 16 ... と倍にしていき、最大60分
+ * @param {number} attempts - これまでの試行回数
+ */
+function getRetryDelayMinutes(attempts) {
+    return Math.min(2 ** (attempts - 1), 60);
+}
+
+/**
+ * 送信待ちの通知を再送する
+ * Vercel Cron（/api/cron/email-outbox）とローカルサーバーの定期実行の両方から呼び出す
+ * @param {Object} db - データベース接続
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{sent: number, failed: number, dead: number}>}
+ */
+async function processOutbox(db, settings) {
+    const result = { sent: 0, failed: 0, dead: 0 };
+
+    // 送信設定のない送信方法の通知は送信待ちのまま残しておく
+    const configured = Object.keys(channels.getChannelLabels())
+        .filter(name => channels.isChannelConfigured(name, settings));
+    if (configured.length === 0) {
+        return result;
+    }
+
+    // 送信枠を確保してから送る（同時実行でも同じ通知を二重に送らない）
+    const rows = await db.queryAll(`
+        UPDATE notification_logs
+        SET attempts = attempts + 1, last_attempt_at = NOW(), next_attempt_at = NOW() + $1 * INTERVAL '1 minute'
+        WHERE id IN (
+            SELECT id FROM notification_logs
+            WHERE status = 'pending' AND next_attempt_at <= NOW()
+            AND channel = ANY($3::varchar[])
+            ORDER BY next_attempt_at
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [NOTIFICATION_SEND_LEASE_MINUTES, NOTIFICATION_OUTBOX_BATCH_SIZE, configured]);
+
+    for (const row of rows) {
+        if (await deliverQueued(db, row, settings)) {
+            result.sent++;
+        } else if (row.attempts >= NOTIFICATION_MAX_ATTEMPTS) {
+            result.dead++;
+        } else {
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 送信に失敗した通知を手動で再送する（管理画面から）
+ * 試行回数をリセットして送信待ちに戻し、その場で送信を試みる
+ * @param {Object} db - データベース接続
+ * @param {number} notificationLogId - notification_logs のID
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{success: boolean, sent?: boolean, error?: string}>}
+ */
+async function resendNotification(db, notificationLogId, settings) {
+    const log = await db.queryOne('SELECT channel FROM notification_logs WHERE id = $1', [notificationLogId]);
+    if (!log) {
+        return { success: false, error: '再送できない通知です' };
+    }
+
+    if (!channels.isChannelConfigured(log.channel, settings)) {
+        return { success: false, error: `${channels.getChannel(log.channel).label}の送信設定がありません` };
+    }
+
+    // ログインコードは本文を伏せて記録しており、有効期限も短いため再送しない
+    const row = await db.queryOne(`
+        UPDATE notification_logs
+        SET status = 'pending', attempts = 1, last_attempt_at = NOW(),
+            next_attempt_at = NOW() + $2 * INTERVAL '1 minute', error_message = NULL
+        WHERE id = $1
+        AND status IN ('failed', 'dead')
+        AND notification_type IS DISTINCT FROM 'login_code'
+        RETURNING *
+    `, [notificationLogId, NOTIFICATION_SEND_LEASE_MINUTES]);
+
+    if (!row) {
+        return { success: false, error: '再送できない通知です' };
+    }
+
+    const sent = await deliverQueued(db, row, settings);
+    return { success: true, sent };
+}
+
+/**
+ * 送信履歴を保存（キューを通さないもの: 送信スキップ・ログインコード）
+ */
+async function logNotification(db, { channel, type, appointmentId, to, fromName, subject, body, status, errorMessage = null }) {
+    try {
+        await db.insert(`
+            INSERT INTO notification_logs (appointment_id, channel, notification_type, recipient, from_name, subject, body,
+                                           status, error_message, sent_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        `, [appointmentId || null, channel, type || null, to, fromName || null, subject, body, status, errorMessage]);
+    } catch (error) {
+        console.error('送信履歴保存エラー:', error.message);
+    }
+}
+
+module.exports = {
+    NOTIFICATION_MAX_ATTEMPTS,
+    resolvePatientChannel,
+    notifyPatient,
+    sendNotification,
+    sendImmediately,
+    processOutbox,
+    resendNotification
+};
@@ -0,0 +1,157 @@
+/**
+ * 定期検診リコール（来院から一定期間後の再来院のご案内）
+ * メニューごとのリコール設定（services.recall_months）と完了済みの予約から、患者ごとのリコール予定日を求める
+ */
+
+const db = require('../db/db');
+const mailer = require('./mailer');
+const notifications = require('./notifications');
+
+/**
+ * リコール対象の患者一覧を取得
+ *
+ * 患者×リコール先メニューごとに最後の完了済み来院を起点とし、
+ * その後に確定済みの予約がある患者（既に次回の予約を取っている）は除く。
+ *
+ * @param {Object} options
+ * @param {number} options.withinDays - 今日から何日後までに予定日を迎えるものを含めるか（期限切れは常に含む）
+ * @param {number[]} [options.appointmentIds] - 起点の予約IDで絞り込む
+ * @param {Object} [options.settings] - システム設定（送信方法の判定用）
+ * @returns {Promise<Object[]>}
+ */
+async function getRecallList({ withinDays, appointmentIds = null, settings = {} }) {
+    const rows = await db.queryAll(`
+        WITH latest AS (
+            SELECT DISTINCT ON (a.patient_id, COALESCE(s.recall_service_id, s.id))
+                a.id as appointment_id,
+                a.patient_id,
+                a.start_at as last_visit_at,
+                s.name as last_service_name,
+                COALESCE(s.recall_service_id, s.id) as recall_service_id,
+                a.start_at + s.recall_months * INTERVAL '1 month' as due_at
+            FROM appointments a
+            JOIN services s ON a.service_id = s.id
+            WHERE a.status = 'completed'
+            AND s.recall_months IS NOT NULL
+            ORDER BY a.patient_id, COALESCE(s.recall_service_id, s.id), a.start_at DESC
+        )
+        SELECT l.*,
+            p.name as patient_name, p.kana as patient_kana, p.phone as patient_phone, p.email as patient_email,
+            p.notification_channel, p.line_user_id,
+            rs.name as recall_service_name,
+            r.status as email_status, r.sent_at as email_sent_at
+        FROM latest l
+        JOIN patients p ON p.id = l.patient_id
+        JOIN services rs ON rs.id = l.recall_service_id AND rs.is_active = true
+        LEFT JOIN recall_emails r ON r.appointment_id = l.appointment_id
+        WHERE l.due_at <= NOW() + $1 * INTERVAL '1 day'
+        AND ($2::int[] IS NULL OR l.appointment_id = ANY($2::int[]))
+        AND NOT EXISTS (
+            SELECT 1 FROM appointments f
+            WHERE f.patient_id = l.patient_id
+            AND f.status = 'confirmed'
+            AND f.start_at > l.last_visit_at
+        )
+        ORDER BY l.due_at, l.patient_id
+    `, [withinDays, appointmentIds]);
+
+    const now = new Date();
+    return rows.map(row => ({
+        appointmentId: row.appointment_id,
+        patientId: row.patient_id,
+        patientName: row.patient_name,
+        patientKana: row.patient_kana,
+        patientPhone: row.patient_phone,
+        patientEmail: row.patient_email,
+        patientNotificationChannel: row.notification_channel,
+        patientLineUserId: row.line_user_id,
+        // 実際に送る送信方法（連絡先がない場合は null）
+        notificationChannel: notifications.resolvePatientChannel({
+            email: row.patient_email,
+            phone: row.patient_phone,
+            notification_channel: row.notification_channel,
+            line_user_id: row.line_user_id
+        }, settings)?.channel || null,
+        lastVisitAt: row.last_visit_at,
+        lastServiceName: row.last_service_name,
+        recallServiceId: row.recall_service_id,
+        recallServiceName: row.recall_service_name,
+        dueAt: row.due_at,
+        status: new Date(row.due_at) < now ? 'overdue' : 'due',
+        emailStatus: row.email_status,
+        emailSentAt: row.email_sent_at
+    }));
+}
+
+/**
+ * 選択したリコール対象者にリコールメールを送信
+ *
+ * 送信前に recall_emails へ起点の予約ごとの行を確保し、確保できた場合のみ送信する
+ * （同じ来院を起点としたリコールメールは1通まで。送信に失敗したものは再送できる）。
+ *
+ * @param {number[]} appointmentIds - 起点の予約ID
+ * @param {number} adminId - 送信した管理者
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{sent: number, failed: number, skipped: number, alreadySent: number, noContact: number}>}
+ */
+async function sendRecallEmails(appointmentIds, adminId, settings) {
+    const result = { sent: 0, failed: 0, skipped: 0, alreadySent: 0, noContact: 0 };
+
+    // 一覧表示後に予約が入った患者などを除くため、送信時点で対象かどうかを確認し直す
+    const recalls = await getRecallList({ withinDays: 36500, appointmentIds, settings });
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+
+    for (const recall of recalls) {
+        if (!recall.notificationChannel) {
+            result.noContact++;
+            continue;
+        }
+
+        const claimed = await db.queryOne(`
+            INSERT INTO recall_emails (appointment_id, patient_id, service_id, due_at, sent_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (appointment_id) DO UPDATE
+                SET status = 'pending', sent_by = EXCLUDED.sent_by, sent_at = NULL
+                WHERE recall_emails.status IN ('failed', 'skipped')
+            RETURNING id
+        `, [recall.appointmentId, recall.patientId, recall.recallServiceId, recall.dueAt, adminId]);
+
+        if (!claimed) {
+            result.alreadySent++;
+            continue;
+        }
+
+        // 予約画面でリコール先のメニューを選択済みにする
+        const bookingUrl = `${baseUrl}/?service=${recall.recallServiceId}`;
+        const patient = {
+            name: recall.patientName,
+            email: recall.patientEmail,
+            phone: recall.patientPhone,
+            notification_channel: recall.patientNotificationChannel,
+            line_user_id: recall.patientLineUserId
+        };
+        const service = { name: recall.recallServiceName };
+
+        let status;
+        try {
+            const sendResult = await mailer.sendRecallEmail(db, recall.appointmentId, patient, service, recall.lastVisitAt, bookingUrl, settings);
+            status = sendResult.skipped ? 'skipped' : (sendResult.success ? 'sent' : 'failed');
+        } catch (error) {
+            console.error('リコールメール送信エラー:', error.message);
+            status = 'failed';
+        }
+
+        await db.execute(`
+            UPDATE recall_emails SET status = $1, sent_at = NOW() WHERE id = $2
+        `, [status, claimed.id]);
+
+        result[status]++;
+    }
+
+    return result;
+}
+
+module.exports = {
+    getRecallList,
+    sendRecallEmails
+};
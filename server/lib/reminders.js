@@ -0,0 +1,115 @@
+/**
+ * 予約前のリマインド送信ジョブ（患者が選んだ送信方法で送る）
+ * Vercel Cron（/api/cron/reminders）とローカルサーバーの定期実行の両方から呼び出す
+ */
+
+const db = require('../db/db');
+const mailer = require('./mailer');
+
+// 1回の実行で送信タイミングごとに処理する最大件数（サーバーレスの実行時間制限対策）
+const BATCH_SIZE = 100;
+
+/**
+ * 送信タイミング設定（"24,2" のようなカンマ区切りの時間数）を解析
+ * @param {string} value - 設定値
+ * @returns {number[]} 重複を除いた昇順の時間数
+ */
+function parseReminderHours(value) {
+    const hours = String(value || '')
+        .split(',')
+        .map(h => parseInt(h.trim()))
+        .filter(h => Number.isInteger(h) && h >= 1 && h <= 168);
+    return [...new Set(hours)].sort((a, b) => a - b);
+}
+
+/**
+ * 送信タイミングを迎えた予約にリマインドメールを送信
+ *
+ * 送信前に appointment_reminders へ (予約, 時間数, 予約日時) の行を確保し、
+ * 確保できた場合のみ送信することで、同時実行や再実行でも二重送信しない。
+ * 近いタイミングから処理し、より直前のリマインドを送った予約には前のタイミングの分を送らない。
+ *
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ */
+async function sendDueReminders(settings) {
+    const result = { sent: 0, failed: 0, skipped: 0 };
+
+    if (settings.reminder_enabled === 'false') {
+        return result;
+    }
+
+    for (const hoursBefore of parseReminderHours(settings.reminder_hours_before)) {
+        // 予約時点で既に送信タイミングを過ぎていた予約は確認メールで足りるため対象外
+        const appointments = await db.queryAll(`
+            SELECT a.*, p.name as patient_name, p.email as patient_email, p.phone as patient_phone,
+                   p.notification_channel, p.line_user_id,
+                   s.name as service_name, st.name as staff_name
+            FROM appointments a
+            JOIN patients p ON a.patient_id = p.id
+            JOIN services s ON a.service_id = s.id
+            LEFT JOIN staff st ON a.staff_id = st.id
+            WHERE a.status = 'confirmed'
+            AND (
+                (p.email IS NOT NULL AND p.email <> '')
+                OR p.notification_channel IN ('sms', 'line')
+            )
+            AND a.start_at > NOW()
+            AND a.start_at <= NOW() + $1 * INTERVAL '1 hour'
+            AND a.created_at < a.start_at - $1 * INTERVAL '1 hour'
+            AND NOT EXISTS (
+                SELECT 1 FROM appointment_reminders r
+                WHERE r.appointment_id = a.id
+                AND r.start_at = a.start_at
+                AND r.hours_before <= $1
+            )
+            ORDER BY a.start_at
+            LIMIT $2
+        `, [hoursBefore, BATCH_SIZE]);
+
+        for (const appointment of appointments) {
+            const claimed = await db.queryOne(`
+                INSERT INTO appointment_reminders (appointment_id, hours_before, start_at)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (appointment_id, hours_before, start_at) DO NOTHING
+                RETURNING id
+            `, [appointment.id, hoursBefore, appointment.start_at]);
+
+            // 別の実行が先に確保した
+            if (!claimed) continue;
+
+            const patient = {
+                name: appointment.patient_name,
+                email: appointment.patient_email,
+                phone: appointment.patient_phone,
+                notification_channel: appointment.notification_channel,
+                line_user_id: appointment.line_user_id
+            };
+            const service = { name: appointment.service_name };
+            const staff = appointment.staff_name ? { name: appointment.staff_name } : null;
+
+            let status;
+            try {
+                const sendResult = await mailer.sendReminderEmail(db, appointment, patient, service, staff, settings);
+                status = sendResult.skipped ? 'skipped' : (sendResult.success ? 'sent' : 'failed');
+            } catch (error) {
+                console.error('リマインドメール送信エラー:', error.message);
+                status = 'failed';
+            }
+
+            // 送信に失敗したものは送信キュー（notification_logs）から再送される
+            await db.execute(`
+                UPDATE appointment_reminders SET status = $1, sent_at = NOW() WHERE id = $2
+            `, [status, claimed.id]);
+
+            result[status]++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseReminderHours,
+    sendDueReminders
+};
@@ -159,6 +159,15 @@ function validateAppointmentData(data) {
     };
 }
 
+/**
+ * 患者ポータルのログイン用ワンタイムコード（6桁の数字）を生成
+ * 保存時は hashToken でハッシュ化する
+ * @returns {string} ワンタイムコード
+ */
+function generateLoginCode() {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
 /**
  * CSRFトークン生成
  * @returns {string} CSRFトークン
@@ -180,5 +189,6 @@ module.exports = {
     isValidKana,
     validateAppointmentData,
     generateCsrfToken,
+    generateLoginCode,
     TOKEN_EXPIRY_DAYS
 };
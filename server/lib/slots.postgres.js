@@ -4,10 +4,40 @@
 
 const db = require('../db/db');
 
+// 予約が担当者・設備を占有する時間（メニューの前後の準備・片付け時間を含む）
+// appointments を a、services を sv として結合したクエリで使用する
+const OCCUPIED_START_SQL = `(a.start_at - sv.buffer_before_minutes * INTERVAL '1 minute')`;
+const OCCUPIED_END_SQL = `(a.end_at + sv.buffer_after_minutes * INTERVAL '1 minute')`;
+const OCCUPIED_RANGE_COLUMNS = `${OCCUPIED_START_SQL} as occupied_start, ${OCCUPIED_END_SQL} as occupied_end`;
+
+// 担当者ごとの予約（工程ごとの担当を含む。予約の担当者と工程の担当者が同じ場合は1件）
+// 自動割り当て時の来院履歴・予約数の集計に使用する
+const STAFF_APPOINTMENTS_SQL = `
+    SELECT a.id as appointment_id, a.staff_id, a.patient_id, a.status, a.start_at, a.auto_assigned, a.created_at
+    FROM appointments a WHERE a.staff_id IS NOT NULL
+    UNION
+    SELECT a.id, sg.staff_id, a.patient_id, a.status, a.start_at, a.auto_assigned, a.created_at
+    FROM appointment_segments sg JOIN appointments a ON a.id = sg.appointment_id
+    WHERE sg.staff_id IS NOT NULL
+`;
+
+// 空きがこの枠数以下の日は「残りわずか」とする
+const FEW_SLOTS_THRESHOLD = 3;
+
+// 最短の空き枠を探すとき、一度にまとめて読み込む日数
+const SEARCH_CHUNK_DAYS = 14;
+
+// スタッフの職種（メニューの工程ごとに担当する職種）
+const STAFF_ROLES = {
+    doctor: '歯科医師',
+    hygienist: '歯科衛生士'
+};
+
 /**
  * 指定日の空き時間スロットを取得
+ * @param {Object} [options] - { ignoreBookingPeriod } 受付で登録する場合は予約受付期間（締切・最遠予約日）を問わない
  */
-async function getAvailableSlots(dateStr, serviceId, staffId, settings) {
+async function getAvailableSlots(dateStr, serviceId, staffId, settings, options = {}) {
     const now = new Date();
     const targetDate = new Date(dateStr);
 
@@ -17,6 +47,134 @@ async function getAvailableSlots(dateStr, serviceId, staffId, settings) {
     }
 
     // 予約可能期間チェック
+    const periodError = options.ignoreBookingPeriod ? null : getBookingPeriodError(dateStr, settings, now);
+    if (periodError) {
+        return { error: periodError, slots: [] };
+    }
+
+    const context = await loadAvailabilityContext(dateStr, dateStr, serviceId);
+
+    if (!context) {
+        return { error: '無効なメニューです', slots: [] };
+    }
+
+    return buildDaySlots(context, dateStr, staffId, settings, now);
+}
+
+/**
+ * 期間内の日ごとの空き状況の概要を取得（予約カレンダー表示用）
+ * 期間内の予約・勤務表などは一括で取得し、日ごとに getAvailableSlots と同じ判定を行う
+ * @returns {Promise<{error: string|null, days: Array}>}
+ *   days の status は available（空きあり）/ few（残りわずか）/ full（満席）/ closed（休診・受付期間外）
+ */
+async function getAvailabilitySummary(startDateStr, endDateStr, serviceId, staffId, settings) {
+    const now = new Date();
+    const context = await loadAvailabilityContext(startDateStr, endDateStr, serviceId);
+
+    if (!context) {
+        return { error: '無効なメニューです', days: [] };
+    }
+
+    if (staffId && !context.staffData.staff.some(staff => staff.id === staffId)) {
+        return { error: 'この担当者は選択されたメニューを担当していません', days: [] };
+    }
+
+    const days = [];
+    for (let dateStr = startDateStr; dateStr <= endDateStr; dateStr = addDays(dateStr, 1)) {
+        const result = getBookingPeriodError(dateStr, settings, now)
+            ? { error: '受付期間外です', slots: [] }
+            : buildDaySlots(context, dateStr, staffId, settings, now);
+        const openSlots = result.slots.filter(slot => slot.available);
+
+        let status = 'available';
+        if (result.error) {
+            status = 'closed';
+        } else if (openSlots.length === 0) {
+            status = 'full';
+        } else if (openSlots.length <= FEW_SLOTS_THRESHOLD) {
+            status = 'few';
+        }
+
+        days.push({
+            date: dateStr,
+            dayOfWeek: getDayOfWeek(dateStr),
+            status,
+            availableCount: openSlots.length,
+            firstAvailable: openSlots.length > 0 ? openSlots[0].start : null
+        });
+    }
+
+    return { error: null, days };
+}
+
+/**
+ * 指定日以降で最も早い空き枠を探す（「いちばん早く取れるのはいつ？」への回答用）
+ * 最遠予約日まで SEARCH_CHUNK_DAYS 日ずつ読み込み、見つかった時点で打ち切る
+ * @param {Object} options - { count, weekdays, timeFrom, timeTo }
+ *   weekdays は希望曜日（0=日〜6=土）の配列、timeFrom/timeTo は希望時間帯（HH:mm）。未指定なら条件なし
+ * @returns {Promise<{error: string|null, slots: Array}>}
+ */
+async function findNextAvailableSlots(fromDateStr, serviceId, staffId, options, settings) {
+    const now = new Date();
+    const count = options.count || 5;
+    const { weekdays, timeFrom, timeTo } = options;
+    const maxDaysAhead = parseInt(settings.booking_max_days_ahead) || 60;
+
+    const todayStr = formatDate(now);
+    const lastDateStr = addDays(todayStr, maxDaysAhead);
+    let chunkStart = fromDateStr > todayStr ? fromDateStr : todayStr;
+
+    const found = [];
+    while (chunkStart <= lastDateStr && found.length < count) {
+        const chunkEndCandidate = addDays(chunkStart, SEARCH_CHUNK_DAYS - 1);
+        const chunkEnd = chunkEndCandidate < lastDateStr ? chunkEndCandidate : lastDateStr;
+        const context = await loadAvailabilityContext(chunkStart, chunkEnd, serviceId);
+
+        if (!context) {
+            return { error: '無効なメニューです', slots: [] };
+        }
+
+        if (staffId && !context.staffData.staff.some(staff => staff.id === staffId)) {
+            return { error: 'この担当者は選択されたメニューを担当していません', slots: [] };
+        }
+
+        for (let dateStr = chunkStart; dateStr <= chunkEnd && found.length < count; dateStr = addDays(dateStr, 1)) {
+            const dayOfWeek = getDayOfWeek(dateStr);
+
+            if (weekdays && weekdays.length > 0 && !weekdays.includes(dayOfWeek)) continue;
+            if (getBookingPeriodError(dateStr, settings, now)) continue;
+
+            const { slots } = buildDaySlots(context, dateStr, staffId, settings, now);
+
+            for (const slot of slots) {
+                if (!slot.available) continue;
+                if (timeFrom && slot.start < timeFrom) continue;
+                if (timeTo && slot.end > timeTo) continue;
+
+                found.push({
+                    date: dateStr,
+                    dayOfWeek,
+                    dayName: getDayName(dayOfWeek),
+                    start: slot.start,
+                    end: slot.end,
+                    startAt: slot.startAt,
+                    endAt: slot.endAt
+                });
+                if (found.length >= count) break;
+            }
+        }
+
+        chunkStart = addDays(chunkEnd, 1);
+    }
+
+    return { error: null, slots: found };
+}
+
+/**
+ * 予約可能期間（最遠予約日・予約締切）外ならエラーメッセージを返す
+ */
+function getBookingPeriodError(dateStr, settings, now) {
+    const targetDate = new Date(dateStr);
     const cutoffDays = parseInt(settings.booking_cutoff_days) || 2;
     const cutoffHours = parseInt(settings.booking_cutoff_hours) || 3;
     const maxDaysAhead = parseInt(settings.booking_max_days_ahead) || 60;
@@ -27,7 +185,7 @@ async function getAvailableSlots(dateStr, serviceId, staffId, settings) {
     maxDate.setHours(23, 59, 59, 999);
 
     if (targetDate > maxDate) {
-        return { error: `予約は${maxDaysAhead}日先までです`, slots: [] };
+        return `予約は${maxDaysAhead}日先までです`;
     }
 
     // 予約締切チェック
@@ -36,142 +194,155 @@ async function getAvailableSlots(dateStr, serviceId, staffId, settings) {
     cutoffDate.setHours(23 - cutoffHours, 59, 59, 999);
 
     if (now > cutoffDate) {
-        return { error: `この日の予約受付は終了しました（${cutoffDays}日前 ${24 - cutoffHours}:00まで）`, slots: [] };
+        return `この日の予約受付は終了しました（${cutoffDays}日前 ${24 - cutoffHours}:00まで）`;
     }
 
-    // 休診日チェック
-    const holiday = await db.queryOne(`
-        SELECT * FROM holidays WHERE date = $1
-    `, [dateStr]);
+    return null;
+}
 
-    if (holiday) {
-        return { error: `${holiday.name || '休診日'}のため予約できません`, slots: [] };
-    }
+/**
+ * 空き枠の計算に必要なデータを期間分まとめて取得（N+1問題解消）
+ * @returns {Promise<Object|null>} メニューが無効な場合は null
+ */
+async function loadAvailabilityContext(startDateStr, endDateStr, serviceId) {
+    // サービスの所要時間・前後の準備/片付け時間取得
+    const service = await db.queryOne(`
+        SELECT id, duration_minutes, buffer_before_minutes, buffer_after_minutes
+        FROM services WHERE id = $1 AND is_active = true
+    `, [serviceId]);
 
-    // 曜日の営業時間取得
-    const dayOfWeek = targetDate.getDay();
-    const businessHours = await db.queryOne(`
-        SELECT * FROM business_hours WHERE day_of_week = $1
-    `, [dayOfWeek]);
+    if (!service) return null;
 
-    if (!businessHours || businessHours.is_closed) {
-        return { error: '休診日です', slots: [] };
+    const holidays = await db.queryAll(`
+        SELECT * FROM holidays WHERE date >= $1 AND date <= $2
+    `, [startDateStr, endDateStr]);
+
+    const businessHoursMap = {};
+    for (const bh of await db.queryAll(`SELECT * FROM business_hours`)) {
+        businessHoursMap[bh.day_of_week] = bh;
     }
 
-    // サービスの所要時間取得
-    const service = await db.queryOne(`
-        SELECT duration_minutes FROM services WHERE id = $1 AND is_active = true
-    `, [serviceId]);
+    // 既存予約取得
+    // JSTでの期間を指定して取得する（タイムゾーンによる検索漏れを防ぐため）
+    const rangeStart = new Date(`${startDateStr}T00:00:00+09:00`);
+    const rangeEnd = new Date(`${endDateStr}T23:59:59.999+09:00`);
+
+    // メニューに必要な設備（チェア・部屋など）とその期間の使用状況
+    const resourceRequirements = await fetchServiceResources(serviceId);
+
+    return {
+        service,
+        holidays,
+        businessHoursMap,
+        exceptions: await fetchScheduleExceptions(startDateStr, endDateStr),
+        appointments: await fetchOccupyingAppointments(rangeStart, rangeEnd),
+        capacityRows: await fetchSlotCapacityRows(startDateStr, endDateStr),
+        staffData: await fetchStaffScheduleData(startDateStr, endDateStr, serviceId),
+        segments: await fetchServiceSegments(serviceId),
+        resourceRequirements,
+        resourceUsage: await fetchResourceUsage(resourceRequirements, rangeStart, rangeEnd)
+    };
+}
 
-    if (!service) {
-        return { error: '無効なメニューです', slots: [] };
+/**
+ * 取得済みのデータから指定日の空き時間スロットを生成
+ */
+function buildDaySlots(context, dateStr, staffId, settings, now) {
+    const dayOfWeek = getDayOfWeek(dateStr);
+
+    // 休診日・営業時間・スケジュール例外を反映した当日の診療時間帯
+    const holiday = context.holidays.find(h => toDateString(h.date) === dateStr) || null;
+    const schedule = resolveDaySchedule(dateStr, context.businessHoursMap[dayOfWeek], holiday, context.exceptions, settings);
+
+    if (!schedule.isOpen) {
+        return { error: schedule.reason, slots: [] };
     }
 
+    const { service, resourceRequirements, resourceUsage, segments } = context;
+    const existingAppointments = context.appointments;
+    const staffOccupancy = toStaffOccupancy(existingAppointments);
     const slotDuration = parseInt(settings.slot_duration_minutes) || 30;
     const serviceDuration = service.duration_minutes;
 
-    // 昼休み
-    const lunchStart = settings.lunch_start || '12:00';
-    const lunchEnd = settings.lunch_end || '13:00';
-
-    // スロット生成（JST +09:00 を基準にする）
-    const createJstDate = (timeStr) => {
-        // timeStr: "HH:mm"
-        const [h, m] = timeStr.trim().split(':');
-        /* 
-           dateStr (YYYY-MM-DD) と timeStr (HH:mm) を結合して JSTのDateを作る。
-           ISO形式: YYYY-MM-DDTHH:mm:00+09:00
-        */
-        return new Date(`${dateStr}T${h}:${m}:00+09:00`);
-    };
-
-    let currentTime = createJstDate(businessHours.open_time);
-    const closeTime = createJstDate(businessHours.close_time);
-    const lunchStartTime = createJstDate(lunchStart);
-    const lunchEndTime = createJstDate(lunchEnd);
+    // キャパシティ設定（特定日設定 > 曜日設定）
+    const capacityMap = buildCapacityMap(context.capacityRows, dayOfWeek, dateStr);
 
-    // 既存予約取得
-    // JSTでの一日の範囲を指定して取得する（タイムゾーンによる検索漏れを防ぐため）
-    const startOfDay = new Date(`${dateStr}T00:00:00+09:00`);
-    const endOfDay = new Date(`${dateStr}T23:59:59.999+09:00`);
-
-    let existingAppointments;
-    const queryBase = `
-        SELECT start_at, end_at, staff_id FROM appointments 
-        WHERE start_at >= $1 AND start_at <= $2 AND status = 'confirmed'
-    `;
+    // メニューに対応するスタッフの勤務表・休暇
+    const staffAvailability = buildStaffAvailability(context.staffData, dateStr);
+    const staffEntry = staffId ? staffAvailability.get(staffId) : null;
 
-    if (staffId) {
-        existingAppointments = await db.queryAll(
-            queryBase + ' AND (staff_id = $3 OR staff_id IS NULL)',
-            [startOfDay, endOfDay, staffId]
-        );
-    } else {
-        existingAppointments = await db.queryAll(
-            queryBase,
-            [startOfDay, endOfDay]
-        );
+    if (staffId && (!staffEntry || (segments.length > 0 && !segments.some(segment => segment.staff_role === staffEntry.role)))) {
+        return { error: 'この担当者は選択されたメニューを担当していません', slots: [] };
     }
 
-    // キャパシティ設定を一括取得（N+1問題解消）
-    const capacityMap = await fetchSlotCapacities(dayOfWeek, dateStr);
-
     const slots = [];
-    while (currentTime < closeTime) {
-        const slotEnd = new Date(currentTime.getTime() + serviceDuration * 60000);
-
-        // 営業時間内かチェック
-        if (slotEnd > closeTime) break;
-
-        // 昼休みチェック
-        const isLunchTime =
-            (currentTime >= lunchStartTime && currentTime < lunchEndTime) ||
-            (slotEnd > lunchStartTime && slotEnd <= lunchEndTime) ||
-            (currentTime < lunchStartTime && slotEnd > lunchEndTime);
-
-        if (!isLunchTime) {
-            // 予約済みチェック
-            const slotStartStr = formatDateTime(currentTime);
-            const slotEndStr = formatDateTime(slotEnd);
-            const timeSlotStr = formatTime(currentTime); // "09:00" 形式
-
-            // この時間帯と重複する予約数をカウント
-            const bookingCount = existingAppointments.filter(apt => {
-                // スタッフ指名がある場合は、同じスタッフの予約のみチェック
-                if (staffId && apt.staff_id && apt.staff_id !== staffId) {
-                    return false;
+    for (const period of schedule.periods) {
+        const currentTime = toJstDate(dateStr, period.open);
+        const closeTime = toJstDate(dateStr, period.close);
+
+        while (currentTime < closeTime) {
+            const slotEnd = new Date(currentTime.getTime() + serviceDuration * 60000);
+
+            // 営業時間内かチェック
+            if (slotEnd > closeTime) break;
+
+            // 昼休み・時間帯休業チェック、指名の場合はその担当者の勤務時間外の枠を除外
+            // （工程のあるメニューは担当する工程の時間だけ勤務していればよいため、工程ごとに判定する）
+            const isBookableTime = !overlapsClosedRange(schedule, dateStr, currentTime, slotEnd)
+                && (segments.length > 0 || !staffEntry || isStaffOnShift(staffEntry, dateStr, currentTime, slotEnd));
+
+            if (isBookableTime) {
+                // 担当者・設備を占有する時間帯（前後の準備・片付け時間を含む）
+                const range = getOccupiedRange(service, currentTime, slotEnd);
+
+                // 予約済みチェック
+                const slotStartStr = formatDateTime(currentTime);
+                const slotEndStr = formatDateTime(slotEnd);
+
+                // 施術時間が掛かるすべての時間枠のキャパシティを確認
+                const { bookingCount, capacity, available } = evaluateCapacity(
+                    capacityMap, existingAppointments, currentTime, slotEnd, settings
+                );
+                let isAvailable = available;
+
+                if (isAvailable && segments.length > 0) {
+                    // 工程ごとに、その職種の担当者が工程の時間だけ空いている必要がある
+                    const segmentRanges = buildSegmentRanges(service, segments, currentTime);
+                    isAvailable = resolveSegmentStaff(segmentRanges, staffAvailability, staffOccupancy, dateStr, staffId).available;
+                } else if (isAvailable && staffId) {
+                    // 指名の場合、その担当者が準備・片付け時間を含めて空いている必要がある
+                    isAvailable = !staffOccupancy.some(apt =>
+                        (apt.staff_id === staffId || !apt.staff_id) && occupiesRange(apt, range)
+                    );
+                } else if (isAvailable && staffAvailability.size > 0) {
+                    // 指名なしの場合、勤務中で空いている担当者が1人以上必要
+                    isAvailable = countFreeStaff(staffAvailability, staffOccupancy, dateStr, range) > 0;
+                }
+
+                // 施術時間中ずっと必要な設備が空いているか
+                if (isAvailable) {
+                    isAvailable = hasFreeResources(resourceRequirements, resourceUsage, range);
+                }
+
+                // 現在時刻より後のスロットのみ追加
+                const slotDateTime = new Date(currentTime);
+                if (slotDateTime > now) {
+                    slots.push({
+                        time: formatTime(currentTime),
+                        start: formatTime(currentTime),
+                        end: formatTime(slotEnd),
+                        startAt: slotStartStr,
+                        endAt: slotEndStr,
+                        available: isAvailable,
+                        bookingCount: bookingCount,
+                        capacity: capacity
+                    });
                 }
-                // 時間重複チェック
-                const aptStart = new Date(apt.start_at);
-                const aptEnd = new Date(apt.end_at);
-                return (currentTime < aptEnd && slotEnd > aptStart);
-            }).length;
-
-            // この時間枠のキャパシティを取得（Mapから参照）
-            let capacity = capacityMap.get(timeSlotStr);
-            if (capacity === undefined) {
-                capacity = parseInt(settings.default_slot_capacity) || 1;
-            }
-            const isAvailable = bookingCount < capacity;
-
-            // 現在時刻より後のスロットのみ追加
-            const slotDateTime = new Date(currentTime);
-            if (slotDateTime > now) {
-                slots.push({
-                    time: formatTime(currentTime),
-                    start: formatTime(currentTime),
-                    end: formatTime(slotEnd),
-                    startAt: slotStartStr,
-                    endAt: slotEndStr,
-                    available: isAvailable,
-                    bookingCount: bookingCount,
-                    capacity: capacity
-                });
             }
-        }
 
-        // 次のスロットへ
-        currentTime.setMinutes(currentTime.getMinutes() + slotDuration);
+            // 次のスロットへ
+            currentTime.setMinutes(currentTime.getMinutes() + slotDuration);
+        }
     }
 
     return { slots, error: null };
@@ -202,6 +373,11 @@ async function getAvailableDates(settings) {
         businessHoursMap[bh.day_of_week] = bh;
     }
 
+    // スケジュール例外を一括取得（期間内のもの＋毎年繰り返し）
+    const rangeEnd = new Date();
+    rangeEnd.setDate(rangeEnd.getDate() + maxDaysAhead);
+    const exceptions = await fetchScheduleExceptions(formatDate(new Date()), formatDate(rangeEnd));
+
     // 今日から最遠日まで
     for (let i = 0; i <= maxDaysAhead; i++) {
         const date = new Date();
@@ -209,7 +385,7 @@ async function getAvailableDates(settings) {
         date.setHours(0, 0, 0, 0);
 
         const dateStr = formatDate(date);
-        const dayOfWeek = date.getDay();
+        const dayOfWeek = getDayOfWeek(dateStr);
 
         // 予約締切チェック
         const cutoffDate = new Date(date);
@@ -223,17 +399,18 @@ async function getAvailableDates(settings) {
         // 休診日チェック
         if (holidayDates.has(dateStr)) continue;
 
-        // 曜日の営業時間チェック
-        const businessHours = businessHoursMap[dayOfWeek];
+        // 営業時間＋スケジュール例外（臨時休業・特別営業など）チェック
+        const schedule = resolveDaySchedule(dateStr, businessHoursMap[dayOfWeek], null, exceptions, settings);
 
-        if (!businessHours || businessHours.is_closed) {
+        if (!schedule.isOpen) {
             continue;
         }
 
         dates.push({
             date: dateStr,
             dayOfWeek: dayOfWeek,
-            dayName: getDayName(dayOfWeek)
+            dayName: getDayName(dayOfWeek),
+            hasException: schedule.hasException
         });
     }
 
@@ -242,8 +419,11 @@ async function getAvailableDates(settings) {
 
 /**
  * 予約の有効性を検証（サーバーサイド）
+ * @param {Object} [options] - { excludeAppointmentId, ignoreBookingPeriod }
+ *   excludeAppointmentId は日時変更時の変更元の予約（重複判定から除く。まとめて移動する場合は ID の配列）
+ *   ignoreBookingPeriod は受付で登録する場合に予約受付期間（締切・最遠予約日）を問わない
  */
-async function validateBooking(startAt, endAt, serviceId, staffId, settings) {
+async function validateBooking(startAt, endAt, serviceId, staffId, settings, options = {}) {
     const now = new Date();
     const startDate = new Date(startAt);
     const endDate = new Date(endAt);
@@ -259,26 +439,28 @@ async function validateBooking(startAt, endAt, serviceId, staffId, settings) {
     }
 
     // 予約可能期間チェック
-    const cutoffDays = parseInt(settings.booking_cutoff_days) || 2;
-    const cutoffHours = parseInt(settings.booking_cutoff_hours) || 3;
-    const maxDaysAhead = parseInt(settings.booking_max_days_ahead) || 60;
-
-    // 最遠予約日チェック
-    const maxDate = new Date();
-    maxDate.setDate(maxDate.getDate() + maxDaysAhead);
-    maxDate.setHours(23, 59, 59, 999);
-
-    if (startDate > maxDate) {
-        return { valid: false, error: `予約は${maxDaysAhead}日先までです` };
-    }
+    if (!options.ignoreBookingPeriod) {
+        const cutoffDays = parseInt(settings.booking_cutoff_days) || 2;
+        const cutoffHours = parseInt(settings.booking_cutoff_hours) || 3;
+        const maxDaysAhead = parseInt(settings.booking_max_days_ahead) || 60;
+
+        // 最遠予約日チェック
+        const maxDate = new Date();
+        maxDate.setDate(maxDate.getDate() + maxDaysAhead);
+        maxDate.setHours(23, 59, 59, 999);
+
+        if (startDate > maxDate) {
+            return { valid: false, error: `予約は${maxDaysAhead}日先までです` };
+        }
 
-    // 予約締切チェック
-    const cutoffDate = new Date(startDate);
-    cutoffDate.setDate(cutoffDate.getDate() - cutoffDays);
-    cutoffDate.setHours(23 - cutoffHours, 59, 59, 999);
+        // 予約締切チェック
+        const cutoffDate = new Date(startDate);
+        cutoffDate.setDate(cutoffDate.getDate() - cutoffDays);
+        cutoffDate.setHours(23 - cutoffHours, 59, 59, 999);
 
-    if (now > cutoffDate) {
-        return { valid: false, error: `この日の予約受付は終了しました` };
+        if (now > cutoffDate) {
+            return { valid: false, error: `この日の予約受付は終了しました` };
+        }
     }
 
     // 過去の日時チェック
@@ -286,23 +468,21 @@ async function validateBooking(startAt, endAt, serviceId, staffId, settings) {
         return { valid: false, error: '過去の日時は予約できません' };
     }
 
-    // 休診日チェック
-    const holiday = await db.queryOne(`
-        SELECT * FROM holidays WHERE date = $1
-    `, [dateStr]);
+    // 休診日・営業時間・スケジュール例外チェック
+    const dayOfWeek = getDayOfWeek(dateStr);
+    const schedule = await getDaySchedule(dateStr, settings);
 
-    if (holiday) {
-        return { valid: false, error: '休診日のため予約できません' };
+    if (!schedule.isOpen) {
+        return { valid: false, error: schedule.reason };
     }
 
-    // 営業時間チェック
-    const dayOfWeek = startDate.getDay();
-    const businessHours = await db.queryOne(`
-        SELECT * FROM business_hours WHERE day_of_week = $1
-    `, [dayOfWeek]);
+    // 診療時間帯に収まっているか（昼休み・時間帯休業を含む）
+    const withinPeriod = schedule.periods.some(period =>
+        startDate >= toJstDate(dateStr, period.open) && endDate <= toJstDate(dateStr, period.close)
+    );
 
-    if (!businessHours || businessHours.is_closed) {
-        return { valid: false, error: '休診日です' };
+    if (!withinPeriod || overlapsClosedRange(schedule, dateStr, startDate, endDate)) {
+        return { valid: false, error: 'ご指定の時間帯は予約を受け付けていません' };
     }
 
     // サービス存在チェック
@@ -325,38 +505,65 @@ async function validateBooking(startAt, endAt, serviceId, staffId, settings) {
         }
     }
 
+    // 担当者の対応メニュー・勤務表・休暇チェック
+    const staffAvailability = await fetchStaffAvailability(dateStr, serviceId);
+
+    if (staffId && !staffAvailability.has(staffId)) {
+        return { valid: false, error: 'この担当者は選択されたメニューを担当していません' };
+    }
+
+    // 工程のあるメニューは、指名した担当者が自分の工程の時間だけ勤務していればよい
+    const segments = await fetchServiceSegments(serviceId);
+
+    if (staffId && segments.length === 0 && !isStaffOnShift(staffAvailability.get(staffId), dateStr, startDate, endDate)) {
+        return { valid: false, error: 'この担当者はその時間帯は勤務していません' };
+    }
+
+    // 担当者・設備を占有する時間帯（前後の準備・片付け時間を含む）
+    const range = getOccupiedRange(service, startDate, endDate);
+    const excludedIds = [].concat(options.excludeAppointmentId || []);
+    const occupying = (await fetchOccupyingAppointments(range.occupiedStart, range.occupiedEnd))
+        .filter(apt => !excludedIds.includes(apt.id));
+    const staffOccupancy = toStaffOccupancy(occupying);
+
+    // 枠全体のキャパシティチェック（施術時間が掛かるすべての時間枠）
+    const capacityMap = await fetchSlotCapacities(dayOfWeek, dateStr);
+
+    if (!evaluateCapacity(capacityMap, occupying, startDate, endDate, settings).available) {
+        return { valid: false, error: 'この時間帯は満席です' };
+    }
+
     // 重複予約チェック
-    if (staffId) {
+    if (segments.length > 0) {
+        // 工程ごとに、その職種の担当者が空いているか
+        const segmentRanges = buildSegmentRanges(service, segments, startDate);
+        const resolved = resolveSegmentStaff(segmentRanges, staffAvailability, staffOccupancy, dateStr, staffId);
+
+        if (!resolved.available) {
+            return { valid: false, error: resolved.error };
+        }
+    } else if (staffId) {
         // スタッフ指名の際は、そのスタッフが空いているか厳密に確認（1人1枠）
-        const conflict = await db.queryOne(`
-            SELECT * FROM appointments 
-            WHERE status = 'confirmed'
-            AND start_at < $1 AND end_at > $2
-            AND (staff_id = $3 OR staff_id IS NULL)
-        `, [endAt, startAt, staffId]);
+        const conflict = staffOccupancy.some(apt =>
+            (apt.staff_id === staffId || !apt.staff_id) && occupiesRange(apt, range)
+        );
 
         if (conflict) {
             return { valid: false, error: 'この担当者はその時間帯に予約が入っています' };
         }
     } else {
-        // 指名なしの場合、枠全体のキャパシティを確認
-        const conflicts = await db.queryAll(`
-            SELECT * FROM appointments 
-            WHERE status = 'confirmed'
-            AND start_at < $1 AND end_at > $2
-        `, [endAt, startAt]);
-
-        const bookingCount = conflicts.length;
-
-        // JSTでの時刻文字列 (HH:mm) を取得
-        const timeSlotStr = formatTime(startDate);
+        if (staffAvailability.size > 0 && countFreeStaff(staffAvailability, staffOccupancy, dateStr, range) <= 0) {
+            return { valid: false, error: 'この時間帯は対応できる担当者がいません' };
+        }
+    }
 
-        // キャパシティ取得
-        const capacity = await getSlotCapacity(dayOfWeek, timeSlotStr, settings, dateStr);
+    // 設備（チェア・部屋など）の空きチェック
+    const resourceRequirements = await fetchServiceResources(serviceId);
+    const resourceUsage = (await fetchResourceUsage(resourceRequirements, range.occupiedStart, range.occupiedEnd))
+        .filter(usage => !excludedIds.includes(usage.id));
 
-        if (bookingCount >= capacity) {
-            return { valid: false, error: 'この時間帯は満席です' };
-        }
+    if (!hasFreeResources(resourceRequirements, resourceUsage, range)) {
+        return { valid: false, error: 'この時間帯は必要な設備（チェア・部屋など）に空きがありません' };
     }
 
     return { valid: true, error: null };
@@ -366,67 +573,901 @@ async function validateBooking(startAt, endAt, serviceId, staffId, settings) {
  * 指定時間枠のキャパシティを取得
  * 優先順位: 特定日設定 > 曜日設定 > デフォルト値
  */
-async function getSlotCapacity(dayOfWeek, timeSlot, settings, dateStr = null, retry = true) {
-    try {
-        // 1. 特定日の設定を確認（dateStrがある場合）
-        if (dateStr) {
-            const specificCapacity = await db.queryOne(`
-                SELECT capacity FROM slot_capacities 
-                WHERE specific_date = $1 AND time_slot = $2
-            `, [dateStr, timeSlot]);
-
-            if (specificCapacity) {
-                return specificCapacity.capacity;
-            }
+async function getSlotCapacity(dayOfWeek, timeSlot, settings, dateStr = null) {
+    const capacityMap = await fetchSlotCapacities(dayOfWeek, dateStr);
+    return resolveSlotCapacity(capacityMap, timeSlot, settings);
+}
+
+/**
+ * キャパシティ設定（fetchSlotCapacities の結果）から時間枠のキャパシティを決定
+ * 設定のない時間枠はデフォルト値
+ */
+function resolveSlotCapacity(capacityMap, timeSlot, settings) {
+    const capacity = capacityMap.get(timeSlot);
+    if (capacity === undefined) {
+        return parseInt(settings.default_slot_capacity) || 1;
+    }
+    return capacity;
+}
+
+/**
+ * 施術時間が掛かるすべての時間枠（slot_duration_minutes 刻み）でキャパシティに空きがあるか
+ * 時間枠ごとに施術時間の重なる確定済み予約を数え（担当者に関係なく医院全体）、その枠のキャパシティと比較する
+ * @returns {{available: boolean, bookingCount: number, capacity: number}}
+ *   bookingCount / capacity は最も空きの少ない時間枠のもの
+ */
+function evaluateCapacity(capacityMap, appointments, start, end, settings) {
+    const slotDuration = parseInt(settings.slot_duration_minutes) || 30;
+    let tightest = null;
+
+    for (let t = start.getTime(); t < end.getTime(); t += slotDuration * 60000) {
+        const intervalStart = new Date(t);
+        const intervalEnd = new Date(Math.min(t + slotDuration * 60000, end.getTime()));
+
+        const bookingCount = appointments.filter(apt =>
+            intervalStart < new Date(apt.end_at) && intervalEnd > new Date(apt.start_at)
+        ).length;
+        const capacity = resolveSlotCapacity(capacityMap, formatTime(intervalStart), settings);
+
+        if (!tightest || capacity - bookingCount < tightest.capacity - tightest.bookingCount) {
+            tightest = { bookingCount, capacity };
         }
+    }
+
+    return { ...tightest, available: tightest.bookingCount < tightest.capacity };
+}
+
+/**
+ * 予約作成トランザクション内での空き確認（キャパシティ・担当者・設備）
+ * 重なる予約を FOR UPDATE でロックしてから判定するため、同時予約によるダブルブッキングを防げる
+ * 指名なし（staffId = null）の場合は空いている担当者を自動で割り当てる
+ * 工程のあるメニューは工程ごとに担当者を決め、segments で返す（saveAppointmentSegments で保存する）
+ * @param {Object} client - トランザクション中のDBクライアント
+ * @param {Object} booking - { serviceId, staffId, startAt, endAt, patientId, excludeAppointmentId, byStaff }
+ *   byStaff: 受付（管理画面）での登録。患者様の受診歴は受付で確認するため、新規の患者様の受付停止を適用しない
+ *   excludeAppointmentId は日時変更時の変更元の予約（重複判定から除く）
+ * @returns {Promise<{available: boolean, error: string|null, staffId: number|null, autoAssigned: boolean, segments: Array}>}
+ */
+async function checkBookingAvailability(client, booking, settings) {
+    const serviceRes = await client.query('SELECT * FROM services WHERE id = $1', [booking.serviceId]);
+    const unavailable = (error) => ({ available: false, error, staffId: null, autoAssigned: false, segments: [] });
+
+    if (!serviceRes.rows[0]) {
+        return unavailable('無効なメニューです');
+    }
+
+    // 担当者・設備を押さえる時間帯（メニューの前後の準備・片付け時間を含む）
+    const range = getOccupiedRange(serviceRes.rows[0], booking.startAt, booking.endAt);
+    const occupying = (await fetchOccupyingAppointments(range.occupiedStart, range.occupiedEnd, client))
+        .filter(apt => apt.id !== booking.excludeAppointmentId);
+    const staffOccupancy = toStaffOccupancy(occupying);
 
-        // 2. 曜日設定を確認
-        const dayCapacity = await db.queryOne(`
-            SELECT capacity FROM slot_capacities 
-            WHERE day_of_week = $1 AND time_slot = $2 AND specific_date IS NULL
-        `, [dayOfWeek, timeSlot]);
+    // 枠全体のキャパシティ（施術時間が掛かるすべての時間枠）
+    const dateStr = formatDate(range.start);
+    const capacityMap = await fetchSlotCapacities(getDayOfWeek(dateStr), dateStr);
 
-        if (dayCapacity) {
-            return dayCapacity.capacity;
+    if (!evaluateCapacity(capacityMap, occupying, range.start, range.end, settings).available) {
+        return unavailable('この時間帯は満席です。別の時間帯をお選びください。');
+    }
+
+    let staffId = booking.staffId || null;
+    let autoAssigned = false;
+    let segments = [];
+
+    // 新規の患者様の受付を停止している担当者は、受診歴のある患者様のみ（指名・自動割り当てとも）
+    const closedStaffIds = booking.byStaff ? new Set() : await fetchStaffClosedToPatient(client, booking.patientId);
+    if (staffId && closedStaffIds.has(staffId)) {
+        return unavailable('この担当者は現在、初めての患者様のご予約を受け付けていません。「指名なし」でご予約ください');
+    }
+
+    const serviceSegments = await fetchServiceSegments(booking.serviceId);
+
+    if (serviceSegments.length > 0) {
+        // 工程ごとにその職種の担当者を決める（指名した担当者は自分の職種の工程を担当）
+        const assignment = await assignSegmentStaff(client, {
+            serviceId: booking.serviceId,
+            staffId,
+            segmentRanges: buildSegmentRanges(serviceRes.rows[0], serviceSegments, range.start),
+            patientId: booking.patientId,
+            staffOccupancy,
+            closedStaffIds
+        }, settings);
+
+        if (!assignment.available) {
+            return unavailable(`${assignment.error}。別の時間帯をお選びください。`);
         }
-    } catch (error) {
-        // テーブルが存在しないエラー (Postgres code 42P01: undefined_table) の場合、テーブルを作成してリトライ
-        if (retry && error.code === '42P01') {
-            console.log('slot_capacitiesテーブルが存在しないため、自動作成します...');
-            try {
-                await db.execute(`
-                    CREATE TABLE IF NOT EXISTS slot_capacities (
-                        id SERIAL PRIMARY KEY,
-                        day_of_week INTEGER,
-                        specific_date DATE DEFAULT NULL,
-                        time_slot TIME NOT NULL,
-                        capacity INTEGER NOT NULL DEFAULT 1 CHECK (capacity >= 1),
-                        created_at TIMESTAMP DEFAULT NOW(),
-                        updated_at TIMESTAMP DEFAULT NOW(),
-                        UNIQUE(day_of_week, time_slot)
-                    );
-                    CREATE UNIQUE INDEX IF NOT EXISTS idx_slot_capacities_date_time ON slot_capacities(specific_date, time_slot) WHERE specific_date IS NOT NULL;
-                    
-                    INSERT INTO settings (key, value, description) 
-                    VALUES ('default_slot_capacity', '1', '時間枠あたりのデフォルト予約上限数')
-                    ON CONFLICT (key) DO NOTHING;
-                `);
-                console.log('slot_capacitiesテーブルを作成しました。リトライします。');
-                return getSlotCapacity(dayOfWeek, timeSlot, settings, dateStr, false);
-            } catch (createError) {
-                console.error('slot_capacitiesテーブル作成失敗:', createError);
+
+        ({ staffId, autoAssigned, segments } = assignment);
+    } else if (staffId) {
+        // スタッフ指名ありの場合
+        if (staffOccupancy.some(apt => (apt.staff_id === staffId || !apt.staff_id) && occupiesRange(apt, range))) {
+            return unavailable('この担当者はその時間帯に既に予約が入っています。別の時間帯をお選びください。');
+        }
+    } else {
+        // 空いている担当者を自動で割り当て
+        const assignment = await assignStaff(client, {
+            serviceId: booking.serviceId,
+            range,
+            patientId: booking.patientId,
+            overlapping: staffOccupancy,
+            closedStaffIds
+        }, settings);
+
+        if (!assignment.available) {
+            return unavailable('この時間帯は対応できる担当者がいません。別の時間帯をお選びください。');
+        }
+
+        staffId = assignment.staffId;
+        autoAssigned = assignment.staffId !== null;
+    }
+
+    // 必要な設備（チェア・部屋など）が準備・片付け時間を含めてずっと空いているか
+    if (!await checkResourceAvailability(client, booking.serviceId, range, booking.excludeAppointmentId)) {
+        return unavailable('この時間帯は必要な設備に空きがありません。別の時間帯をお選びください。');
+    }
+
+    return { available: true, error: null, staffId, autoAssigned, segments };
+}
+
+/**
+ * 指定日の診療スケジュールを取得（休診日・営業時間・スケジュール例外を反映）
+ */
+async function getDaySchedule(dateStr, settings) {
+    const holiday = await db.queryOne(`
+        SELECT * FROM holidays WHERE date = $1
+    `, [dateStr]);
+
+    const businessHours = await db.queryOne(`
+        SELECT * FROM business_hours WHERE day_of_week = $1
+    `, [getDayOfWeek(dateStr)]);
+
+    const exceptions = await fetchScheduleExceptions(dateStr, dateStr);
+
+    return resolveDaySchedule(dateStr, businessHours, holiday, exceptions, settings);
+}
+
+/**
+ * 指定期間に掛かるスケジュール例外を取得
+ * 毎年繰り返しの例外は年をまたいで判定するため期間に関係なく取得する
+ */
+async function fetchScheduleExceptions(startDateStr, endDateStr) {
+    return db.queryAll(`
+        SELECT * FROM schedule_exceptions
+        WHERE (start_date <= $2 AND end_date >= $1)
+           OR is_recurring = true
+        ORDER BY created_at, id
+    `, [startDateStr, endDateStr]);
+}
+
+/**
+ * スケジュール例外が指定日に適用されるか
+ */
+function exceptionAppliesTo(exception, dateStr) {
+    const startDate = toDateString(exception.start_date);
+    const endDate = toDateString(exception.end_date);
+
+    if (!exception.is_recurring) {
+        return dateStr >= startDate && dateStr <= endDate;
+    }
+
+    // 毎年繰り返し: 初回開始日以降の同じ月日に適用（年末年始のような年またぎにも対応）
+    if (dateStr < startDate) return false;
+
+    const monthDay = dateStr.substring(5);
+    const startMonthDay = startDate.substring(5);
+    const endMonthDay = endDate.substring(5);
+
+    if (startMonthDay <= endMonthDay) {
+        return monthDay >= startMonthDay && monthDay <= endMonthDay;
+    }
+    return monthDay >= startMonthDay || monthDay <= endMonthDay;
+}
+
+/**
+ * 休診日・営業時間・スケジュール例外から指定日の診療時間帯を決定
+ * 優先順位: 休診日 > 臨時休業 > 営業時間変更/特別営業（後から登録したもの） > 通常の営業時間
+ * 時間帯休業は最終的な診療時間帯から除外する範囲として扱う
+ * @returns {{isOpen: boolean, reason: string|null, periods: Array, closedRanges: Array, hasException: boolean}}
+ */
+function resolveDaySchedule(dateStr, businessHours, holiday, exceptions, settings) {
+    const applicable = exceptions.filter(ex => exceptionAppliesTo(ex, dateStr));
+    const closedDay = (reason) => ({
+        isOpen: false,
+        reason,
+        periods: [],
+        closedRanges: [],
+        hasException: applicable.length > 0
+    });
+
+    if (holiday) {
+        return closedDay(`${holiday.name || '休診日'}のため予約できません`);
+    }
+
+    const closedException = applicable.find(ex => ex.exception_type === 'closed');
+    if (closedException) {
+        return closedDay(`${closedException.reason || '臨時休業'}のため予約できません`);
+    }
+
+    const override = applicable
+        .filter(ex => ex.exception_type === 'modified_hours' || ex.exception_type === 'special_open')
+        .pop();
+
+    let periods = [];
+    let closedRanges = [];
+
+    if (override) {
+        periods = getExceptionPeriods(override);
+
+        // 特別営業で時間指定がなければ、その曜日の通常の営業時間で営業
+        if (periods.length === 0 && override.exception_type === 'special_open' && businessHours) {
+            ({ periods, closedRanges } = getBusinessPeriods(businessHours, settings));
+        }
+    } else if (businessHours && !businessHours.is_closed) {
+        ({ periods, closedRanges } = getBusinessPeriods(businessHours, settings));
+    }
+
+    if (periods.length === 0) {
+        return closedDay('休診日です');
+    }
+
+    // 時間帯休業
+    applicable
+        .filter(ex => ex.exception_type === 'partial_closed' && ex.start_time && ex.end_time)
+        .forEach(ex => closedRanges.push({ start: normalizeTime(ex.start_time), end: normalizeTime(ex.end_time) }));
+
+    return {
+        isOpen: true,
+        reason: null,
+        periods,
+        closedRanges,
+        hasException: applicable.length > 0
+    };
+}
+
+/**
+ * 通常の営業時間から診療時間帯を取得
+ * 午前・午後の診療時間を優先し（午前のみの曜日にも対応）、
+ * 未設定の旧形式データは開始〜終了時間と共通の昼休み設定で扱う
+ */
+function getBusinessPeriods(businessHours, settings) {
+    const periods = [];
+
+    if (businessHours.morning_open && businessHours.morning_close) {
+        periods.push({ open: normalizeTime(businessHours.morning_open), close: normalizeTime(businessHours.morning_close) });
+    }
+    if (businessHours.afternoon_open && businessHours.afternoon_close) {
+        periods.push({ open: normalizeTime(businessHours.afternoon_open), close: normalizeTime(businessHours.afternoon_close) });
+    }
+
+    if (periods.length > 0) {
+        return { periods, closedRanges: [] };
+    }
+
+    // 旧形式との互換性
+    if (!businessHours.open_time || !businessHours.close_time) {
+        return { periods: [], closedRanges: [] };
+    }
+
+    return {
+        periods: [{ open: normalizeTime(businessHours.open_time), close: normalizeTime(businessHours.close_time) }],
+        closedRanges: [{ start: settings.lunch_start || '12:00', end: settings.lunch_end || '13:00' }]
+    };
+}
+
+/**
+ * 営業時間変更・特別営業の例外から診療時間帯を取得
+ */
+function getExceptionPeriods(exception) {
+    const periods = [];
+
+    if (exception.morning_open && exception.morning_close) {
+        periods.push({ open: normalizeTime(exception.morning_open), close: normalizeTime(exception.morning_close) });
+    }
+    if (exception.afternoon_open && exception.afternoon_close) {
+        periods.push({ open: normalizeTime(exception.afternoon_open), close: normalizeTime(exception.afternoon_close) });
+    }
+
+    // 午前・午後の指定がなければ開始〜終了時間を1つの時間帯とする
+    if (periods.length === 0 && exception.start_time && exception.end_time) {
+        periods.push({ open: normalizeTime(exception.start_time), close: normalizeTime(exception.end_time) });
+    }
+
+    return periods;
+}
+
+/**
+ * メニューに対応できる有効なスタッフを取得
+ * 対応スタッフが登録されていないメニュー（登録スタッフが全員無効の場合を含む）は全スタッフが対応
+ */
+async function getEligibleStaff(serviceId) {
+    return db.queryAll(`
+        SELECT st.id, st.name, st.title, st.role,
+            st.specialties, st.bio, st.languages, st.photo_filename, st.accepting_new_patients
+        FROM staff st
+        WHERE st.is_active = true
+          AND (
+              NOT EXISTS (
+                  SELECT 1 FROM service_staff ss
+                  JOIN staff s2 ON s2.id = ss.staff_id AND s2.is_active = true
+                  WHERE ss.service_id = $1
+              )
+              OR st.id IN (SELECT staff_id FROM service_staff WHERE service_id = $1)
+          )
+        ORDER BY st.sort_order, st.id
+    `, [serviceId]);
+}
+
+/**
+ * 指定日のスタッフ勤務状況を取得（メニュー指定時はそのメニューに対応するスタッフのみ）
+ * 勤務表が1件も登録されていないスタッフは診療時間中すべて勤務扱い（shifts = null）
+ * @returns {Promise<Map<number, {role: string, shifts: Array|null, leaves: Array}>>} 有効なスタッフID → 職種・勤務時間帯・休暇
+ */
+async function fetchStaffAvailability(dateStr, serviceId = null) {
+    const staffData = await fetchStaffScheduleData(dateStr, dateStr, serviceId);
+    return buildStaffAvailability(staffData, dateStr);
+}
+
+/**
+ * 対応スタッフ・勤務表・期間に掛かる休暇をまとめて取得
+ */
+async function fetchStaffScheduleData(startDateStr, endDateStr, serviceId = null) {
+    const staff = await getEligibleStaff(serviceId);
+    const schedules = await db.queryAll(`SELECT staff_id, day_of_week, start_time, end_time FROM staff_schedules`);
+    const leaves = await db.queryAll(`
+        SELECT * FROM staff_leaves WHERE start_date <= $2 AND end_date >= $1
+    `, [startDateStr, endDateStr]);
+
+    return { staff, schedules, leaves };
+}
+
+/**
+ * 取得済みの勤務表・休暇から指定日のスタッフ勤務状況を組み立てる
+ */
+function buildStaffAvailability(staffData, dateStr) {
+    const { schedules } = staffData;
+    const leaves = staffData.leaves.filter(leave =>
+        toDateString(leave.start_date) <= dateStr && toDateString(leave.end_date) >= dateStr
+    );
+
+    const dayOfWeek = getDayOfWeek(dateStr);
+    const availability = new Map();
+
+    for (const staff of staffData.staff) {
+        availability.set(staff.id, { role: staff.role, shifts: null, leaves: [] });
+    }
+
+    for (const row of schedules) {
+        const entry = availability.get(row.staff_id);
+        if (!entry) continue;
+
+        // 勤務表があるスタッフは、その曜日の登録がなければ休み
+        if (!entry.shifts) entry.shifts = [];
+        if (row.day_of_week === dayOfWeek) {
+            entry.shifts.push({ start: normalizeTime(row.start_time), end: normalizeTime(row.end_time) });
+        }
+    }
+
+    for (const leave of leaves) {
+        const entry = availability.get(leave.staff_id);
+        if (entry) entry.leaves.push(leave);
+    }
+
+    return availability;
+}
+
+/**
+ * スタッフが指定時間帯に勤務しているか（勤務時間内かつ休暇に掛からない）
+ */
+function isStaffOnShift(entry, dateStr, start, end) {
+    if (!entry) return false;
+
+    if (entry.shifts && !entry.shifts.some(shift =>
+        start >= toJstDate(dateStr, shift.start) && end <= toJstDate(dateStr, shift.end)
+    )) {
+        return false;
+    }
+
+    return !entry.leaves.some(leave => {
+        // 時間指定のない休暇は終日
+        if (!leave.start_time || !leave.end_time) return true;
+        return start < toJstDate(dateStr, normalizeTime(leave.end_time)) && end > toJstDate(dateStr, normalizeTime(leave.start_time));
+    });
+}
+
+/**
+ * 指定時間帯に対応できる担当者の残り人数
+ * 勤務中で予約の入っていない担当者数から、担当者未定の予約数を差し引く
+ * 勤務時間は施術時間で、予約との重なりは前後の準備・片付け時間を含めて判定する
+ */
+function countFreeStaff(staffAvailability, appointments, dateStr, range) {
+    const { start, end } = range;
+    const overlapping = appointments.filter(apt => occupiesRange(apt, range));
+    const busyStaffIds = new Set(overlapping.filter(apt => apt.staff_id).map(apt => apt.staff_id));
+    const unassignedCount = overlapping.filter(apt => !apt.staff_id).length;
+
+    let freeCount = 0;
+    for (const [id, entry] of staffAvailability) {
+        if (!busyStaffIds.has(id) && isStaffOnShift(entry, dateStr, start, end)) {
+            freeCount++;
+        }
+    }
+
+    return freeCount - unassignedCount;
+}
+
+/**
+ * 指名なし予約の担当者を自動で決定（予約作成トランザクション内で使用）
+ * 割り当て方法は settings.staff_assignment_strategy で切り替える
+ *   round_robin  : 直近に自動割り当てしたスタッフの次の順番のスタッフ
+ *   least_loaded : その日の予約数が最も少ないスタッフ（既定）
+ *   preferred    : 患者の来院履歴で最も多く担当したスタッフ（履歴がなければ least_loaded）
+ * @param {Object} client - トランザクション中のDBクライアント
+ * @param {Object} booking - { serviceId, range, patientId, overlapping, closedStaffIds }
+ *   closedStaffIds はこの患者様に割り当てられない担当者（fetchStaffClosedToPatient の結果）
+ *   range は getOccupiedRange の結果、overlapping は占有時間の重なる確定済み予約（FOR UPDATE で取得済みのもの）
+ * @returns {Promise<{available: boolean, staffId: number|null}>}
+ *   スタッフ未登録の医院では available = true, staffId = null
+ */
+async function assignStaff(client, booking, settings) {
+    const { range } = booking;
+    const startDate = range.start;
+    const endDate = range.end;
+    const dateStr = formatDate(startDate);
+
+    const staffAvailability = await fetchStaffAvailability(dateStr, booking.serviceId);
+
+    if (staffAvailability.size === 0) {
+        return { available: true, staffId: null };
+    }
+
+    if (countFreeStaff(staffAvailability, booking.overlapping, dateStr, range) <= 0) {
+        return { available: false, staffId: null };
+    }
+
+    const busyStaffIds = new Set(booking.overlapping
+        .filter(apt => apt.staff_id && occupiesRange(apt, range))
+        .map(apt => apt.staff_id));
+    const staffOrder = Array.from(staffAvailability.keys());
+    const closedStaffIds = booking.closedStaffIds || new Set();
+    const candidates = staffOrder.filter(id =>
+        !busyStaffIds.has(id) && !closedStaffIds.has(id) && isStaffOnShift(staffAvailability.get(id), dateStr, startDate, endDate)
+    );
+
+    if (candidates.length === 0) {
+        return { available: false, staffId: null };
+    }
+
+    return { available: true, staffId: await pickStaff(client, candidates, staffOrder, booking.patientId, dateStr, settings) };
+}
+
+/**
+ * 新規の患者様の受付を停止している担当者のうち、この患者様が受診したことのない担当者
+ * （工程の担当を含め、キャンセルしていない予約が1件でもあれば受診歴ありとする）
+ * @param {number|null} patientId - 未登録の患者様は null（停止中の担当者すべて）
+ * @returns {Promise<Set<number>>}
+ */
+async function fetchStaffClosedToPatient(client, patientId) {
+    const res = await client.query(`
+        SELECT st.id FROM staff st
+        WHERE st.accepting_new_patients = false
+          AND NOT EXISTS (
+              SELECT 1 FROM (${STAFF_APPOINTMENTS_SQL}) sa
+              WHERE sa.staff_id = st.id AND sa.patient_id = $1 AND sa.status != 'cancelled'
+          )
+    `, [patientId || null]);
+    return new Set(res.rows.map(row => row.id));
+}
+
+/**
+ * 空いている担当者の候補から、settings.staff_assignment_strategy に従って1人選ぶ
+ * 来院履歴・予約数は工程ごとの担当も含めて数える
+ * @param {number[]} candidates - 空いている担当者（1人以上）
+ * @param {number[]} staffOrder - 順番に割り当てる場合の並び（表示順）
+ * @returns {Promise<number>}
+ */
+async function pickStaff(client, candidates, staffOrder, patientId, dateStr, settings) {
+    const strategy = settings.staff_assignment_strategy || 'least_loaded';
+
+    if (strategy === 'round_robin') {
+        const lastRes = await client.query(`
+            SELECT staff_id FROM (${STAFF_APPOINTMENTS_SQL}) sa
+            WHERE auto_assigned = true AND staff_id = ANY($1::int[])
+            ORDER BY created_at DESC, appointment_id DESC
+            LIMIT 1
+        `, [staffOrder]);
+        const lastIndex = lastRes.rows[0] ? staffOrder.indexOf(lastRes.rows[0].staff_id) : -1;
+
+        for (let i = 1; i <= staffOrder.length; i++) {
+            const id = staffOrder[(lastIndex + i) % staffOrder.length];
+            if (candidates.includes(id)) {
+                return id;
             }
         }
+    }
 
-        // それ以外のエラー、または作成失敗時はデフォルト値
-        console.error(`キャパシティ取得失敗 (time: ${timeSlot}):`, error.message);
+    if (strategy === 'preferred' && patientId) {
+        const historyRes = await client.query(`
+            SELECT staff_id, COUNT(*) as visits, MAX(start_at) as last_visit
+            FROM (${STAFF_APPOINTMENTS_SQL}) sa
+            WHERE patient_id = $1 AND staff_id = ANY($2::int[])
+            AND status IN ('confirmed', 'completed')
+            GROUP BY staff_id
+            ORDER BY visits DESC, last_visit DESC
+            LIMIT 1
+        `, [patientId, candidates]);
+
+        if (historyRes.rows[0]) {
+            return historyRes.rows[0].staff_id;
+        }
     }
 
-    // 3. デフォルト値を返す
-    return parseInt(settings.default_slot_capacity) || 1;
+    // その日の予約数が最も少ないスタッフ（同数なら表示順）
+    const loadRes = await client.query(`
+        SELECT staff_id, COUNT(*) as count FROM (${STAFF_APPOINTMENTS_SQL}) sa
+        WHERE status = 'confirmed' AND start_at >= $1 AND start_at <= $2
+        AND staff_id = ANY($3::int[])
+        GROUP BY staff_id
+    `, [
+        new Date(`${dateStr}T00:00:00+09:00`),
+        new Date(`${dateStr}T23:59:59.999+09:00`),
+        candidates
+    ]);
+    const loads = new Map(loadRes.rows.map(row => [row.staff_id, parseInt(row.count)]));
+
+    return candidates.reduce((best, id) =>
+        (loads.get(id) || 0) < (loads.get(best) || 0) ? id : best
+    );
+}
+
+/**
+ * メニューの工程を取得（工程のないメニューは空配列）
+ */
+async function fetchServiceSegments(serviceId) {
+    return db.queryAll(`
+        SELECT id, sort_order, name, duration_minutes, staff_role, gap_after_minutes
+        FROM service_segments
+        WHERE service_id = $1
+        ORDER BY sort_order, id
+    `, [serviceId]);
+}
+
+/**
+ * 予約の開始時刻から各工程の時間帯を求める
+ * 工程の間の待ち時間は担当者を押さえず、メニューの準備時間は最初の工程、片付け時間は最後の工程の担当者が受け持つ
+ * @returns {Array} 工程に { start, end, occupiedStart, occupiedEnd } を加えたもの
+ */
+function buildSegmentRanges(service, segments, start) {
+    let cursor = new Date(start).getTime();
+
+    return segments.map((segment, index) => {
+        const segmentStart = new Date(cursor);
+        const segmentEnd = new Date(cursor + segment.duration_minutes * 60000);
+        cursor = segmentEnd.getTime() + segment.gap_after_minutes * 60000;
+
+        return {
+            ...segment,
+            start: segmentStart,
+            end: segmentEnd,
+            occupiedStart: index === 0
+                ? new Date(segmentStart.getTime() - (service.buffer_before_minutes || 0) * 60000)
+                : segmentStart,
+            occupiedEnd: index === segments.length - 1
+                ? new Date(segmentEnd.getTime() + (service.buffer_after_minutes || 0) * 60000)
+                : segmentEnd
+        };
+    });
+}
+
+/**
+ * 工程のあるメニューで、職種ごとに担当できるスタッフを求める
+ * 同じ職種の工程は同じ担当者が受け持つため、その職種のすべての工程の時間に勤務していて空いている人が候補
+ * 指名した担当者は自分の職種の工程の唯一の候補になる
+ * @param {Map} staffAvailability - buildStaffAvailability の結果
+ * @param {Array} staffOccupancy - toStaffOccupancy の結果
+ * @param {Set<number>} [closedStaffIds] - 割り当てない担当者（新規の患者様の受付停止中など）
+ * @returns {{available: boolean, error: string|null, candidatesByRole: Map<string, Array<number|null>>}}
+ *   スタッフ未登録の医院では候補は [null]（担当者なしで受け付ける）
+ */
+function resolveSegmentStaff(segmentRanges, staffAvailability, staffOccupancy, dateStr, staffId, closedStaffIds = new Set()) {
+    const candidatesByRole = new Map();
+    const unavailable = (error) => ({ available: false, error, candidatesByRole });
+    const nominatedRole = staffId && staffAvailability.has(staffId) ? staffAvailability.get(staffId).role : null;
+
+    if (staffId && !segmentRanges.some(range => range.staff_role === nominatedRole)) {
+        return unavailable('この担当者は選択されたメニューを担当していません');
+    }
+
+    for (const role of new Set(segmentRanges.map(range => range.staff_role))) {
+        if (staffAvailability.size === 0) {
+            candidatesByRole.set(role, [null]);
+            continue;
+        }
+
+        const ranges = segmentRanges.filter(range => range.staff_role === role);
+        const staffIds = role === nominatedRole
+            ? [staffId]
+            : Array.from(staffAvailability.keys()).filter(id => staffAvailability.get(id).role === role && !closedStaffIds.has(id));
+
+        const candidates = staffIds.filter(id => ranges.every(range =>
+            isStaffOnShift(staffAvailability.get(id), dateStr, range.start, range.end)
+            && !staffOccupancy.some(apt => apt.staff_id === id && occupiesRange(apt, range))
+        ));
+
+        // 担当者未定の予約がある場合はその分だけ空きが減る
+        const unassignedCount = staffOccupancy.filter(apt =>
+            !apt.staff_id && ranges.some(range => occupiesRange(apt, range))
+        ).length;
+
+        if (candidates.length - unassignedCount <= 0) {
+            return unavailable(role === nominatedRole
+                ? 'この担当者はその時間帯に予約が入っているか、勤務していません'
+                : `この時間帯は対応できる${STAFF_ROLES[role] || '担当者'}がいません`);
+        }
+
+        candidatesByRole.set(role, candidates);
+    }
+
+    return { available: true, error: null, candidatesByRole };
+}
+
+/**
+ * 工程のあるメニューの担当者を工程ごとに決定（予約作成トランザクション内で使用）
+ * @param {Object} booking - { serviceId, staffId, segmentRanges, patientId, staffOccupancy, closedStaffIds }
+ * @returns {Promise<{available: boolean, error: string|null, staffId: number|null, autoAssigned: boolean, segments: Array}>}
+ *   staffId は予約一覧・カレンダーに表示する担当者（指名した担当者、指名なしなら歯科医師の工程の担当者）
+ *   segments は saveAppointmentSegments に渡す工程ごとの担当者と時間帯
+ */
+async function assignSegmentStaff(client, booking, settings) {
+    const { segmentRanges } = booking;
+    const dateStr = formatDate(segmentRanges[0].start);
+    const staffAvailability = await fetchStaffAvailability(dateStr, booking.serviceId);
+
+    const resolved = resolveSegmentStaff(segmentRanges, staffAvailability, booking.staffOccupancy, dateStr, booking.staffId, booking.closedStaffIds);
+    if (!resolved.available) {
+        return { available: false, error: resolved.error, staffId: null, autoAssigned: false, segments: [] };
+    }
+
+    const assigned = new Map();
+    for (const [role, candidates] of resolved.candidatesByRole) {
+        if (candidates[0] === null || candidates.includes(booking.staffId)) {
+            assigned.set(role, candidates[0]);
+            continue;
+        }
+
+        const staffOrder = Array.from(staffAvailability.keys()).filter(id => staffAvailability.get(id).role === role);
+        assigned.set(role, await pickStaff(client, candidates, staffOrder, booking.patientId, dateStr, settings));
+    }
+
+    const segments = segmentRanges.map(range => ({
+        sortOrder: range.sort_order,
+        name: range.name,
+        staffRole: range.staff_role,
+        staffId: assigned.get(range.staff_role),
+        start: range.start,
+        end: range.end
+    }));
+
+    const mainSegment = segments.find(segment => segment.staffRole === 'doctor') || segments[0];
+    const staffId = booking.staffId || mainSegment.staffId;
+
+    return { available: true, error: null, staffId, autoAssigned: !booking.staffId && staffId !== null, segments };
+}
+
+/**
+ * 予約の工程ごとの担当者と時間帯を保存（日時変更時は作り直す。工程のないメニューは削除のみ）
+ * @param {Object} client - トランザクション中のDBクライアント
+ * @param {Array} segments - checkBookingAvailability の結果の segments
+ */
+async function saveAppointmentSegments(client, appointmentId, segments) {
+    await client.query('DELETE FROM appointment_segments WHERE appointment_id = $1', [appointmentId]);
+
+    for (const segment of segments) {
+        await client.query(`
+            INSERT INTO appointment_segments (appointment_id, sort_order, name, staff_role, staff_id, start_at, end_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `, [
+            appointmentId,
+            segment.sortOrder,
+            segment.name,
+            segment.staffRole,
+            segment.staffId,
+            segment.start.toISOString(),
+            segment.end.toISOString()
+        ]);
+    }
+}
+
+/**
+ * メニューに必要な設備を取得（無効な設備は除く）
+ * @returns {Promise<Array<{resource_id: number, name: string, quantity: number, capacity: number}>>}
+ *   quantity は1件で使用する数、capacity は設備の同時使用可能数
+ */
+async function fetchServiceResources(serviceId) {
+    return db.queryAll(`
+        SELECT sr.resource_id, r.name, sr.quantity, r.quantity as capacity
+        FROM service_resources sr
+        JOIN resources r ON r.id = sr.resource_id AND r.is_active = true
+        WHERE sr.service_id = $1
+    `, [serviceId]);
+}
+
+/**
+ * 指定期間に占有時間が重なる確定済み予約の設備使用状況を取得
+ * client を渡した場合はトランザクション内で対象予約をロックする（FOR UPDATE）
+ */
+async function fetchResourceUsage(requirements, rangeStart, rangeEnd, client = null) {
+    if (requirements.length === 0) return [];
+
+    const query = `
+        SELECT a.id, a.start_at, a.end_at, ${OCCUPIED_RANGE_COLUMNS}, sr.resource_id, sr.quantity
+        FROM appointments a
+        JOIN services sv ON sv.id = a.service_id
+        JOIN service_resources sr ON sr.service_id = a.service_id
+        WHERE a.status = 'confirmed'
+        AND ${OCCUPIED_START_SQL} < $2 AND ${OCCUPIED_END_SQL} > $1
+        AND sr.resource_id = ANY($3::int[])
+    `;
+    const params = [rangeStart, rangeEnd, requirements.map(r => r.resource_id)];
+
+    if (client) {
+        const result = await client.query(query + ' FOR UPDATE OF a', params);
+        return result.rows;
+    }
+    return db.queryAll(query, params);
+}
+
+/**
+ * 占有時間帯（前後の準備・片付け時間を含む）の間ずっと、必要な設備が必要数だけ空いているか
+ */
+function hasFreeResources(requirements, usage, range) {
+    const start = range.occupiedStart;
+
+    return requirements.every(requirement => {
+        const overlapping = usage.filter(u =>
+            u.resource_id === requirement.resource_id && occupiesRange(u, range)
+        );
+
+        // 使用数が変わるのは時間帯の開始時点と、途中から始まる予約の開始時点のみ
+        const checkPoints = [start, ...overlapping.map(u => new Date(u.occupied_start)).filter(t => t > start)];
+        const peak = Math.max(...checkPoints.map(t =>
+            overlapping
+                .filter(u => new Date(u.occupied_start) <= t && t < new Date(u.occupied_end))
+                .reduce((sum, u) => sum + u.quantity, 0)
+        ));
+
+        return peak + requirement.quantity <= requirement.capacity;
+    });
+}
+
+/**
+ * 予約作成トランザクション内で設備の空きを確認（対象予約をロック）
+ */
+async function checkResourceAvailability(client, serviceId, range, excludeAppointmentId = null) {
+    const requirements = await fetchServiceResources(serviceId);
+    const usage = (await fetchResourceUsage(requirements, range.occupiedStart, range.occupiedEnd, client))
+        .filter(u => u.id !== excludeAppointmentId);
+    return hasFreeResources(requirements, usage, range);
+}
+
+/**
+ * 施術時間に前後の準備・片付け時間を加えた占有時間帯を取得
+ * @returns {{start: Date, end: Date, occupiedStart: Date, occupiedEnd: Date}}
+ *   start/end は患者に案内する施術時間、occupiedStart/occupiedEnd は担当者・設備を押さえる時間
+ */
+function getOccupiedRange(service, start, end) {
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    return {
+        start: startDate,
+        end: endDate,
+        occupiedStart: new Date(startDate.getTime() - (service.buffer_before_minutes || 0) * 60000),
+        occupiedEnd: new Date(endDate.getTime() + (service.buffer_after_minutes || 0) * 60000)
+    };
+}
+
+/**
+ * 占有時間が指定期間に重なる確定済み予約を取得
+ * client を渡した場合はトランザクション内で対象予約をロックする（FOR UPDATE）
+ */
+async function fetchOccupyingAppointments(rangeStart, rangeEnd, client = null) {
+    const query = `
+        SELECT a.id, a.start_at, a.end_at, a.staff_id, ${OCCUPIED_RANGE_COLUMNS}
+        FROM appointments a
+        JOIN services sv ON sv.id = a.service_id
+        WHERE a.status = 'confirmed'
+        AND ${OCCUPIED_START_SQL} < $2 AND ${OCCUPIED_END_SQL} > $1
+    `;
+    const params = [rangeStart, rangeEnd];
+
+    const appointments = client
+        ? (await client.query(query + ' FOR UPDATE OF a', params)).rows
+        : await db.queryAll(query, params);
+
+    return attachAppointmentSegments(appointments, client);
+}
+
+/**
+ * 予約に工程ごとの担当者と時間帯（segments）を付ける（工程のない予約は空配列）
+ */
+async function attachAppointmentSegments(appointments, client = null) {
+    if (appointments.length === 0) return appointments;
+
+    const query = `
+        SELECT appointment_id, staff_id, start_at, end_at
+        FROM appointment_segments
+        WHERE appointment_id = ANY($1::int[])
+        ORDER BY appointment_id, start_at
+    `;
+    const params = [appointments.map(apt => apt.id)];
+    const rows = client ? (await client.query(query, params)).rows : await db.queryAll(query, params);
+
+    for (const apt of appointments) {
+        apt.segments = rows.filter(row => row.appointment_id === apt.id);
+    }
+    return appointments;
+}
+
+/**
+ * 担当者の重複判定に使う占有時間の一覧
+ * 工程のある予約は工程ごとの担当者・時間帯に分けるため、待ち時間や他の職種の工程の間は担当者が空く
+ * （準備時間は最初の工程、片付け時間は最後の工程の担当者が受け持つ）
+ */
+function toStaffOccupancy(appointments) {
+    return appointments.flatMap(apt => {
+        if (!apt.segments || apt.segments.length === 0) return [apt];
+
+        const lastIndex = apt.segments.length - 1;
+        return apt.segments.map((segment, index) => ({
+            id: apt.id,
+            staff_id: segment.staff_id,
+            occupied_start: index === 0 ? apt.occupied_start : segment.start_at,
+            occupied_end: index === lastIndex ? apt.occupied_end : segment.end_at
+        }));
+    });
+}
+
+/**
+ * 予約の占有時間が指定の占有時間帯に重なるか
+ */
+function occupiesRange(appointment, range) {
+    return range.occupiedStart < new Date(appointment.occupied_end)
+        && range.occupiedEnd > new Date(appointment.occupied_start);
+}
+
+/**
+ * 指定時間が昼休み・時間帯休業に掛かるか
+ */
+function overlapsClosedRange(schedule, dateStr, start, end) {
+    return schedule.closedRanges.some(range =>
+        start < toJstDate(dateStr, range.end) && end > toJstDate(dateStr, range.start)
+    );
 }
 
 // ヘルパー関数
+function toJstDate(dateStr, timeStr) {
+    // dateStr (YYYY-MM-DD) と timeStr (HH:mm) を結合して JSTのDateを作る
+    const [h, m] = timeStr.trim().split(':');
+    return new Date(`${dateStr}T${h.padStart(2, '0')}:${m}:00+09:00`);
+}
+
+function normalizeTime(time) {
+    // TIME型は "09:00:00" 形式で来るため "09:00" に整形
+    return String(time).substring(0, 5);
+}
+
+function toDateString(value) {
+    // DATE型はローカル時刻の0時のDateとして返るため、ローカル日付で整形
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).substring(0, 10);
+}
+
+function getDayOfWeek(dateStr) {
+    // サーバーのタイムゾーンに依存しないよう日付文字列から曜日を求める
+    return new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+}
+
 function formatDate(date) {
     // JSTでフォーマット: YYYY-MM-DD
     const formatter = new Intl.DateTimeFormat('ja-JP', {
@@ -453,6 +1494,13 @@ function formatDateTime(date) {
     return date.toISOString();
 }
 
+function addDays(dateStr, days) {
+    // YYYY-MM-DD の日付文字列をサーバーのタイムゾーンに依存せず加算
+    const date = new Date(`${dateStr}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().substring(0, 10);
+}
+
 function getDayName(dayOfWeek) {
     const days = ['日', '月', '火', '水', '木', '金', '土'];
     return days[dayOfWeek];
@@ -461,54 +1509,78 @@ function getDayName(dayOfWeek) {
 module.exports = {
     getAvailableSlots,
     getAvailableDates,
+    getAvailabilitySummary,
+    findNextAvailableSlots,
     validateBooking,
     getSlotCapacity,
+    checkBookingAvailability,
+    getDaySchedule,
+    getEligibleStaff,
+    assignStaff,
+    fetchServiceSegments,
+    saveAppointmentSegments,
+    checkResourceAvailability,
+    getOccupiedRange,
+    fetchOccupyingAppointments,
     formatDate,
     formatTime,
-    formatTime,
-    formatDateTime
+    formatDateTime,
+    STAFF_ROLES
 };
 
 
 /**
  * その日のキャパシティ設定を一括取得
  */
-async function fetchSlotCapacities(dayOfWeek, dateStr, retry = true) {
+async function fetchSlotCapacities(dayOfWeek, dateStr) {
+    const rows = await fetchSlotCapacityRows(dateStr, dateStr);
+    return buildCapacityMap(rows, dayOfWeek, dateStr);
+}
+
+/**
+ * 曜日設定と期間内の特定日設定をまとめて取得
+ */
+async function fetchSlotCapacityRows(startDateStr, endDateStr, retry = true) {
     try {
-        const rows = await db.queryAll(`
+        return await db.queryAll(`
             SELECT * FROM slot_capacities
-            WHERE specific_date = $1
-               OR (day_of_week = $2 AND specific_date IS NULL)
-        `, [dateStr, dayOfWeek]);
-
-        const capacityMap = new Map();
-
-        // 1. まず曜日設定を適用
-        rows.filter(r => !r.specific_date).forEach(r => {
-            // time_slotは "09:00:00" のような形式で来る可能性があるため、hh:mmに整形
-            const time = r.time_slot.substring(0, 5);
-            capacityMap.set(time, r.capacity);
-        });
-
-        // 2. 特定日設定で上書き（優先度高）
-        rows.filter(r => r.specific_date).forEach(r => {
-            const time = r.time_slot.substring(0, 5);
-            capacityMap.set(time, r.capacity);
-        });
-
-        return capacityMap;
+            WHERE specific_date IS NULL
+               OR (specific_date >= $1 AND specific_date <= $2)
+        `, [startDateStr, endDateStr]);
 
     } catch (error) {
         // テーブルが存在しないエラー (Postgres code 42P01) の場合、自動修復
         if (retry && error.code === '42P01') {
             await ensureSlotCapacitiesTable();
-            return fetchSlotCapacities(dayOfWeek, dateStr, false);
+            return fetchSlotCapacityRows(startDateStr, endDateStr, false);
         }
         console.error('キャパシティ一括取得失敗:', error);
-        return new Map(); // エラー時は空マップ（デフォルト値が使われる）
+        return []; // エラー時は空（デフォルト値が使われる）
     }
 }
 
+/**
+ * キャパシティ設定から指定日の時間枠 → キャパシティのMapを組み立てる
+ */
+function buildCapacityMap(rows, dayOfWeek, dateStr) {
+    const capacityMap = new Map();
+
+    // 1. まず曜日設定を適用
+    rows.filter(r => !r.specific_date && r.day_of_week === dayOfWeek).forEach(r => {
+        // time_slotは "09:00:00" のような形式で来る可能性があるため、hh:mmに整形
+        const time = r.time_slot.substring(0, 5);
+        capacityMap.set(time, r.capacity);
+    });
+
+    // 2. 特定日設定で上書き（優先度高）
+    rows.filter(r => r.specific_date && toDateString(r.specific_date) === dateStr).forEach(r => {
+        const time = r.time_slot.substring(0, 5);
+        capacityMap.set(time, r.capacity);
+    });
+
+    return capacityMap;
+}
+
 async function ensureSlotCapacitiesTable() {
     console.log('slot_capacitiesテーブルが存在しないため、自動作成します...');
     try {
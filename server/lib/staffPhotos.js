@@ -0,0 +1,95 @@
+/**
+ * スタッフの写真（予約画面のプロフィール用）
+ *
+ * 写真はサーバーのローカルディスク（STAFF_PHOTO_DIR、未指定時は server/uploads/staff）に保存し、
+ * ファイル名を staff.photo_filename に記録する。配信は /api/staff/:id/photo から行う。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const PHOTO_DIR = path.resolve(process.env.STAFF_PHOTO_DIR || path.join(__dirname, '..', 'uploads', 'staff'));
+
+// アップロードできる写真の最大サイズ
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+
+// 受け付ける画像形式（ファイル先頭のバイト列で判定する）
+const PHOTO_TYPES = {
+    'image/jpeg': { extension: 'jpg', signature: [0xff, 0xd8, 0xff] },
+    'image/png': { extension: 'png', signature: [0x89, 0x50, 0x4e, 0x47] },
+    'image/webp': { extension: 'webp', signature: [0x52, 0x49, 0x46, 0x46] } // RIFF....WEBP
+};
+
+/**
+ * 画像の形式を判定（申告された Content-Type ではなく中身で判定する）
+ * @param {Buffer} buffer
+ * @returns {string|null} 'image/jpeg' など。対応していない形式は null
+ */
+function detectPhotoType(buffer) {
+    for (const [mimeType, { signature }] of Object.entries(PHOTO_TYPES)) {
+        if (buffer.length >= signature.length && signature.every((byte, i) => buffer[i] === byte)) {
+            if (mimeType === 'image/webp' && buffer.toString('ascii', 8, 12) !== 'WEBP') continue;
+            return mimeType;
+        }
+    }
+    return null;
+}
+
+/**
+ * 写真を保存（アップロードのたびに新しいファイル名にして、ブラウザのキャッシュに古い写真が残らないようにする）
+ * @param {number} staffId
+ * @param {Buffer} buffer
+ * @param {string} mimeType - detectPhotoType の結果
+ * @returns {Promise<string>} 保存したファイル名
+ */
+async function savePhoto(staffId, buffer, mimeType) {
+    const filename = `staff-${staffId}-${crypto.randomBytes(8).toString('hex')}.${PHOTO_TYPES[mimeType].extension}`;
+    await fs.promises.mkdir(PHOTO_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(PHOTO_DIR, filename), buffer);
+    return filename;
+}
+
+/**
+ * 写真を削除（ファイルが既にない場合は何もしない）
+ */
+async function removePhoto(filename) {
+    if (!filename) return;
+    await fs.promises.unlink(getPhotoPath(filename)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+}
+
+/**
+ * 写真の保存場所（ファイル名にディレクトリが含まれていても PHOTO_DIR の外は指さない）
+ */
+function getPhotoPath(filename) {
+    return path.join(PHOTO_DIR, path.basename(filename));
+}
+
+/**
+ * 配信時の Content-Type
+ */
+function getPhotoContentType(filename) {
+    const extension = path.extname(filename).slice(1);
+    const entry = Object.entries(PHOTO_TYPES).find(([, type]) => type.extension === extension);
+    return entry ? entry[0] : 'application/octet-stream';
+}
+
+/**
+ * 予約画面・管理画面で使う写真のURL（ファイル名を付けて、差し替え時にキャッシュを更新させる）
+ */
+function getPhotoUrl(staff) {
+    return staff.photo_filename ? `/api/staff/${staff.id}/photo?v=${encodeURIComponent(staff.photo_filename)}` : null;
+}
+
+module.exports = {
+    MAX_PHOTO_BYTES,
+    PHOTO_TYPES,
+    detectPhotoType,
+    savePhoto,
+    removePhoto,
+    getPhotoPath,
+    getPhotoContentType,
+    getPhotoUrl
+};
@@ -0,0 +1,333 @@
+/**
+ * キャンセル待ち
+ *
+ * 予約のキャンセル・削除・日時変更で枠が空いたら、その日時が希望条件（期間・開始時刻・メニュー・担当医師）に
+ * 合う登録を登録順に探し、予約できる最初の1人に有効期限付きの確保URLをお送りする。
+ * 期限内に確保されなければ次の方へご案内する（processWaitlist）。
+ *
+ * ご案内中も枠は押さえないため、確保時にトランザクション内で空きを確認し直してから予約を作成する。
+ */
+
+const db = require('../db/db');
+const security = require('./security');
+const slots = require('./slots.postgres');
+const mailer = require('./mailer');
+
+// 登録の状態と表示名（管理画面用）
+const ENTRY_STATUS_LABELS = {
+    waiting: '待機中',
+    offered: 'ご案内中',
+    booked: '予約済み',
+    cancelled: '取り消し',
+    expired: '期間終了'
+};
+
+// ご案内の有効期限（時間）の既定値と範囲
+const DEFAULT_OFFER_HOURS = 2;
+const MAX_OFFER_HOURS = 72;
+
+// 1つの空き枠について予約できるか確かめる登録の最大件数
+const CANDIDATE_LIMIT = 50;
+
+/**
+ * ご案内の有効期限（時間）
+ * @param {Object} settings - システム設定
+ * @returns {number}
+ */
+function getOfferHours(settings) {
+    const hours = parseInt(settings.waitlist_offer_hours);
+    return Number.isInteger(hours) && hours >= 1 && hours <= MAX_OFFER_HOURS ? hours : DEFAULT_OFFER_HOURS;
+}
+
+function getClaimUrl(token) {
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    return `${baseUrl}/?offer=${encodeURIComponent(token)}`;
+}
+
+/**
+ * 空いた枠を、条件に合う最初のキャンセル待ちの方へご案内する
+ * @param {Object} appointment - キャンセル・削除・日時変更された予約（変更前の start_at, end_at, staff_id）
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{offered: boolean, entryId?: number, offerId?: number}>}
+ */
+async function offerFreedSlot(appointment, settings) {
+    const startAt = new Date(appointment.start_at);
+    if (isNaN(startAt.getTime()) || startAt <= new Date()) {
+        return { offered: false };
+    }
+
+    // 同じ枠を一度ご案内した登録には再度ご案内しない
+    const candidates = await db.queryAll(`
+        SELECT w.*, s.duration_minutes
+        FROM waitlist_entries w
+        JOIN services s ON w.service_id = s.id
+        WHERE w.status = 'waiting'
+        AND s.is_active = true
+        AND w.date_from <= $1 AND w.date_to >= $1
+        AND (w.time_from IS NULL OR w.time_from <= $2::time)
+        AND (w.time_to IS NULL OR w.time_to >= $2::time)
+        AND NOT EXISTS (
+            SELECT 1 FROM waitlist_offers o WHERE o.entry_id = w.id AND o.start_at = $3
+        )
+        ORDER BY w.created_at, w.id
+        LIMIT $4
+    `, [slots.formatDate(startAt), slots.formatTime(startAt), startAt.toISOString(), CANDIDATE_LIMIT]);
+
+    for (const entry of candidates) {
+        const endAt = new Date(startAt.getTime() + entry.duration_minutes * 60000);
+
+        // 予約受付期間・診療時間・担当医師の勤務など、通常の予約と同じ基準で確認
+        const validation = await slots.validateBooking(
+            startAt.toISOString(), endAt.toISOString(), entry.service_id, entry.staff_id, settings
+        );
+        if (!validation.valid) continue;
+
+        const availability = await checkAvailability(entry, startAt, endAt, settings);
+        if (!availability.available) continue;
+
+        const offer = await createOffer(entry, startAt, endAt, availability.staffId, settings);
+        if (offer) {
+            return { offered: true, entryId: entry.id, offerId: offer.id };
+        }
+    }
+
+    return { offered: false };
+}
+
+// 空きの確認だけを行う（予約は作らないためロールバックする）
+async function checkAvailability(entry, startAt, endAt, settings) {
+    const client = await db.getPool().connect();
+    try {
+        await client.query('BEGIN');
+        return await slots.checkBookingAvailability(client, {
+            serviceId: entry.service_id,
+            staffId: entry.staff_id,
+            startAt,
+            endAt,
+            patientId: entry.patient_id
+        }, settings);
+    } finally {
+        await client.query('ROLLBACK');
+        client.release();
+    }
+}
+
+/**
+ * ご案内を作成して送信する
+ * 同時に別の枠のご案内が始まっていた登録は null を返す
+ */
+async function createOffer(entry, startAt, endAt, staffId, settings) {
+    const token = security.generateAccessToken();
+    const expiresAt = new Date(Date.now() + getOfferHours(settings) * 60 * 60 * 1000);
+
+    const offer = await db.transaction(async (client) => {
+        const locked = await client.query(`
+            UPDATE waitlist_entries SET status = 'offered', updated_at = NOW()
+            WHERE id = $1 AND status = 'waiting'
+            RETURNING id
+        `, [entry.id]);
+
+        if (!locked.rows[0]) return null;
+
+        const offerRes = await client.query(`
+            INSERT INTO waitlist_offers (entry_id, start_at, end_at, staff_id, token_hash, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [entry.id, startAt.toISOString(), endAt.toISOString(), staffId, security.hashToken(token), expiresAt.toISOString()]);
+
+        return offerRes.rows[0];
+    });
+
+    if (!offer) return null;
+
+    const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [entry.patient_id]);
+    const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [entry.service_id]);
+    const staff = staffId ? await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]) : null;
+
+    mailer.sendWaitlistOfferEmail(db, offer, patient, service, staff, getClaimUrl(token), settings)
+        .catch(err => console.error('キャンセル待ちご案内送信エラー:', err));
+
+    return offer;
+}
+
+/**
+ * 確保URLのご案内を取得（予約ページの表示用）
+ * @param {string} token - 平文トークン
+ * @returns {Promise<Object|null>}
+ */
+async function findOfferByToken(token) {
+    return db.queryOne(`
+        SELECT o.*, w.patient_id, w.service_id, w.staff_id as requested_staff_id,
+               p.name as patient_name, s.name as service_name, st.name as staff_name
+        FROM waitlist_offers o
+        JOIN waitlist_entries w ON o.entry_id = w.id
+        JOIN patients p ON w.patient_id = p.id
+        JOIN services s ON w.service_id = s.id
+        LEFT JOIN staff st ON o.staff_id = st.id
+        WHERE o.token_hash = $1
+    `, [security.hashToken(token)]);
+}
+
+/**
+ * ご案内された枠で予約を確定する
+ * ご案内をロックし、空きを確認し直してから予約を作成する（同時に確保・予約されても二重にならない）
+ * @param {string} token - 平文トークン
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{error?: string, status?: number, appointment?: Object}>}
+ */
+async function claimOffer(token, settings) {
+    const client = await db.getPool().connect();
+    let result;
+
+    try {
+        await client.query('BEGIN');
+
+        const offerRes = await client.query(`
+            SELECT o.*, w.patient_id, w.service_id, w.staff_id as requested_staff_id
+            FROM waitlist_offers o
+            JOIN waitlist_entries w ON o.entry_id = w.id
+            WHERE o.token_hash = $1
+            FOR UPDATE OF o
+        `, [security.hashToken(token)]);
+        const offer = offerRes.rows[0];
+
+        if (!offer) {
+            await client.query('ROLLBACK');
+            return { status: 404, error: 'ご案内が見つかりません' };
+        }
+        if (offer.status === 'claimed') {
+            await client.query('ROLLBACK');
+            return { status: 409, error: 'このご案内の枠は既にご予約済みです' };
+        }
+        if (offer.status !== 'pending' || new Date(offer.expires_at) <= new Date()) {
+            await client.query('ROLLBACK');
+            return { status: 410, error: 'ご案内の有効期限が切れています' };
+        }
+
+        // 指名なしの登録は確保時点で空いている医師を割り当て直す
+        const availability = await slots.checkBookingAvailability(client, {
+            serviceId: offer.service_id,
+            staffId: offer.requested_staff_id,
+            startAt: new Date(offer.start_at),
+            endAt: new Date(offer.end_at),
+            patientId: offer.patient_id
+        }, settings);
+
+        if (!availability.available) {
+            await client.query('ROLLBACK');
+            await releaseOffer(offer.id, offer.entry_id);
+            return { status: 409, error: '申し訳ありません。この枠は先に埋まってしまいました。キャンセル待ちの登録は引き続き有効です。' };
+        }
+
+        const accessToken = security.generateAccessToken();
+        const tokenExpiry = security.calculateTokenExpiry();
+
+        const appointmentRes = await client.query(`
+            INSERT INTO appointments (patient_id, service_id, staff_id, auto_assigned, start_at, end_at, access_token_hash, token_expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING *
+        `, [
+            offer.patient_id,
+            offer.service_id,
+            availability.staffId,
+            availability.autoAssigned,
+            new Date(offer.start_at).toISOString(),
+            new Date(offer.end_at).toISOString(),
+            security.hashToken(accessToken),
+            tokenExpiry.toISOString()
+        ]);
+        const appointment = appointmentRes.rows[0];
+        await slots.saveAppointmentSegments(client, appointment.id, availability.segments);
+
+        await client.query(`
+            UPDATE waitlist_offers SET status = 'claimed', appointment_id = $1, claimed_at = NOW() WHERE id = $2
+        `, [appointment.id, offer.id]);
+        await client.query(`
+            UPDATE waitlist_entries SET status = 'booked', updated_at = NOW() WHERE id = $1
+        `, [offer.entry_id]);
+
+        await client.query('COMMIT');
+        result = { appointment, accessToken, staffId: availability.staffId };
+    } catch (txError) {
+        await client.query('ROLLBACK');
+        throw txError;
+    } finally {
+        client.release();
+    }
+
+    // 確認メール・管理者への通知（失敗しても予約は確定）
+    const { appointment, accessToken, staffId } = result;
+    const service = await db.queryOne('SELECT * FROM services WHERE id = $1', [appointment.service_id]);
+    const staff = staffId ? await db.queryOne('SELECT * FROM staff WHERE id = $1', [staffId]) : null;
+    const patient = await db.queryOne('SELECT * FROM patients WHERE id = $1', [appointment.patient_id]);
+
+    mailer.sendConfirmationEmail(db, appointment, patient, service, staff, accessToken, settings)
+        .catch(err => console.error('メール送信エラー:', err));
+    mailer.sendAdminNotificationEmail(db, appointment, patient, service, staff, settings)
+        .catch(err => console.error('管理者通知メール送信エラー:', err));
+
+    return {
+        appointment: {
+            id: appointment.id,
+            startAt: appointment.start_at,
+            endAt: appointment.end_at,
+            service: service.name,
+            staff: staff ? staff.name : '指名なし'
+        }
+    };
+}
+
+// 確保できなかった・期限切れのご案内を終了し、登録を待機中に戻す
+async function releaseOffer(offerId, entryId) {
+    await db.transaction(async (client) => {
+        await client.query(`
+            UPDATE waitlist_offers SET status = 'expired' WHERE id = $1 AND status = 'pending'
+        `, [offerId]);
+        await client.query(`
+            UPDATE waitlist_entries SET status = 'waiting', updated_at = NOW()
+            WHERE id = $1 AND status = 'offered'
+        `, [entryId]);
+    });
+}
+
+/**
+ * 期限切れのご案内を次の方へ回し、希望期間を過ぎた登録を終了する
+ * Vercel Cron（/api/cron/waitlist）とローカルサーバーの定期実行の両方から呼び出す
+ * @param {Object} settings - システム設定
+ * @returns {Promise<{expired: number, offered: number, closed: number}>}
+ */
+async function processWaitlist(settings) {
+    const result = { expired: 0, offered: 0, closed: 0 };
+
+    const expiredOffers = await db.queryAll(`
+        SELECT * FROM waitlist_offers
+        WHERE status = 'pending' AND expires_at <= NOW()
+        ORDER BY expires_at
+        LIMIT $1
+    `, [CANDIDATE_LIMIT]);
+
+    for (const offer of expiredOffers) {
+        await releaseOffer(offer.id, offer.entry_id);
+        result.expired++;
+
+        const next = await offerFreedSlot(offer, settings);
+        if (next.offered) result.offered++;
+    }
+
+    const closed = await db.execute(`
+        UPDATE waitlist_entries SET status = 'expired', updated_at = NOW()
+        WHERE status = 'waiting' AND date_to < $1
+    `, [slots.formatDate(new Date())]);
+    result.closed = closed.rowCount || 0;
+
+    return result;
+}
+
+module.exports = {
+    ENTRY_STATUS_LABELS,
+    getOfferHours,
+    offerFreedSlot,
+    findOfferByToken,
+    claimOffer,
+    processWaitlist
+};